@@ -0,0 +1,110 @@
+/**
+ * Agent Detection Module
+ * Reviews sessions classified human for AI agents running inside real
+ * browsers (AI browser extensions, desktop assistants, AI-driven automation)
+ *
+ * These agents pass every human check: real Sec-Fetch headers and Client
+ * Hints, often from residential IPs. Their sessions give them away. Signals,
+ * from the session statistics of lib/sessionizer.js:
+ *   sustained_rate        request_rate at least sustained_rate (people reading
+ *                         stay below 0.2 pages/second)
+ *   systematic_traversal  At least min_unique_paths distinct pages with a
+ *                         path_diversity of min_path_diversity (few revisits)
+ *   regular_timing        interval_cv at most max_interval_cv (machine-paced)
+ *   content_focus         deep_page_ratio at least min_deep_page_ratio
+ *                         (straight to content, no home or listing pages)
+ *
+ * One signal is common for fast or focused readers; a session with
+ * min_signals or more, once it has min_requests pages, is ai_agent_browser.
+ * The classifier applies the review after the rule waterfall, to human
+ * results only (lib/ai-classifier-v2.js); the session's earlier human events
+ * are re-labeled when the first hit is stored.
+ *
+ * config.agent_detection:
+ *   {
+ *     "enabled": true,
+ *     "min_signals": 2,
+ *     "min_requests": 10,
+ *     "sustained_rate": 0.2,
+ *     "min_unique_paths": 30,
+ *     "min_path_diversity": 0.9,
+ *     "max_interval_cv": 0.3,
+ *     "min_deep_page_ratio": 0.9
+ *   }
+ */
+
+export const AGENT_SIGNALS = ['sustained_rate', 'systematic_traversal', 'regular_timing', 'content_focus'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  min_signals: 2,
+  min_requests: 10,
+  sustained_rate: 0.2,
+  min_unique_paths: 30,
+  min_path_diversity: 0.9,
+  max_interval_cv: 0.3,
+  min_deep_page_ratio: 0.9
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+/**
+ * Configure the review (defaults apply until called)
+ * @param {Object} config - "agent_detection" section of the config
+ */
+export function initAgentDetection(config = {}) {
+  settings = { ...DEFAULT_SETTINGS, ...config };
+  console.log(`Agent detection: ${settings.enabled ? `${settings.min_signals}+ signals after ${settings.min_requests} pages` : 'disabled'}`);
+}
+
+/**
+ * Round to 3 decimals (null stays null)
+ */
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Review a human session for an AI agent in a browser
+ * @param {Object|null} sessionStats - Session statistics (lib/sessionizer.js)
+ * @returns {Object|null} { reason, evidence } on a hit, null otherwise
+ */
+export function detectBrowserAgent(sessionStats) {
+  if (!settings.enabled || !sessionStats || sessionStats.request_count < settings.min_requests) {
+    return null;
+  }
+
+  const stats = sessionStats;
+  const findings = [];
+  if (stats.request_rate !== null && stats.request_rate >= settings.sustained_rate) {
+    findings.push(['sustained_rate', `${stats.request_rate.toFixed(2)} pages/s sustained`]);
+  }
+  if (stats.unique_paths >= settings.min_unique_paths && stats.path_diversity >= settings.min_path_diversity) {
+    findings.push(['systematic_traversal', `${stats.unique_paths} distinct pages`]);
+  }
+  if (stats.interval_cv !== null && stats.interval_cv !== undefined && stats.interval_cv <= settings.max_interval_cv) {
+    findings.push(['regular_timing', `regular timing (cv ${stats.interval_cv.toFixed(2)})`]);
+  }
+  if (stats.deep_page_ratio !== null && stats.deep_page_ratio !== undefined && stats.deep_page_ratio >= settings.min_deep_page_ratio) {
+    findings.push(['content_focus', `${Math.round(stats.deep_page_ratio * 100)}% content pages`]);
+  }
+
+  if (findings.length < settings.min_signals) {
+    return null;
+  }
+
+  return {
+    reason: `AI agent in a browser: ${findings.map(([, text]) => text).join(', ')} over ${stats.request_count} pages`,
+    // Keys in JSONB order (length, then name): stored and recomputed evidence compare equal
+    evidence: {
+      signals: findings.map(([signal]) => signal),
+      interval_cv: round(stats.interval_cv),
+      request_rate: round(stats.request_rate),
+      unique_paths: stats.unique_paths,
+      request_count: stats.request_count,
+      path_diversity: round(stats.path_diversity),
+      deep_page_ratio: round(stats.deep_page_ratio),
+      duration_seconds: Math.round(stats.duration_seconds)
+    }
+  };
+}
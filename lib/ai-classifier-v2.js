@@ -8,561 +8,156 @@
  * 4. Fallback: Undetermined AI/Bot
  *
  * Philosophy: If it's not definitively human, it's not human.
- */
-
-import { lookupASN, isDatacenterASN } from './asn-lookup.js';
-
-// ============================================================================
-// STAGE 1: HUMAN DETECTION RULES
-// ============================================================================
-
-/**
- * Determine if request is from a REAL HUMAN
- * A request is human ONLY if it passes ALL these checks:
- *
- * REQUIRED for Human Classification:
- * 1. Has Sec-Fetch-Site header (modern browsers ALWAYS send this)
- * 2. Has Client Hints OR proper Accept headers
- * 3. NOT from a datacenter (Azure/AWS/GCP)
- * 4. NOT using headless browser indicators
- * 5. Reasonable request rate (<0.5 req/sec sustained)
  *
- * @param {Object} event - Event data
- * @param {Object} headers - Request headers
- * @param {Object} sessionStats - Session statistics (optional)
- * @returns {boolean} true if definitely human, false otherwise
+ * The stages are expressed as declarative rules in rules/ai-classifier-v2.json
+ * (bot tables, attack patterns, human checks); adding a bot is a rule-file
+ * change, validated when the rules load.
  */
-function isDefinitelyHuman(event, headers, sessionStats = null) {
-  // Rule 1: Must have Sec-Fetch-Site (100% indicator of real browser)
-  const hasSecFetchSite = !!(
-    headers['Sec-Fetch-Site'] ||
-    headers['Sec-Fetch-Mode'] ||
-    headers['Sec-Fetch-Dest']
-  );
-
-  if (!hasSecFetchSite) {
-    return false; // FAIL: No Sec-Fetch headers = NOT a real browser
-  }
-
-  // Rule 2: Must have Client Hints OR proper Accept headers
-  const hasClientHints = !!(
-    headers['Sec-Ch-Ua'] ||
-    headers['Sec-Ch-Ua-Mobile'] ||
-    headers['Sec-Ch-Ua-Platform']
-  );
-
-  const hasProperAccept = !!(
-    headers['Accept'] &&
-    headers['Accept'].includes('text/html')
-  );
-
-  if (!hasClientHints && !hasProperAccept) {
-    return false; // FAIL: Missing browser fingerprints
-  }
-
-  // Rule 3: Must NOT be from datacenter
-  if (event.datacenter_provider) {
-    return false; // FAIL: Datacenters don't host human users
-  }
-
-  // Rule 4: Check for headless browser indicators
-  if (isHeadlessBrowser(event.user_agent, headers)) {
-    return false; // FAIL: Headless browsers are automation tools
-  }
 
-  // Rule 5: Check request rate (if session stats available)
-  if (sessionStats) {
-    const { request_count, duration_seconds } = sessionStats;
-    if (duration_seconds > 0) {
-      const requestRate = request_count / duration_seconds;
-      if (requestRate > 0.5) {
-        return false; // FAIL: Humans don't make >0.5 req/sec sustained
-      }
-    }
-  }
-
-  // PASS: All human indicators present
-  return true;
-}
-
-/**
- * Detect headless browser indicators
- * Headless browsers are 100% automation (Puppeteer, Playwright, Selenium)
- */
-function isHeadlessBrowser(userAgent, headers) {
-  if (!userAgent) return false;
-
-  // Explicit headless indicators
-  const headlessPatterns = [
-    /HeadlessChrome/i,
-    /Puppeteer/i,
-    /Playwright/i,
-    /Selenium/i,
-    /PhantomJS/i,
-    /SlimerJS/i,
-    /electron/i
-  ];
-
-  for (const pattern of headlessPatterns) {
-    if (pattern.test(userAgent)) {
-      return true;
-    }
-  }
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadRuleFile, evaluateRules } from './classifier-rules.js';
+import { isBotVerificationEnabled, verifyBot } from './bot-verification.js';
+import { findOverride, describeOverride } from './overrides.js';
+import { scoreEvent } from './bot-score.js';
+import { analyzeUserAgent } from './ua-parser.js';
+import { analyzeHeaders } from './header-fingerprint.js';
+import { detectBrowserAgent } from './agent-detection.js';
 
-  // Chrome DevTools Protocol indicator
-  if (headers['X-DevTools-Emulate-Network-Conditions-Client-Id']) {
-    return true;
-  }
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-  // Webdriver indicator
-  if (headers['Webdriver'] || userAgent.includes('webdriver')) {
-    return true;
-  }
+// Bundled ruleset; config.classifier.rules_file can point at another file
+export const DEFAULT_RULES_FILE = path.join(__dirname, '../rules/ai-classifier-v2.json');
 
-  return false;
-}
+let ruleset = null;
+let shadowRuleset = null;  // Candidate ruleset evaluated next to the active one
 
 // ============================================================================
-// STAGE 2: ATTACK TRAFFIC DETECTION
+// RULESET
 // ============================================================================
 
 /**
- * Identify malicious/attack traffic
- * Returns classification if malicious, null otherwise
+ * Load classification rules (replaces the active ruleset)
+ * The 4 stages, bot tables and attack patterns all live in the rule file;
+ * see lib/classifier-rules.js for the rule format.
+ * @param {string} file - Rule file path, relative to the project root (defaults to the bundled ruleset)
+ * @returns {Object} Compiled ruleset
+ * @throws {Error} If the file is missing or invalid (the previous ruleset stays active)
  */
-function detectAttackTraffic(event) {
-  const { path, headers, user_agent } = event;
-
-  // Category 1: WordPress/CMS Scanners
-  const wordpressPatterns = [
-    /^\/wp-admin/i,
-    /^\/wp-login/i,
-    /^\/wp\//i,
-    /wp-config/i,
-    /xmlrpc\.php/i,
-    /wp-json\/wp\/v2\/users/i,
-    /\/wp-content\/(plugins|themes)/i,
-    /\/wp-includes\//i,
-    /wp-cron\.php/i,
-    /readme\.html$/i,
-    /license\.txt$/i
-  ];
-
-  if (wordpressPatterns.some(p => p.test(path))) {
-    return {
-      is_bot: true,
-      bot_classification: 'attack_wordpress_scanner',
-      bot_name: 'WordPress-Scanner',
-      detection_level: 1,
-      detection_reason: 'WordPress vulnerability scanning'
-    };
-  }
-
-  // Category 2: Web Shell / Backdoor Scanners
-  const webshellPatterns = [
-    /\.(php|asp|aspx|jsp)$/i,
-    /alfa\.php/i,
-    /c99\.php/i,
-    /shell\.php/i,
-    /cmd\.php/i,
-    /admin\.php/i,
-    /upload\.php/i,
-    /ALFA_DATA/i,
-    /alfacgiapi/i
-  ];
-
-  // Only flag as attack if it's a suspicious PHP file (not legitimate ones)
-  if (webshellPatterns.some(p => p.test(path))) {
-    // Check if path contains suspicious terms
-    const suspiciousTerms = [
-      'alfa', 'c99', 'shell', 'cmd', 'admin/upload',
-      'ALFA_DATA', 'alfacgiapi', 'lock360', 'function.php'
-    ];
-
-    if (suspiciousTerms.some(term => path.toLowerCase().includes(term))) {
-      return {
-        is_bot: true,
-        bot_classification: 'attack_webshell_scanner',
-        bot_name: 'WebShell-Scanner',
-        detection_level: 1,
-        detection_reason: 'Web shell / backdoor scanning'
-      };
-    }
-  }
-
-  // Category 3: Configuration File Scanners
-  const configPatterns = [
-    /\/\.env/i,
-    /\/config\.(php|json|yml|yaml)/i,
-    /\/\.git/i,
-    /\/\.svn/i,
-    /phpmyadmin/i,
-    /\/pma\//i,
-    /dbadmin/i,
-    /sqladmin/i,
-    /mysqladmin/i
-  ];
-
-  if (configPatterns.some(p => p.test(path))) {
-    return {
-      is_bot: true,
-      bot_classification: 'attack_config_scanner',
-      bot_name: 'Config-Scanner',
-      detection_level: 1,
-      detection_reason: 'Configuration file / database scanner'
-    };
-  }
-
-  // Category 4: Exploit Attempt Scanners
-  const exploitPatterns = [
-    /\.\.(\/|\\)/,  // Directory traversal
-    /<script>/i,     // XSS attempt
-    /union.*select/i, // SQL injection
-    /eval\(/i,       // Code injection
-    /base64_decode/i,
-    /system\(/i,
-    /exec\(/i,
-    /passthru\(/i
-  ];
-
-  if (exploitPatterns.some(p => p.test(path))) {
-    return {
-      is_bot: true,
-      bot_classification: 'attack_exploit_attempt',
-      bot_name: 'Exploit-Scanner',
-      detection_level: 1,
-      detection_reason: 'Active exploit attempt detected'
-    };
-  }
-
-  // Category 5: High-velocity scanner (many requests, many random paths)
-  // This is handled in behavioral analysis below
-
-  return null; // Not attack traffic
+export function loadClassifierRules(file = DEFAULT_RULES_FILE) {
+  ruleset = loadRuleFile(path.resolve(__dirname, '..', file));
+  console.log(`Classifier rules loaded: ${ruleset.ruleset} v${ruleset.version} (${ruleset.rules.length} rules)`);
+  return ruleset;
 }
 
-// ============================================================================
-// STAGE 3: AI TYPE CATEGORIZATION
-// ============================================================================
-
-/**
- * Official AI Bots (declared in User-Agent)
- */
-const OFFICIAL_AI_BOTS = {
-  // OpenAI
-  'GPTBot': /GPTBot/i,
-  'OAI-SearchBot': /OAI-SearchBot/i,
-  'ChatGPT-User': /ChatGPT-User/i,
-
-  // Anthropic
-  'ClaudeBot': /ClaudeBot/i,
-  'Claude-Web': /Claude-Web/i,
-
-  // Google
-  'Google-Extended': /Google-Extended/i,
-  'Gemini-Deep-Research': /Gemini-Deep-Research/i,
-  'GoogleAgent-Mariner': /GoogleAgent-Mariner/i,
-
-  // Perplexity
-  'PerplexityBot': /PerplexityBot/i,
-
-  // Meta
-  'Meta-ExternalAgent': /Meta-ExternalAgent/i,
-  'Meta-ExternalFetcher': /Meta-ExternalFetcher/i,
-
-  // Others
-  'Amazonbot': /Amazonbot/i,
-  'Applebot-Extended': /Applebot-Extended/i,
-  'Bytespider': /Bytespider/i,
-  'YouBot': /YouBot/i
-};
-
-/**
- * Traditional Web Crawlers (SEO, social media, etc.)
- */
-const WEB_CRAWLERS = {
-  'Googlebot': /Googlebot/i,
-  'Bingbot': /bingbot/i,
-  'Yahoo-Slurp': /Yahoo.*Slurp/i,
-  'DuckDuckBot': /DuckDuckBot/i,
-  'Baiduspider': /Baiduspider/i,
-  'YandexBot': /YandexBot/i,
-  'Sogou': /Sogou/i,
-  'Exabot': /Exabot/i,
-  'facebookexternalhit': /facebookexternalhit/i,
-  'Twitterbot': /Twitterbot/i,
-  'LinkedInBot': /LinkedInBot/i,
-  'Slackbot': /Slackbot/i,
-  'Discordbot': /Discordbot/i,
-  'WhatsApp': /WhatsApp/i,
-  'TelegramBot': /TelegramBot/i,
-  'Applebot': /Applebot(?!-Extended)/i  // Regular Applebot (not Extended)
-};
-
-/**
- * Monitoring & Infrastructure Services
- * Uptime monitors, availability checks, Cloudflare verification, etc.
- */
-const MONITORING_SERVICES = {
-  // Infrastructure
-  'Cloudflare-Verify': /Cloudflare.*Verification/i,
-  'Cloudflare-Health': /Cloudflare.*Health/i,
-
-  // Uptime monitoring services
-  'UptimeRobot': /UptimeRobot/i,
-  'Pingdom': /Pingdom/i,
-  'StatusCake': /StatusCake/i,
-  'Site24x7': /Site24x7/i,
-  'Uptime.com': /Uptime\.com/i,
-  'Freshping': /Freshping/i,
-
-  // Generic monitoring patterns
-  'Monitor': /^Monitor/i,
-  'Uptime-Check': /uptime.*check/i,
-  'Availability-Check': /availability.*check/i
-};
-
 /**
- * Categorize known AI bot by User-Agent
+ * Active ruleset, loading the bundled rules on first use
+ * @returns {Object} Compiled ruleset
  */
-function categorizeOfficialAI(userAgent) {
-  if (!userAgent) return null;
-
-  // Check official AI bots
-  for (const [name, pattern] of Object.entries(OFFICIAL_AI_BOTS)) {
-    if (pattern.test(userAgent)) {
-      return {
-        is_bot: true,
-        bot_classification: 'ai_official',
-        bot_name: name,
-        detection_level: 1,
-        detection_reason: 'Official AI bot declared in User-Agent'
-      };
-    }
+function getRuleset() {
+  if (!ruleset) {
+    loadClassifierRules();
   }
-
-  return null;
+  return ruleset;
 }
 
 /**
- * Categorize monitoring/uptime service
+ * Version of the active ruleset
+ * @returns {string} e.g. "ai-classifier-v2@2.1.0"
  */
-function categorizeMonitoring(event) {
-  const userAgent = event.user_agent;
-  const path = event.path;
-
-  // Check for explicit monitoring service User-Agents
-  if (userAgent) {
-    for (const [name, pattern] of Object.entries(MONITORING_SERVICES)) {
-      if (pattern.test(userAgent)) {
-        return {
-          is_bot: true,
-          bot_classification: 'monitoring_service',
-          bot_name: name,
-          detection_level: 2,
-          detection_reason: 'Uptime/monitoring service'
-        };
-      }
-    }
-  }
-
-  // Cloudflare hostname verification (by path pattern OR User-Agent)
-  if ((path && path.includes('.well-known/cf-custom-hostname-challenge')) ||
-      (userAgent && /Cloudflare.*Custom.*Hostname/i.test(userAgent))) {
-    return {
-      is_bot: true,
-      bot_classification: 'monitoring_service',
-      bot_name: 'Cloudflare-Verify',
-      detection_level: 2,
-      detection_reason: 'Cloudflare custom hostname verification'
-    };
-  }
-
-  // Behavioral detection: Datacenter + no UA + simple root paths
-  // This catches availability checks, uptime monitors without declared UAs
-  const simpleRootPaths = ['/', '/robots.txt', '/favicon.ico', '/index.html', '/sitemap.xml'];
-  if (event.datacenter_provider &&
-      (!userAgent || userAgent === '') &&
-      simpleRootPaths.includes(path)) {
-    const providerName = event.datacenter_provider.toUpperCase();
-    return {
-      is_bot: true,
-      bot_classification: 'monitoring_service',
-      bot_name: `${providerName}-Monitor`,
-      detection_level: 2,
-      detection_reason: `${event.datacenter_provider} availability check (no UA, simple path)`
-    };
-  }
-
-  return null;
+export function getRulesetVersion() {
+  const { ruleset: name, version } = getRuleset();
+  return `${name}@${version}`;
 }
 
 /**
- * Categorize traditional web crawler
+ * Load a candidate ruleset to run in shadow (see classifyShadow)
+ * @param {string|null} file - Rule file path, relative to the project root; null disables shadow mode
+ * @returns {Object|null} Compiled ruleset
+ * @throws {Error} If the file is missing or invalid (the previous shadow ruleset stays active)
  */
-function categorizeWebCrawler(userAgent) {
-  if (!userAgent) return null;
-
-  // Check web crawlers
-  for (const [name, pattern] of Object.entries(WEB_CRAWLERS)) {
-    if (pattern.test(userAgent)) {
-      return {
-        is_bot: true,
-        bot_classification: 'web_crawler',
-        bot_name: name,
-        detection_level: 1,
-        detection_reason: 'Traditional web crawler'
-      };
-    }
+export function loadShadowRules(file) {
+  if (!file) {
+    shadowRuleset = null;
+    return null;
   }
-
-  // Headless browser detection (automation tools)
-  if (isHeadlessBrowser(userAgent, {})) {
-    return {
-      is_bot: true,
-      bot_classification: 'web_crawler',
-      bot_name: 'Headless-Browser',
-      detection_level: 1,
-      detection_reason: 'Headless browser automation detected'
-    };
+  shadowRuleset = loadRuleFile(path.resolve(__dirname, '..', file));
+  console.log(`Shadow classifier rules loaded: ${shadowRuleset.ruleset} v${shadowRuleset.version} (${shadowRuleset.rules.length} rules)`);
+  if (`${shadowRuleset.ruleset}@${shadowRuleset.version}` === getRulesetVersion()) {
+    console.warn('Shadow ruleset has the same version as the active ruleset; bump its version to tell the results apart');
   }
-
-  // Generic bot patterns
-  if (/bot|crawler|spider|scraper|curl|wget|python|java|http/i.test(userAgent)) {
-    return {
-      is_bot: true,
-      bot_classification: 'web_crawler',
-      bot_name: 'Generic-Crawler',
-      detection_level: 1,
-      detection_reason: 'Generic bot/crawler pattern in User-Agent'
-    };
-  }
-
-  return null;
+  return shadowRuleset;
 }
 
 /**
- * Detect datacenter systematic crawlers
- * These are bots that:
- * - Run from datacenters
- * - Have NO User-Agent (or minimal UA)
- * - Access non-root paths (not just / or /robots.txt)
- * - Are systematically crawling content
+ * Version of the shadow ruleset
+ * @returns {string|null} e.g. "ai-classifier-v2@2.4.0", or null without shadow mode
  */
-function detectDatacenterCrawler(event) {
-  const { datacenter_provider, user_agent, path } = event;
-
-  // Must be from datacenter
-  if (!datacenter_provider) return null;
-
-  // Must have NO User-Agent or very minimal UA
-  if (user_agent && user_agent.length > 50) return null;
-
-  // Must NOT be a simple root path (those are monitoring)
-  const simpleRootPaths = ['/', '/robots.txt', '/favicon.ico', '/index.html', '/sitemap.xml'];
-  if (!path || simpleRootPaths.includes(path)) return null;
-
-  // This is a datacenter systematic crawler
-  const providerName = datacenter_provider.toUpperCase();
-  return {
-    is_bot: true,
-    bot_classification: 'ai_stealth',
-    bot_name: `${providerName}-Crawler`,
-    detection_level: 2,
-    detection_reason: `${datacenter_provider} datacenter + no UA + content path (systematic crawling)`
-  };
+export function getShadowVersion() {
+  return shadowRuleset ? `${shadowRuleset.ruleset}@${shadowRuleset.version}` : null;
 }
 
 /**
- * Detect stealth AI crawlers
- * These are bots that:
- * - Run from datacenters
- * - Use browser-like User-Agents (spoofing)
- * - Missing Sec-Fetch headers
- * - No explicit bot declaration
+ * Classifications the active ruleset can produce: rule categories, verified
+ * categories, ai_spoofed (failed verification) and ai_agent_browser (agent review)
+ * @returns {Array<string>} Sorted category names
  */
-function detectStealthAI(event, headers) {
-  const { datacenter_provider, user_agent } = event;
-
-  // Must be from datacenter
-  if (!datacenter_provider) return null;
-
-  // Must have browser-like UA (they're trying to hide)
-  if (!isBrowserUA(user_agent)) return null;
-
-  // Must be missing Sec-Fetch headers (proves it's not a real browser)
-  const hasSecFetch = !!(
-    headers['Sec-Fetch-Site'] ||
-    headers['Sec-Fetch-Mode'] ||
-    headers['Sec-Fetch-Dest']
-  );
-
-  if (hasSecFetch) return null; // Has real browser headers, not stealth
-
-  // This is a stealth AI crawler
-  return {
-    is_bot: true,
-    bot_classification: 'ai_stealth',
-    bot_name: `${datacenter_provider.toUpperCase()}-Stealth-AI`,
-    detection_level: 2,
-    detection_reason: 'Datacenter + browser UA + missing Sec-Fetch headers'
-  };
+export function getClassifierCategories() {
+  const categories = new Set(['ai_official_verified', 'ai_spoofed', 'ai_agent_browser']);
+  for (const { spec } of getRuleset().rules) {
+    categories.add(spec.category);
+    if (spec.verify?.verified_category) {
+      categories.add(spec.verify.verified_category);
+    }
+  }
+  return [...categories].sort();
 }
 
 /**
- * Check if User-Agent looks like a browser
+ * Look up rules of the active ruleset by id (for explaining classifications)
+ * @param {Array<string>} ids - Rule ids (events.detection_rules)
+ * @returns {Array<Object>} Rule definitions as written in the rule file (null for unknown ids)
  */
-function isBrowserUA(userAgent) {
-  if (!userAgent) return false;
-
-  return (
-    userAgent.includes('Mozilla') &&
-    (userAgent.includes('Chrome') ||
-     userAgent.includes('Safari') ||
-     userAgent.includes('Firefox') ||
-     userAgent.includes('Edge'))
-  );
+export function describeRules(ids) {
+  const rules = getRuleset().rules;
+  return (ids || []).map(id => {
+    const rule = rules.find(r => r.id === id);
+    if (!rule) return null;
+    const { id: ruleId, stage, priority, category, bot_name, detection_level, reason, match } = rule.spec;
+    return { id: ruleId, stage, priority, category, bot_name, detection_level, reason, match };
+  });
 }
 
 // ============================================================================
-// STAGE 4: UNDETERMINED BOT FALLBACK
+// DECLARED CRAWLER VERIFICATION
 // ============================================================================
 
 /**
- * If we get here, it's not human but we don't know what it is
+ * Authenticate a crawler matched by a rule with a "verify" block
+ * verified: the rule's verified_category (e.g. ai_official_verified), or its category
+ * spoofed:  ai_spoofed - the User-Agent claims a crawler the IP does not belong to
+ * unverified (DNS failure, no range snapshot): the rule's category, reason says why
+ * @param {Object} classification - Result of the matched rule (modified in place)
+ * @param {Object} verify - Rule "verify" block
+ * @param {string} ip - Client IP
  */
-function classifyAsUndetermined(event) {
-  const reason = determineUndeterminedReason(event);
-
-  return {
-    is_bot: true,
-    bot_classification: 'bot_undetermined',
-    bot_name: 'Undetermined-Bot',
-    detection_level: 3,
-    detection_reason: reason
-  };
-}
-
-function determineUndeterminedReason(event) {
-  const reasons = [];
-
-  if (!event.user_agent || event.user_agent === '') {
-    reasons.push('No User-Agent');
-  }
-
-  if (event.datacenter_provider) {
-    reasons.push(`Datacenter: ${event.datacenter_provider}`);
-  }
-
-  if (!event.headers || !event.headers['Sec-Fetch-Site']) {
-    reasons.push('Missing Sec-Fetch headers');
+async function applyVerification(classification, verify, ip) {
+  const ruleId = classification.detection_rules[0];
+  const result = await verifyBot(ip, verify, ruleId);
+
+  if (result.status === 'verified') {
+    classification.bot_classification = verify.verified_category || classification.bot_classification;
+    classification.detection_reason = `${classification.detection_reason}; verified: ${result.detail}`;
+    classification.detection_rules.push(`verify:${result.method}`);
+  } else if (result.status === 'spoofed') {
+    classification.bot_classification = 'ai_spoofed';
+    classification.detection_reason = `Claims to be ${classification.bot_name} but ${result.detail}`;
+    classification.bot_name = `Spoofed-${classification.bot_name}`;
+    classification.detection_level = 2;
+    classification.detection_rules.push(`verify:${result.method}:failed`);
+  } else {
+    classification.detection_reason = `${classification.detection_reason} (not verified: ${result.detail})`;
   }
-
-  if (reasons.length === 0) {
-    return 'Failed human verification checks';
-  }
-
-  return reasons.join(', ');
 }
 
 // ============================================================================
@@ -571,56 +166,102 @@ function determineUndeterminedReason(event) {
 
 /**
  * Classify request using systematic 4-stage approach
+ * The result records why: detection_reason, the matched rule ids
+ * (detection_rules) and the ruleset that decided (classifier_version).
+ * Manual overrides (lib/overrides.js) are checked first. Every result also
+ * carries a 0–1 bot_score and the signals behind it (lib/bot-score.js), the
+ * parsed User-Agent fields with their anomalies (lib/ua-parser.js), and the
+ * header fingerprint with its mismatches (lib/header-fingerprint.js).
+ * Human results are reviewed for AI agents in real browsers from the session
+ * statistics (lib/agent-detection.js); hits carry their agent_evidence.
  *
  * @param {Object} event - Event data
+ * @param {Object} options - Classification options
+ * @param {boolean} options.overrides - Apply manual overrides (default: true; false measures the rules alone)
  * @returns {Promise<Object>} Classification result
  */
-export async function classify(event) {
-  const headers = event.headers || {};
-
-  // STAGE 1: Rule out human
-  // If it passes all human checks, classify as human and STOP
-  const sessionStats = event.sessionStats || null;
-  if (isDefinitelyHuman(event, headers, sessionStats)) {
-    return {
-      is_bot: false,
-      bot_classification: 'human',
-      bot_name: null,
-      detection_level: null,
-      detection_reason: 'Passed all human verification checks'
-    };
-  }
-
-  // Not human, continue to bot classification...
-
-  // STAGE 2: Identify attack traffic
-  const attackClassification = detectAttackTraffic(event);
-  if (attackClassification) return attackClassification;
-
-  // STAGE 3: Categorize bot type
+export async function classify(event, { overrides = true } = {}) {
+  return classifyWith(getRuleset(), event, overrides);
+}
 
-  // 3A: Official AI bots (declared)
-  const officialAI = categorizeOfficialAI(event.user_agent);
-  if (officialAI) return officialAI;
+/**
+ * Classify request with the shadow ruleset
+ * Same input as classify(); the result is only recorded for comparison.
+ * Overrides apply here too, so disagreements come from the rules.
+ * @param {Object} event - Event data
+ * @returns {Promise<Object|null>} Classification result, or null without shadow mode
+ */
+export async function classifyShadow(event) {
+  return shadowRuleset ? classifyWith(shadowRuleset, event, true) : null;
+}
 
-  // 3B: Traditional web crawlers
-  const webCrawler = categorizeWebCrawler(event.user_agent);
-  if (webCrawler) return webCrawler;
+/**
+ * Apply overrides, evaluate a ruleset and verify declared crawlers
+ * @param {Object} rules - Compiled ruleset
+ * @param {Object} event - Event data
+ * @param {boolean} useOverrides - Check manual overrides first
+ * @returns {Promise<Object>} Classification result
+ */
+async function classifyWith(rules, event, useOverrides) {
+  const override = useOverrides ? findOverride(event) : null;
+  let classification;
+
+  // Parsed User-Agent and header fingerprint: stored with the result; their
+  // anomalies and mismatches feed the rules and the score
+  const userAgentInfo = analyzeUserAgent(event.user_agent, event.headers, event.timestamp ?? Date.now());
+  const headerInfo = analyzeHeaders({ ...event, ...userAgentInfo });
+  const input = { ...event, ...userAgentInfo, ...headerInfo };
+
+  if (override?.bot_classification) {
+    // Pinned classification: the rules are not consulted
+    classification = {
+      is_bot: override.bot_classification !== 'human',
+      bot_classification: override.bot_classification,
+      bot_name: override.bot_name || null,
+      detection_level: 0,
+      detection_reason: describeOverride(override),
+      detection_rules: [`override:${override.id}`],
+      relabel_session: false,
+      agent_evidence: null
+    };
+  } else {
+    // The fallback stage always matches, so a result is guaranteed
+    classification = evaluateRules(rules, input);
+
+    // Declared crawlers: check the IP really belongs to the vendor
+    const verify = rules.byId.get(classification.detection_rules[0])?.spec.verify;
+    if (verify && event.client_ip && isBotVerificationEnabled()) {
+      await applyVerification(classification, verify, event.client_ip);
+    }
 
-  // 3C: Monitoring & infrastructure services
-  const monitoring = categorizeMonitoring(event);
-  if (monitoring) return monitoring;
+    // Human so far: review the session for an AI agent driving the browser
+    const agent = classification.bot_classification === 'human' ? detectBrowserAgent(event.sessionStats) : null;
+    if (agent) {
+      Object.assign(classification, {
+        is_bot: true,
+        bot_classification: 'ai_agent_browser',
+        bot_name: 'Browser-Agent',
+        detection_level: 3,
+        detection_reason: agent.reason,
+        relabel_session: true
+      });
+      classification.detection_rules.push('agent-review');
+    }
+    classification.agent_evidence = agent?.evidence ?? null;
 
-  // 3D: Datacenter systematic crawlers (no UA + content paths)
-  const datacenterCrawler = detectDatacenterCrawler(event);
-  if (datacenterCrawler) return datacenterCrawler;
+    // Pinned bot name only: rename the rule result
+    if (override) {
+      classification.bot_name = override.bot_name;
+      classification.detection_reason = `${describeOverride(override)}; ${classification.detection_reason}`;
+      classification.detection_rules.push(`override:${override.id}`);
+    }
+  }
 
-  // 3E: Stealth AI (datacenter + spoofed UA)
-  const stealthAI = detectStealthAI(event, headers);
-  if (stealthAI) return stealthAI;
+  // Bot likelihood from the request evidence, independent of the label
+  Object.assign(classification, userAgentInfo, headerInfo, scoreEvent(input));
 
-  // STAGE 4: Undetermined bot (we know it's not human, but can't categorize)
-  return classifyAsUndetermined(event);
+  classification.classifier_version = `${rules.ruleset}@${rules.version}`;
+  return classification;
 }
 
 // ============================================================================
@@ -677,8 +318,8 @@ export function detectSecurityFlags(headers, path) {
   const hasCfWorker = !!headers['Cf-Worker'];
   const cfWorkerDomain = headers['Cf-Worker'] || null;
 
-  // Use the attack detection logic
-  const attackResult = detectAttackTraffic({ path, headers });
+  // Use the attack detection rules
+  const attackResult = evaluateRules(getRuleset(), { path, headers }, { stages: ['attack'] });
   const isExploitAttempt = !!attackResult;
 
   return {
@@ -687,118 +328,3 @@ export function detectSecurityFlags(headers, path) {
     is_exploit_attempt: isExploitAttempt
   };
 }
-
-// ============================================================================
-// TESTING
-// ============================================================================
-
-/**
- * Test classifier with known patterns
- */
-export async function testClassifier() {
-  console.log('\n=== Testing Bot Classifier V2 ===\n');
-
-  const testCases = [
-    {
-      name: '1. Real Human (has Sec-Fetch + Client Hints)',
-      event: {
-        client_ip: '50.24.28.1',
-        user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0',
-        headers: {
-          'Sec-Fetch-Site': 'none',
-          'Sec-Fetch-Mode': 'navigate',
-          'Sec-Ch-Ua': '"Chrome";v="120"',
-          'Accept': 'text/html'
-        },
-        datacenter_provider: null
-      }
-    },
-    {
-      name: '2. Headless Chrome (100% bot)',
-      event: {
-        client_ip: '50.24.28.2',
-        user_agent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 HeadlessChrome/120.0.0.0',
-        headers: {
-          'Sec-Fetch-Site': 'none'
-        },
-        datacenter_provider: null
-      }
-    },
-    {
-      name: '3. GPTBot (Official AI)',
-      event: {
-        client_ip: '74.7.227.134',
-        user_agent: 'Mozilla/5.0 AppleWebKit/537.36 (compatible; GPTBot/1.2)',
-        headers: {},
-        datacenter_provider: null
-      }
-    },
-    {
-      name: '4. Azure Stealth AI (no Sec-Fetch)',
-      event: {
-        client_ip: '20.39.203.102',
-        user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0',
-        headers: {},
-        datacenter_provider: 'azure'
-      }
-    },
-    {
-      name: '5. WordPress Scanner',
-      event: {
-        client_ip: '1.2.3.4',
-        user_agent: 'curl/7.68.0',
-        path: '/wp-admin/admin.php',
-        headers: {},
-        datacenter_provider: null
-      }
-    },
-    {
-      name: '6. Web Shell Scanner',
-      event: {
-        client_ip: '1.2.3.5',
-        user_agent: null,
-        path: '/alfa.php',
-        headers: {},
-        datacenter_provider: 'azure'
-      }
-    },
-    {
-      name: '7. Googlebot (Web Crawler)',
-      event: {
-        client_ip: '66.249.64.1',
-        user_agent: 'Mozilla/5.0 (compatible; Googlebot/2.1)',
-        headers: {},
-        datacenter_provider: null
-      }
-    },
-    {
-      name: '8. No UA + Datacenter = Undetermined',
-      event: {
-        client_ip: '172.207.9.124',
-        user_agent: null,
-        headers: {},
-        datacenter_provider: 'azure'
-      }
-    },
-    {
-      name: '9. Residential IP but no Sec-Fetch = Undetermined',
-      event: {
-        client_ip: '50.24.28.220',
-        user_agent: 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0.0.0',
-        headers: {},
-        datacenter_provider: null
-      }
-    }
-  ];
-
-  for (const testCase of testCases) {
-    const result = await classify(testCase.event);
-    console.log(`${testCase.name}:`);
-    console.log(`  Classification: ${result.bot_classification}`);
-    console.log(`  Bot Name: ${result.bot_name || 'N/A'}`);
-    console.log(`  Reason: ${result.detection_reason || 'N/A'}`);
-    console.log('');
-  }
-
-  console.log('=== End Test ===\n');
-}
@@ -1,15 +1,32 @@
 /**
  * ASN Lookup Module
  * Identify Autonomous System Number and datacenter providers
+ *
+ * ASN → provider mappings come from the datacenter_asns registry (managed
+ * through /api/datacenter-asns, with who added each mapping and why). The
+ * built-in mappings below seed it (migrate-datacenter-asns.sql) and apply
+ * until the registry loads. ASNs without a mapping fall back to the org name
+ * patterns ("hosting"); a registry entry without provider marks an ASN
+ * reviewed as not a datacenter, which also stops the pattern fallback.
+ *
+ * The review queue (GET /api/datacenter-asns/review) lists high-traffic ASNs
+ * that only match through the patterns, to accept or reject each one.
+ *
+ * config.datacenter_asns:
+ *   {
+ *     "refresh_interval": 60   // Seconds between reloads from the database
+ *   }
  */
 
 import { Reader } from '@maxmind/geoip2-node';
 import fs from 'fs';
+import { getDatacenterASNs } from './db.js';
+import { createRegistryLoader, validateProvenance } from './registry-loader.js';
 
 let asnReader;
 
-// Mapping of ASN to datacenter providers
-const DATACENTER_ASN = {
+// Built-in mapping of ASN to datacenter providers (seed of the registry)
+export const BUILTIN_DATACENTER_ASN = {
   // Microsoft Azure
   8075: 'azure',
 
@@ -104,6 +121,94 @@ const DATACENTER_PATTERNS = [
   /\bcdn\b/i   // Content Delivery Network
 ];
 
+/**
+ * Registry of the built-in mappings
+ */
+function builtinRegistry() {
+  return new Map(Object.entries(BUILTIN_DATACENTER_ASN).map(([asn, provider]) => [Number(asn), { provider }]));
+}
+
+// ASN → { provider } (null provider: reviewed, not a datacenter)
+let registry = builtinRegistry();
+
+/**
+ * Whether an ASN org name looks like a datacenter or hosting provider
+ * @param {string|null} org - ASN organization name
+ * @returns {boolean} True if a DATACENTER_PATTERNS entry matches
+ */
+export function isHostingOrg(org) {
+  return !!org && DATACENTER_PATTERNS.some(pattern => pattern.test(org));
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Validate a registry entry as submitted to the API
+ * @param {Object} input - { asn, provider, asn_org, note, author }
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+export function validateDatacenterASN(input) {
+  const errors = [];
+
+  const asn = Number(input.asn);
+  if (!Number.isInteger(asn) || asn < 1 || asn > 2147483647) { // INTEGER, like events.asn
+    errors.push('asn must be an ASN number');
+  }
+  if (input.provider !== null && input.provider !== undefined &&
+      (typeof input.provider !== 'string' || !/^[a-z0-9][a-z0-9-]{0,19}$/.test(input.provider))) { // Fits events.datacenter_provider
+    errors.push('provider must be a lowercase name of at most 20 characters (e.g. hetzner), or null for "not a datacenter"');
+  }
+  if (input.asn_org !== null && input.asn_org !== undefined && typeof input.asn_org !== 'string') {
+    errors.push('asn_org must be a string');
+  }
+  errors.push(...validateProvenance(input, 'why the mapping is right'));
+
+  return errors;
+}
+
+/**
+ * Replace the active registry
+ * @param {Array<Object>} rows - Enabled datacenter_asns rows
+ * @returns {number} Number of mapped ASNs
+ */
+export function setDatacenterASNs(rows) {
+  registry = new Map(rows.map(row => [Number(row.asn), { provider: row.provider || null }]));
+  return registry.size;
+}
+
+const loader = createRegistryLoader({
+  load: () => getDatacenterASNs({ enabledOnly: true }),
+  apply: setDatacenterASNs,
+  loaded: count => `Datacenter ASN registry loaded: ${count} ASNs`,
+  failed: 'Failed to load datacenter ASN registry (keeping previous mappings)'
+});
+
+/**
+ * Set the reload interval
+ * @param {Object} config - "datacenter_asns" section of the config
+ */
+export function initDatacenterASNs(config = {}) {
+  loader.init(config);
+}
+
+/**
+ * Reload enabled registry entries from the database
+ * Calls within refresh_interval reuse the loaded registry. On errors (e.g.
+ * before migrate-datacenter-asns.sql) the previous registry is kept, which
+ * starts as the built-in mappings.
+ * @param {boolean} force - Ignore refresh_interval
+ * @returns {Promise<boolean>} True if the registry is current
+ */
+export function refreshDatacenterASNs(force = false) {
+  return loader.refresh(force);
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
 /**
  * Initialize ASN reader with MaxMind database
  * @param {string} dbPath - Path to GeoLite2-ASN.mmdb
@@ -149,14 +254,13 @@ export function lookupASN(ip) {
     const asn = response.autonomousSystemNumber;
     const org = response.autonomousSystemOrganization;
 
-    // First check explicit ASN mapping
-    let provider = DATACENTER_ASN[asn] || null;
+    // First check the registry (an entry without provider means "not a datacenter")
+    const entry = registry.get(asn);
+    let provider = entry ? entry.provider : null;
 
-    // If not found in explicit list, check org name patterns
-    if (!provider && org) {
-      if (DATACENTER_PATTERNS.some(pattern => pattern.test(org))) {
-        provider = 'hosting';  // Generic hosting/datacenter
-      }
+    // If not in the registry, check org name patterns
+    if (!entry && isHostingOrg(org)) {
+      provider = 'hosting';  // Generic hosting/datacenter
     }
 
     return {
@@ -180,7 +284,7 @@ export function lookupASN(ip) {
  * @returns {boolean} True if from datacenter
  */
 export function isDatacenterASN(asn) {
-  return asn in DATACENTER_ASN;
+  return !!getDatacenterProvider(asn);
 }
 
 /**
@@ -189,16 +293,7 @@ export function isDatacenterASN(asn) {
  * @returns {string|null} Provider name or null
  */
 export function getDatacenterProvider(asn) {
-  return DATACENTER_ASN[asn] || null;
-}
-
-/**
- * Add custom ASN mapping
- * @param {number} asn - ASN number
- * @param {string} provider - Provider name
- */
-export function addDatacenterASN(asn, provider) {
-  DATACENTER_ASN[asn] = provider;
+  return registry.get(Number(asn))?.provider || null;
 }
 
 /**
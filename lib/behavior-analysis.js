@@ -0,0 +1,267 @@
+/**
+ * Behavior Analysis Module
+ * Detects crawling patterns in a client's stored events (used by scripts/analyze-behavior.js)
+ *
+ * Detectors (pattern_type in behavior_patterns):
+ *   rapid_sequential    A run of page requests each within max_interval seconds of the last
+ *   sitemap_traversal   Pages requested in the order of the site's sitemap
+ *   data_harvesting     Many distinct data files (/data paths, JSON/CSV downloads)
+ *   cross_site_journey  Hops between the tracked sites within max_hop_seconds
+ *
+ * Each detector takes one client's events (oldest first) and returns a pattern
+ * with a 0-1 confidence_score and its evidence, or null. cross_site_journey is
+ * recorded only: hopping between the tracked sites is what the funnel expects
+ * from people, so it suggests no classification and never upgrades events.
+ *
+ * config.behavior:
+ *   {
+ *     "min_confidence": 0.5,         // Patterns below are not stored
+ *     "apply_min_confidence": 0.8,   // --apply upgrades events only at or above
+ *     "sitemaps": { "thaibelle.com": "https://thaibelle.com/sitemap.xml" },
+ *     "rapid_sequential": { "max_interval": 2, "min_run": 10 },
+ *     ...
+ *   }
+ */
+
+import { isPageRequest } from './sessionizer.js';
+
+export const PATTERN_TYPES = ['rapid_sequential', 'sitemap_traversal', 'data_harvesting', 'cross_site_journey'];
+
+const DEFAULT_SETTINGS = {
+  min_confidence: 0.5,
+  apply_min_confidence: 0.8,
+  rapid_sequential: { max_interval: 2, min_run: 10 },
+  sitemap_traversal: { min_pages: 8, min_order_ratio: 0.8 },
+  data_harvesting: { min_files: 3, paths: ['^/data', '\\.(json|csv|tsv|xlsx?)$'] },
+  cross_site_journey: { min_sites: 2, max_hop_seconds: 300 }
+};
+
+// Evidence lists stored with a pattern are capped
+const MAX_EVIDENCE_PATHS = 50;
+
+/**
+ * Merge config.behavior over the defaults
+ * @param {Object} config - "behavior" section of the config
+ * @returns {Object} Settings for analyzeClient()
+ */
+export function resolveSettings(config = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...config };
+  for (const type of PATTERN_TYPES) {
+    settings[type] = { ...DEFAULT_SETTINGS[type], ...config?.[type] };
+  }
+  settings.data_harvesting.regexes = settings.data_harvesting.paths.map(pattern => new RegExp(pattern, 'i'));
+  return settings;
+}
+
+/**
+ * Extract the paths of a sitemap.xml, in document order
+ * Sitemap indexes list child sitemaps the same way; callers fetch those separately.
+ * @param {string} xml - Sitemap XML
+ * @returns {Array<string>} Paths (with leading slash)
+ */
+export function parseSitemap(xml) {
+  const paths = [];
+  for (const match of xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)) {
+    try {
+      paths.push(new URL(match[1].replace(/&amp;/g, '&')).pathname);
+    } catch {
+      // Skip malformed URLs
+    }
+  }
+  return paths;
+}
+
+/**
+ * Shared pattern shape (columns of behavior_patterns)
+ */
+function buildPattern(type, confidence, events, suggestedClassification, evidence) {
+  const first = new Date(events[0].timestamp);
+  const last = new Date(events[events.length - 1].timestamp);
+
+  return {
+    pattern_type: type,
+    confidence_score: Math.round(Math.min(1, confidence) * 1000) / 1000,
+    request_count: events.length,
+    time_span_seconds: Math.round((last - first) / 1000),
+    sites_visited: [...new Set(events.map(e => e.site))],
+    paths_accessed: [...new Set(events.map(e => e.path))].slice(0, MAX_EVIDENCE_PATHS),
+    first_seen: first,
+    last_seen: last,
+    suggested_classification: suggestedClassification,
+    evidence
+  };
+}
+
+// ============================================================================
+// DETECTORS
+// ============================================================================
+
+/**
+ * Longest run of page requests each within max_interval of the previous one
+ * @param {Array} events - Client events, oldest first
+ * @param {Object} settings - { max_interval, min_run }
+ * @returns {Object|null} Pattern
+ */
+export function detectRapidSequential(events, settings) {
+  const pages = events.filter(isPageRequest);
+  let best = [];
+  let run = [];
+
+  for (const event of pages) {
+    const previous = run[run.length - 1];
+    if (previous && (new Date(event.timestamp) - new Date(previous.timestamp)) / 1000 > settings.max_interval) {
+      run = [];
+    }
+    run.push(event);
+    if (run.length > best.length) best = run;
+  }
+
+  if (best.length < settings.min_run) return null;
+
+  const spanSeconds = (new Date(best[best.length - 1].timestamp) - new Date(best[0].timestamp)) / 1000;
+  const intervals = best.slice(1).map((event, i) => (new Date(event.timestamp) - new Date(best[i].timestamp)) / 1000);
+  const meanInterval = spanSeconds / (best.length - 1);
+
+  // Longer runs and steadier (machine-like) intervals score higher
+  const lengthScore = Math.min(1, (best.length - settings.min_run) / (3 * settings.min_run));
+  const variance = intervals.reduce((sum, x) => sum + (x - meanInterval) ** 2, 0) / intervals.length;
+  const steadiness = meanInterval > 0 ? Math.max(0, 1 - Math.sqrt(variance) / meanInterval) : 1;
+  const confidence = 0.5 + 0.3 * lengthScore + 0.2 * steadiness;
+
+  return buildPattern('rapid_sequential', confidence, best, 'ai_stealth', {
+    run_length: best.length,
+    mean_interval_seconds: Math.round(meanInterval * 100) / 100
+  });
+}
+
+/**
+ * Pages requested in sitemap order (ascending or descending)
+ * @param {Array} events - Client events, oldest first
+ * @param {Object} settings - { min_pages, min_order_ratio }
+ * @param {Map<string, Array<string>>} sitemaps - site → sitemap paths
+ * @returns {Object|null} Pattern (best site)
+ */
+export function detectSitemapTraversal(events, settings, sitemaps) {
+  let best = null;
+
+  for (const [site, sitemapPaths] of sitemaps) {
+    const position = new Map(sitemapPaths.map((p, i) => [p, i]));
+    const seen = new Set();
+    const matched = [];
+    for (const event of events) {
+      if (event.site !== site || !position.has(event.path) || seen.has(event.path)) continue;
+      seen.add(event.path);
+      matched.push(event);
+    }
+    if (matched.length < settings.min_pages) continue;
+
+    let ascending = 0;
+    let descending = 0;
+    for (let i = 1; i < matched.length; i++) {
+      const step = position.get(matched[i].path) - position.get(matched[i - 1].path);
+      if (step > 0) ascending++;
+      if (step < 0) descending++;
+    }
+    const orderRatio = Math.max(ascending, descending) / (matched.length - 1);
+    if (orderRatio < settings.min_order_ratio) continue;
+
+    const fetchedSitemap = events.some(e => e.site === site && /sitemap[^/]*\.xml$/i.test(e.path));
+    const coverage = Math.min(1, matched.length / (3 * settings.min_pages));
+    const confidence = orderRatio * (0.7 + 0.3 * coverage) + (fetchedSitemap ? 0.1 : 0);
+
+    if (!best || confidence > best.confidence_score) {
+      best = buildPattern('sitemap_traversal', confidence, matched, 'ai_stealth', {
+        site,
+        order_ratio: Math.round(orderRatio * 1000) / 1000,
+        direction: ascending >= descending ? 'ascending' : 'descending',
+        sitemap_coverage: Math.round(matched.length / sitemapPaths.length * 1000) / 1000,
+        fetched_sitemap: fetchedSitemap
+      });
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Many distinct data files, and little else
+ * @param {Array} events - Client events, oldest first
+ * @param {Object} settings - { min_files, regexes }
+ * @returns {Object|null} Pattern
+ */
+export function detectDataHarvesting(events, settings) {
+  const dataEvents = events.filter(e => settings.regexes.some(regex => regex.test(e.path)));
+  const files = new Set(dataEvents.map(e => `${e.site}${e.path}`));
+  if (files.size < settings.min_files) return null;
+
+  // Share of the client's traffic that is data files, and how many were taken
+  const dataShare = dataEvents.length / events.length;
+  const volume = Math.min(1, files.size / (4 * settings.min_files));
+  const confidence = 0.4 + 0.3 * dataShare + 0.3 * volume;
+
+  return buildPattern('data_harvesting', confidence, dataEvents, 'ai_stealth', {
+    distinct_files: files.size,
+    data_share: Math.round(dataShare * 1000) / 1000
+  });
+}
+
+/**
+ * Hops between sites faster than a reader would follow a link
+ * Recorded for the journey analysis only (no suggested classification).
+ * @param {Array} events - Client events, oldest first
+ * @param {Object} settings - { min_sites, max_hop_seconds }
+ * @returns {Object|null} Pattern
+ */
+export function detectCrossSiteJourney(events, settings) {
+  const sites = new Set(events.map(e => e.site));
+  if (sites.size < settings.min_sites) return null;
+
+  const hops = [];
+  for (let i = 1; i < events.length; i++) {
+    if (events[i].site === events[i - 1].site) continue;
+    const seconds = (new Date(events[i].timestamp) - new Date(events[i - 1].timestamp)) / 1000;
+    if (seconds <= settings.max_hop_seconds) {
+      hops.push({ from: events[i - 1].site, to: events[i].site, seconds });
+    }
+  }
+  if (hops.length === 0) return null;
+
+  const fastHops = hops.filter(hop => hop.seconds <= 10).length;
+  const confidence = 0.4 + 0.15 * (sites.size - 1) + 0.15 * Math.min(1, hops.length / 5) + 0.15 * (fastHops / hops.length);
+
+  return buildPattern('cross_site_journey', confidence, events, null, {
+    hops: hops.length,
+    fast_hops: fastHops,
+    route: [...sites]
+  });
+}
+
+/**
+ * Whether --apply upgrades a pattern's events
+ * @param {Object} pattern - Detected pattern
+ * @param {Object} settings - From resolveSettings()
+ * @returns {boolean} True for patterns with a suggestion at or above apply_min_confidence
+ */
+export function isApplicable(pattern, settings) {
+  return !!pattern.suggested_classification && pattern.confidence_score >= settings.apply_min_confidence;
+}
+
+/**
+ * Run all detectors on one client's events
+ * @param {Array} events - Client events, oldest first
+ * @param {Object} settings - From resolveSettings()
+ * @param {Map<string, Array<string>>} sitemaps - site → sitemap paths
+ * @returns {Array<Object>} Patterns at or above settings.min_confidence
+ */
+export function analyzeClient(events, settings, sitemaps = new Map()) {
+  if (events.length === 0) return [];
+
+  const patterns = [
+    detectRapidSequential(events, settings.rapid_sequential),
+    detectSitemapTraversal(events, settings.sitemap_traversal, sitemaps),
+    detectDataHarvesting(events, settings.data_harvesting),
+    detectCrossSiteJourney(events, settings.cross_site_journey)
+  ];
+
+  return patterns.filter(pattern => pattern && pattern.confidence_score >= settings.min_confidence);
+}
@@ -0,0 +1,125 @@
+/**
+ * Bot Score Module
+ * 0–1 bot likelihood per event, stored next to the categorical label
+ *
+ * The classifier rules are a waterfall: one missing Sec-Fetch header is enough
+ * to make a request non-human, and the label says nothing about how close the
+ * call was. The score weighs the same evidence instead, so analysts can find
+ * borderline cases (a "human" at 0.6, a "bot_undetermined" at 0.3).
+ *
+ * Each signal that fires adds its weight (log-odds); the sum goes through a
+ * logistic function:
+ *
+ *   score = 1 / (1 + e^-(BIAS + Σ weights))
+ *
+ * User-Agent version anomalies come from lib/ua-parser.js, header
+ * contradictions from lib/header-fingerprint.js.
+ * The score only looks at request evidence, never at the rule result or
+ * manual overrides, so it can disagree with the label - that is the point.
+ * The names of the signals that fired are stored with the score
+ * (bot_score_signals) to explain it.
+ */
+
+import { IMPOSSIBLE_ANOMALIES } from './ua-parser.js';
+import { CLIENT_HINTS_MISMATCHES } from './header-fingerprint.js';
+
+// Log-odds of a request with no evidence either way
+const BIAS = -0.5;
+
+// Signal → weight (positive: bot evidence, negative: browser evidence)
+export const SIGNALS = {
+  declared_bot: 4,          // Bot, crawler or HTTP library User-Agent
+  headless: 3,              // Headless/automation browser User-Agent
+  missing_user_agent: 2.5,
+  datacenter: 1.5,          // Cloud provider IP
+  no_sec_fetch: 1.2,        // Browser User-Agent without Sec-Fetch-* headers
+  ua_inconsistent: 1.5,     // Client Hints contradict the User-Agent
+  impossible_browser: 2,    // Version that cannot send these headers, or is not released yet
+  outdated_browser: 0.8,    // Version more than two years old
+  no_accept_language: 1,
+  language_mismatch: 0.5,   // Accept-Language foreign to the GeoIP country (VPNs, travellers)
+  high_request_rate: 1.5,   // Session above HIGH_RATE requests/second
+  elevated_request_rate: 0.7, // Session above ELEVATED_RATE requests/second
+  sec_fetch: -2,            // Sec-Fetch-* headers (real browser navigation)
+  client_hints: -1          // Sec-Ch-Ua-* headers
+};
+
+// Session rates (requests/second, sessions of MIN_RATE_REQUESTS or more)
+const HIGH_RATE = 1;
+const ELEVATED_RATE = 0.3;
+const MIN_RATE_REQUESTS = 5;
+
+const HEADLESS_PATTERN = /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium|webdriver|Electron\//i;
+const BROWSER_PATTERN = /^Mozilla\/5\.0 /;
+
+/**
+ * Header value as a string (Caddy-style arrays or plain strings)
+ */
+function header(headers, name) {
+  const value = headers?.[name];
+  if (value === undefined || value === null || value === '') return null;
+  return Array.isArray(value) ? (value.length ? value.join(', ') : null) : String(value);
+}
+
+/**
+ * Score an event
+ * @param {Object} event - Classifier input { user_agent, headers, datacenter_provider, sessionStats }
+ *   with the lib/ua-parser.js fields (device_type, ua_anomalies) and header_mismatches
+ * @returns {Object} { bot_score: 0–1 (3 decimals), bot_score_signals: [signal names] }
+ */
+export function scoreEvent(event) {
+  const userAgent = event.user_agent || null;
+  const headers = event.headers || {};
+  const signals = [];
+
+  if (!userAgent) {
+    signals.push('missing_user_agent');
+  } else if (HEADLESS_PATTERN.test(userAgent)) {
+    signals.push('headless');
+  } else if (event.device_type === 'bot') {
+    signals.push('declared_bot');
+  }
+
+  const anomalies = event.ua_anomalies || [];
+  if (anomalies.some(anomaly => IMPOSSIBLE_ANOMALIES.includes(anomaly))) {
+    signals.push('impossible_browser');
+  } else if (anomalies.includes('outdated_version')) {
+    signals.push('outdated_browser');
+  }
+
+  if (event.datacenter_provider) signals.push('datacenter');
+
+  const hasSecFetch = ['Sec-Fetch-Site', 'Sec-Fetch-Mode', 'Sec-Fetch-Dest'].some(name => header(headers, name));
+  if (hasSecFetch) {
+    signals.push('sec_fetch');
+  } else if (userAgent && BROWSER_PATTERN.test(userAgent) && !signals.includes('declared_bot')) {
+    signals.push('no_sec_fetch');
+  }
+
+  // Client Hints from browsers that never send them are impossible_browser instead
+  const mismatches = event.header_mismatches || [];
+  if (header(headers, 'Sec-Ch-Ua')) {
+    signals.push(mismatches.some(mismatch => CLIENT_HINTS_MISMATCHES.includes(mismatch)) ? 'ua_inconsistent' : 'client_hints');
+  }
+
+  if (!header(headers, 'Accept-Language')) {
+    signals.push('no_accept_language');
+  } else if (mismatches.includes('accept_language_country')) {
+    signals.push('language_mismatch');
+  }
+
+  const stats = event.sessionStats;
+  if (stats?.request_rate !== null && stats?.request_rate !== undefined && stats.request_count >= MIN_RATE_REQUESTS) {
+    if (stats.request_rate >= HIGH_RATE) {
+      signals.push('high_request_rate');
+    } else if (stats.request_rate >= ELEVATED_RATE) {
+      signals.push('elevated_request_rate');
+    }
+  }
+
+  const logOdds = signals.reduce((sum, signal) => sum + SIGNALS[signal], BIAS);
+  return {
+    bot_score: Math.round(1000 / (1 + Math.exp(-logOdds))) / 1000,
+    bot_score_signals: signals
+  };
+}
@@ -0,0 +1,354 @@
+/**
+ * Bot Verification Module
+ * Checks that a client claiming to be a known crawler really is one
+ *
+ * Two checks, as documented by the crawler vendors:
+ *   1. IP range: the client IP is in the vendor's published ranges, loaded
+ *      from local JSON snapshots (scripts/update-bot-ranges.js refreshes them)
+ *   2. Forward-confirmed reverse DNS (FCrDNS): the PTR record of the IP ends
+ *      in one of the vendor's domains, and that hostname resolves back to the IP
+ *
+ * Which checks apply to a bot is declared on its classifier rule:
+ *   "verify": { "ranges": "gptbot", "dns_suffixes": ["openai.com"] }
+ *
+ * config.bot_verification:
+ *   {
+ *     "enabled": true,
+ *     "ranges_dir": "data/bot-ranges",   // <ranges name>.json snapshots
+ *     "ranges": { "gptbot": [...] },     // Optional: inline snapshots instead of ranges_dir
+ *     "cache_ttl": 86400,                // Seconds to keep verified/spoofed results
+ *     "inconclusive_ttl": 300,           // Seconds to keep results after DNS errors
+ *     "timeout": 2000,                   // DNS query timeout (ms)
+ *     "servers": ["127.0.0.1:5353"],     // Optional DNS servers (e.g. a local stub)
+ *     "static_records": "dns.json"       // Optional: answer from a JSON file instead of DNS
+ *   }
+ *
+ * The resolver is pluggable (setResolver) so verification can run against
+ * fixed records instead of live DNS; with inline ranges and a static resolver
+ * it needs neither the network nor snapshot files (scripts/test-classifier.js).
+ */
+
+import dns from 'dns';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseIP, createCIDRMatcher } from './cidr.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const DEFAULT_RANGES_DIR = 'data/bot-ranges';
+const DEFAULT_CACHE_TTL = 86400;      // Seconds
+const DEFAULT_INCONCLUSIVE_TTL = 300; // Seconds
+const DEFAULT_TIMEOUT = 2000;         // Milliseconds
+const MAX_CACHE_ENTRIES = 10000;
+
+// DNS answers that mean "no such record" (as opposed to a failed lookup)
+const NOT_FOUND_CODES = new Set([dns.NOTFOUND, dns.NODATA]);
+
+let settings = null;
+let resolver = null;
+let rangeMatchers = new Map();
+
+// `${ip}|${key}` → { promise, expiresAt }
+const cache = new Map();
+
+// ============================================================================
+// RESOLVERS
+// ============================================================================
+
+/**
+ * PTR query name for an IP (in-addr.arpa / ip6.arpa)
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string} Reverse lookup name
+ */
+function reverseName(ip) {
+  const address = parseIP(ip);
+  if (!address) {
+    throw new Error(`Invalid IP: ${ip}`);
+  }
+  if (address.version === 4) {
+    return `${[0, 8, 16, 24].map(shift => (address.value >> BigInt(shift)) & 0xffn).join('.')}.in-addr.arpa`;
+  }
+  const nibbles = address.value.toString(16).padStart(32, '0').split('').reverse();
+  return `${nibbles.join('.')}.ip6.arpa`;
+}
+
+/**
+ * Resolver backed by the system (or configured) DNS servers
+ * @param {Object} options - { timeout, servers }
+ * @returns {Object} Resolver { reverse(ip), lookup(hostname) }
+ */
+export function createSystemResolver({ timeout = DEFAULT_TIMEOUT, servers = null } = {}) {
+  const dnsResolver = new dns.promises.Resolver({ timeout, tries: 1 });
+  if (servers?.length) {
+    dnsResolver.setServers(servers);
+  }
+
+  const notFoundAsEmpty = err => {
+    if (NOT_FOUND_CODES.has(err.code)) return [];
+    throw err;
+  };
+
+  // resolvePtr instead of reverse(): reverse() reports unreachable servers as ENOTFOUND
+  return {
+    reverse: ip => dnsResolver.resolvePtr(reverseName(ip)).catch(notFoundAsEmpty),
+    async lookup(hostname) {
+      const results = await Promise.allSettled([
+        dnsResolver.resolve4(hostname).catch(notFoundAsEmpty),
+        dnsResolver.resolve6(hostname).catch(notFoundAsEmpty)
+      ]);
+      const addresses = results.filter(r => r.status === 'fulfilled').flatMap(r => r.value);
+      const failure = results.find(r => r.status === 'rejected');
+      if (addresses.length === 0 && failure) {
+        throw failure.reason;
+      }
+      return addresses;
+    }
+  };
+}
+
+/**
+ * Resolver answering from fixed records (local stub for testing)
+ * A record value of "SERVFAIL" simulates a failed lookup.
+ * @param {Object} records - { reverse: { ip: [hostnames] }, forward: { hostname: [ips] } }
+ * @returns {Object} Resolver { reverse(ip), lookup(hostname) }
+ */
+export function createStaticResolver(records = {}) {
+  const answer = (table, key) => {
+    const value = records[table]?.[key];
+    if (value === 'SERVFAIL') {
+      const err = new Error(`${table} lookup failed for ${key}`);
+      err.code = dns.SERVFAIL;
+      return Promise.reject(err);
+    }
+    return Promise.resolve(value || []);
+  };
+
+  return {
+    reverse: ip => answer('reverse', ip),
+    lookup: hostname => answer('forward', hostname.toLowerCase())
+  };
+}
+
+/**
+ * Replace the resolver (clears the verification cache)
+ * @param {Object} newResolver - { reverse(ip) → Promise<string[]>, lookup(hostname) → Promise<string[]> }
+ */
+export function setResolver(newResolver) {
+  resolver = newResolver;
+  cache.clear();
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Load published IP range snapshots
+ * Accepts the vendors' format ({ "prefixes": [{ "ipv4Prefix": ... }, { "ipv6Prefix": ... }] })
+ * or a plain array of CIDRs. Invalid files are logged and skipped.
+ * @param {string} dir - Directory of <name>.json snapshots
+ * @returns {Map<string, Function>} Range name → CIDR matcher
+ */
+export function loadRangeSnapshots(dir) {
+  const matchers = new Map();
+  if (!fs.existsSync(dir)) {
+    console.warn(`Bot range snapshots not found (${dir}) - run scripts/update-bot-ranges.js`);
+    return matchers;
+  }
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const name = path.basename(file, '.json');
+    try {
+      const cidrs = parseRangeSnapshot(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      matchers.set(name, createCIDRMatcher(cidrs));
+    } catch (err) {
+      console.warn(`Skipping bot range snapshot ${file}: ${err.message}`);
+    }
+  }
+
+  return matchers;
+}
+
+/**
+ * Build matchers from inline range snapshots
+ * @param {Object} snapshots - { <ranges name>: snapshot } in any parseRangeSnapshot() format
+ * @returns {Map<string, Function>} Range name → CIDR matcher
+ * @throws {Error} If a snapshot has no recognizable prefixes
+ */
+function buildRangeMatchers(snapshots) {
+  return new Map(Object.entries(snapshots).map(([name, snapshot]) => {
+    try {
+      return [name, createCIDRMatcher(parseRangeSnapshot(snapshot))];
+    } catch (err) {
+      throw new Error(`Invalid inline bot range snapshot ${name}: ${err.message}`);
+    }
+  }));
+}
+
+/**
+ * Extract CIDRs from a range snapshot
+ * @param {Object|Array} snapshot - Parsed snapshot file
+ * @returns {Array<string>} CIDRs
+ * @throws {Error} If the snapshot has no recognizable prefixes
+ */
+export function parseRangeSnapshot(snapshot) {
+  const entries = Array.isArray(snapshot) ? snapshot : snapshot?.prefixes;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('expected a "prefixes" list or an array of CIDRs');
+  }
+
+  return entries.map(entry => typeof entry === 'string' ? entry : (entry.ipv4Prefix || entry.ipv6Prefix));
+}
+
+/**
+ * Initialize bot verification
+ * @param {Object} config - "bot_verification" section of the config
+ * @returns {boolean} True if verification is enabled
+ */
+export function initBotVerification(config = {}) {
+  cache.clear();
+
+  if (config?.enabled === false) {
+    settings = null;
+    console.log('Bot verification disabled (bot_verification.enabled = false)');
+    return false;
+  }
+
+  settings = {
+    cacheTTL: (config?.cache_ttl ?? DEFAULT_CACHE_TTL) * 1000,
+    inconclusiveTTL: (config?.inconclusive_ttl ?? DEFAULT_INCONCLUSIVE_TTL) * 1000
+  };
+
+  rangeMatchers = config?.ranges
+    ? buildRangeMatchers(config.ranges)
+    : loadRangeSnapshots(path.resolve(PROJECT_ROOT, config?.ranges_dir || DEFAULT_RANGES_DIR));
+
+  if (config?.static_records) {
+    const records = JSON.parse(fs.readFileSync(path.resolve(PROJECT_ROOT, config.static_records), 'utf8'));
+    resolver = createStaticResolver(records);
+  } else {
+    resolver = createSystemResolver({ timeout: config?.timeout || DEFAULT_TIMEOUT, servers: config?.servers });
+  }
+
+  console.log(`Bot verification enabled: ${rangeMatchers.size} range snapshots${config?.static_records ? ', static DNS records' : ''}`);
+  return true;
+}
+
+/**
+ * @returns {boolean} True if initBotVerification() enabled verification
+ */
+export function isBotVerificationEnabled() {
+  return settings !== null;
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Normalize a DNS name (lowercase, no trailing dot)
+ */
+function normalizeHostname(hostname) {
+  return hostname.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Check whether two IP strings are the same address
+ */
+function sameIP(a, b) {
+  const ipA = parseIP(a);
+  const ipB = parseIP(b);
+  return !!ipA && !!ipB && ipA.version === ipB.version && ipA.value === ipB.value;
+}
+
+/**
+ * Run the checks for one IP (uncached)
+ * @returns {Promise<Object>} { status, method, detail }
+ */
+async function runVerification(ip, verify) {
+  const matcher = verify.ranges ? rangeMatchers.get(verify.ranges) : null;
+
+  // 1. Published IP ranges
+  if (matcher) {
+    const cidr = matcher(ip);
+    if (cidr) {
+      return { status: 'verified', method: 'ip_range', detail: `${ip} in published ${verify.ranges} range ${cidr}` };
+    }
+  }
+
+  // 2. Forward-confirmed reverse DNS
+  if (verify.dns_suffixes?.length) {
+    const suffixes = verify.dns_suffixes.map(normalizeHostname);
+    const matchesSuffix = hostname => suffixes.some(suffix => hostname === suffix || hostname.endsWith(`.${suffix}`));
+
+    let hostnames;
+    try {
+      hostnames = (await resolver.reverse(ip)).map(normalizeHostname);
+    } catch (err) {
+      return { status: 'unverified', method: null, detail: `reverse DNS lookup failed (${err.code || err.message})` };
+    }
+
+    const hostname = hostnames.find(matchesSuffix);
+    if (!hostname) {
+      return {
+        status: 'spoofed',
+        method: 'fcrdns',
+        detail: hostnames.length > 0
+          ? `reverse DNS ${hostnames[0]} is not under ${suffixes.join(', ')}`
+          : 'no reverse DNS record'
+      };
+    }
+
+    let addresses;
+    try {
+      addresses = await resolver.lookup(hostname);
+    } catch (err) {
+      return { status: 'unverified', method: null, detail: `forward DNS lookup of ${hostname} failed (${err.code || err.message})` };
+    }
+
+    if (addresses.some(address => sameIP(address, ip))) {
+      return { status: 'verified', method: 'fcrdns', detail: `forward-confirmed reverse DNS ${hostname}` };
+    }
+    return { status: 'spoofed', method: 'fcrdns', detail: `${hostname} does not resolve back to ${ip}` };
+  }
+
+  // Ranges only: outside the published ranges means spoofed
+  if (matcher) {
+    return { status: 'spoofed', method: 'ip_range', detail: `${ip} not in published ${verify.ranges} ranges` };
+  }
+
+  return { status: 'unverified', method: null, detail: `no ${verify.ranges} range snapshot loaded` };
+}
+
+/**
+ * Verify a declared crawler (cached per IP and verification spec)
+ * @param {string} ip - Client IP
+ * @param {Object} verify - Rule "verify" block { ranges, dns_suffixes }
+ * @param {string} key - Cache key for the spec (e.g. the rule id)
+ * @returns {Promise<Object>} { status: 'verified'|'spoofed'|'unverified', method: 'ip_range'|'fcrdns'|null, detail }
+ */
+export async function verifyBot(ip, verify, key) {
+  if (!settings) {
+    return { status: 'unverified', method: null, detail: 'bot verification disabled' };
+  }
+
+  const cacheKey = `${ip}|${key}`;
+  const cached = cache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  // Cache the pending lookup so concurrent events from one IP share it
+  const entry = { promise: runVerification(ip, verify), expiresAt: Infinity };
+  cache.delete(cacheKey);
+  cache.set(cacheKey, entry);
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value); // Oldest entry
+  }
+
+  const result = await entry.promise;
+  entry.expiresAt = Date.now() + (result.status === 'unverified' ? settings.inconclusiveTTL : settings.cacheTTL);
+  return result;
+}
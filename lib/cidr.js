@@ -0,0 +1,163 @@
+/**
+ * CIDR Module
+ * IPv4/IPv6 address parsing and CIDR containment checks
+ *
+ * Addresses are converted to BigInt so any prefix length (/0 - /32, /0 - /128)
+ * is matched exactly. IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated
+ * as their IPv4 address.
+ */
+
+/**
+ * Parse an IPv4 address
+ * @param {string} ip - Dotted quad
+ * @returns {bigint|null} Address as integer
+ */
+function parseIPv4(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return null;
+    const octet = Number(part);
+    if (octet > 255) return null;
+    value = (value << 8n) | BigInt(octet);
+  }
+  return value;
+}
+
+/**
+ * Parse an IPv6 address (with :: compression and embedded IPv4)
+ * @param {string} ip - IPv6 address
+ * @returns {bigint|null} Address as integer
+ */
+function parseIPv6(ip) {
+  let address = ip.split('%')[0]; // Drop zone index (fe80::1%eth0)
+
+  // Embedded IPv4 tail (::ffff:1.2.3.4)
+  const lastColon = address.lastIndexOf(':');
+  const tail = address.slice(lastColon + 1);
+  if (tail.includes('.')) {
+    const v4 = parseIPv4(tail);
+    if (v4 === null) return null;
+    address = `${address.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - rest.length;
+
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return value;
+}
+
+/**
+ * Parse an IP address
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {Object|null} { version: 4|6, value: bigint } or null if invalid
+ */
+export function parseIP(ip) {
+  if (typeof ip !== 'string' || ip.length === 0) return null;
+
+  if (!ip.includes(':')) {
+    const value = parseIPv4(ip);
+    return value === null ? null : { version: 4, value };
+  }
+
+  const value = parseIPv6(ip);
+  if (value === null) return null;
+
+  // IPv4-mapped IPv6 (::ffff:0:0/96)
+  if (value >> 32n === 0xffffn) {
+    return { version: 4, value: value & 0xffffffffn };
+  }
+
+  return { version: 6, value };
+}
+
+/**
+ * Parse a CIDR (a bare IP is treated as /32 or /128)
+ * @param {string} cidr - CIDR notation (10.0.0.0/8, 2405:9800:b911:2816::/64)
+ * @returns {Object|null} { version, network, prefix, mask } or null if invalid
+ */
+export function parseCIDR(cidr) {
+  if (typeof cidr !== 'string') return null;
+
+  const [address, prefixStr, extra] = cidr.trim().split('/');
+  if (extra !== undefined) return null;
+
+  const ip = parseIP(address);
+  if (!ip) return null;
+
+  const bits = ip.version === 4 ? 32 : 128;
+  let prefix = bits;
+  if (prefixStr !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixStr)) return null;
+    prefix = Number(prefixStr);
+    // IPv4-mapped ranges (::ffff:10.0.0.0/104) are expressed in IPv6 bits
+    if (ip.version === 4 && address.includes(':')) prefix -= 96;
+    if (prefix < 0 || prefix > bits) return null;
+  }
+
+  const all = (1n << BigInt(bits)) - 1n;
+  const mask = all ^ ((1n << BigInt(bits - prefix)) - 1n);
+
+  return {
+    version: ip.version,
+    network: ip.value & mask,
+    prefix,
+    mask
+  };
+}
+
+/**
+ * Check whether an IP lies within a CIDR
+ * @param {Object|string} cidr - Parsed CIDR or CIDR string
+ * @param {string} ip - IP address
+ * @returns {boolean} True if contained
+ */
+export function cidrContains(cidr, ip) {
+  const range = typeof cidr === 'string' ? parseCIDR(cidr) : cidr;
+  const address = parseIP(ip);
+  if (!range || !address || range.version !== address.version) return false;
+  return (address.value & range.mask) === range.network;
+}
+
+/**
+ * Build a matcher for a list of CIDRs / IPs
+ * @param {Array<string>} cidrs - CIDR strings (bare IPs allowed)
+ * @returns {Function} (ip) => matching CIDR string or null
+ * @throws {Error} If any entry is not a valid IP or CIDR
+ */
+export function createCIDRMatcher(cidrs = []) {
+  const ranges = cidrs.map(cidr => {
+    const range = parseCIDR(cidr);
+    if (!range) {
+      throw new Error(`Invalid IP/CIDR: ${cidr}`);
+    }
+    return { cidr, range };
+  });
+
+  return (ip) => {
+    const address = parseIP(ip);
+    if (!address) return null;
+
+    for (const { cidr, range } of ranges) {
+      if (range.version === address.version && (address.value & range.mask) === range.network) {
+        return cidr;
+      }
+    }
+    return null;
+  };
+}
@@ -0,0 +1,292 @@
+/**
+ * Classifier Evaluation Module
+ * Labeled request fixtures, accuracy metrics and regression baselines
+ * (used by scripts/test-classifier.js, scripts/export-classifier-fixtures.js
+ * and GET /api/overrides/accuracy)
+ *
+ * Fixture files (fixtures/classifier/*.json):
+ *   {
+ *     "description": "...",
+ *     "fixtures": [
+ *       {
+ *         "id": "official-gptbot",                       // Unique across all files
+ *         "description": "GPTBot declares itself",
+ *         "expected": { "bot_classification": "ai_official", "bot_name": "GPTBot" },  // bot_name optional
+ *                                                        // Optional "detection_rules": ids the result must include
+ *         "event": {
+ *           "timestamp": "2026-10-01T12:00:00Z",          // Optional (default: now), dates version checks
+ *           "client_ip": "192.0.2.10", "user_agent": "...", "path": "/",
+ *           "asn": 8075, "datacenter_provider": "azure",
+ *           "country": "DE",                               // Optional, GeoIP country (Accept-Language check)
+ *           "headers": { "Accept": ["text/html"] },       // Caddy-style or plain strings
+ *           "sessionStats": { ... }                        // Optional, see lib/sessionizer.js
+ *         }
+ *       }
+ *     ],
+ *     "verification": {                                  // Optional: verify this file's crawlers
+ *       "ranges": { "gptbot": ["203.0.113.0/28"] },       // Inline range snapshots
+ *       "dns": { "reverse": { ip: [hostnames] }, "forward": { hostname: [ips] } }  // Static resolver records
+ *     }
+ *   }
+ *
+ * Files without a "verification" block are classified without bot IP
+ * verification.
+ *
+ * The baseline (baseline.json next to the fixtures) records the fixtures that
+ * are known to fail and the per-category precision/recall of the accepted
+ * run. A run regresses when another fixture fails or a metric drops.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { initBotVerification, createStaticResolver, setResolver } from './bot-verification.js';
+
+export const BASELINE_FILE = 'baseline.json';
+
+// Metrics may drop this much (rounding) before counting as a regression
+const METRIC_TOLERANCE = 0.001;
+
+// Verification block the bot verification module is set up for (null: disabled)
+let activeVerification = null;
+
+// Header values that identify a visitor: replaced on export
+const REDACTED_HEADERS = ['Cookie', 'Authorization', 'Proxy-Authorization', 'Cf-Ray', 'X-Request-Id', 'Cf-Visitor'];
+const IP_HEADERS = ['Cf-Connecting-Ip', 'Cf-Connecting-Ipv6', 'X-Forwarded-For', 'X-Real-Ip', 'True-Client-Ip', 'Forwarded'];
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Load and validate every fixture file in a directory
+ * @param {string} dir - Fixture directory
+ * @returns {Array<Object>} Fixtures, each with its file name
+ * @throws {Error} Listing every invalid fixture
+ */
+export function loadFixtures(dir) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && file !== BASELINE_FILE)
+    .sort();
+
+  const fixtures = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    let spec;
+    try {
+      spec = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+      continue;
+    }
+
+    if (!Array.isArray(spec.fixtures)) {
+      errors.push(`${file}: "fixtures" must be an array`);
+      continue;
+    }
+    if (spec.verification !== undefined && (typeof spec.verification !== 'object' || spec.verification === null)) {
+      errors.push(`${file}: "verification" must be an object`);
+      continue;
+    }
+
+    spec.fixtures.forEach((fixture, i) => {
+      const where = `${file} fixtures[${i}]${fixture?.id ? ` (${fixture.id})` : ''}`;
+      if (typeof fixture?.id !== 'string' || fixture.id === '') {
+        errors.push(`${where}: "id" is required`);
+      } else if (seen.has(fixture.id)) {
+        errors.push(`${where}: duplicate id`);
+      }
+      if (typeof fixture?.expected?.bot_classification !== 'string') {
+        errors.push(`${where}: "expected.bot_classification" is required`);
+      }
+      if (!fixture?.event || typeof fixture.event !== 'object') {
+        errors.push(`${where}: "event" is required`);
+      }
+      seen.add(fixture?.id);
+      fixtures.push({ ...fixture, file, verification: spec.verification || null });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid fixtures:\n  ${errors.join('\n  ')}`);
+  }
+  return fixtures;
+}
+
+/**
+ * Set up bot IP verification for a fixture file: its inline range snapshots
+ * and a static resolver over its DNS records, or no verification
+ * @param {Object|null} verification - The file's "verification" block
+ */
+function useFixtureVerification(verification) {
+  if (verification === activeVerification) return;
+
+  activeVerification = verification;
+  if (!verification) {
+    initBotVerification({ enabled: false });
+    return;
+  }
+  initBotVerification({ ranges: verification.ranges || {} });
+  setResolver(createStaticResolver(verification.dns));
+}
+
+/**
+ * Classify every fixture
+ * @param {Array<Object>} fixtures - From loadFixtures()
+ * @param {Function} classifyEvent - async (event) => classification
+ * @returns {Promise<Array<Object>>} { fixture, result, passed }
+ */
+export async function runFixtures(fixtures, classifyEvent) {
+  const results = [];
+  for (const fixture of fixtures) {
+    useFixtureVerification(fixture.verification);
+    const result = await classifyEvent({ headers: {}, ...fixture.event });
+    const passed = result.bot_classification === fixture.expected.bot_classification
+      && (fixture.expected.bot_name === undefined || result.bot_name === fixture.expected.bot_name)
+      && (fixture.expected.detection_rules || []).every(rule => result.detection_rules.includes(rule));
+    results.push({ fixture, result, passed });
+  }
+  return results;
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * Per-class precision/recall of predictions against labels
+ * @param {Array<Object>} pairs - { label, predicted } per labeled event
+ * @returns {Object} { total, correct, accuracy, classes: [{ classification, labeled, predicted, correct, precision, recall }] }
+ */
+export function summarizeAccuracy(pairs) {
+  const classes = new Map();
+  const stats = name => {
+    if (!classes.has(name)) classes.set(name, { classification: name, labeled: 0, predicted: 0, correct: 0 });
+    return classes.get(name);
+  };
+
+  let correct = 0;
+  for (const { label, predicted } of pairs) {
+    stats(label).labeled++;
+    stats(predicted).predicted++;
+    if (label === predicted) {
+      stats(label).correct++;
+      correct++;
+    }
+  }
+
+  const ratio = (part, whole) => whole > 0 ? Math.round(part / whole * 1000) / 1000 : null;
+
+  return {
+    total: pairs.length,
+    correct,
+    accuracy: ratio(correct, pairs.length),
+    classes: [...classes.values()]
+      .map(entry => ({ ...entry, precision: ratio(entry.correct, entry.predicted), recall: ratio(entry.correct, entry.labeled) }))
+      .sort((a, b) => b.labeled - a.labeled)
+  };
+}
+
+// ============================================================================
+// BASELINE
+// ============================================================================
+
+/**
+ * Build a baseline from a run
+ * @param {Array<Object>} results - From runFixtures()
+ * @param {Object} summary - From summarizeAccuracy()
+ * @param {string} classifierVersion - Ruleset version of the run
+ * @returns {Object} Baseline
+ */
+export function buildBaseline(results, summary, classifierVersion) {
+  return {
+    classifier_version: classifierVersion,
+    updated_at: new Date().toISOString(),
+    fixtures: results.length,
+    failing: results.filter(r => !r.passed).map(r => r.fixture.id).sort(),
+    classes: Object.fromEntries(summary.classes.map(c => [c.classification, { precision: c.precision, recall: c.recall }]))
+  };
+}
+
+/**
+ * Compare a run with the baseline
+ * Without a baseline every failing fixture is a regression.
+ * @param {Array<Object>} results - From runFixtures()
+ * @param {Object} summary - From summarizeAccuracy()
+ * @param {Object|null} baseline - From buildBaseline()
+ * @returns {Object} { regressions: [string], fixed: [fixture id] }
+ */
+export function compareWithBaseline(results, summary, baseline) {
+  const knownFailing = new Set(baseline?.failing || []);
+  const regressions = results
+    .filter(r => !r.passed && !knownFailing.has(r.fixture.id))
+    .map(r => r.fixture.expected.bot_name === undefined
+      ? `${r.fixture.id}: expected ${r.fixture.expected.bot_classification}, got ${r.result.bot_classification}`
+      : `${r.fixture.id}: expected ${r.fixture.expected.bot_classification} (${r.fixture.expected.bot_name}), got ${r.result.bot_classification} (${r.result.bot_name})`);
+
+  for (const entry of summary.classes) {
+    const previous = baseline?.classes?.[entry.classification];
+    if (!previous) continue;
+    for (const metric of ['precision', 'recall']) {
+      if (previous[metric] !== null && (entry[metric] ?? 0) < previous[metric] - METRIC_TOLERANCE) {
+        regressions.push(`${entry.classification} ${metric} dropped from ${previous[metric]} to ${entry[metric]}`);
+      }
+    }
+  }
+
+  const fixed = results.filter(r => r.passed && knownFailing.has(r.fixture.id)).map(r => r.fixture.id);
+  return { regressions, fixed };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Stand-in address for an IP (same input, same output)
+ * IPv4 maps into the documentation ranges, IPv6 into 2001:db8::/32.
+ * @param {string} ip - Real IP
+ * @returns {string} Anonymized IP
+ */
+export function anonymizeIP(ip) {
+  if (!ip) return ip;
+  const hash = crypto.createHash('sha256').update(ip).digest();
+  if (ip.includes(':')) {
+    const groups = [0, 2, 4, 6].map(i => hash.readUInt16BE(i).toString(16));
+    return `2001:db8:${groups.join(':')}::1`;
+  }
+  const networks = ['192.0.2', '198.51.100', '203.0.113'];
+  return `${networks[hash[0] % networks.length]}.${1 + hash[1] % 254}`;
+}
+
+/**
+ * Strip identifying values from stored headers
+ * Header names stay (the rules test for their presence); cookies and tokens
+ * are redacted, client IPs anonymized and Referer cut to its origin.
+ * @param {Object} headers - headers_json of an event
+ * @returns {Object} Anonymized headers
+ */
+export function anonymizeHeaders(headers = {}) {
+  const anonymized = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    const values = Array.isArray(value) ? value : [value];
+    if (REDACTED_HEADERS.includes(name)) {
+      anonymized[name] = values.map(() => '[redacted]');
+    } else if (IP_HEADERS.includes(name)) {
+      anonymized[name] = values.map(v => String(v).split(',').map(ip => anonymizeIP(ip.trim())).join(', '));
+    } else if (name === 'Referer') {
+      anonymized[name] = values.map(v => {
+        try {
+          return `${new URL(v).origin}/`;
+        } catch {
+          return '[redacted]';
+        }
+      });
+    } else {
+      anonymized[name] = values;
+    }
+  }
+  return anonymized;
+}
@@ -0,0 +1,562 @@
+/**
+ * Classifier Rules Module
+ * Loads, validates and evaluates declarative classification rule files
+ *
+ * A rule file (rules/ai-classifier-v2.json) holds a versioned ruleset:
+ *   {
+ *     "ruleset": "ai-classifier-v2",
+ *     "version": "2.1.0",
+ *     "definitions": { "sec_fetch": { "headers_any": ["Sec-Fetch-Site", ...] } },
+ *     "rules": [
+ *       { "id": "ai-official-gptbot", "stage": "categorize", "priority": 500,
+ *         "category": "ai_official", "bot_name": "GPTBot", "detection_level": 1,
+ *         "reason": "Official AI bot declared in User-Agent",
+ *         "match": { "user_agent": "GPTBot" } }
+ *     ]
+ *   }
+ *
+ * Rules are evaluated stage by stage (human → attack → categorize → fallback),
+ * highest priority first within a stage (file order breaks ties); the first
+ * matching rule wins. All conditions of a match object must hold:
+ *
+ *   user_agent            Regex or list of regexes (any), case-insensitive
+ *   user_agent_missing    true: no User-Agent; false: has one
+ *   user_agent_max_length Missing or at most this many characters
+ *   path                  Regex or list of regexes on the path (any)
+ *   path_in               Exact paths
+ *   path_contains         Case-insensitive substrings (any)
+ *   path_missing          true: no path; false: has one
+ *   headers_any           At least one of these headers present
+ *   headers_none          None of these headers present
+ *   header_patterns       { Header: regex } - every header matches
+ *   datacenter            true: datacenter_provider set; false: not set
+ *   asn                   List of ASNs
+ *   ua_anomalies          At least one of these User-Agent anomalies (lib/ua-parser.js:
+ *                         outdated_version, future_version, client_hints_unsupported,
+ *                         sec_fetch_unsupported)
+ *   header_mismatches     At least one of these header contradictions (lib/header-fingerprint.js:
+ *                         client_hints_brand, client_hints_version, client_hints_platform,
+ *                         client_hints_mobile, accept_language_country)
+ *   max_request_rate      Session requests/second at most this (passes without session stats)
+ *   min_request_rate      Session requests/second at least this
+ *   min_session_requests  Session has at least this many requests
+ *   min_unique_paths      Session requested at least this many distinct paths
+ *   min_path_diversity    Distinct paths / requests in the session at least this (0-1)
+ *   min_subnet_ips        Subnet session has at least this many distinct IPs
+ *   min_subnet_request_rate  Subnet session requests/second at least this
+ *   all / any / not       Nested condition objects
+ *   ref                   Name of a condition object in "definitions"
+ *
+ * A regex is a string, or { "regex": "...", "flags": "" } for other flags.
+ *
+ * Rules for crawlers that can be authenticated carry a "verify" block
+ * ({ "ranges": "<range_sources key>", "dns_suffixes": [...], "verified_category": "..." }),
+ * applied by lib/bot-verification.js. "range_sources" maps range names to the
+ * vendors' published JSON URLs (used by scripts/update-bot-ranges.js).
+ * Session conditions use the statistics from lib/sessionizer.js; the min_*
+ * ones never match without them. A rule with "relabel_session": true also
+ * re-labels the earlier human events of the session once it matches.
+ * bot_name and reasons may use {field} / {field:upper} placeholders
+ * (e.g. "{datacenter_provider:upper}-Crawler"). Files are fully validated
+ * when loaded; any problem throws with every invalid rule listed.
+ */
+
+import fs from 'fs';
+import { UA_ANOMALIES } from './ua-parser.js';
+import { HEADER_MISMATCHES } from './header-fingerprint.js';
+
+export const STAGES = ['human', 'attack', 'categorize', 'fallback'];
+
+const CONDITIONS = {
+  user_agent: 'patterns',
+  user_agent_missing: 'boolean',
+  user_agent_max_length: 'number',
+  path: 'patterns',
+  path_in: 'strings',
+  path_contains: 'strings',
+  path_missing: 'boolean',
+  headers_any: 'strings',
+  headers_none: 'strings',
+  header_patterns: 'headerPatterns',
+  datacenter: 'boolean',
+  asn: 'numbers',
+  ua_anomalies: 'strings',
+  header_mismatches: 'strings',
+  max_request_rate: 'number',
+  min_request_rate: 'number',
+  min_session_requests: 'number',
+  min_unique_paths: 'number',
+  min_path_diversity: 'number',
+  min_subnet_ips: 'number',
+  min_subnet_request_rate: 'number',
+  all: 'conditionList',
+  any: 'conditionList',
+  not: 'condition',
+  ref: 'ref'
+};
+
+// min_* session conditions → matching context field
+const SESSION_MINIMUMS = {
+  min_request_rate: 'requestRate',
+  min_session_requests: 'sessionRequests',
+  min_unique_paths: 'uniquePaths',
+  min_path_diversity: 'pathDiversity',
+  min_subnet_ips: 'subnetIps',
+  min_subnet_request_rate: 'subnetRequestRate'
+};
+
+// ============================================================================
+// LOADING & VALIDATION
+// ============================================================================
+
+/**
+ * Load and compile a rule file
+ * @param {string} file - Path to the JSON rule file
+ * @returns {Object} Compiled ruleset { ruleset, version, file, rangeSources, rules, byId }
+ * @throws {Error} If the file cannot be read or any rule is invalid
+ */
+export function loadRuleFile(file) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read rule file ${file}: ${err.message}`);
+  }
+
+  return compileRuleset(spec, file);
+}
+
+/**
+ * Validate and compile a parsed ruleset
+ * @param {Object} spec - Parsed rule file
+ * @param {string} file - File name (for error messages)
+ * @returns {Object} Compiled ruleset
+ * @throws {Error} Listing every validation problem
+ */
+export function compileRuleset(spec, file = 'ruleset') {
+  const errors = [];
+
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`Invalid rule file ${file}: expected a JSON object`);
+  }
+  if (typeof spec.ruleset !== 'string' || !spec.ruleset) {
+    errors.push('"ruleset" must be a non-empty string');
+  }
+  if (typeof spec.version !== 'string' || !spec.version) {
+    errors.push('"version" must be a non-empty string');
+  }
+  if (!Array.isArray(spec.rules) || spec.rules.length === 0) {
+    errors.push('"rules" must be a non-empty array');
+  }
+
+  const rangeSources = spec.range_sources || {};
+  for (const [name, url] of Object.entries(rangeSources)) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(name) || typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      errors.push(`range_sources.${name}: expected a lowercase name and an http(s) URL`);
+    }
+  }
+
+  const definitions = spec.definitions || {};
+  for (const name of findRefCycles(definitions)) {
+    errors.push(`definitions.${name}: circular ref`);
+  }
+  const compiledDefinitions = {};
+  for (const [name, condition] of Object.entries(definitions)) {
+    compiledDefinitions[name] = compileCondition(condition, `definitions.${name}`, definitions, errors);
+  }
+
+  const ids = new Set();
+  const rules = [];
+  (Array.isArray(spec.rules) ? spec.rules : []).forEach((rule, index) => {
+    const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+    const compiled = compileRule(rule, where, definitions, rangeSources, errors);
+    if (!compiled) return;
+
+    if (ids.has(compiled.id)) {
+      errors.push(`${where}: duplicate rule id`);
+    }
+    ids.add(compiled.id);
+    rules.push({ ...compiled, order: index });
+  });
+
+  // The waterfall must always end in a classification
+  if (!rules.some(rule => rule.stage === 'fallback' && rule.enabled && Object.keys(rule.spec.match || {}).length === 0)) {
+    errors.push('missing an enabled "fallback" rule with an empty match');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule file ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Resolve refs now that every definition compiled
+  const resolve = name => compiledDefinitions[name];
+  for (const rule of rules) {
+    rule.resolve = resolve;
+  }
+
+  rules.sort((a, b) =>
+    STAGES.indexOf(a.stage) - STAGES.indexOf(b.stage) ||
+    b.priority - a.priority ||
+    a.order - b.order
+  );
+
+  const enabled = rules.filter(rule => rule.enabled);
+  return {
+    ruleset: spec.ruleset,
+    version: spec.version,
+    file,
+    rangeSources,
+    rules: enabled,
+    byId: new Map(enabled.map(rule => [rule.id, rule]))
+  };
+}
+
+/**
+ * Validate and compile one rule
+ * @returns {Object|null} Compiled rule, or null if it is not an object
+ */
+function compileRule(rule, where, definitions, rangeSources, errors) {
+  if (!rule || typeof rule !== 'object') {
+    errors.push(`${where}: expected an object`);
+    return null;
+  }
+
+  if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(rule.id)) {
+    errors.push(`${where}: "id" must be a lowercase slug`);
+  }
+  if (!STAGES.includes(rule.stage)) {
+    errors.push(`${where}: "stage" must be one of ${STAGES.join(', ')}`);
+  }
+  if (typeof rule.priority !== 'number') {
+    errors.push(`${where}: "priority" must be a number`);
+  }
+  if (typeof rule.category !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.category)) {
+    errors.push(`${where}: "category" must be a lowercase identifier`);
+  }
+  if (rule.bot_name !== null && typeof rule.bot_name !== 'string') {
+    errors.push(`${where}: "bot_name" must be a string or null`);
+  }
+  if (rule.detection_level !== null && ![1, 2, 3].includes(rule.detection_level)) {
+    errors.push(`${where}: "detection_level" must be 1, 2, 3 or null`);
+  }
+  if (typeof rule.reason !== 'string') {
+    errors.push(`${where}: "reason" must be a string`);
+  }
+  if (rule.is_bot !== undefined && typeof rule.is_bot !== 'boolean') {
+    errors.push(`${where}: "is_bot" must be a boolean`);
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push(`${where}: "enabled" must be a boolean`);
+  }
+  if (rule.relabel_session !== undefined && typeof rule.relabel_session !== 'boolean') {
+    errors.push(`${where}: "relabel_session" must be a boolean`);
+  }
+
+  if (rule.verify !== undefined) {
+    validateVerify(rule.verify, `${where}.verify`, rangeSources, errors);
+  }
+
+  const match = compileCondition(rule.match, `${where}.match`, definitions, errors);
+
+  const reasons = [];
+  if (rule.reasons !== undefined) {
+    if (!Array.isArray(rule.reasons)) {
+      errors.push(`${where}: "reasons" must be an array`);
+    } else {
+      rule.reasons.forEach((entry, i) => {
+        if (typeof entry?.text !== 'string') {
+          errors.push(`${where}.reasons[${i}]: "text" must be a string`);
+        }
+        reasons.push({
+          text: entry?.text,
+          when: compileCondition(entry?.when, `${where}.reasons[${i}].when`, definitions, errors)
+        });
+      });
+    }
+  }
+
+  return {
+    id: rule.id,
+    stage: rule.stage,
+    priority: rule.priority,
+    enabled: rule.enabled !== false,
+    spec: rule,
+    match,
+    reasons
+  };
+}
+
+/**
+ * Validate a rule's "verify" block
+ */
+function validateVerify(verify, where, rangeSources, errors) {
+  if (!verify || typeof verify !== 'object' || Array.isArray(verify)) {
+    errors.push(`${where}: expected an object`);
+    return;
+  }
+  if (!verify.ranges && !verify.dns_suffixes) {
+    errors.push(`${where}: needs "ranges" and/or "dns_suffixes"`);
+  }
+  if (verify.ranges !== undefined && !Object.hasOwn(rangeSources, verify.ranges)) {
+    errors.push(`${where}.ranges: unknown range source "${verify.ranges}"`);
+  }
+  if (verify.dns_suffixes !== undefined &&
+      (!Array.isArray(verify.dns_suffixes) || verify.dns_suffixes.length === 0 ||
+       !verify.dns_suffixes.every(suffix => typeof suffix === 'string' && suffix.length > 0))) {
+    errors.push(`${where}.dns_suffixes: expected a non-empty list of domains`);
+  }
+  if (verify.verified_category !== undefined &&
+      (typeof verify.verified_category !== 'string' || !/^[a-z][a-z0-9_]*$/.test(verify.verified_category))) {
+    errors.push(`${where}.verified_category: must be a lowercase identifier`);
+  }
+}
+
+/**
+ * Find definitions that reference themselves (directly or through others)
+ * @returns {Array<string>} Definition names on a cycle
+ */
+function findRefCycles(definitions) {
+  const refsOf = condition => {
+    if (!condition || typeof condition !== 'object') return [];
+    if (Array.isArray(condition)) return condition.flatMap(refsOf);
+    return Object.entries(condition).flatMap(([key, value]) =>
+      key === 'ref' ? [value] : (['all', 'any', 'not'].includes(key) ? refsOf(value) : []));
+  };
+
+  return Object.keys(definitions).filter(start => {
+    const seen = new Set();
+    const queue = refsOf(definitions[start]);
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (name === start) return true;
+      if (seen.has(name) || !Object.hasOwn(definitions, name)) continue;
+      seen.add(name);
+      queue.push(...refsOf(definitions[name]));
+    }
+    return false;
+  });
+}
+
+/**
+ * Compile a regex given as a string or { regex, flags }
+ */
+function compilePattern(pattern, where, errors) {
+  const source = typeof pattern === 'string' ? pattern : pattern?.regex;
+  const flags = typeof pattern === 'string' ? 'i' : (pattern?.flags ?? 'i');
+
+  if (typeof source !== 'string') {
+    errors.push(`${where}: expected a regex string or { "regex": "..." }`);
+    return null;
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    errors.push(`${where}: invalid regex: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validate and compile a condition object into a predicate
+ * @returns {Function} (context, resolve) => boolean
+ */
+function compileCondition(condition, where, definitions, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${where}: expected a condition object`);
+    return () => false;
+  }
+
+  const checks = [];
+  for (const [key, value] of Object.entries(condition)) {
+    const type = CONDITIONS[key];
+    const at = `${where}.${key}`;
+
+    switch (type) {
+      case 'patterns': {
+        const list = Array.isArray(value) ? value : [value];
+        const regexes = list.map((pattern, i) => compilePattern(pattern, `${at}[${i}]`, errors)).filter(Boolean);
+        const field = key === 'user_agent' ? 'userAgent' : 'path';
+        checks.push(ctx => !!ctx[field] && regexes.some(regex => regex.test(ctx[field])));
+        break;
+      }
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push(`${at}: expected true or false`);
+          break;
+        }
+        if (key === 'user_agent_missing') checks.push(ctx => !ctx.userAgent === value);
+        if (key === 'path_missing') checks.push(ctx => !ctx.path === value);
+        if (key === 'datacenter') checks.push(ctx => !!ctx.datacenterProvider === value);
+        break;
+      case 'number':
+        if (typeof value !== 'number' || value < 0) {
+          errors.push(`${at}: expected a non-negative number`);
+          break;
+        }
+        if (key === 'user_agent_max_length') checks.push(ctx => !ctx.userAgent || ctx.userAgent.length <= value);
+        if (key === 'max_request_rate') checks.push(ctx => ctx.requestRate === null || ctx.requestRate <= value);
+        if (SESSION_MINIMUMS[key]) {
+          const field = SESSION_MINIMUMS[key];
+          checks.push(ctx => ctx[field] !== null && ctx[field] >= value);
+        }
+        break;
+      case 'strings':
+        if (!Array.isArray(value) || value.length === 0 || !value.every(item => typeof item === 'string')) {
+          errors.push(`${at}: expected a non-empty list of strings`);
+          break;
+        }
+        if (key === 'path_in') checks.push(ctx => value.includes(ctx.path));
+        if (key === 'path_contains') {
+          const terms = value.map(term => term.toLowerCase());
+          checks.push(ctx => !!ctx.path && terms.some(term => ctx.path.toLowerCase().includes(term)));
+        }
+        if (key === 'headers_any') checks.push(ctx => value.some(name => ctx.header(name) !== null));
+        if (key === 'headers_none') checks.push(ctx => value.every(name => ctx.header(name) === null));
+        if (key === 'ua_anomalies') {
+          const unknown = value.filter(anomaly => !UA_ANOMALIES.includes(anomaly));
+          if (unknown.length > 0) {
+            errors.push(`${at}: unknown anomalies ${unknown.join(', ')} (expected ${UA_ANOMALIES.join(', ')})`);
+            break;
+          }
+          checks.push(ctx => value.some(anomaly => ctx.uaAnomalies.includes(anomaly)));
+        }
+        if (key === 'header_mismatches') {
+          const unknown = value.filter(mismatch => !HEADER_MISMATCHES.includes(mismatch));
+          if (unknown.length > 0) {
+            errors.push(`${at}: unknown mismatches ${unknown.join(', ')} (expected ${HEADER_MISMATCHES.join(', ')})`);
+            break;
+          }
+          checks.push(ctx => value.some(mismatch => ctx.headerMismatches.includes(mismatch)));
+        }
+        break;
+      case 'numbers':
+        if (!Array.isArray(value) || !value.every(Number.isInteger)) {
+          errors.push(`${at}: expected a list of integers`);
+          break;
+        }
+        checks.push(ctx => value.includes(Number(ctx.asn)));
+        break;
+      case 'headerPatterns': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${at}: expected { "Header": "regex" }`);
+          break;
+        }
+        const patterns = Object.entries(value).map(([name, pattern]) => [name, compilePattern(pattern, `${at}.${name}`, errors)]);
+        checks.push(ctx => patterns.every(([name, regex]) => {
+          const headerValue = ctx.header(name);
+          return headerValue !== null && !!regex && regex.test(headerValue);
+        }));
+        break;
+      }
+      case 'conditionList': {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${at}: expected a non-empty list of conditions`);
+          break;
+        }
+        const predicates = value.map((item, i) => compileCondition(item, `${at}[${i}]`, definitions, errors));
+        checks.push(key === 'all'
+          ? (ctx, resolve) => predicates.every(predicate => predicate(ctx, resolve))
+          : (ctx, resolve) => predicates.some(predicate => predicate(ctx, resolve)));
+        break;
+      }
+      case 'condition': {
+        const predicate = compileCondition(value, at, definitions, errors);
+        checks.push((ctx, resolve) => !predicate(ctx, resolve));
+        break;
+      }
+      case 'ref':
+        if (!Object.hasOwn(definitions, value)) {
+          errors.push(`${at}: unknown definition "${value}"`);
+          break;
+        }
+        checks.push((ctx, resolve) => resolve(value)(ctx, resolve));
+        break;
+      default:
+        errors.push(`${at}: unknown condition`);
+    }
+  }
+
+  return (ctx, resolve) => checks.every(check => check(ctx, resolve));
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Build the matching context for an event
+ * Header values are Caddy-style arrays; they are matched joined with ", ".
+ * @param {Object} event - Event (user_agent, path, headers, asn, datacenter_provider, ua_anomalies, header_mismatches, sessionStats)
+ * @returns {Object} Matching context
+ */
+function buildContext(event) {
+  const headers = event.headers || {};
+  const sessionStats = event.sessionStats || null;
+
+  return {
+    event,
+    userAgent: event.user_agent || null,
+    path: event.path || null,
+    asn: event.asn ?? null,
+    datacenterProvider: event.datacenter_provider || null,
+    uaAnomalies: event.ua_anomalies || [],
+    headerMismatches: event.header_mismatches || [],
+    requestRate: sessionStats?.request_rate ?? null,
+    sessionRequests: sessionStats?.request_count ?? null,
+    uniquePaths: sessionStats?.unique_paths ?? null,
+    pathDiversity: sessionStats?.path_diversity ?? null,
+    subnetIps: sessionStats?.subnet_unique_ips ?? null,
+    subnetRequestRate: sessionStats?.subnet_request_rate ?? null,
+    header(name) {
+      const value = headers[name];
+      if (value === undefined || value === null || value === '') return null;
+      return Array.isArray(value) ? (value.length ? value.join(', ') : null) : String(value);
+    }
+  };
+}
+
+/**
+ * Fill {field} / {field:upper} placeholders from the event
+ */
+function fillTemplate(template, event) {
+  if (typeof template !== 'string') return template;
+  return template.replace(/\{(\w+)(?::(upper|lower))?\}/g, (_, field, transform) => {
+    const value = String(event[field] ?? '');
+    if (transform === 'upper') return value.toUpperCase();
+    if (transform === 'lower') return value.toLowerCase();
+    return value;
+  });
+}
+
+/**
+ * Find the first matching rule
+ * @param {Object} ruleset - Compiled ruleset
+ * @param {Object} event - Event to classify
+ * @param {Object} options - { stages } to evaluate only some stages
+ * @returns {Object|null} Classification { is_bot, bot_classification, bot_name, detection_level, detection_reason, detection_rules, relabel_session }
+ */
+export function evaluateRules(ruleset, event, { stages = STAGES } = {}) {
+  const ctx = buildContext(event);
+
+  for (const rule of ruleset.rules) {
+    if (!stages.includes(rule.stage)) continue;
+    if (!rule.match(ctx, rule.resolve)) continue;
+
+    const { spec } = rule;
+    const reasons = rule.reasons
+      .filter(entry => entry.when(ctx, rule.resolve))
+      .map(entry => fillTemplate(entry.text, event));
+
+    return {
+      is_bot: spec.is_bot ?? spec.category !== 'human',
+      bot_classification: spec.category,
+      bot_name: fillTemplate(spec.bot_name, event),
+      detection_level: spec.detection_level,
+      detection_reason: reasons.length > 0 ? reasons.join(', ') : fillTemplate(spec.reason, event),
+      detection_rules: [rule.id],
+      relabel_session: spec.relabel_session === true
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,386 @@
+/**
+ * CrowdSec Module
+ * Local API (LAPI) client for ban decisions and pushing our own detections
+ *
+ * Decisions are pulled with a bouncer key from /v1/decisions/stream (first
+ * call with startup=true, then only new/deleted decisions) and cached in
+ * memory. Both Ip and Range scopes are matched.
+ *
+ * Pushing detections requires machine (watcher) credentials - LAPI only
+ * accepts alerts from registered machines:
+ *   cscli machines add modelzero-analytics --password <password>
+ *
+ * config.crowdsec:
+ *   {
+ *     "lapi_url": "http://127.0.0.1:8080",
+ *     "bouncer_key": "...",                  // cscli bouncers add modelzero-analytics
+ *     "refresh_interval": 60,                // Seconds between decision pulls
+ *     "push": {
+ *       "enabled": false,
+ *       "machine_id": "modelzero-analytics",
+ *       "password": "...",
+ *       "classifications": ["ai_stealth", "attack_*"],
+ *       "duration": "4h",
+ *       "type": "ban"
+ *     }
+ *   }
+ */
+
+import { parseCIDR, parseIP } from './cidr.js';
+
+const DEFAULT_REFRESH_INTERVAL = 60; // Seconds
+const SCENARIO_PREFIX = 'modelzero';
+
+let settings = null;
+
+// Active decisions by id, plus lookup structures rebuilt after every pull
+let decisions = new Map();
+let ipDecisions = new Map();
+let rangeDecisions = [];
+let lastRefresh = 0;
+let needsStartup = true;
+
+// Watcher token for pushing alerts
+let watcherToken = null;
+let watcherTokenExpiry = 0;
+
+// IPs already pushed by this process (avoid re-sending every batch)
+const pushedIPs = new Set();
+
+/**
+ * Initialize the CrowdSec client
+ * @param {Object} config - "crowdsec" section of the config
+ * @returns {boolean} True if the client is configured
+ */
+export function initCrowdSec(config) {
+  decisions = new Map();
+  ipDecisions = new Map();
+  rangeDecisions = [];
+  lastRefresh = 0;
+  needsStartup = true;
+
+  if (!config?.lapi_url || !config?.bouncer_key) {
+    console.warn('CrowdSec LAPI not configured (crowdsec.lapi_url, crowdsec.bouncer_key)');
+    console.warn('CrowdSec decisions will not be applied');
+    settings = null;
+    return false;
+  }
+
+  settings = {
+    lapiUrl: config.lapi_url.replace(/\/+$/, ''),
+    bouncerKey: config.bouncer_key,
+    refreshInterval: (config.refresh_interval || DEFAULT_REFRESH_INTERVAL) * 1000,
+    push: config.push?.enabled ? {
+      machineId: config.push.machine_id,
+      password: config.push.password,
+      classifications: config.push.classifications || ['ai_stealth', 'attack_*'],
+      duration: config.push.duration || '4h',
+      type: config.push.type || 'ban'
+    } : null
+  };
+
+  if (settings.push && (!settings.push.machineId || !settings.push.password)) {
+    throw new Error('crowdsec.push requires machine_id and password');
+  }
+
+  console.log(`CrowdSec LAPI client initialized: ${settings.lapiUrl}${settings.push ? ' (pushing detections)' : ''}`);
+  return true;
+}
+
+// ============================================================================
+// LAPI REQUESTS
+// ============================================================================
+
+/**
+ * Send a request to the Local API
+ * @param {string} pathname - API path (/v1/...)
+ * @param {Object} options - fetch options
+ * @returns {Promise<*>} Parsed JSON response (null for empty bodies)
+ * @throws {Error} On network errors and non-2xx responses
+ */
+async function lapiRequest(pathname, options = {}) {
+  const response = await fetch(`${settings.lapiUrl}${pathname}`, {
+    ...options,
+    headers: {
+      'User-Agent': 'modelzero-analytics',
+      'Content-Type': 'application/json',
+      ...options.headers
+    },
+    signal: AbortSignal.timeout(10000)
+  });
+
+  const body = await response.text();
+  if (!response.ok) {
+    throw new Error(`CrowdSec LAPI ${options.method || 'GET'} ${pathname} returned ${response.status}: ${body.trim()}`);
+  }
+
+  return body ? JSON.parse(body) : null;
+}
+
+/**
+ * Parse a Go duration string (3h59m58.91s, 120ms, -5s)
+ * @param {string} value - Duration
+ * @returns {number} Milliseconds (NaN if invalid)
+ */
+function parseDuration(value) {
+  const match = /^(-)?((?:\d+(?:\.\d+)?(?:h|ms|m|s|us|µs|ns))+)$/.exec(String(value || ''));
+  if (!match) return NaN;
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1, us: 0.001, 'µs': 0.001, ns: 0.000001 };
+  let total = 0;
+  for (const [, amount, unit] of match[2].matchAll(/(\d+(?:\.\d+)?)(h|ms|m|s|us|µs|ns)/g)) {
+    total += parseFloat(amount) * units[unit];
+  }
+  return match[1] ? -total : total;
+}
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+/**
+ * Convert a LAPI decision into the cached form
+ * @param {Object} decision - LAPI decision
+ * @returns {Object|null} Cached decision, or null for unsupported scopes
+ */
+function toCachedDecision(decision) {
+  const scope = (decision.scope || '').toLowerCase();
+  if (scope !== 'ip' && scope !== 'range') {
+    return null; // Country/AS scopes are not matched here
+  }
+
+  const range = parseCIDR(decision.value);
+  if (!range) {
+    console.warn(`Ignoring CrowdSec decision ${decision.id} with invalid value: ${decision.value}`);
+    return null;
+  }
+
+  const duration = parseDuration(decision.duration);
+
+  return {
+    id: decision.id,
+    type: decision.type || 'ban',
+    scope: scope === 'ip' ? 'Ip' : 'Range',
+    value: decision.value,
+    range,
+    scenario: decision.scenario || null,
+    origin: decision.origin || null,
+    until: Number.isNaN(duration) ? null : new Date(Date.now() + duration)
+  };
+}
+
+/**
+ * Rebuild the IP and range lookup structures from the decision map
+ */
+function rebuildIndex() {
+  ipDecisions = new Map();
+  rangeDecisions = [];
+
+  for (const decision of decisions.values()) {
+    if (decision.scope === 'Ip') {
+      ipDecisions.set(decision.value, decision);
+    } else {
+      rangeDecisions.push(decision);
+    }
+  }
+}
+
+/**
+ * Pull new and deleted decisions from the LAPI decision stream
+ * Calls within refresh_interval reuse the cache. On errors the existing
+ * cache is kept and the next pull re-synchronizes with startup=true.
+ * @param {boolean} force - Ignore refresh_interval
+ * @returns {Promise<boolean>} True if the cache is current
+ */
+export async function refreshDecisions(force = false) {
+  if (!settings) return false;
+
+  const now = Date.now();
+  if (!force && now - lastRefresh < settings.refreshInterval) {
+    return true;
+  }
+
+  try {
+    const startup = needsStartup;
+    const stream = await lapiRequest(`/v1/decisions/stream?startup=${startup}&scopes=ip,range`, {
+      headers: { 'X-Api-Key': settings.bouncerKey }
+    });
+
+    if (startup) {
+      decisions = new Map();
+    }
+
+    for (const deleted of stream?.deleted || []) {
+      decisions.delete(deleted.id);
+    }
+    for (const decision of stream?.new || []) {
+      const cached = toCachedDecision(decision);
+      if (cached) {
+        decisions.set(cached.id, cached);
+      }
+    }
+
+    rebuildIndex();
+    lastRefresh = now;
+    needsStartup = false;
+
+    console.log(`  CrowdSec decisions refreshed: ${ipDecisions.size} IPs, ${rangeDecisions.length} ranges`);
+    return true;
+  } catch (err) {
+    needsStartup = true;
+    console.error('  Failed to refresh CrowdSec decisions (keeping previous cache):', err.message);
+    return false;
+  }
+}
+
+/**
+ * Find the active CrowdSec decision covering an IP
+ * Exact Ip decisions win over Range decisions.
+ * @param {string} ip - IP address
+ * @returns {Object|null} { id, type, scope, value, scenario, origin, until } or null
+ */
+export function getDecision(ip) {
+  if (decisions.size === 0) return null;
+
+  const now = Date.now();
+  const active = decision => !decision.until || decision.until.getTime() > now;
+
+  const exact = ipDecisions.get(ip);
+  if (exact && active(exact)) {
+    return exact;
+  }
+
+  const address = parseIP(ip);
+  if (!address) return null;
+
+  for (const decision of rangeDecisions) {
+    const { range } = decision;
+    if (range.version === address.version &&
+        (address.value & range.mask) === range.network &&
+        active(decision)) {
+      return decision;
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// PUSHING DETECTIONS
+// ============================================================================
+
+/**
+ * Log in as a watcher machine (tokens are reused until shortly before expiry)
+ * @returns {Promise<string>} JWT token
+ */
+async function getWatcherToken() {
+  if (watcherToken && Date.now() < watcherTokenExpiry - 60000) {
+    return watcherToken;
+  }
+
+  const login = await lapiRequest('/v1/watchers/login', {
+    method: 'POST',
+    body: JSON.stringify({
+      machine_id: settings.push.machineId,
+      password: settings.push.password
+    })
+  });
+
+  watcherToken = login.token;
+  watcherTokenExpiry = login.expire ? new Date(login.expire).getTime() : Date.now() + 3600000;
+  return watcherToken;
+}
+
+/**
+ * Check whether a classification should be pushed (supports "attack_*" wildcards)
+ */
+function shouldPush(classification) {
+  return settings.push.classifications.some(pattern =>
+    pattern.endsWith('*')
+      ? classification?.startsWith(pattern.slice(0, -1))
+      : classification === pattern
+  );
+}
+
+/**
+ * Build a LAPI alert carrying one decision for an IP
+ * @param {string} ip - Offending IP
+ * @param {Array} events - Events from this IP
+ * @returns {Object} Alert
+ */
+function buildAlert(ip, events) {
+  const classification = events[0].bot_classification;
+  const scenario = `${SCENARIO_PREFIX}/${classification}`;
+  const timestamps = events.map(e => e.timestamp.getTime());
+  const start = new Date(Math.min(...timestamps)).toISOString();
+  const stop = new Date(Math.max(...timestamps)).toISOString();
+  const message = `${ip} classified as ${classification}${events[0].bot_name ? ` (${events[0].bot_name})` : ''} ` +
+                  `on ${events.length} request(s)`;
+
+  return {
+    scenario,
+    scenario_hash: '',
+    scenario_version: '',
+    message,
+    events_count: events.length,
+    start_at: start,
+    stop_at: stop,
+    capacity: 0,
+    leakspeed: '0',
+    simulated: false,
+    events: [],
+    source: { scope: 'Ip', value: ip, ip },
+    decisions: [{
+      origin: SCENARIO_PREFIX,
+      type: settings.push.type,
+      scope: 'Ip',
+      value: ip,
+      duration: settings.push.duration,
+      scenario
+    }]
+  };
+}
+
+/**
+ * Push ban decisions for IPs we classified as ai_stealth/attack traffic
+ * IPs that already have a decision (or were pushed by this process) are skipped.
+ * Failures are logged and never fail ingestion.
+ * @param {Array} events - Enriched events
+ * @returns {Promise<number>} Number of IPs pushed
+ */
+export async function pushDetections(events) {
+  if (!settings?.push) return 0;
+
+  const byIP = new Map();
+  for (const event of events) {
+    if (event.filter_reason || !shouldPush(event.bot_classification)) continue;
+    if (pushedIPs.has(event.client_ip) || getDecision(event.client_ip)) continue;
+
+    if (!byIP.has(event.client_ip)) byIP.set(event.client_ip, []);
+    byIP.get(event.client_ip).push(event);
+  }
+
+  if (byIP.size === 0) return 0;
+
+  try {
+    const token = await getWatcherToken();
+    const alerts = [...byIP].map(([ip, ipEvents]) => buildAlert(ip, ipEvents));
+
+    await lapiRequest('/v1/alerts', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: JSON.stringify(alerts)
+    });
+
+    for (const ip of byIP.keys()) {
+      pushedIPs.add(ip);
+    }
+
+    console.log(`  Pushed ${byIP.size} CrowdSec decision(s) for ${settings.push.classifications.join(', ')} traffic`);
+    return byIP.size;
+  } catch (err) {
+    watcherToken = null;
+    console.error('  Failed to push CrowdSec decisions:', err.message);
+    return 0;
+  }
+}
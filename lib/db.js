@@ -4,6 +4,7 @@
  */
 
 import pg from 'pg';
+import crypto from 'crypto';
 const { Pool } = pg;
 
 let pool;
@@ -38,11 +39,53 @@ export function initDB(config) {
 }
 
 /**
- * Batch insert events into the database
+ * Compute the deduplication key for an event
+ *
+ * Cloudflare Ray IDs identify a request uniquely (the "-BKK" colo suffix
+ * Caddy logs is dropped so Logpush records match). Requests without a Ray ID
+ * are keyed by a hash of the fields that identify a single request.
+ * Keep in sync with scripts/migrate-event-keys.sql.
+ *
+ * @param {Object} event - Event object
+ * @returns {string} Event key
+ */
+export function computeEventKey(event) {
+  if (event.cf_ray) {
+    return event.cf_ray.split('-')[0];
+  }
+
+  const identity = [
+    event.timestamp.getTime(),
+    event.client_ip,
+    event.site,
+    event.method,
+    event.path,
+    event.query_string || '',
+    event.status,
+    event.user_agent || ''
+  ].join('|');
+
+  return 'sha256:' + crypto.createHash('sha256').update(identity, 'utf8').digest('hex');
+}
+
+/**
+ * Batch upsert events into the database
+ *
+ * Events are keyed on event_key, so re-ingesting the same request updates
+ * the existing row instead of duplicating it. When a checkpoint is given it
+ * is written in the same transaction, so the batch and the source cursor
+ * commit (or roll back) together.
+ *
  * @param {Array} events - Array of event objects
- * @returns {Promise<number>} Number of inserted records
+ * @param {Object|null} checkpoint - Ingestion state to commit with the batch
+ * @param {Date} checkpoint.timestamp - Latest processed timestamp
+ * @param {string} checkpoint.cfRay - Latest Cf-Ray value
+ * @param {number} checkpoint.duration - Duration in milliseconds
+ * @param {string} checkpoint.source - Log source name
+ * @param {Object} checkpoint.cursor - Log source cursor ({ position, timestamp })
+ * @returns {Promise<number>} Number of newly inserted records (duplicates are updated, not counted)
  */
-export async function batchInsert(events) {
+export async function batchInsert(events, checkpoint = null) {
   if (!events || events.length === 0) {
     return 0;
   }
@@ -52,74 +95,18 @@ export async function batchInsert(events) {
   try {
     await client.query('BEGIN');
 
-    // Build parameterized query
-    const fields = [
-      'timestamp', 'duration', 'client_ip', 'country', 'city', 'latitude', 'longitude',
-      'cf_ray', 'subnet', 'asn', 'asn_org', 'datacenter_provider', 'site', 'method',
-      'path', 'query_string', 'status', 'response_size', 'content_type', 'user_agent',
-      'is_bot', 'bot_classification', 'bot_name', 'detection_level', 'referer',
-      'accept_language', 'has_sec_fetch_headers', 'has_client_hints', 'is_mobile',
-      'bot_from_email', 'openai_host_hash', 'has_cf_worker', 'cf_worker_domain',
-      'is_exploit_attempt', 'headers_json'
-    ];
-
-    // Generate placeholder strings for each record
-    const valueStrings = events.map((_, i) => {
-      const offset = i * fields.length;
-      const placeholders = fields.map((_, j) => `$${offset + j + 1}`).join(', ');
-      return `(${placeholders})`;
-    }).join(',\n  ');
-
-    // Flatten all values
-    const flatValues = events.flatMap(e => [
-      e.timestamp,
-      e.duration,
-      e.client_ip,
-      e.country,
-      e.city,
-      e.latitude,
-      e.longitude,
-      e.cf_ray,
-      e.subnet,
-      e.asn,
-      e.asn_org,
-      e.datacenter_provider,
-      e.site,
-      e.method,
-      e.path,
-      e.query_string,
-      e.status,
-      e.response_size,
-      e.content_type,
-      e.user_agent,
-      e.is_bot,
-      e.bot_classification,
-      e.bot_name,
-      e.detection_level,
-      e.referer,
-      e.accept_language,
-      e.has_sec_fetch_headers,
-      e.has_client_hints,
-      e.is_mobile,
-      e.bot_from_email,
-      e.openai_host_hash,
-      e.has_cf_worker,
-      e.cf_worker_domain,
-      e.is_exploit_attempt,
-      e.headers_json ? JSON.stringify(e.headers_json) : null
-    ]);
+    const { inserted, rows } = await upsertEvents(client, events);
 
-    const query = `
-      INSERT INTO events (
-        ${fields.join(', ')}
-      ) VALUES
-      ${valueStrings}
-    `;
+    if (checkpoint) {
+      await insertIngestionState(client, {
+        ...checkpoint,
+        recordsProcessed: rows
+      });
+    }
 
-    await client.query(query, flatValues);
     await client.query('COMMIT');
 
-    return events.length;
+    return inserted;
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('Batch insert error:', err.message);
@@ -129,6 +116,312 @@ export async function batchInsert(events) {
   }
 }
 
+/**
+ * Replace the events of a time range with a freshly processed set
+ * Delete and insert share one transaction, so readers never see a half-replaced range.
+ * @param {Date} start - Range start (inclusive)
+ * @param {Date} end - Range end (exclusive)
+ * @param {Array<string>} sites - Only events of these sites are replaced
+ * @param {Array} events - Enriched events
+ * @param {number} batchSize - Events per INSERT statement
+ * @returns {Promise<Object>} { deleted, inserted }
+ */
+export async function replaceEvents(start, end, sites, events, batchSize = 100) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const deleted = await client.query(`
+      DELETE FROM events
+      WHERE timestamp >= $1 AND timestamp < $2
+        AND site = ANY($3)
+    `, [start, end, sites]);
+
+    let inserted = 0;
+    for (let i = 0; i < events.length; i += batchSize) {
+      const result = await upsertEvents(client, events.slice(i, i + batchSize));
+      inserted += result.rows;
+    }
+
+    await client.query('COMMIT');
+
+    return { deleted: deleted.rowCount, inserted };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Replace events error:', err.message);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Upsert events within an open transaction
+ * @param {Object} client - Transaction client
+ * @param {Array} events - Array of event objects
+ * @returns {Promise<Object>} { inserted: new rows, rows: rows written }
+ */
+async function upsertEvents(client, events) {
+  // A row can only be upserted once per statement, keep the last occurrence
+  const byKey = new Map();
+  for (const event of events) {
+    event.event_key = event.event_key || computeEventKey(event);
+    byKey.set(event.event_key, event);
+  }
+  const unique = [...byKey.values()];
+
+  // Build parameterized query
+  const fields = [
+    'event_key',
+    'timestamp', 'duration', 'client_ip', 'country', 'city', 'latitude', 'longitude',
+    'cf_ray', 'subnet', 'asn', 'asn_org', 'datacenter_provider', 'site', 'method',
+    'path', 'query_string', 'status', 'response_size', 'content_type', 'user_agent',
+    'is_bot', 'bot_classification', 'bot_name', 'detection_level', 'detection_reason',
+    'detection_rules', 'classifier_version', 'bot_score', 'bot_score_signals', ...USER_AGENT_FIELDS, ...HEADER_FIELDS,
+    'session_id', 'referer',
+    'accept_language', 'has_sec_fetch_headers', 'has_client_hints', 'is_mobile',
+    'bot_from_email', 'openai_host_hash', 'has_cf_worker', 'cf_worker_domain',
+    'is_exploit_attempt', 'filter_reason', 'crowdsec_scenario', 'crowdsec_origin',
+    'crowdsec_type', 'crowdsec_until', 'headers_json', 'agent_evidence'
+  ];
+
+  // Generate placeholder strings for each record
+  const valueStrings = unique.map((_, i) => {
+    const offset = i * fields.length;
+    const placeholders = fields.map((_, j) => `$${offset + j + 1}`).join(', ');
+    return `(${placeholders})`;
+  }).join(',\n  ');
+
+  // Flatten all values
+  const flatValues = unique.flatMap(e => [
+    e.event_key,
+    e.timestamp,
+    e.duration,
+    e.client_ip,
+    e.country,
+    e.city,
+    e.latitude,
+    e.longitude,
+    e.cf_ray,
+    e.subnet,
+    e.asn,
+    e.asn_org,
+    e.datacenter_provider,
+    e.site,
+    e.method,
+    e.path,
+    e.query_string,
+    e.status,
+    e.response_size,
+    e.content_type,
+    e.user_agent,
+    e.is_bot,
+    e.bot_classification,
+    e.bot_name,
+    e.detection_level,
+    e.detection_reason || null,
+    e.detection_rules || null,
+    e.classifier_version || null,
+    e.bot_score ?? null,
+    e.bot_score_signals || null,
+    ...USER_AGENT_FIELDS.map(field => e[field] ?? null),
+    ...HEADER_FIELDS.map(field => e[field] ?? null),
+    e.session_id || null,
+    e.referer,
+    e.accept_language,
+    e.has_sec_fetch_headers,
+    e.has_client_hints,
+    e.is_mobile,
+    e.bot_from_email,
+    e.openai_host_hash,
+    e.has_cf_worker,
+    e.cf_worker_domain,
+    e.is_exploit_attempt,
+    e.filter_reason || null,
+    e.crowdsec_scenario || null,
+    e.crowdsec_origin || null,
+    e.crowdsec_type || null,
+    e.crowdsec_until || null,
+    e.headers_json ? JSON.stringify(e.headers_json) : null,
+    e.agent_evidence ? JSON.stringify(e.agent_evidence) : null
+  ]);
+
+  // Re-read events refresh the request fields only: the stored classification
+  // may come from a session relabel, a behavior upgrade or a reclassify run
+  const preserved = new Set(['event_key', 'session_id', ...CLASSIFICATION_FIELDS]);
+
+  // xmax = 0 only for rows created by this statement (not updated)
+  const query = `
+    INSERT INTO events (
+      ${fields.join(', ')}
+    ) VALUES
+    ${valueStrings}
+    ON CONFLICT (event_key) DO UPDATE SET
+      ${fields.filter(f => !preserved.has(f)).map(f => `${f} = EXCLUDED.${f}`).join(',\n      ')}
+    RETURNING (xmax = 0) AS inserted
+  `;
+
+  const result = await client.query(query, flatValues);
+
+  await insertShadowClassifications(client, unique.filter(e => e.shadow_classification));
+
+  // Bursts detected in this batch: re-label the sessions' earlier events
+  for (const event of unique.filter(e => e.relabel_session)) {
+    await relabelSession(client, event);
+  }
+
+  return {
+    inserted: result.rows.filter(row => row.inserted).length,
+    rows: unique.length
+  };
+}
+
+/**
+ * Store shadow classifications next to the active result they are compared with
+ * Keyed by event_key and shadow version, so re-ingested events are updated.
+ * Runs under a savepoint: a failed shadow write is logged and skipped, it
+ * never rolls back the events it belongs to.
+ * @param {Object} client - Transaction client
+ * @param {Array} events - Events with a shadow_classification
+ */
+async function insertShadowClassifications(client, events) {
+  if (events.length === 0) return;
+
+  await client.query('SAVEPOINT shadow_classifications');
+  try {
+    await writeShadowClassifications(client, events);
+    await client.query('RELEASE SAVEPOINT shadow_classifications');
+  } catch (err) {
+    await client.query('ROLLBACK TO SAVEPOINT shadow_classifications');
+    console.warn(`  Shadow classifications not stored (${events.length} events): ${err.message}`);
+  }
+}
+
+/**
+ * Upsert shadow classification rows
+ * @param {Object} client - Transaction client
+ * @param {Array} events - Events with a shadow_classification
+ */
+async function writeShadowClassifications(client, events) {
+  const fields = [
+    'event_key', 'timestamp', 'classifier_version', 'active_version',
+    'active_classification', 'active_bot_name', 'is_bot', 'bot_classification',
+    'bot_name', 'detection_level', 'detection_reason', 'detection_rules'
+  ];
+  const valueStrings = events.map((_, i) => {
+    const offset = i * fields.length;
+    return `(${fields.map((_, j) => `$${offset + j + 1}`).join(', ')})`;
+  }).join(',\n  ');
+  const flatValues = events.flatMap(e => [
+    e.event_key,
+    e.timestamp,
+    e.shadow_classification.classifier_version,
+    e.classifier_version,
+    e.bot_classification,
+    e.bot_name,
+    e.shadow_classification.is_bot,
+    e.shadow_classification.bot_classification,
+    e.shadow_classification.bot_name,
+    e.shadow_classification.detection_level,
+    e.shadow_classification.detection_reason,
+    e.shadow_classification.detection_rules
+  ]);
+
+  await client.query(`
+    INSERT INTO shadow_classifications (
+      ${fields.join(', ')}
+    ) VALUES
+    ${valueStrings}
+    ON CONFLICT (event_key, classifier_version) DO UPDATE SET
+      ${fields.filter(f => !['event_key', 'classifier_version'].includes(f)).map(f => `${f} = EXCLUDED.${f}`).join(',\n      ')},
+      classified_at = NOW()
+  `, flatValues);
+}
+
+/**
+ * Re-label the events a session was classified human for before a burst or
+ * an AI agent review hit
+ * Takes the classification of the event that revealed the session (with its
+ * agent_evidence); the reason is prefixed and the rules get a
+ * "session-relabel" marker. Overridden events keep their label. The changes
+ * are recorded as a reclassification run of their own, so a re-label can be
+ * undone with `reclassify.js --rollback <run>`.
+ * @param {Object} client - Transaction client
+ * @param {Object} event - Event with session_id and the revealing classification
+ * @returns {Promise<number>} Number of re-labeled events
+ */
+async function relabelSession(client, event) {
+  const runId = await createReclassificationRun(
+    { session_id: event.session_id, trigger: 'session-relabel' },
+    event.classifier_version || null,
+    client
+  );
+
+  const { changed, transitions } = await updateClassificationsAudited(runId, {
+    set: `
+      is_bot = $3,
+      bot_classification = $4,
+      bot_name = $5,
+      detection_level = $6,
+      detection_reason = $7,
+      detection_rules = $8,
+      classifier_version = $9,
+      agent_evidence = $10`,
+    where: `session_id = $2 AND bot_classification = 'human'`,
+    params: [
+      event.session_id,
+      event.is_bot,
+      event.bot_classification,
+      event.bot_name,
+      event.detection_level,
+      `Re-labeled with its session: ${event.detection_reason}`,
+      [...(event.detection_rules || []), 'session-relabel'],
+      event.classifier_version || null,
+      event.agent_evidence ? JSON.stringify(event.agent_evidence) : null
+    ]
+  }, client);
+
+  if (changed === 0) {
+    await client.query('DELETE FROM reclassification_runs WHERE id = $1', [runId]);
+    return 0;
+  }
+
+  await finishReclassificationRun(runId, { status: 'completed', scanned: changed, changed, transitions }, client);
+  console.log(`  Re-labeled ${changed} earlier events of session ${event.session_id} as ${event.bot_classification} (run ${runId})`);
+  return changed;
+}
+
+/**
+ * Get the sessions still open at startup (last event within the gap)
+ * Feeds seedSessions() in lib/sessionizer.js.
+ * @param {number} gapSeconds - Session gap in seconds
+ * @returns {Promise<Array>} { session_id, client_ip, subnet, first_seen, last_seen, request_count, unique_paths, relabeled }
+ */
+export async function getRecentSessions(gapSeconds) {
+  const result = await pool.query(`
+    SELECT
+      session_id,
+      host(client_ip) AS client_ip,
+      MIN(subnet::text) AS subnet,
+      MIN(timestamp) AS first_seen,
+      MAX(timestamp) AS last_seen,
+      COUNT(*) AS request_count,
+      COUNT(DISTINCT path) AS unique_paths,
+      BOOL_OR('session-relabel' = ANY(detection_rules)) AS relabeled
+    FROM events
+    WHERE session_id IN (
+      SELECT DISTINCT session_id FROM events
+      WHERE session_id IS NOT NULL
+        AND timestamp > NOW() - make_interval(secs => $1)
+    )
+    GROUP BY session_id, client_ip
+    ORDER BY MAX(timestamp)
+  `, [gapSeconds]);
+
+  return result.rows;
+}
+
 /**
  * Get the last processed timestamp from ingestion_state
  * @returns {Promise<Date|null>} Last processed timestamp or null if no records
@@ -144,22 +437,539 @@ export async function getLastProcessedTimestamp() {
   return result.rows[0]?.last_processed_timestamp || null;
 }
 
+/**
+ * Get the saved cursor for a log source
+ * @param {string} source - Log source name
+ * @returns {Promise<Object|null>} Cursor ({ position, timestamp }) or null if never checkpointed
+ */
+export async function getSourceCursor(source) {
+  const result = await pool.query(`
+    SELECT cursor
+    FROM ingestion_state
+    WHERE source = $1
+      AND cursor IS NOT NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [source]);
+
+  return result.rows[0]?.cursor || null;
+}
+
 /**
  * Update ingestion state with latest processed information
  * @param {Date} timestamp - Latest processed timestamp
  * @param {string} cfRay - Latest Cf-Ray value
  * @param {number} recordsProcessed - Number of records processed
  * @param {number} duration - Duration in milliseconds
+ * @param {string|null} source - Log source name
+ * @param {Object|null} cursor - Log source cursor ({ position, timestamp })
  */
-export async function updateIngestionState(timestamp, cfRay, recordsProcessed, duration) {
-  await pool.query(`
+export async function updateIngestionState(timestamp, cfRay, recordsProcessed, duration, source = null, cursor = null) {
+  await insertIngestionState(pool, { timestamp, cfRay, recordsProcessed, duration, source, cursor });
+}
+
+/**
+ * Insert an ingestion_state row using a pool or a transaction client
+ */
+async function insertIngestionState(db, { timestamp, cfRay, recordsProcessed, duration, source = null, cursor = null }) {
+  await db.query(`
     INSERT INTO ingestion_state (
       last_processed_timestamp,
       last_cf_ray,
       records_processed,
-      ingestion_duration_ms
-    ) VALUES ($1, $2, $3, $4)
-  `, [timestamp, cfRay, recordsProcessed, duration]);
+      ingestion_duration_ms,
+      source,
+      cursor
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+  `, [timestamp, cfRay || null, recordsProcessed, duration, source, cursor ? JSON.stringify(cursor) : null]);
+}
+
+/**
+ * Record an ingestion run report and its dead letters in one transaction
+ * @param {Object} report - Run report (see lib/ingestion-report.js)
+ * @returns {Promise<number>} ingestion_runs id
+ */
+export async function insertIngestionRun(report) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO ingestion_runs (
+        source, mode, status, started_at, finished_at,
+        lines_read, events_parsed, parse_errors, skipped, filtered, filtered_by_reason,
+        failed, inserted, updated, stage_durations, latest_event_timestamp, dead_letters, error
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      RETURNING id
+    `, [
+      report.source,
+      report.mode,
+      report.status,
+      report.startedAt,
+      report.finishedAt,
+      report.linesRead,
+      report.eventsParsed,
+      report.parseErrors,
+      report.skipped,
+      report.filtered,
+      JSON.stringify(report.filteredByReason),
+      report.failed,
+      report.inserted,
+      report.updated,
+      JSON.stringify(report.stageDurations),
+      report.latestEventTimestamp,
+      report.deadLetterCount,
+      report.error
+    ]);
+    const runId = result.rows[0].id;
+
+    if (report.deadLetters.length > 0) {
+      const values = report.deadLetters.map((_, i) => `($1, $2, $${i * 4 + 3}, $${i * 4 + 4}, $${i * 4 + 5}, $${i * 4 + 6})`);
+      await client.query(`
+        INSERT INTO dead_letters (run_id, source, stage, error, raw_line, event_json)
+        VALUES ${values.join(',\n        ')}
+      `, [
+        runId,
+        report.source,
+        ...report.deadLetters.flatMap(letter => [
+          letter.stage,
+          letter.error,
+          letter.rawLine || null,
+          letter.event ? JSON.stringify(letter.event) : null
+        ])
+      ]);
+    }
+
+    await client.query('COMMIT');
+    return runId;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replace the journeys still open at `start` with freshly built ones
+ * Delete, insert and the journey_state watermark share one transaction.
+ * @param {Date} start - Journeys with last_seen at or after this are replaced
+ * @param {Array} journeys - Built journeys (see scripts/aggregate-journeys.js)
+ * @param {Date} processedUntil - Newest event timestamp covered
+ * @param {number} batchSize - Journeys per INSERT statement
+ * @returns {Promise<Object>} { deleted, inserted }
+ */
+export async function replaceJourneys(start, journeys, processedUntil, batchSize = 200) {
+  const client = await pool.connect();
+  const fields = [
+    'subnet', 'client_ip', 'first_seen', 'last_seen', 'sites_visited', 'completed_funnel',
+    'total_requests', 'unique_ips', 'bot_classification', 'bot_name'
+  ];
+
+  try {
+    await client.query('BEGIN');
+
+    const deleted = await client.query('DELETE FROM journeys WHERE last_seen >= $1', [start]);
+
+    for (let i = 0; i < journeys.length; i += batchSize) {
+      const batch = journeys.slice(i, i + batchSize);
+      const values = batch.map((_, j) => {
+        const placeholders = fields.map((_, k) => `$${j * fields.length + k + 1}`);
+        // funnel_stage comes from calculate_funnel_stage(sites_visited)
+        return `(${placeholders.join(', ')}, calculate_funnel_stage($${j * fields.length + 5}))`;
+      });
+
+      await client.query(`
+        INSERT INTO journeys (${fields.join(', ')}, funnel_stage)
+        VALUES ${values.join(',\n        ')}
+      `, batch.flatMap(j => fields.map(field => j[field] ?? null)));
+    }
+
+    await client.query(`
+      INSERT INTO journey_state (id, processed_until, updated_at)
+      VALUES (1, $1, NOW())
+      ON CONFLICT (id) DO UPDATE SET processed_until = EXCLUDED.processed_until, updated_at = NOW()
+    `, [processedUntil]);
+
+    await client.query('COMMIT');
+
+    return { deleted: deleted.rowCount, inserted: journeys.length };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Replace journeys error:', err.message);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Parsed User-Agent columns (lib/ua-parser.js)
+export const USER_AGENT_FIELDS = [
+  'browser_family', 'browser_version', 'browser_engine', 'os_family', 'os_version', 'device_type', 'ua_anomalies'
+];
+
+// Header fingerprint columns (lib/header-fingerprint.js)
+export const HEADER_FIELDS = ['header_fingerprint', 'header_mismatches'];
+
+// Event columns a reclassification may change (audited in classification_changes)
+export const CLASSIFICATION_FIELDS = [
+  'is_bot', 'bot_classification', 'bot_name', 'detection_level', 'detection_reason',
+  'detection_rules', 'classifier_version', 'bot_score', 'bot_score_signals', ...USER_AGENT_FIELDS, ...HEADER_FIELDS,
+  'agent_evidence', 'asn', 'asn_org', 'datacenter_provider'
+];
+
+// Current classification fields of events e, as stored in classification_changes
+const CURRENT_CLASSIFICATION = `jsonb_build_object(${CLASSIFICATION_FIELDS.map(f => `'${f}', e.${f}`).join(', ')})`;
+
+/**
+ * SET clause writing the classification fields from a JSONB object
+ */
+function setClassificationFrom(source) {
+  return `
+      is_bot = (${source}->>'is_bot')::boolean,
+      bot_classification = ${source}->>'bot_classification',
+      bot_name = ${source}->>'bot_name',
+      detection_level = (${source}->>'detection_level')::integer,
+      detection_reason = ${source}->>'detection_reason',
+      detection_rules = CASE WHEN jsonb_typeof(${source}->'detection_rules') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(${source}->'detection_rules')) END,
+      classifier_version = ${source}->>'classifier_version',
+      bot_score = (${source}->>'bot_score')::real,
+      bot_score_signals = CASE WHEN jsonb_typeof(${source}->'bot_score_signals') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(${source}->'bot_score_signals')) END,
+      browser_family = ${source}->>'browser_family',
+      browser_version = ${source}->>'browser_version',
+      browser_engine = ${source}->>'browser_engine',
+      os_family = ${source}->>'os_family',
+      os_version = ${source}->>'os_version',
+      device_type = ${source}->>'device_type',
+      ua_anomalies = CASE WHEN jsonb_typeof(${source}->'ua_anomalies') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(${source}->'ua_anomalies')) END,
+      header_fingerprint = ${source}->>'header_fingerprint',
+      header_mismatches = CASE WHEN jsonb_typeof(${source}->'header_mismatches') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(${source}->'header_mismatches')) END,
+      agent_evidence = CASE WHEN jsonb_typeof(${source}->'agent_evidence') = 'object'
+        THEN ${source}->'agent_evidence' END,
+      asn = (${source}->>'asn')::integer,
+      asn_org = ${source}->>'asn_org',
+      datacenter_provider = ${source}->>'datacenter_provider'`;
+}
+
+/**
+ * Start a reclassification run
+ * @param {Object} filters - Selection (since, until, sites, ip, classification)
+ * @param {string} classifierVersion - Ruleset version applied
+ * @param {Object} db - Pool or transaction client (default: pool)
+ * @returns {Promise<number>} reclassification_runs id
+ */
+export async function createReclassificationRun(filters, classifierVersion, db = pool) {
+  const result = await db.query(`
+    INSERT INTO reclassification_runs (filters, classifier_version)
+    VALUES ($1, $2)
+    RETURNING id
+  `, [JSON.stringify(filters), classifierVersion]);
+
+  return result.rows[0].id;
+}
+
+/**
+ * Finish a reclassification run
+ * @param {number} runId - Run id
+ * @param {Object} summary - { status, scanned, changed, transitions, error }
+ * @param {Object} db - Pool or transaction client (default: pool)
+ */
+export async function finishReclassificationRun(runId, { status, scanned, changed, transitions, error = null }, db = pool) {
+  await db.query(`
+    UPDATE reclassification_runs SET
+      finished_at = NOW(),
+      status = $2,
+      events_scanned = $3,
+      events_changed = $4,
+      transitions = $5,
+      error = $6
+    WHERE id = $1
+  `, [runId, status, scanned, changed, JSON.stringify(transitions), error]);
+}
+
+/**
+ * Apply a batch of classification changes and audit them, in one transaction
+ * @param {number} runId - Reclassification run id
+ * @param {Array} changes - { id, old, new } with CLASSIFICATION_FIELDS values
+ * @returns {Promise<number>} Events updated
+ */
+export async function applyClassificationChanges(runId, changes) {
+  if (changes.length === 0) {
+    return 0;
+  }
+
+  const client = await pool.connect();
+  const payload = JSON.stringify(changes);
+
+  try {
+    await client.query('BEGIN');
+
+    const updated = await client.query(`
+      UPDATE events e SET ${setClassificationFrom("c.value->'new'")}
+      FROM jsonb_array_elements($1::jsonb) c
+      WHERE e.id = (c.value->>'id')::bigint
+    `, [payload]);
+
+    await client.query(`
+      INSERT INTO classification_changes (run_id, event_id, old_classification, new_classification, old_values, new_values)
+      SELECT $1, (c.value->>'id')::bigint, c.value->'old'->>'bot_classification', c.value->'new'->>'bot_classification',
+             c.value->'old', c.value->'new'
+      FROM jsonb_array_elements($2::jsonb) c
+    `, [runId, payload]);
+
+    await client.query('COMMIT');
+    return updated.rowCount;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Reclassification batch error:', err.message);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Update the classification of matching events in SQL, auditing every change
+ * in classification_changes like applyClassificationChanges
+ * For derived labels (session re-labels, behavior upgrades) that are computed
+ * from a condition rather than per event. Events labeled by an enabled
+ * override ("override:<id>" in detection_rules) are never changed; once the
+ * override is disabled they are treated like any other event.
+ * @param {number} runId - Reclassification run id
+ * @param {Object} update
+ * @param {string} update.set - SET assignments on events (parameters from $2)
+ * @param {string} update.where - Condition on events (parameters from $2)
+ * @param {Array} update.params - Parameters $2, $3, ...
+ * @param {Object} db - Pool or transaction client (default: pool)
+ * @returns {Promise<Object>} { changed, transitions: { old: { new: count } } }
+ */
+export async function updateClassificationsAudited(runId, { set, where, params }, db = pool) {
+  const result = await db.query(`
+    WITH target AS (
+      SELECT e.id, ${CURRENT_CLASSIFICATION} AS old_values
+      FROM events e
+      WHERE ${where}
+        AND NOT EXISTS (
+          SELECT 1 FROM unnest(e.detection_rules) r
+          JOIN classification_overrides o ON r = 'override:' || o.id
+          WHERE o.enabled
+        )
+      FOR UPDATE
+    ),
+    updated AS (
+      UPDATE events e SET ${set}
+      FROM target t
+      WHERE e.id = t.id
+      RETURNING e.id, t.old_values, ${CURRENT_CLASSIFICATION} AS new_values
+    ),
+    audited AS (
+      INSERT INTO classification_changes (run_id, event_id, old_classification, new_classification, old_values, new_values)
+      SELECT $1, id, old_values->>'bot_classification', new_values->>'bot_classification', old_values, new_values
+      FROM updated
+      RETURNING old_classification, new_classification
+    )
+    SELECT old_classification, new_classification, COUNT(*) AS count
+    FROM audited
+    GROUP BY old_classification, new_classification
+  `, [runId, ...params]);
+
+  let changed = 0;
+  const transitions = {};
+  for (const row of result.rows) {
+    const count = parseInt(row.count);
+    transitions[row.old_classification] = transitions[row.old_classification] || {};
+    transitions[row.old_classification][row.new_classification] = count;
+    changed += count;
+  }
+  return { changed, transitions };
+}
+
+/**
+ * Restore the events changed by a reclassification run
+ * Events changed again since the run (current values differ from the run's
+ * new values) are left alone and counted as skipped.
+ * @param {number} runId - Reclassification run id
+ * @param {number} batchSize - Changes restored per transaction
+ * @returns {Promise<Object>} { restored, skipped }
+ */
+export async function rollbackReclassificationRun(runId, batchSize = 1000) {
+  const run = await pool.query('SELECT status FROM reclassification_runs WHERE id = $1', [runId]);
+  if (run.rows.length === 0) {
+    throw new Error(`Reclassification run ${runId} not found`);
+  }
+  if (run.rows[0].status === 'rolled_back') {
+    throw new Error(`Reclassification run ${runId} is already rolled back`);
+  }
+
+  let restored = 0;
+  let skipped = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const batch = await client.query(`
+        SELECT MAX(id) AS last_id, COUNT(*) AS count
+        FROM (
+          SELECT id FROM classification_changes
+          WHERE run_id = $1 AND id > $2
+          ORDER BY id
+          LIMIT $3
+        ) b
+      `, [runId, lastId, batchSize]);
+      const count = parseInt(batch.rows[0].count);
+      if (count === 0) {
+        await client.query('COMMIT');
+        break;
+      }
+      const batchLastId = batch.rows[0].last_id;
+
+      const result = await client.query(`
+        UPDATE events e SET ${setClassificationFrom('cc.old_values')}
+        FROM classification_changes cc
+        WHERE cc.run_id = $1 AND cc.id > $2 AND cc.id <= $3
+          AND e.id = cc.event_id
+          AND ${CURRENT_CLASSIFICATION} = cc.new_values
+      `, [runId, lastId, batchLastId]);
+
+      await client.query('COMMIT');
+      restored += result.rowCount;
+      skipped += count - result.rowCount;
+      lastId = batchLastId;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  await pool.query(`
+    UPDATE reclassification_runs SET status = 'rolled_back', rolled_back_at = NOW(), events_restored = $2
+    WHERE id = $1
+  `, [runId, restored]);
+
+  return { restored, skipped };
+}
+
+// Columns of classification_overrides set through the API
+const OVERRIDE_FIELDS = ['match_type', 'match_value', 'bot_classification', 'bot_name', 'note', 'author', 'enabled'];
+
+/**
+ * List classification overrides
+ * @param {Object} options - { enabledOnly }
+ * @returns {Promise<Array>} Overrides, oldest first
+ */
+export async function getOverrides({ enabledOnly = false } = {}) {
+  const result = await pool.query(`
+    SELECT id, match_type, match_value, bot_classification, bot_name, note, author, enabled, created_at, updated_at
+    FROM classification_overrides
+    ${enabledOnly ? 'WHERE enabled' : ''}
+    ORDER BY id
+  `);
+  return result.rows;
+}
+
+/**
+ * Create a classification override
+ * @param {Object} override - Validated override (see validateOverride in lib/overrides.js)
+ * @returns {Promise<Object>} Stored override
+ */
+export async function createOverride(override) {
+  const result = await pool.query(`
+    INSERT INTO classification_overrides (${OVERRIDE_FIELDS.join(', ')})
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, OVERRIDE_FIELDS.map(field => field === 'enabled' ? override.enabled !== false : override[field] || null));
+  return result.rows[0];
+}
+
+/**
+ * Update a classification override
+ * @param {number} id - Override id
+ * @param {Object} override - Complete, validated override
+ * @returns {Promise<Object|null>} Stored override, or null if not found
+ */
+export async function updateOverride(id, override) {
+  const result = await pool.query(`
+    UPDATE classification_overrides SET
+      ${OVERRIDE_FIELDS.map((field, i) => `${field} = $${i + 2}`).join(',\n      ')},
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...OVERRIDE_FIELDS.map(field => field === 'enabled' ? override.enabled !== false : override[field] || null)]);
+  return result.rows[0] || null;
+}
+
+// Columns of datacenter_asns set through the API
+const DATACENTER_ASN_FIELDS = ['asn', 'provider', 'asn_org', 'source', 'note', 'author', 'enabled'];
+
+/**
+ * Values of a registry entry in DATACENTER_ASN_FIELDS order
+ */
+function datacenterASNValues(entry) {
+  return DATACENTER_ASN_FIELDS.map(field => {
+    if (field === 'asn') return Number(entry.asn);
+    if (field === 'enabled') return entry.enabled !== false;
+    if (field === 'source') return entry.source || 'manual';
+    return entry[field] || null;
+  });
+}
+
+/**
+ * List datacenter ASN registry entries
+ * @param {Object} options - { enabledOnly }
+ * @returns {Promise<Array>} Entries by ASN
+ */
+export async function getDatacenterASNs({ enabledOnly = false } = {}) {
+  const result = await pool.query(`
+    SELECT asn, provider, asn_org, source, note, author, enabled, created_at, updated_at
+    FROM datacenter_asns
+    ${enabledOnly ? 'WHERE enabled' : ''}
+    ORDER BY asn
+  `);
+  return result.rows;
+}
+
+/**
+ * Create a datacenter ASN registry entry
+ * @param {Object} entry - Validated entry (see validateDatacenterASN in lib/asn-lookup.js) with its source
+ * @returns {Promise<Object|null>} Stored entry, or null if the ASN is already registered
+ */
+export async function createDatacenterASN(entry) {
+  const result = await pool.query(`
+    INSERT INTO datacenter_asns (${DATACENTER_ASN_FIELDS.join(', ')})
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (asn) DO NOTHING
+    RETURNING *
+  `, datacenterASNValues(entry));
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a datacenter ASN registry entry
+ * @param {number} asn - Registered ASN
+ * @param {Object} entry - Complete, validated entry
+ * @returns {Promise<Object|null>} Stored entry, or null if not found
+ */
+export async function updateDatacenterASN(asn, entry) {
+  const fields = DATACENTER_ASN_FIELDS.filter(field => field !== 'asn');
+  const values = datacenterASNValues(entry).slice(1);
+  const result = await pool.query(`
+    UPDATE datacenter_asns SET
+      ${fields.map((field, i) => `${field} = $${i + 2}`).join(',\n      ')},
+      updated_at = NOW()
+    WHERE asn = $1
+    RETURNING *
+  `, [asn, ...values]);
+  return result.rows[0] || null;
 }
 
 /**
@@ -0,0 +1,134 @@
+/**
+ * Exclusion Rules Module
+ * Config-driven traffic exclusions shared by ingestion and the API
+ *
+ * Rules live in config/config.json under "exclusions":
+ *   {
+ *     "ips":   ["184.82.29.117"],                 // Single addresses
+ *     "cidrs": ["2405:9800:b911:2816::/64"],      // Any prefix length, IPv4 or IPv6
+ *     "hosts": ["pm.vivocare.org"],               // Exact site/host names
+ *     "paths": ["^/wp-admin", "xmlrpc\\.php"]     // Case-insensitive regexes on path + query
+ *   }
+ *
+ * watchExclusions() reloads the rules whenever the config file changes, so
+ * updating an exclusion needs no code change or restart.
+ */
+
+import fs from 'fs';
+import { parseCIDR, createCIDRMatcher } from './cidr.js';
+
+let rules = compileRules({});
+
+/**
+ * Validate and compile exclusion rules
+ * @param {Object} config - "exclusions" section of the config
+ * @returns {Object} Compiled rules
+ * @throws {Error} If an IP, CIDR or path pattern is invalid
+ */
+function compileRules(config = {}) {
+  const cidrs = [...(config.ips || []), ...(config.cidrs || [])];
+
+  const paths = (config.paths || []).map(pattern => {
+    try {
+      return { pattern, regex: new RegExp(pattern, 'i') };
+    } catch (err) {
+      throw new Error(`Invalid exclusion path pattern ${pattern}: ${err.message}`);
+    }
+  });
+
+  return {
+    cidrs,
+    matchIP: createCIDRMatcher(cidrs), // Throws on invalid entries
+    hosts: new Set((config.hosts || []).map(host => host.toLowerCase())),
+    paths
+  };
+}
+
+/**
+ * Load exclusion rules (replaces the active rules)
+ * @param {Object} config - "exclusions" section of the config
+ */
+export function loadExclusions(config) {
+  if (!config) {
+    console.warn('No exclusions configured (config.exclusions) - no traffic will be filtered');
+  }
+
+  rules = compileRules(config || {});
+  console.log(`Exclusion rules loaded: ${rules.cidrs.length} IPs/CIDRs, ${rules.hosts.size} hosts, ${rules.paths.length} path patterns`);
+}
+
+/**
+ * Reload exclusion rules whenever the config file changes
+ * Invalid edits are logged and the previous rules stay active.
+ * @param {string} configPath - Path to config.json
+ * @param {number} interval - Poll interval in milliseconds
+ */
+export function watchExclusions(configPath, interval = 5000) {
+  // persistent: false - never keep the process alive just for the watcher
+  fs.watchFile(configPath, { interval, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+
+    try {
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      loadExclusions(config.exclusions);
+    } catch (err) {
+      console.error('Failed to reload exclusion rules (keeping previous rules):', err.message);
+    }
+  });
+}
+
+/**
+ * Check whether an event matches an exclusion rule
+ * @param {Object} event - Parsed event (client_ip, site, path, query_string)
+ * @returns {string|null} 'excluded_ip' | 'excluded_host' | 'excluded_path', or null
+ */
+export function getExclusionReason(event) {
+  if (rules.matchIP(event.client_ip)) {
+    return 'excluded_ip';
+  }
+
+  if (event.site && rules.hosts.has(event.site.toLowerCase())) {
+    return 'excluded_host';
+  }
+
+  const uri = (event.path || '') + (event.query_string ? '?' + event.query_string : '');
+  if (rules.paths.some(({ regex }) => regex.test(uri))) {
+    return 'excluded_path';
+  }
+
+  return null;
+}
+
+/**
+ * Quote a string as a SQL literal
+ */
+function sqlLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build a SQL WHERE fragment that removes excluded traffic from `events`
+ * Path patterns use PostgreSQL's case-insensitive regex match (~*), which
+ * accepts the same simple syntax (^, $, \., (a|b)) as the JS patterns.
+ * @returns {string} Fragment starting with AND (empty if there are no rules)
+ */
+export function getExclusionSQL() {
+  const clauses = [];
+
+  if (rules.cidrs.length > 0) {
+    // Entries were validated by parseCIDR, so they contain only address characters
+    const cidrs = rules.cidrs.filter(cidr => parseCIDR(cidr)).map(sqlLiteral);
+    clauses.push(`AND NOT (client_ip <<= ANY(ARRAY[${cidrs.join(', ')}]::inet[]))`);
+  }
+
+  if (rules.hosts.size > 0) {
+    clauses.push(`AND lower(site) <> ALL(ARRAY[${[...rules.hosts].map(sqlLiteral).join(', ')}])`);
+  }
+
+  if (rules.paths.length > 0) {
+    const patterns = rules.paths.map(({ pattern }) => sqlLiteral(pattern));
+    clauses.push(`AND NOT ((path || COALESCE('?' || query_string, '')) ~* ANY(ARRAY[${patterns.join(', ')}]))`);
+  }
+
+  return clauses.join('\n        ');
+}
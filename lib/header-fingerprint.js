@@ -0,0 +1,212 @@
+/**
+ * Header Fingerprint Module
+ * Stable hash of a client's request headers, and consistency checks between
+ * the headers, the User-Agent and the GeoIP country
+ *
+ * The fingerprint (header_fingerprint) identifies the HTTP stack behind a
+ * request: which headers it sends and the values that do not change from one
+ * request to the next (User-Agent, Accept-Language, Accept-Encoding, Client
+ * Hints). One automation stack keeps its fingerprint while rotating IPs.
+ * Headers added by proxies and CDNs, and headers that depend on the request
+ * (Cookie, Referer, conditional and navigation-only headers) are left out;
+ * other headers count by name only (Accept changes per resource type).
+ * Header order is not part of the hash: Caddy logs headers from a Go map and
+ * JSONB re-sorts keys, so the stored order is not the order sent. Events
+ * without headers beyond User-Agent and Referer (combined logs) get none.
+ *
+ * Mismatches (header_mismatches):
+ *   client_hints_brand       Sec-Ch-Ua brands name another browser than the
+ *                            User-Agent (Chrome User-Agent, HeadlessChrome brand)
+ *   client_hints_version     Sec-Ch-Ua version differs from the User-Agent's
+ *   client_hints_platform    Sec-Ch-Ua-Platform differs from the User-Agent OS
+ *   client_hints_mobile      Sec-Ch-Ua-Mobile differs from the User-Agent
+ *   accept_language_country  No Accept-Language language is spoken in the
+ *                            GeoIP country (English counts everywhere)
+ *
+ * Client Hints are only compared for Chromium browsers; from other browsers
+ * they are a client_hints_unsupported anomaly (lib/ua-parser.js). Rules match
+ * mismatches with the "header_mismatches" condition (lib/classifier-rules.js).
+ */
+
+import crypto from 'crypto';
+
+// Mismatch names (valid values of the "header_mismatches" rule condition)
+export const HEADER_MISMATCHES = [
+  'client_hints_brand', 'client_hints_version', 'client_hints_platform', 'client_hints_mobile', 'accept_language_country'
+];
+export const CLIENT_HINTS_MISMATCHES = HEADER_MISMATCHES.filter(name => name.startsWith('client_hints_'));
+
+// Left out of the fingerprint (lowercase): added on the way, or per request
+const IGNORED_HEADERS = new Set([
+  'host', 'cookie', 'authorization', 'referer', 'origin', 'content-length', 'content-type',
+  'if-none-match', 'if-modified-since', 'if-match', 'if-range', 'range', 'cache-control', 'pragma',
+  'upgrade-insecure-requests', 'sec-fetch-user', 'priority', 'purpose', 'sec-purpose',
+  'x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host', 'x-real-ip', 'forwarded', 'via',
+  'cf-connecting-ip', 'cf-ipcountry', 'cf-ray', 'cf-visitor', 'cf-worker', 'cdn-loop', 'true-client-ip',
+  'x-request-id', 'traceparent', 'tracestate'
+]);
+
+// Hashed with their value (lowercase); the rest by name only
+const VALUE_HEADERS = new Set([
+  'user-agent', 'accept-language', 'accept-encoding', 'sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform', 'dnt', 'sec-gpc'
+]);
+
+// Sec-Ch-Ua brand → browser family (lib/ua-parser.js); "Chromium" is shared
+const BRAND_FAMILIES = {
+  'Google Chrome': 'Chrome',
+  'Microsoft Edge': 'Edge',
+  'Opera': 'Opera',
+  'Samsung Internet': 'Samsung Internet',
+  'HeadlessChrome': 'Headless Chrome'
+};
+const CHROMIUM_FAMILIES = Object.values(BRAND_FAMILIES);
+
+// Sec-Ch-Ua-Platform → OS family (lib/ua-parser.js)
+const PLATFORM_FAMILIES = {
+  'Windows': 'Windows',
+  'macOS': 'macOS',
+  'Linux': 'Linux',
+  'Android': 'Android',
+  'Chrome OS': 'Chrome OS',
+  'Chromium OS': 'Chrome OS',
+  'iOS': 'iOS'
+};
+
+// Country (ISO code) → languages spoken there (ISO 639-1); unlisted countries are not checked
+const COUNTRY_LANGUAGES = {
+  AE: ['ar'], AR: ['es'], AT: ['de'], AU: ['en'], BD: ['bn'], BE: ['nl', 'fr', 'de'], BG: ['bg'],
+  BR: ['pt'], BY: ['be', 'ru'], CA: ['en', 'fr'], CH: ['de', 'fr', 'it', 'rm'], CL: ['es'],
+  CN: ['zh'], CO: ['es'], CZ: ['cs', 'sk'], DE: ['de'], DK: ['da'], EG: ['ar'], ES: ['es', 'ca', 'eu', 'gl'],
+  FI: ['fi', 'sv'], FR: ['fr'], GB: ['en', 'cy', 'gd'], GR: ['el'], HK: ['zh'], HU: ['hu'],
+  ID: ['id', 'jv'], IE: ['en', 'ga'], IL: ['he', 'ar'], IN: ['hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'ur'],
+  IR: ['fa'], IT: ['it'], JP: ['ja'], KH: ['km'], KR: ['ko'], KZ: ['kk', 'ru'], LA: ['lo'], MM: ['my'],
+  MX: ['es'], MY: ['ms', 'zh', 'ta'], NG: ['yo', 'ha', 'ig'], NL: ['nl', 'fy'], NO: ['no', 'nb', 'nn'],
+  NZ: ['en', 'mi'], PE: ['es'], PH: ['fil', 'tl'], PK: ['ur'], PL: ['pl'], PT: ['pt'], RO: ['ro'],
+  RS: ['sr'], RU: ['ru'], SA: ['ar'], SE: ['sv'], SG: ['zh', 'ms', 'ta'], SK: ['sk', 'cs'], TH: ['th'],
+  TR: ['tr', 'ku'], TW: ['zh'], UA: ['uk', 'ru'], US: ['en', 'es'], VN: ['vi'], ZA: ['af', 'zu', 'xh']
+};
+
+/**
+ * Header value as a string (Caddy-style arrays or plain strings)
+ */
+function header(headers, name) {
+  const value = headers?.[name];
+  if (value === undefined || value === null || value === '') return null;
+  return Array.isArray(value) ? (value.length ? value.join(', ') : null) : String(value);
+}
+
+/**
+ * Fingerprint request headers
+ * @param {Object} headers - Request headers (Caddy-style arrays or plain strings)
+ * @returns {string|null} 16 hex characters, or null without fingerprintable headers
+ */
+export function fingerprintHeaders(headers) {
+  const lines = [];
+  for (const name of Object.keys(headers || {})) {
+    const key = name.toLowerCase();
+    const value = header(headers, name);
+    if (IGNORED_HEADERS.has(key) || value === null) continue;
+    lines.push(VALUE_HEADERS.has(key) ? `${key}: ${value.replace(/\s+/g, ' ').trim()}` : key);
+  }
+
+  // User-Agent alone says nothing the user_agent column does not
+  if (!lines.some(line => !line.startsWith('user-agent:'))) return null;
+
+  lines.sort();
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Parse Sec-Ch-Ua ("Brand";v="120", ...)
+ * @returns {Map<string, number>} Brand → major version
+ */
+function parseBrands(value) {
+  const brands = new Map();
+  for (const [, brand, version] of value.matchAll(/"([^"]+)"\s*;\s*v="(\d+)/g)) {
+    brands.set(brand, parseInt(version));
+  }
+  return brands;
+}
+
+/**
+ * Primary language subtags of Accept-Language ("en-US,th;q=0.9" → ['en', 'th'])
+ */
+function parseLanguages(value) {
+  return value.split(',')
+    .map(entry => entry.split(';')[0].trim().split('-')[0].toLowerCase())
+    .filter(language => language && language !== '*');
+}
+
+/**
+ * Compare the Client Hints with the parsed User-Agent
+ * @returns {Array<string>} client_hints_* mismatches
+ */
+function checkClientHints(event, headers) {
+  const brandsHeader = header(headers, 'Sec-Ch-Ua');
+  if (!brandsHeader || !CHROMIUM_FAMILIES.includes(event.browser_family)) return [];
+
+  const mismatches = [];
+  const brands = parseBrands(brandsHeader);
+  const family = event.browser_family;
+  const major = parseInt(event.browser_version);
+
+  // A family brand must be the User-Agent's; Edge, Opera, Samsung and
+  // headless always name themselves (Chrome-based forks may not)
+  const hintedFamilies = [...brands.keys()].filter(brand => BRAND_FAMILIES[brand]).map(brand => BRAND_FAMILIES[brand]);
+  if (hintedFamilies.some(hinted => hinted !== family) || (family !== 'Chrome' && !hintedFamilies.includes(family))) {
+    mismatches.push('client_hints_brand');
+  }
+
+  // Chromium's version is the User-Agent's Chrome/ token; the family's its own
+  const uaChromium = event.user_agent?.match(/Chrom(?:e|ium)\/(\d+)/);
+  const familyBrand = Object.keys(BRAND_FAMILIES).find(brand => BRAND_FAMILIES[brand] === family);
+  if ((uaChromium && brands.has('Chromium') && brands.get('Chromium') !== parseInt(uaChromium[1])) ||
+      (brands.has(familyBrand) && !isNaN(major) && brands.get(familyBrand) !== major)) {
+    mismatches.push('client_hints_version');
+  }
+
+  const platform = header(headers, 'Sec-Ch-Ua-Platform')?.replace(/"/g, '').trim();
+  if (PLATFORM_FAMILIES[platform] && event.os_family && PLATFORM_FAMILIES[platform] !== event.os_family) {
+    mismatches.push('client_hints_platform');
+  }
+
+  const mobile = header(headers, 'Sec-Ch-Ua-Mobile');
+  if (mobile && event.user_agent && (mobile.trim() === '?1') !== /Mobile/.test(event.user_agent)) {
+    mismatches.push('client_hints_mobile');
+  }
+
+  return mismatches;
+}
+
+/**
+ * Check the headers for contradictions
+ * @param {Object} event - { user_agent, headers, country } with the lib/ua-parser.js fields
+ * @returns {Array<string>} Mismatch names (HEADER_MISMATCHES)
+ */
+export function checkHeaderConsistency(event) {
+  const headers = event.headers || {};
+  const mismatches = checkClientHints(event, headers);
+
+  const acceptLanguage = header(headers, 'Accept-Language');
+  const spoken = COUNTRY_LANGUAGES[event.country];
+  if (acceptLanguage && spoken) {
+    const languages = parseLanguages(acceptLanguage);
+    if (languages.length > 0 && !languages.some(language => language === 'en' || spoken.includes(language))) {
+      mismatches.push('accept_language_country');
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Fingerprint the headers and check their consistency
+ * @param {Object} event - { user_agent, headers, country } with the lib/ua-parser.js fields
+ * @returns {Object} { header_fingerprint, header_mismatches }
+ */
+export function analyzeHeaders(event) {
+  return {
+    header_fingerprint: fingerprintHeaders(event.headers),
+    header_mismatches: checkHeaderConsistency(event)
+  };
+}
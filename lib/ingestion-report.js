@@ -0,0 +1,147 @@
+/**
+ * Ingestion Report Module
+ * Per-run statistics and dead letters for every ingestion entry point
+ * (cron ingestion, streaming daemon, HTTP intake, backfill)
+ *
+ * A report counts lines read, parsed, skipped (non-access lines), filtered
+ * by reason, failed, inserted and updated, and times each stage. Lines that
+ * fail to parse and events that fail enrichment are kept as dead letters
+ * with their error. saveRunReport() writes the run to ingestion_runs and the
+ * dead letters to dead_letters.
+ */
+
+import { insertIngestionRun } from './db.js';
+
+// Dead letters stored per run (the count is always complete)
+const MAX_DEAD_LETTERS = 500;
+
+/**
+ * Start a run report
+ * @param {string} source - Log source name
+ * @param {string} mode - cron|daemon|intake|backfill
+ * @returns {Object} Run report
+ */
+export function createRunReport(source, mode) {
+  return {
+    source,
+    mode,
+    status: null,
+    startedAt: new Date(),
+    finishedAt: null,
+    linesRead: 0,
+    eventsParsed: 0,
+    parseErrors: 0,
+    skipped: 0,
+    filtered: 0,
+    filteredByReason: {},
+    failed: 0,
+    inserted: 0,
+    updated: 0,
+    stageDurations: {},
+    latestEventTimestamp: null,
+    deadLetterCount: 0,
+    deadLetters: [],
+    error: null
+  };
+}
+
+/**
+ * Keep a dead letter (bounded per run)
+ */
+function addDeadLetter(report, letter) {
+  report.deadLetterCount++;
+  if (report.deadLetters.length < MAX_DEAD_LETTERS) {
+    report.deadLetters.push(letter);
+  }
+}
+
+/**
+ * Record a line that could not be parsed
+ * @param {Object} report - Run report
+ * @param {string} line - Raw log line
+ * @param {Error} err - Parse error
+ */
+export function recordParseError(report, line, err) {
+  report.parseErrors++;
+  addDeadLetter(report, { stage: 'parse', error: err.message, rawLine: line });
+}
+
+/**
+ * Record a line that was rejected after parsing (e.g. failed validation)
+ * @param {Object} report - Run report
+ * @param {string} line - Raw log line
+ * @param {string} error - Rejection reason
+ */
+export function recordRejectedLine(report, line, error) {
+  report.parseErrors++;
+  addDeadLetter(report, { stage: 'validate', error, rawLine: line });
+}
+
+/**
+ * Record the outcome of processEvents()
+ * @param {Object} report - Run report
+ * @param {Object} result - { filteredByReason, failures }
+ */
+export function recordProcessResult(report, { filteredByReason, failures }) {
+  for (const [reason, count] of Object.entries(filteredByReason)) {
+    report.filtered += count;
+    report.filteredByReason[reason] = (report.filteredByReason[reason] || 0) + count;
+  }
+
+  for (const { event, error } of failures) {
+    report.failed++;
+    const { headers, ...fields } = event;
+    addDeadLetter(report, { stage: 'enrich', error, event: { ...fields, headers_json: headers } });
+  }
+}
+
+/**
+ * Record inserted events
+ * @param {Object} report - Run report
+ * @param {number} written - Events written (new + updated)
+ * @param {number} inserted - Newly inserted events
+ * @param {Date|null} latestTimestamp - Newest event timestamp of the batch
+ */
+export function recordInsert(report, written, inserted, latestTimestamp) {
+  report.inserted += inserted;
+  report.updated += written - inserted;
+  if (latestTimestamp && (!report.latestEventTimestamp || latestTimestamp > report.latestEventTimestamp)) {
+    report.latestEventTimestamp = latestTimestamp;
+  }
+}
+
+/**
+ * Time a pipeline stage (durations accumulate per stage name)
+ * @param {Object} report - Run report
+ * @param {string} stage - read|enrich|insert|...
+ * @param {Function} fn - Async stage function
+ * @returns {Promise<*>} Stage result
+ */
+export async function timeStage(report, stage, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    report.stageDurations[stage] = (report.stageDurations[stage] || 0) + (Date.now() - start);
+  }
+}
+
+/**
+ * Finish and store a run report
+ * Reporting failures are logged and never fail ingestion.
+ * @param {Object} report - Run report
+ * @param {Error|null} error - Error that ended the run
+ * @returns {Promise<number|null>} ingestion_runs id
+ */
+export async function saveRunReport(report, error = null) {
+  report.finishedAt = new Date();
+  report.error = error ? error.message : null;
+  report.status = error ? 'failed' : (report.failed > 0 || report.parseErrors > 0 ? 'partial' : 'success');
+
+  try {
+    return await insertIngestionRun(report);
+  } catch (err) {
+    console.error(`Failed to save ingestion run report for ${report.source}:`, err.message);
+    return null;
+  }
+}
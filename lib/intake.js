@@ -0,0 +1,194 @@
+/**
+ * Log Intake Module
+ * Push-based ingestion: remote web servers POST batches of log lines
+ *
+ * Each remote source has its own token in config/config.json:
+ *   "intake": {
+ *     "max_lines": 5000,
+ *     "sources": [
+ *       { "name": "web2", "token": "...", "format": "caddy", "sites": ["thaibelle.com"] }
+ *     ]
+ *   }
+ *
+ * `sites` (optional) restricts which hosts a token may report. Accepted
+ * lines run through the same parse → filter → enrich → insert pipeline as
+ * log ingestion; events are deduplicated on event_key, so clients can safely
+ * retry a batch. Every request is recorded in ingestion_runs (mode 'intake')
+ * with rejected lines in dead_letters.
+ */
+
+import crypto from 'crypto';
+import { parseLogLine } from './log-parsers.js';
+import { processEvents, insertEvents } from './pipeline.js';
+import { refreshDecisions } from './crowdsec.js';
+import { createRunReport, recordParseError, recordRejectedLine, recordProcessResult, recordInsert, timeStage, saveRunReport } from './ingestion-report.js';
+
+const DEFAULT_MAX_LINES = 5000;
+const MAX_CLOCK_SKEW = 5 * 60 * 1000; // Reject events more than 5 minutes in the future
+const MAX_REPORTED_ERRORS = 20;
+
+let intakeSources = [];
+let maxLines = DEFAULT_MAX_LINES;
+
+/**
+ * Load intake sources and their tokens
+ * @param {Object} config - "intake" section of the config
+ * @returns {number} Number of enabled intake sources
+ * @throws {Error} If a source has no name or token
+ */
+export function initIntake(config) {
+  intakeSources = (config?.sources || []).map(spec => {
+    if (!spec.name || !spec.token) {
+      throw new Error('Every intake source needs a name and a token');
+    }
+    return {
+      name: spec.name,
+      token: Buffer.from(spec.token),
+      sites: spec.sites ? new Set(spec.sites.map(site => site.toLowerCase())) : null,
+      parserOptions: { format: spec.format || 'auto', site: spec.site || null }
+    };
+  });
+  maxLines = config?.max_lines || DEFAULT_MAX_LINES;
+
+  return intakeSources.length;
+}
+
+/**
+ * Find the intake source a bearer token belongs to
+ * @param {string|undefined} authorization - Authorization header
+ * @returns {Object|null} Intake source, or null if the token is unknown
+ */
+export function authenticateIntake(authorization) {
+  const match = /^Bearer (.+)$/.exec(authorization || '');
+  if (!match) return null;
+
+  const token = Buffer.from(match[1].trim());
+  return intakeSources.find(source =>
+    source.token.length === token.length && crypto.timingSafeEqual(source.token, token)
+  ) || null;
+}
+
+/**
+ * Split a request body into log lines
+ * Accepts NDJSON / plain text (one line per entry) or a JSON array of entries.
+ * @param {string|Array|Object} body - Parsed request body
+ * @returns {Array<string>} Log lines
+ * @throws {Error} If the body has an unsupported shape
+ */
+export function getIntakeLines(body) {
+  if (typeof body === 'string') {
+    return body.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  if (Array.isArray(body)) {
+    return body.map(entry => typeof entry === 'string' ? entry : JSON.stringify(entry));
+  }
+  if (body && typeof body === 'object' && Object.keys(body).length > 0) {
+    return [JSON.stringify(body)]; // Single entry
+  }
+  throw new Error('Expected NDJSON lines or a JSON array of log entries');
+}
+
+/**
+ * Validate a parsed event against its intake source
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEvent(source, event) {
+  if (Number.isNaN(event.timestamp.getTime())) {
+    return 'Invalid timestamp';
+  }
+  if (event.timestamp.getTime() > Date.now() + MAX_CLOCK_SKEW) {
+    return `Timestamp in the future: ${event.timestamp.toISOString()}`;
+  }
+  if (!event.client_ip) {
+    return 'Missing client IP';
+  }
+  if (source.sites && !source.sites.has(event.site.toLowerCase())) {
+    return `Site not allowed for intake source ${source.name}: ${event.site}`;
+  }
+  return null;
+}
+
+/**
+ * Parse, enrich and insert a batch of pushed log lines
+ * @param {Object} source - Authenticated intake source
+ * @param {Array<string>} lines - Log lines
+ * @returns {Promise<Object>} { received, inserted, duplicates, filtered, skipped, rejected, errors }
+ * @throws {Error} If the batch exceeds max_lines (error.status = 413)
+ */
+export async function ingestLines(source, lines) {
+  if (lines.length > maxLines) {
+    const error = new Error(`Batch too large: ${lines.length} lines (max ${maxLines})`);
+    error.status = 413;
+    throw error;
+  }
+
+  const startTime = Date.now();
+  const report = createRunReport(`intake:${source.name}`, 'intake');
+  const parsedEvents = [];
+  const errors = [];
+
+  try {
+    await timeStage(report, 'read', async () => {
+      lines.forEach((line, index) => {
+        report.linesRead++;
+
+        let event;
+        try {
+          event = parseLogLine(line, source.parserOptions);
+        } catch (err) {
+          recordParseError(report, line, err);
+          errors.push({ line: index + 1, error: err.message });
+          return;
+        }
+        if (!event) {
+          report.skipped++; // Not an access log
+          return;
+        }
+
+        const invalid = validateEvent(source, event);
+        if (invalid) {
+          recordRejectedLine(report, line, invalid);
+          errors.push({ line: index + 1, error: invalid });
+          return;
+        }
+
+        parsedEvents.push(event);
+      });
+    });
+    report.eventsParsed = parsedEvents.length;
+
+    await refreshDecisions(); // No-op within crowdsec.refresh_interval
+
+    const processed = await timeStage(report, 'enrich', () => processEvents(parsedEvents));
+    recordProcessResult(report, processed);
+    const { events } = processed;
+
+    // Events arrive in any order, so the checkpoint records the newest one
+    const latest = events.reduce((max, e) => (!max || e.timestamp > max.timestamp ? e : max), null);
+    const inserted = await timeStage(report, 'insert', () => insertEvents(events, {
+      checkpoint: () => ({
+        timestamp: latest.timestamp,
+        cfRay: latest.cf_ray,
+        duration: Date.now() - startTime,
+        source: `intake:${source.name}`,
+        cursor: null // Pushed batches are not resumable, retries rely on event_key
+      })
+    }));
+    recordInsert(report, events.length, inserted, latest?.timestamp || null);
+  } catch (err) {
+    await saveRunReport(report, err);
+    throw err;
+  }
+
+  await saveRunReport(report);
+
+  return {
+    received: lines.length,
+    inserted: report.inserted,
+    duplicates: report.updated,
+    filtered: report.filtered,
+    skipped: report.skipped,
+    rejected: errors.length + report.failed,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * Log Parser Module
+ * Turns raw access log lines into event objects
+ *
+ * Supported formats:
+ * - caddy:      Caddy JSON access logs (http.log.access)
+ * - combined:   nginx / Apache combined log format (optionally vhost-prefixed)
+ * - cloudflare: Cloudflare Logpush http_requests NDJSON
+ *
+ * Every parser returns the same event shape so the rest of the pipeline
+ * (GeoIP/ASN enrichment, classify(), batchInsert) is format-agnostic.
+ * Headers use Caddy's representation: canonical names mapped to arrays.
+ * Formats without request headers only carry what the log line has
+ * (User-Agent, Referer); the classifier then treats the request as
+ * lacking browser signals rather than failing.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Canonicalize a header name the way Go/Caddy does (sec-ch-ua → Sec-Ch-Ua)
+ * @param {string} name - Header name
+ * @returns {string} Canonical header name
+ */
+export function canonicalHeaderName(name) {
+  return name
+    .toLowerCase()
+    .split('-')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('-');
+}
+
+/**
+ * Build Caddy-style headers ({ Name: [value] }) from a plain object
+ * @param {Object} raw - Header map (values may be strings or arrays)
+ * @returns {Object} Canonical headers
+ */
+function normalizeHeaders(raw = {}) {
+  const headers = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (value === null || value === undefined || value === '') continue;
+    headers[canonicalHeaderName(name)] = Array.isArray(value) ? value.map(String) : [String(value)];
+  }
+  return headers;
+}
+
+/**
+ * Split a request URI into path and query string
+ * @param {string} uri - Request URI
+ * @returns {Array<string|null>} [path, queryString]
+ */
+function splitUri(uri) {
+  const index = uri.indexOf('?');
+  if (index === -1) return [uri || '/', null];
+  return [uri.slice(0, index) || '/', uri.slice(index + 1) || null];
+}
+
+/**
+ * Build an event object with the fields every parser shares
+ */
+function buildEvent({ timestamp, duration, clientIP, site, method, uri, status, responseSize, contentType, headers }) {
+  const [path, queryString] = splitUri(uri || '/');
+  const header = name => (headers[name] || [])[0] || null;
+
+  return {
+    // Timing
+    timestamp,
+    duration: duration || 0,
+
+    // Client
+    client_ip: clientIP,
+    cf_ray: header('Cf-Ray'),
+
+    // Request
+    site: site || 'unknown',
+    method: method || 'GET',
+    path,
+    query_string: queryString,
+
+    // Response
+    status: status || 0,
+    response_size: responseSize || 0,
+    content_type: contentType || null,
+
+    // Headers
+    user_agent: header('User-Agent'),
+    referer: header('Referer'),
+    accept_language: header('Accept-Language'),
+
+    // Raw headers for analysis
+    headers
+  };
+}
+
+// ============================================================================
+// CADDY JSON
+// ============================================================================
+
+/**
+ * Parse Caddy JSON access log entry into event object
+ * @param {Object} logEntry - Raw Caddy log entry
+ * @returns {Object|null} Parsed event or null if not an access log
+ */
+export function parseCaddyEntry(logEntry) {
+  // Only process access logs (Caddy also logs startup, TLS, etc.)
+  if (!logEntry.logger || !logEntry.logger.startsWith('http.log.access') || !logEntry.request) {
+    return null;
+  }
+
+  const request = logEntry.request;
+  const headers = request.headers || {};
+
+  // Extract real client IP from Cloudflare header
+  const clientIP = (headers['Cf-Connecting-Ip'] || [])[0] ||
+                   (headers['X-Forwarded-For'] || [])[0] ||
+                   request.client_ip ||
+                   request.remote_ip;
+
+  return buildEvent({
+    timestamp: new Date(logEntry.ts * 1000),
+    duration: logEntry.duration,
+    clientIP,
+    site: request.host,
+    method: request.method,
+    uri: request.uri,
+    status: logEntry.status,
+    responseSize: logEntry.size,
+    contentType: (logEntry.resp_headers?.['Content-Type'] || [])[0],
+    headers
+  });
+}
+
+// ============================================================================
+// NGINX / APACHE COMBINED
+// ============================================================================
+
+// [vhost[:port]] host ident user [time] "request" status bytes ["referer" "user-agent" [extra...]]
+const COMBINED_PATTERN = /^(?:(\S+?)(?::\d+)? )?(\S+) \S+ \S+ \[([^\]]+)\] "([^"]*)" (\d{3}) (\d+|-)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?(.*)$/;
+
+const MONTHS = {
+  Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
+  Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11
+};
+
+/**
+ * Parse common log time (10/Oct/2025:13:55:36 -0700)
+ * @param {string} value - Time string
+ * @returns {Date|null} Parsed date
+ */
+function parseCommonLogTime(value) {
+  const match = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/.exec(value);
+  if (!match || !(match[2] in MONTHS)) return null;
+
+  const [, day, month, year, hour, minute, second, sign, offsetHours, offsetMinutes] = match;
+  const utc = Date.UTC(+year, MONTHS[month], +day, +hour, +minute, +second);
+  const offset = (sign === '-' ? -1 : 1) * (+offsetHours * 60 + +offsetMinutes) * 60000;
+
+  return new Date(utc - offset);
+}
+
+/**
+ * Unescape nginx/Apache escaped strings (\x22, \")
+ */
+function unescapeLogField(value) {
+  if (!value || value === '-') return null;
+  return value
+    .replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse nginx/Apache combined log line into event object
+ *
+ * Combined logs carry no request headers beyond User-Agent and Referer, and
+ * no host unless the vhost_combined variant is used - pass `site` for
+ * single-site log files.
+ *
+ * @param {string} line - Raw log line
+ * @param {Object} options - Parser options
+ * @param {string} options.site - Site to use when the line has no vhost
+ * @returns {Object} Parsed event
+ */
+export function parseCombinedLine(line, options = {}) {
+  const match = COMBINED_PATTERN.exec(line);
+  if (!match) {
+    throw new Error('Line does not match combined log format');
+  }
+
+  const [, vhost, remoteAddr, time, request, status, bytes, referer, userAgent, extra] = match;
+
+  const timestamp = parseCommonLogTime(time);
+  if (!timestamp) {
+    throw new Error(`Invalid log time: ${time}`);
+  }
+
+  // "GET /path HTTP/1.1" - malformed requests (e.g. TLS on port 80) have no method/URI
+  const [method, uri] = request.split(' ');
+
+  const headers = normalizeHeaders({
+    'User-Agent': unescapeLogField(userAgent),
+    'Referer': unescapeLogField(referer)
+  });
+
+  // nginx configs behind Cloudflare commonly append "$http_x_forwarded_for"
+  const forwardedFor = /"([0-9a-fA-F.:]+)(?:,[^"]*)?"/.exec(extra || '')?.[1];
+  if (forwardedFor) {
+    headers['X-Forwarded-For'] = [forwardedFor];
+  }
+
+  return buildEvent({
+    timestamp,
+    duration: 0, // Not part of the combined format
+    clientIP: forwardedFor || remoteAddr,
+    site: vhost || options.site,
+    method: uri ? method : null,
+    uri: uri || '/',
+    status: parseInt(status, 10),
+    responseSize: bytes === '-' ? 0 : parseInt(bytes, 10),
+    headers
+  });
+}
+
+// ============================================================================
+// CLOUDFLARE LOGPUSH
+// ============================================================================
+
+/**
+ * Parse Logpush timestamp (RFC3339, unix seconds, unix nanoseconds)
+ */
+function parseLogpushTime(value) {
+  if (typeof value === 'string') {
+    return /^\d+$/.test(value) ? parseLogpushTime(Number(value)) : new Date(value);
+  }
+  if (value > 1e17) return new Date(value / 1e6); // unixnano
+  if (value > 1e11) return new Date(value);       // milliseconds
+  return new Date(value * 1000);                  // unix seconds
+}
+
+/**
+ * Parse Cloudflare Logpush http_requests record into event object
+ *
+ * Only headers added to the job's custom fields appear in RequestHeaders;
+ * without them the event carries User-Agent and Referer only.
+ *
+ * @param {Object} record - Logpush record
+ * @returns {Object} Parsed event
+ */
+export function parseCloudflareRecord(record) {
+  if (!record.ClientIP || !record.EdgeStartTimestamp) {
+    throw new Error('Logpush record missing ClientIP or EdgeStartTimestamp');
+  }
+
+  const start = parseLogpushTime(record.EdgeStartTimestamp);
+  const end = record.EdgeEndTimestamp ? parseLogpushTime(record.EdgeEndTimestamp) : start;
+
+  const headers = normalizeHeaders({
+    ...(record.RequestHeaders || {}),
+    'User-Agent': record.ClientRequestUserAgent,
+    'Referer': record.ClientRequestReferer,
+    'Cf-Ray': record.RayID,
+    'Cf-Connecting-Ip': record.ClientIP
+  });
+
+  const event = buildEvent({
+    timestamp: start,
+    duration: Math.max(0, end - start) / 1000,
+    clientIP: record.ClientIP,
+    site: record.ClientRequestHost,
+    method: record.ClientRequestMethod,
+    uri: record.ClientRequestURI || record.ClientRequestPath,
+    status: record.EdgeResponseStatus,
+    responseSize: record.EdgeResponseBytes,
+    contentType: record.EdgeResponseContentType,
+    headers
+  });
+
+  // Edge-side lookups, used when the local GeoIP/ASN databases have no answer
+  event.country = record.ClientCountry ? record.ClientCountry.toUpperCase() : null;
+  event.asn = record.ClientASN || null;
+
+  return event;
+}
+
+// ============================================================================
+// DISPATCH
+// ============================================================================
+
+const FORMATS = ['auto', 'caddy', 'combined', 'cloudflare'];
+
+/**
+ * Detect the format of a raw log line
+ * @param {string} line - Raw log line
+ * @param {Object|null} json - Parsed JSON (if the line is JSON)
+ * @returns {string} Format name
+ */
+function detectFormat(line, json) {
+  if (!json) return 'combined';
+  if (json.logger || json.request) return 'caddy';
+  if ('RayID' in json || 'ClientRequestHost' in json || 'EdgeStartTimestamp' in json) return 'cloudflare';
+  return 'unknown';
+}
+
+/**
+ * Parse a raw log line into an event object
+ * @param {string} line - Raw log line
+ * @param {Object} options - Parser options
+ * @param {string} options.format - auto|caddy|combined|cloudflare (default: auto)
+ * @param {string} options.site - Site for combined logs without vhost
+ * @returns {Object|null} Parsed event, or null for non-access lines
+ * @throws {Error} If the line is malformed for its format
+ */
+export function parseLogLine(line, options = {}) {
+  const format = options.format || 'auto';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  let json = null;
+  if (trimmed.startsWith('{') && format !== 'combined') {
+    json = JSON.parse(trimmed); // Throws on malformed JSON
+  }
+
+  const detected = format === 'auto' ? detectFormat(trimmed, json) : format;
+
+  switch (detected) {
+    case 'caddy':
+      if (!json) throw new Error('Expected Caddy JSON log line');
+      return parseCaddyEntry(json);
+    case 'cloudflare':
+      if (!json) throw new Error('Expected Cloudflare Logpush JSON record');
+      return parseCloudflareRecord(json);
+    case 'combined':
+      return parseCombinedLine(trimmed, options);
+    default:
+      throw new Error('Unrecognized JSON log record');
+  }
+}
@@ -0,0 +1,416 @@
+/**
+ * Log Source Module
+ * Pluggable readers for access logs (journald, log files, stdin)
+ *
+ * Every source exposes the same interface:
+ *   source.read(position, options) → async iterator of { line, position }
+ *
+ * `position` is adapter-specific and opaque to the caller. Persist the
+ * position yielded with the last consumed line and pass it back to read()
+ * on the next run to resume where the previous run stopped.
+ *
+ * With `options.follow` a source keeps tailing after it has caught up
+ * (journalctl --follow, polling for appended lines and rotated files) until
+ * `options.signal` is aborted.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// ============================================================================
+// LINE READER
+// ============================================================================
+
+/**
+ * Split a byte stream into lines while tracking byte offsets
+ * @param {Readable} stream - Byte stream
+ * @param {number} startOffset - Offset of the first byte in the stream
+ * @param {boolean} emitPartial - Emit a trailing line without newline
+ * @returns {AsyncGenerator<{line: string, end: number}>} Lines with end offsets
+ */
+async function* readLines(stream, startOffset = 0, emitPartial = true) {
+  let pending = Buffer.alloc(0);
+  let offset = startOffset;
+
+  for await (const chunk of stream) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+    let newline;
+    while ((newline = pending.indexOf(0x0a)) !== -1) {
+      const line = pending.subarray(0, newline).toString('utf8').replace(/\r$/, '');
+      offset += newline + 1;
+      pending = pending.subarray(newline + 1);
+      if (line.length > 0) {
+        yield { line, end: offset };
+      }
+    }
+  }
+
+  // A trailing line without newline may still be written by the server,
+  // so live files leave it for the next run
+  if (emitPartial && pending.length > 0) {
+    offset += pending.length;
+    yield { line: pending.toString('utf8').replace(/\r$/, ''), end: offset };
+  }
+}
+
+/**
+ * Wait between polls, returning early when the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+export function pause(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
+
+// ============================================================================
+// JOURNALD SOURCE
+// ============================================================================
+
+/**
+ * Read Caddy logs from the systemd journal
+ * Position: { cursor } - journald cursor of the last consumed entry
+ *
+ * @param {Object} spec - Source configuration
+ * @param {string} spec.name - Source name (used as checkpoint key)
+ * @param {string} spec.unit - systemd unit (default: caddy)
+ * @returns {Object} Log source
+ */
+export function journaldSource(spec = {}) {
+  const unit = spec.unit || 'caddy';
+
+  return {
+    name: spec.name || 'journald',
+    type: 'journald',
+
+    /**
+     * @param {Object|null} position - Last persisted position
+     * @param {Object} options - Read options
+     * @param {Date|null} options.since - Start time when no position exists
+     * @param {Date|null} options.until - End time (historical backfill)
+     * @param {boolean} options.follow - Keep waiting for new entries
+     * @param {AbortSignal} options.signal - Stops following
+     */
+    async *read(position, options = {}) {
+      const args = ['-u', unit, '--output=json', '--no-pager'];
+      if (options.follow) {
+        args.push('--follow');
+      }
+
+      if (position?.cursor) {
+        args.push(`--after-cursor=${position.cursor}`);
+      } else if (options.since) {
+        args.push(`--since=${formatJournalTime(options.since)}`);
+      } else {
+        // First run - get last 1 hour
+        args.push('--since=-1h');
+      }
+
+      if (options.until) {
+        args.push(`--until=${formatJournalTime(options.until)}`);
+      }
+
+      const child = spawn('journalctl', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      const exited = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', resolve);
+      });
+
+      const stop = () => child.kill('SIGTERM');
+      options.signal?.addEventListener('abort', stop, { once: true });
+
+      try {
+        // Reading the pipe only as fast as lines are consumed applies backpressure to journalctl
+        for await (const { line: raw } of readLines(child.stdout)) {
+          let record;
+          try {
+            record = JSON.parse(raw);
+          } catch (err) {
+            continue;
+          }
+
+          const message = Array.isArray(record.MESSAGE)
+            ? Buffer.from(record.MESSAGE).toString('utf8')  // Non-UTF8 messages are byte arrays
+            : record.MESSAGE;
+
+          if (typeof message !== 'string') continue;
+
+          yield { line: message, position: { cursor: record.__CURSOR } };
+        }
+
+        const code = await exited;
+        if (code !== 0 && !options.signal?.aborted && stderr.trim()) {
+          throw new Error(`journalctl exited with code ${code}: ${stderr.trim()}`);
+        }
+      } finally {
+        options.signal?.removeEventListener('abort', stop);
+        if (child.exitCode === null) stop(); // Consumer stopped early
+      }
+    }
+  };
+}
+
+/**
+ * Format a Date for journalctl --since/--until (UTC, second precision)
+ */
+function formatJournalTime(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+// ============================================================================
+// FILE SOURCE
+// ============================================================================
+
+/**
+ * Read access log files, including rotated and gzipped archives
+ * Position: { file, inode, offset } - byte offset in the live log file
+ *
+ * `path` may point at a log file (rotated siblings such as
+ * access-2025-11-10T10-00-00.000.log.gz are picked up automatically)
+ * or at a directory of *.log / *.log.gz files copied from another host.
+ *
+ * @param {Object} spec - Source configuration
+ * @param {string} spec.name - Source name (used as checkpoint key)
+ * @param {string} spec.path - Log file or directory
+ * @returns {Object} Log source
+ */
+export function fileSource(spec = {}) {
+  if (!spec.path) {
+    throw new Error('File log source requires a path');
+  }
+
+  return {
+    name: spec.name || `file:${spec.path}`,
+    type: 'file',
+
+    /**
+     * @param {Object|null} position - Last persisted position
+     * @param {Object} options - Read options
+     * @param {Date|null} options.since - Skip files last modified before this time
+     * @param {boolean} options.follow - Keep polling for appended lines and new files
+     * @param {number} options.pollInterval - Follow poll interval in ms (default: 1000)
+     * @param {AbortSignal} options.signal - Stops following
+     */
+    async *read(position, options = {}) {
+      // Bytes consumed per inode during this read, so polls only pick up appended data
+      const consumed = new Map();
+      let firstPass = true;
+
+      while (!options.signal?.aborted) {
+        const files = listLogFiles(spec.path);
+
+        for (const file of files) {
+          if (options.signal?.aborted) return;
+
+          if (firstPass) {
+            // Rotated files that were complete before the checkpoint hold nothing new
+            if (options.since && file.mtimeMs < options.since.getTime()) {
+              if (!file.gzip) consumed.set(file.ino, file.size);
+              continue;
+            }
+          } else if (file.gzip) {
+            continue; // Archives appearing while tailing are compressed copies of files already read
+          }
+
+          let start = 0;
+          if (!file.gzip) {
+            if (consumed.has(file.ino)) {
+              start = consumed.get(file.ino);
+            } else if (firstPass && position?.inode === file.ino) {
+              start = position.offset;
+            }
+            if (start > file.size) start = 0; // Truncated (copytruncate rotation)
+            if (start === file.size) {
+              consumed.set(file.ino, start);
+              continue; // Nothing appended since the last read
+            }
+          }
+
+          let stream = fs.createReadStream(file.path, { start });
+          if (file.gzip) {
+            stream = stream.pipe(zlib.createGunzip());
+          }
+
+          // Only the newest file is still being written to
+          const isLive = file === files[files.length - 1] && !file.gzip;
+
+          for await (const { line, end } of readLines(stream, start, !isLive)) {
+            if (!file.gzip) consumed.set(file.ino, end);
+            yield {
+              line,
+              position: file.gzip
+                ? position // Offsets into decompressed archives are not resumable
+                : { file: file.path, inode: file.ino, offset: end }
+            };
+          }
+        }
+
+        if (!options.follow) return;
+
+        firstPass = false;
+        await pause(options.pollInterval || 1000, options.signal);
+      }
+    }
+  };
+}
+
+/**
+ * List log files for a path, oldest first
+ * @param {string} logPath - Log file or directory
+ * @returns {Array<Object>} Files with stat information
+ */
+function listLogFiles(logPath) {
+  if (!fs.existsSync(logPath)) {
+    throw new Error(`Log path not found: ${logPath}`);
+  }
+
+  let candidates;
+  if (fs.statSync(logPath).isDirectory()) {
+    candidates = fs.readdirSync(logPath)
+      .filter(name => /\.(log|json)(\.gz)?$/.test(name))
+      .map(name => path.join(logPath, name));
+  } else {
+    // Include rotated siblings: access.log → access-<timestamp>.log[.gz]
+    const dir = path.dirname(logPath);
+    const base = path.basename(logPath).replace(/\.(log|json)$/, '');
+    candidates = fs.readdirSync(dir)
+      .filter(name => name === path.basename(logPath) ||
+                      (name.startsWith(`${base}-`) && /\.(log|json)(\.gz)?$/.test(name)))
+      .map(name => path.join(dir, name));
+  }
+
+  return candidates
+    .map(file => {
+      const stat = fs.statSync(file);
+      return {
+        path: file,
+        ino: stat.ino,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        gzip: file.endsWith('.gz')
+      };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+}
+
+// ============================================================================
+// STDIN SOURCE
+// ============================================================================
+
+/**
+ * Read log lines piped into the process
+ * Position: null - stdin cannot seek, resume relies on the timestamp watermark
+ *
+ * @param {Object} spec - Source configuration
+ * @param {string} spec.name - Source name (used as checkpoint key)
+ * @returns {Object} Log source
+ */
+export function stdinSource(spec = {}) {
+  return {
+    name: spec.name || 'stdin',
+    type: 'stdin',
+
+    /**
+     * @param {Object|null} position - Ignored
+     * @param {Object} options - Read options
+     * @param {AbortSignal} options.signal - Stops reading (stdin always streams until EOF)
+     */
+    async *read(position, options = {}) {
+      const stop = () => process.stdin.destroy();
+      options.signal?.addEventListener('abort', stop, { once: true });
+
+      try {
+        for await (const { line } of readLines(process.stdin)) {
+          yield { line, position: null };
+        }
+      } catch (err) {
+        if (!options.signal?.aborted) throw err; // Destroying stdin on abort ends it prematurely
+      } finally {
+        options.signal?.removeEventListener('abort', stop);
+      }
+    }
+  };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+const SOURCE_TYPES = {
+  journald: journaldSource,
+  file: fileSource,
+  stdin: stdinSource
+};
+
+/**
+ * Create a log source from its configuration
+ * @param {Object} spec - Source configuration ({ type, name, format, site, ... })
+ * @returns {Object} Log source (with parser options for its lines)
+ */
+export function createLogSource(spec) {
+  const factory = SOURCE_TYPES[spec.type];
+  if (!factory) {
+    throw new Error(`Unknown log source type: ${spec.type} (expected ${Object.keys(SOURCE_TYPES).join(', ')})`);
+  }
+
+  return {
+    ...factory(spec),
+    // Passed to parseLogLine() for every line this source yields
+    parserOptions: {
+      format: spec.format || 'auto',
+      site: spec.site || null
+    }
+  };
+}
+
+// Used when config.ingestion.sources is not set
+export const DEFAULT_SOURCES = [
+  { name: 'journald', type: 'journald', unit: 'caddy' }
+];
+
+/**
+ * Resolve the log sources to read from config and command-line arguments
+ *   --file <path>    One log file (ad-hoc file source)
+ *   --source <name>  One configured source by name or type, or an ad-hoc
+ *                    source of that type (e.g. stdin)
+ * Without either, every source in config.ingestion.sources (or DEFAULT_SOURCES).
+ * @param {Object} config - Loaded configuration
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Array<Object>} Log sources
+ */
+export function resolveSources(config, args) {
+  const configured = config.ingestion?.sources || DEFAULT_SOURCES;
+
+  const fileIndex = args.indexOf('--file');
+  if (fileIndex !== -1) {
+    const filePath = args[fileIndex + 1];
+    if (!filePath) {
+      throw new Error('--file requires a path');
+    }
+    return [createLogSource({ type: 'file', path: path.resolve(filePath) })];
+  }
+
+  const sourceIndex = args.indexOf('--source');
+  if (sourceIndex !== -1) {
+    const name = args[sourceIndex + 1];
+    const spec = configured.find(s => s.name === name) ||
+                 configured.find(s => s.type === name) ||
+                 { name, type: name }; // Ad-hoc source of that type (e.g. stdin)
+    return [createLogSource(spec)];
+  }
+
+  return configured.map(spec => createLogSource(spec));
+}
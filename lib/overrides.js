@@ -0,0 +1,180 @@
+/**
+ * Classification Overrides Module
+ * Manual labels that pin a classification and/or bot name to an IP, CIDR,
+ * ASN or User-Agent pattern (classification_overrides table, managed through
+ * /api/overrides and the /overrides page)
+ *
+ * classify() checks overrides before any rule. An override that pins a
+ * classification replaces the rules entirely; one that only pins a bot_name
+ * renames the rule result. Either way the event records the override in
+ * detection_rules ("override:<id>") and detection_reason.
+ *
+ * When several overrides match, the most specific wins:
+ *   ip (longest prefix first) → asn → user_agent (oldest first)
+ *
+ * Overrides that pin a classification double as ground truth: their events
+ * are the labeled set of GET /api/overrides/accuracy.
+ *
+ * config.overrides:
+ *   {
+ *     "refresh_interval": 60   // Seconds between reloads from the database
+ *   }
+ */
+
+import { parseCIDR, cidrContains } from './cidr.js';
+import { getOverrides } from './db.js';
+import { createRegistryLoader, validateProvenance } from './registry-loader.js';
+
+export const MATCH_TYPES = ['ip', 'asn', 'user_agent'];
+
+const TYPE_ORDER = { ip: 0, asn: 1, user_agent: 2 };
+
+let overrides = [];
+
+// ============================================================================
+// VALIDATION & COMPILATION
+// ============================================================================
+
+/**
+ * Validate an override as submitted to the API
+ * @param {Object} input - { match_type, match_value, bot_classification, bot_name, note, author }
+ * @param {Array<string>} categories - Classifications the classifier produces (getClassifierCategories in lib/ai-classifier-v2.js)
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+export function validateOverride(input, categories) {
+  const errors = [];
+
+  if (!MATCH_TYPES.includes(input.match_type)) {
+    errors.push(`match_type must be one of ${MATCH_TYPES.join(', ')}`);
+  } else if (typeof input.match_value !== 'string' || input.match_value.trim() === '') {
+    errors.push('match_value is required');
+  } else if (input.match_type === 'ip' && !parseCIDR(input.match_value)) {
+    errors.push(`match_value ${input.match_value} is not an IP address or CIDR`);
+  } else if (input.match_type === 'asn' && !/^\d+$/.test(input.match_value.trim())) {
+    errors.push(`match_value ${input.match_value} is not an ASN number`);
+  } else if (input.match_type === 'user_agent') {
+    try {
+      new RegExp(input.match_value, 'i');
+    } catch (err) {
+      errors.push(`match_value is not a valid regex: ${err.message}`);
+    }
+  }
+
+  if (!input.bot_classification && !input.bot_name) {
+    errors.push('Pin a bot_classification, a bot_name or both');
+  }
+  if (input.bot_classification && !categories.includes(input.bot_classification)) {
+    errors.push(`bot_classification must be one of ${categories.join(', ')}`);
+  }
+  if (input.bot_name && (typeof input.bot_name !== 'string' || input.bot_name.length > 50)) {
+    errors.push('bot_name must be a string of at most 50 characters');
+  }
+  errors.push(...validateProvenance(input, 'why the override exists'));
+
+  return errors;
+}
+
+/**
+ * Compile an override row for matching
+ * @param {Object} row - classification_overrides row
+ * @returns {Object|null} Compiled override, or null if the stored value no longer parses
+ */
+function compileOverride(row) {
+  const override = { ...row };
+
+  if (row.match_type === 'ip') {
+    override.cidr = parseCIDR(row.match_value);
+    if (!override.cidr) return null;
+    override.matches = event => !!event.client_ip && cidrContains(override.cidr, event.client_ip);
+  } else if (row.match_type === 'asn') {
+    const asn = parseInt(row.match_value);
+    override.matches = event => event.asn !== null && event.asn !== undefined && Number(event.asn) === asn;
+  } else if (row.match_type === 'user_agent') {
+    try {
+      const regex = new RegExp(row.match_value, 'i');
+      override.matches = event => regex.test(event.user_agent || '');
+    } catch {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  return override;
+}
+
+/**
+ * Replace the active overrides
+ * @param {Array<Object>} rows - Enabled classification_overrides rows
+ * @returns {number} Number of usable overrides
+ */
+export function setOverrides(rows) {
+  const compiled = [];
+  for (const row of rows) {
+    const override = compileOverride(row);
+    if (override) {
+      compiled.push(override);
+    } else {
+      console.warn(`  Skipping invalid override #${row.id} (${row.match_type} ${row.match_value})`);
+    }
+  }
+
+  overrides = compiled.sort((a, b) =>
+    TYPE_ORDER[a.match_type] - TYPE_ORDER[b.match_type]
+    || (b.cidr?.prefix ?? 0) - (a.cidr?.prefix ?? 0)
+    || a.id - b.id
+  );
+  return overrides.length;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+const loader = createRegistryLoader({
+  load: () => getOverrides({ enabledOnly: true }),
+  apply: setOverrides,
+  loaded: count => `Classification overrides loaded: ${count}`,
+  failed: 'Failed to load classification overrides (keeping previous set)'
+});
+
+/**
+ * Set the reload interval
+ * @param {Object} config - "overrides" section of the config
+ */
+export function initOverrides(config = {}) {
+  loader.init(config);
+}
+
+/**
+ * Reload enabled overrides from the database
+ * Calls within refresh_interval reuse the loaded set. On errors (e.g. before
+ * migrate-overrides.sql) the previous set is kept.
+ * @param {boolean} force - Ignore refresh_interval
+ * @returns {Promise<boolean>} True if the overrides are current
+ */
+export function refreshOverrides(force = false) {
+  return loader.refresh(force);
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Find the override for an event
+ * @param {Object} event - { client_ip, asn, user_agent }
+ * @returns {Object|null} Most specific matching override
+ */
+export function findOverride(event) {
+  return overrides.find(override => override.matches(event)) || null;
+}
+
+/**
+ * Describe an override for detection_reason
+ * @param {Object} override - Matched override
+ * @returns {string} e.g. "Manual override #3 (ip 203.0.113.7, by alice): Our uptime monitor"
+ */
+export function describeOverride(override) {
+  return `Manual override #${override.id} (${override.match_type} ${override.match_value}, by ${override.author}): ${override.note}`;
+}
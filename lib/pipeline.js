@@ -0,0 +1,323 @@
+/**
+ * Ingestion Pipeline Module
+ * Shared filter → enrich → insert steps for every ingestion entry point
+ * (live ingestion, historical backfill)
+ */
+
+import { batchInsert, getRecentSessions, USER_AGENT_FIELDS, HEADER_FIELDS } from './db.js';
+import { initGeoIP, lookupCity } from './geoip.js';
+import { initASN, lookupASN, getDatacenterProvider, initDatacenterASNs, refreshDatacenterASNs } from './asn-lookup.js';
+import { classify, classifyShadow, loadClassifierRules, loadShadowRules, detectBrowserSignals, extractBotHeaders, detectSecurityFlags } from './ai-classifier-v2.js';
+import { loadExclusions, getExclusionReason } from './exclusions.js';
+import { initCrowdSec, getDecision } from './crowdsec.js';
+import { initBotVerification } from './bot-verification.js';
+import { initSessionizer, getSessionGap, seedSessions, trackEvent, claimSessionRelabel } from './sessionizer.js';
+import { initOverrides, refreshOverrides } from './overrides.js';
+import { initAgentDetection } from './agent-detection.js';
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Initialize exclusion rules, classifier rules and overrides, crawler
+ * verification, sessions and the AI agent review, CrowdSec client and
+ * enrichment lookups (GeoIP, ASN and the datacenter ASN registry)
+ * @param {Object} config - Loaded configuration
+ */
+export async function initPipeline(config) {
+  loadExclusions(config.exclusions);
+  loadClassifierRules(config.classifier?.rules_file); // Bundled rules when unset
+  loadCandidateRules(config.classifier?.shadow_rules_file);
+  initOverrides(config.overrides);
+  await refreshOverrides(true);
+  initBotVerification(config.bot_verification);
+  initSessionizer(config.sessions);
+  initAgentDetection(config.agent_detection);
+  await seedOpenSessions();
+  initCrowdSec(config.crowdsec);
+  await initGeoIP(config.geoip?.city_db);
+  await initASN(config.geoip?.asn_db);
+  initDatacenterASNs(config.datacenter_asns);
+  await refreshDatacenterASNs(true);
+}
+
+/**
+ * Continue the sessions of earlier runs that are still within the gap
+ * Without it (e.g. before migrate-sessions.sql), sessions start empty.
+ */
+async function seedOpenSessions() {
+  try {
+    const seeded = seedSessions(await getRecentSessions(getSessionGap() / 1000));
+    console.log(`Sessions restored: ${seeded} open sessions`);
+  } catch (err) {
+    console.warn(`Could not restore open sessions: ${err.message}`);
+  }
+}
+
+/**
+ * Load the shadow (candidate) ruleset, if configured
+ * An invalid candidate disables shadow mode instead of stopping ingestion.
+ */
+function loadCandidateRules(file) {
+  try {
+    loadShadowRules(file);
+  } catch (err) {
+    console.warn(`Shadow classifier disabled: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// FILTERING
+// ============================================================================
+
+/**
+ * Determine why an event is filtered out of the default dashboards
+ * Exclusion rules come from config.exclusions (see lib/exclusions.js).
+ * Filtered events are still enriched and stored so attack traffic stays measurable.
+ * @param {Object} event - Parsed event
+ * @returns {string|null} 'excluded_ip' | 'excluded_host' | 'excluded_path' | 'crowdsec_banned', or null
+ */
+export function getFilterReason(event) {
+  // Configured IPs/CIDRs, hosts and scanner paths
+  const exclusionReason = getExclusionReason(event);
+  if (exclusionReason) {
+    return exclusionReason;
+  }
+
+  // Check if IP (or its range) is banned by CrowdSec
+  if (getDecision(event.client_ip)?.type === 'ban') {
+    return 'crowdsec_banned';
+  }
+
+  return null;
+}
+
+// ============================================================================
+// ENRICHMENT
+// ============================================================================
+
+/**
+ * Enrich event with GeoIP, ASN, and classification
+ * @param {Object} event - Parsed event
+ * @returns {Promise<Object>} Enriched event
+ */
+export async function enrichEvent(event) {
+  // GeoIP lookup
+  // (Cloudflare Logpush records carry edge-side country/ASN as fallback)
+  const geoData = lookupCity(event.client_ip);
+  event.country = geoData.country || event.country || null;
+  event.city = geoData.city;
+  event.latitude = geoData.latitude;
+  event.longitude = geoData.longitude;
+
+  // ASN lookup
+  const asnData = lookupASN(event.client_ip);
+  event.asn = asnData.asn || event.asn || null;
+  event.asn_org = asnData.asn_org;
+  event.datacenter_provider = asnData.datacenter_provider || getDatacenterProvider(event.asn);
+
+  // Calculate subnet (/24 for IPv4, /64 for IPv6)
+  if (event.client_ip.includes(':')) {
+    // IPv6 - use /64 (first 4 hextets)
+    const parts = event.client_ip.split(':').filter(p => p !== '');
+    if (parts.length >= 4) {
+      event.subnet = parts.slice(0, 4).join(':') + '::/64';
+    } else {
+      // Handle compressed notation
+      event.subnet = parts.join(':') + '::/64';
+    }
+  } else {
+    // IPv4 - use /24
+    const parts = event.client_ip.split('.');
+    event.subnet = `${parts[0]}.${parts[1]}.${parts[2]}.0/24`;
+  }
+
+  // Session statistics (rate, path diversity, subnet activity)
+  const sessionStats = trackEvent(event);
+  event.session_id = sessionStats.session_id;
+
+  // Bot classification
+  const classifierInput = {
+    timestamp: event.timestamp,
+    client_ip: event.client_ip,
+    user_agent: event.user_agent,
+    path: event.path,
+    headers: event.headers,
+    country: event.country,
+    asn: event.asn,
+    datacenter_provider: event.datacenter_provider,
+    sessionStats
+  };
+  const classification = await classify(classifierInput);
+
+  event.is_bot = classification.is_bot;
+  event.bot_classification = classification.bot_classification;
+  event.bot_name = classification.bot_name;
+  event.detection_level = classification.detection_level;
+  event.detection_reason = classification.detection_reason;
+  event.detection_rules = classification.detection_rules;
+  event.classifier_version = classification.classifier_version;
+  event.bot_score = classification.bot_score;
+  event.bot_score_signals = classification.bot_score_signals;
+
+  // Parsed User-Agent and header fingerprint (lib/ua-parser.js,
+  // lib/header-fingerprint.js, computed by the classifier)
+  for (const field of [...USER_AGENT_FIELDS, ...HEADER_FIELDS]) {
+    event[field] = classification[field];
+  }
+  event.agent_evidence = classification.agent_evidence;
+
+  // Burst or AI agent revealed by this event: the session's earlier events are
+  // re-labeled when it is stored (once per session, see upsertEvents)
+  event.relabel_session = classification.relabel_session
+    && claimSessionRelabel(event.session_id, event.client_ip);
+
+  // Candidate ruleset in shadow: stored separately, never affects the event
+  event.shadow_classification = await classifyShadowSafely(classifierInput);
+
+  // Browser signals
+  const browserSignals = detectBrowserSignals(event.headers);
+  event.has_sec_fetch_headers = browserSignals.has_sec_fetch_headers;
+  event.has_client_hints = browserSignals.has_client_hints;
+  event.is_mobile = browserSignals.is_mobile;
+
+  // Bot-specific headers
+  const botHeaders = extractBotHeaders(event.headers);
+  event.bot_from_email = botHeaders.bot_from_email;
+  event.openai_host_hash = botHeaders.openai_host_hash;
+
+  // Security flags
+  const securityFlags = detectSecurityFlags(event.headers, event.path);
+  event.has_cf_worker = securityFlags.has_cf_worker;
+  event.cf_worker_domain = securityFlags.cf_worker_domain;
+  event.is_exploit_attempt = securityFlags.is_exploit_attempt;
+
+  // CrowdSec decision metadata (any decision type covering the IP)
+  const decision = getDecision(event.client_ip);
+  event.crowdsec_scenario = decision?.scenario || null;
+  event.crowdsec_origin = decision?.origin || null;
+  event.crowdsec_type = decision?.type || null;
+  event.crowdsec_until = decision?.until || null;
+
+  // Store full headers as JSON
+  event.headers_json = event.headers;
+
+  // Remove headers from top level (stored in headers_json)
+  delete event.headers;
+
+  return event;
+}
+
+/**
+ * Shadow classification that cannot fail enrichment
+ * @param {Object} input - Classifier input
+ * @returns {Promise<Object|null>} Shadow result, or null (no shadow ruleset or error)
+ */
+async function classifyShadowSafely(input) {
+  try {
+    return await classifyShadow(input);
+  } catch (err) {
+    console.warn(`Shadow classification failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Flag and enrich parsed events
+ * Filtered events are kept with their filter_reason and counted in `filtered`.
+ * Events that fail enrichment are returned in `failures` with their error.
+ * @param {Array} events - Parsed events
+ * @returns {Promise<Object>} { events, filtered, filteredByReason, failed, failures }
+ */
+export async function processEvents(events) {
+  const processed = [];
+  const filteredByReason = {};
+  const failures = [];
+  let filtered = 0;
+
+  await refreshOverrides(); // No-op within overrides.refresh_interval
+  await refreshDatacenterASNs(); // No-op within datacenter_asns.refresh_interval
+
+  for (const parsedEvent of events) {
+    try {
+      parsedEvent.filter_reason = getFilterReason(parsedEvent);
+      if (parsedEvent.filter_reason) {
+        filtered++;
+        filteredByReason[parsedEvent.filter_reason] = (filteredByReason[parsedEvent.filter_reason] || 0) + 1;
+      }
+
+      processed.push(await enrichEvent(parsedEvent));
+    } catch (err) {
+      failures.push({ event: parsedEvent, error: err.message });
+      console.error('Failed to process log entry:', err.message);
+    }
+  }
+
+  return { events: processed, filtered, filteredByReason, failed: failures.length, failures };
+}
+
+// ============================================================================
+// RECLASSIFICATION
+// ============================================================================
+
+/**
+ * Re-run ASN lookup and classification for a stored event
+ * Uses the stored headers (headers_json). Refreshed ASN data falls back to the
+ * stored values for IPs the ASN database does not know.
+ * @param {Object} row - events row (timestamp, client_ip, user_agent, path, headers_json, country, asn, asn_org, datacenter_provider)
+ * @param {Object} options - Reclassification options
+ * @param {boolean} options.refreshAsn - Look the ASN up again (default: true)
+ * @param {Object} options.sessionStats - Session statistics for session rules (see lib/sessionizer.js)
+ * @param {boolean} options.overrides - Apply manual overrides (default: true)
+ * @returns {Promise<Object>} { asn, asn_org, datacenter_provider, ...classification }
+ */
+export async function reclassifyStoredEvent(row, { refreshAsn = true, sessionStats = null, overrides = true } = {}) {
+  let { asn, asn_org: asnOrg, datacenter_provider: datacenterProvider } = row;
+
+  if (refreshAsn) {
+    const asnData = lookupASN(row.client_ip);
+    asn = asnData.asn || asn || null;
+    asnOrg = asnData.asn_org || asnOrg || null;
+    datacenterProvider = asnData.datacenter_provider || getDatacenterProvider(asn);
+  }
+
+  const classification = await classify({
+    timestamp: row.timestamp,
+    client_ip: row.client_ip,
+    user_agent: row.user_agent,
+    path: row.path,
+    headers: row.headers_json || {},
+    country: row.country,
+    asn,
+    datacenter_provider: datacenterProvider,
+    sessionStats
+  }, { overrides });
+
+  return { asn, asn_org: asnOrg, datacenter_provider: datacenterProvider, ...classification };
+}
+
+// ============================================================================
+// INSERTION
+// ============================================================================
+
+/**
+ * Upsert enriched events in batches
+ * @param {Array} events - Enriched events
+ * @param {Object} options - Insert options
+ * @param {number} options.batchSize - Events per transaction (default: 100)
+ * @param {Function} options.checkpoint - (batch) => checkpoint committed with the batch
+ * @returns {Promise<number>} Number of newly inserted events
+ */
+export async function insertEvents(events, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  let insertedTotal = 0;
+
+  for (let i = 0; i < events.length; i += batchSize) {
+    const batch = events.slice(i, i + batchSize);
+    const checkpoint = options.checkpoint ? options.checkpoint(batch) : null;
+    const inserted = await batchInsert(batch, checkpoint);
+    insertedTotal += inserted;
+    console.log(`  Inserted batch ${Math.floor(i / batchSize) + 1}: ${inserted} new records (${batch.length - inserted} already present)`);
+  }
+
+  return insertedTotal;
+}
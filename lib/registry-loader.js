@@ -0,0 +1,80 @@
+/**
+ * Registry Loader Module
+ * Shared plumbing for the database-managed registries (classification
+ * overrides, datacenter ASNs): reload on an interval, keep the previous set on
+ * errors, and validate the provenance every entry carries.
+ *
+ * Each registry's config section takes:
+ *   {
+ *     "refresh_interval": 60   // Seconds between reloads from the database
+ *   }
+ */
+
+const DEFAULT_REFRESH_INTERVAL = 60;
+
+/**
+ * Build an interval reloader for a registry
+ * @param {Object} options
+ * @param {Function} options.load - async () => rows from the database
+ * @param {Function} options.apply - (rows) => number of active entries
+ * @param {Function} options.loaded - (count) => log line after a (forced or first) load
+ * @param {string} options.failed - Log prefix when loading fails (the previous set is kept)
+ * @returns {Object} { init(config), refresh(force) }
+ */
+export function createRegistryLoader({ load, apply, loaded, failed }) {
+  let refreshInterval = DEFAULT_REFRESH_INTERVAL * 1000;
+  let lastRefresh = 0;
+
+  return {
+    /**
+     * Set the reload interval
+     * @param {Object} config - Registry section of the config
+     */
+    init(config = {}) {
+      refreshInterval = (config?.refresh_interval || DEFAULT_REFRESH_INTERVAL) * 1000;
+      lastRefresh = 0;
+    },
+
+    /**
+     * Reload from the database; calls within refresh_interval reuse the loaded set
+     * @param {boolean} force - Ignore refresh_interval
+     * @returns {Promise<boolean>} True if the registry is current
+     */
+    async refresh(force = false) {
+      const now = Date.now();
+      if (!force && now - lastRefresh < refreshInterval) {
+        return true;
+      }
+
+      try {
+        const count = apply(await load());
+        if (lastRefresh === 0 || force) {
+          console.log(loaded(count));
+        }
+        lastRefresh = now;
+        return true;
+      } catch (err) {
+        lastRefresh = now; // Retry after the interval, not on every batch
+        console.error(`${failed}:`, err.message);
+        return false;
+      }
+    }
+  };
+}
+
+/**
+ * Validate the note and author every registry entry records
+ * @param {Object} input - { note, author }
+ * @param {string} noteHint - What the note should say, e.g. "why the override exists"
+ * @returns {Array<string>} Problems (empty if valid)
+ */
+export function validateProvenance(input, noteHint) {
+  const errors = [];
+  if (typeof input.note !== 'string' || input.note.trim() === '') {
+    errors.push(`note is required (${noteHint})`);
+  }
+  if (typeof input.author !== 'string' || input.author.trim() === '') {
+    errors.push('author is required');
+  }
+  return errors;
+}
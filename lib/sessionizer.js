@@ -0,0 +1,283 @@
+/**
+ * Sessionizer Module
+ * Groups events into sessions by client IP (and subnet) using an inactivity gap
+ *
+ * Sessions live in memory across batches: the streaming daemon keeps them for
+ * its whole lifetime, and every process seeds them from the events of the
+ * last gap window at startup (seedSessions), so a cron run continues the
+ * sessions of the previous one.
+ *
+ * Each event gets session statistics for classify():
+ *   session_id, request_count, duration_seconds, request_rate, unique_paths,
+ *   path_diversity, interval_cv, deep_page_ratio, subnet_request_count,
+ *   subnet_unique_ips, subnet_request_rate
+ *
+ * interval_cv is the coefficient of variation (stddev / mean) of the time
+ * between page requests: near 0 for machine-paced clients, around 1 or more
+ * for people reading. deep_page_ratio is the share of pages at least two path
+ * segments deep (/blog/post, not / or /blog). Both only cover pages tracked
+ * by this process (not seeded ones) and stay null below MIN_RATE_REQUESTS.
+ *
+ * Counts, paths and rates cover page requests only (HTML responses, or
+ * extension-less paths without a content type): a browser loading a page's
+ * assets would otherwise look like a burst. Asset requests join the session
+ * without counting. Rates stay null until a session has MIN_RATE_REQUESTS pages.
+ *
+ * Timing uses event timestamps (not wall-clock time), so backfills sessionize
+ * the same way as live ingestion.
+ *
+ * config.sessions:
+ *   {
+ *     "gap": 1800,             // Seconds of inactivity that end a session
+ *     "max_sessions": 50000    // Oldest sessions are dropped beyond this
+ *   }
+ */
+
+const DEFAULT_GAP = 1800;           // Seconds
+const DEFAULT_MAX_SESSIONS = 50000;
+const SWEEP_INTERVAL = 1000;        // Events between expired-session sweeps
+const MIN_RATE_REQUESTS = 5;        // Page requests before a rate is reported
+
+let gapMs = DEFAULT_GAP * 1000;
+let maxSessions = DEFAULT_MAX_SESSIONS;
+
+// client_ip → session, subnet → subnet session
+const ipSessions = new Map();
+const subnetSessions = new Map();
+let latestTimestamp = 0;
+let eventsSinceSweep = 0;
+
+/**
+ * Configure the sessionizer (clears all sessions)
+ * @param {Object} config - "sessions" section of the config
+ */
+export function initSessionizer(config = {}) {
+  gapMs = (config?.gap || DEFAULT_GAP) * 1000;
+  maxSessions = config?.max_sessions || DEFAULT_MAX_SESSIONS;
+  ipSessions.clear();
+  subnetSessions.clear();
+  latestTimestamp = 0;
+  eventsSinceSweep = 0;
+}
+
+/**
+ * @returns {number} Session gap in milliseconds
+ */
+export function getSessionGap() {
+  return gapMs;
+}
+
+/**
+ * Session id: client IP and session start, stable across re-ingestion
+ */
+function sessionId(ip, start) {
+  return `${ip}@${new Date(start).toISOString()}`;
+}
+
+/**
+ * Find the open session for a key, or start a new one
+ * An event more than the gap before the session start or after its last
+ * event starts a new session.
+ */
+function getSession(sessions, key, time, create) {
+  let session = sessions.get(key);
+  if (!session || time > session.lastSeen + gapMs || time < session.firstSeen - gapMs) {
+    session = create();
+    sessions.delete(key);
+  } else {
+    sessions.delete(key); // Re-insert below: Map order = least recently used first
+  }
+  sessions.set(key, session);
+
+  if (sessions.size > maxSessions) {
+    sessions.delete(sessions.keys().next().value);
+  }
+  return session;
+}
+
+/**
+ * Drop sessions that ended more than one gap before the newest event
+ */
+function sweepExpired() {
+  const cutoff = latestTimestamp - gapMs;
+  for (const sessions of [ipSessions, subnetSessions]) {
+    for (const [key, session] of sessions) {
+      if (session.lastSeen < cutoff) {
+        sessions.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Rate in requests per second (null for too small a sample)
+ */
+function requestRate(count, durationSeconds) {
+  return count >= MIN_RATE_REQUESTS && durationSeconds > 0 ? count / durationSeconds : null;
+}
+
+/**
+ * Page timing counters of a new (or seeded) session
+ */
+function emptyPageTiming() {
+  return { trackedPages: 0, deepPages: 0, lastPage: null, intervals: 0, intervalMean: 0, intervalM2: 0 };
+}
+
+/**
+ * Count a page request in the session's interval and depth statistics
+ * Intervals use Welford's running mean/variance; out-of-order events are
+ * counted as pages but not as intervals.
+ */
+function trackPageTiming(session, time, path) {
+  session.trackedPages++;
+  if ((path || '/').split('/').filter(Boolean).length >= 2) {
+    session.deepPages++;
+  }
+
+  if (session.lastPage !== null && time >= session.lastPage) {
+    const interval = (time - session.lastPage) / 1000;
+    session.intervals++;
+    const delta = interval - session.intervalMean;
+    session.intervalMean += delta / session.intervals;
+    session.intervalM2 += delta * (interval - session.intervalMean);
+  }
+  session.lastPage = Math.max(session.lastPage ?? time, time);
+}
+
+/**
+ * Coefficient of variation of the page intervals (null for too small a sample)
+ */
+function intervalVariation(session) {
+  if (session.intervals < MIN_RATE_REQUESTS || session.intervalMean <= 0) return null;
+  return Math.sqrt(session.intervalM2 / session.intervals) / session.intervalMean;
+}
+
+/**
+ * Whether an event is a page request (counted) rather than an asset
+ * @param {Object} event - Event with path and content_type
+ * @returns {boolean}
+ */
+export function isPageRequest(event) {
+  if (event.content_type) {
+    return event.content_type.includes('text/html');
+  }
+  const lastSegment = (event.path || '/').split('/').pop();
+  return !lastSegment.includes('.');
+}
+
+/**
+ * Add an event to its IP and subnet sessions
+ * @param {Object} event - Event with client_ip, subnet, path and timestamp
+ * @returns {Object} Session statistics including this event
+ */
+export function trackEvent(event) {
+  const time = new Date(event.timestamp).getTime();
+  const counted = isPageRequest(event);
+  latestTimestamp = Math.max(latestTimestamp, time);
+
+  if (++eventsSinceSweep >= SWEEP_INTERVAL) {
+    eventsSinceSweep = 0;
+    sweepExpired();
+  }
+
+  const session = getSession(ipSessions, event.client_ip, time, () => ({
+    id: sessionId(event.client_ip, time),
+    firstSeen: time,
+    lastSeen: time,
+    count: 0,
+    paths: new Set(),
+    seededPaths: 0,
+    ...emptyPageTiming(),
+    relabeled: false
+  }));
+  session.firstSeen = Math.min(session.firstSeen, time);
+  session.lastSeen = Math.max(session.lastSeen, time);
+  if (counted) {
+    session.count++;
+    session.paths.add(event.path);
+    trackPageTiming(session, time, event.path);
+  }
+
+  const subnetKey = event.subnet || event.client_ip;
+  const subnet = getSession(subnetSessions, subnetKey, time, () => ({
+    firstSeen: time,
+    lastSeen: time,
+    count: 0,
+    ips: new Set()
+  }));
+  subnet.firstSeen = Math.min(subnet.firstSeen, time);
+  subnet.lastSeen = Math.max(subnet.lastSeen, time);
+  if (counted) {
+    subnet.count++;
+    subnet.ips.add(event.client_ip);
+  }
+
+  const durationSeconds = (session.lastSeen - session.firstSeen) / 1000;
+  const uniquePaths = session.paths.size + session.seededPaths;
+  const subnetDuration = (subnet.lastSeen - subnet.firstSeen) / 1000;
+
+  return {
+    session_id: session.id,
+    request_count: session.count,
+    duration_seconds: durationSeconds,
+    request_rate: requestRate(session.count, durationSeconds),
+    unique_paths: uniquePaths,
+    path_diversity: session.count > 0 ? Math.min(1, uniquePaths / session.count) : null,
+    interval_cv: intervalVariation(session),
+    deep_page_ratio: session.trackedPages >= MIN_RATE_REQUESTS ? session.deepPages / session.trackedPages : null,
+    subnet_request_count: subnet.count,
+    subnet_unique_ips: subnet.ips.size,
+    subnet_request_rate: requestRate(subnet.count, subnetDuration)
+  };
+}
+
+/**
+ * Claim the one-time re-label of a session's earlier events
+ * @param {string} id - Session id
+ * @param {string} ip - Client IP of the session
+ * @returns {boolean} True the first time it is called for the session
+ */
+export function claimSessionRelabel(id, ip) {
+  const session = ipSessions.get(ip);
+  if (!session || session.id !== id || session.relabeled) {
+    return false;
+  }
+  session.relabeled = true;
+  return true;
+}
+
+/**
+ * Restore sessions from already stored events (see getRecentSessions in db.js)
+ * Path sets cannot be rebuilt, so their distinct count is carried over.
+ * @param {Array<Object>} rows - { session_id, client_ip, subnet, first_seen, last_seen, request_count, unique_paths, relabeled }
+ * @returns {number} Sessions restored
+ */
+export function seedSessions(rows) {
+  for (const row of rows) {
+    const firstSeen = new Date(row.first_seen).getTime();
+    const lastSeen = new Date(row.last_seen).getTime();
+    const count = parseInt(row.request_count);
+    latestTimestamp = Math.max(latestTimestamp, lastSeen);
+
+    ipSessions.set(row.client_ip, {
+      id: row.session_id,
+      firstSeen,
+      lastSeen,
+      count,
+      paths: new Set(),
+      seededPaths: parseInt(row.unique_paths),
+      ...emptyPageTiming(),
+      relabeled: !!row.relabeled
+    });
+
+    const subnetKey = row.subnet || row.client_ip;
+    const subnet = subnetSessions.get(subnetKey) || { firstSeen, lastSeen, count: 0, ips: new Set() };
+    subnet.firstSeen = Math.min(subnet.firstSeen, firstSeen);
+    subnet.lastSeen = Math.max(subnet.lastSeen, lastSeen);
+    subnet.count += count;
+    subnet.ips.add(row.client_ip);
+    subnetSessions.set(subnetKey, subnet);
+  }
+
+  return rows.length;
+}
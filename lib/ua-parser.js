@@ -0,0 +1,214 @@
+/**
+ * User-Agent Parser Module
+ * Structured browser, OS, device and engine fields from a User-Agent, and the
+ * version anomalies that feed the classifier
+ *
+ * Parsed fields (stored on events, see migrate-user-agent-fields.sql):
+ *   browser_family   Chrome, Edge, Opera, Samsung Internet, Firefox, Safari,
+ *                    Internet Explorer, Headless Chrome (null if unknown)
+ *   browser_version  "major.minor" ("120.0")
+ *   browser_engine   Blink, Gecko, WebKit, Trident
+ *   os_family        Windows, macOS, iOS, Android, Chrome OS, Linux
+ *   os_version       "10", "10.15.7", "17.1", "14"
+ *   device_type      desktop, mobile, tablet, bot, other
+ *
+ * Anomalies (ua_anomalies) compare the claimed version with what that version
+ * can do and with the release calendar:
+ *   outdated_version         Released more than OUTDATED_AGE_DAYS before the
+ *                            request
+ *   future_version           Newer than the estimated current release at the
+ *                            time of the request (beyond dev/canary channels)
+ *   client_hints_unsupported Sec-Ch-Ua from a browser that never sends it
+ *                            (Firefox, Safari, iOS browsers, Chromium < 89)
+ *   sec_fetch_unsupported    Sec-Fetch-* from a version before its support
+ *                            (Chromium < 76, Firefox < 90, Safari < 16.4, IE)
+ *
+ * Only IMPOSSIBLE_ANOMALIES are contradictions (a forged or patched
+ * User-Agent); an outdated browser can be a real, old device. Rules match
+ * anomalies with the "ua_anomalies" condition (lib/classifier-rules.js).
+ */
+
+// Anomaly names (valid values of the "ua_anomalies" rule condition)
+export const UA_ANOMALIES = ['outdated_version', 'future_version', 'client_hints_unsupported', 'sec_fetch_unsupported'];
+export const IMPOSSIBLE_ANOMALIES = ['future_version', 'client_hints_unsupported', 'sec_fetch_unsupported'];
+
+// A version released this long before the request counts as outdated
+const OUTDATED_AGE_DAYS = 730;
+
+// Release calendars: known releases (oldest first) and the cadence after each.
+// Add an anchor when a family changes its numbering (Safari 18 → 26).
+const DAY = 24 * 60 * 60 * 1000;
+const RELEASE_CALENDARS = {
+  Chrome: { days: 28, tolerance: 3, anchors: [[100, '2022-03-29'], [141, '2025-09-30']] },
+  Edge: { days: 28, tolerance: 3, anchors: [[100, '2022-04-01'], [141, '2025-10-03']] },
+  Firefox: { days: 28, tolerance: 3, anchors: [[100, '2022-05-03'], [143, '2025-09-16']] },
+  Safari: { days: 365, tolerance: 1, anchors: [[16, '2022-09-12'], [26, '2025-09-15']] }
+};
+
+// First versions sending Client Hints / Sec-Fetch-* headers
+const CLIENT_HINTS_SINCE = { Chrome: 89, Edge: 89, Opera: 75, 'Samsung Internet': 15 };
+const SEC_FETCH_SINCE = {
+  Chrome: [76, 0], Edge: [79, 0], Opera: [63, 0], 'Samsung Internet': [12, 0], Firefox: [90, 0], Safari: [16, 4],
+  'Internet Explorer': [Infinity, 0]
+};
+
+// Browser families, most specific first (Edge and Opera also claim Chrome)
+const BROWSERS = [
+  { family: 'Headless Chrome', pattern: /HeadlessChrome\/([\d.]+)/, engine: 'Blink' },
+  { family: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/, engine: 'Blink' },
+  { family: 'Opera', pattern: /(?:OPR|OPiOS)\/([\d.]+)/, engine: 'Blink' },
+  { family: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/, engine: 'Blink' },
+  { family: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/, engine: 'Blink' },
+  { family: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/, engine: 'Gecko' },
+  { family: 'Safari', pattern: /Version\/([\d.]+).*Safari\//, engine: 'WebKit' },
+  { family: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/, engine: 'Trident' }
+];
+
+const OPERATING_SYSTEMS = [
+  { family: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS (\d+(?:_\d+)*)/ },
+  { family: 'Android', pattern: /Android (\d+(?:\.\d+)*)/ },
+  { family: 'Windows', pattern: /Windows NT (\d+\.\d+)/ },
+  { family: 'macOS', pattern: /Mac OS X (\d+(?:[_.]\d+)*)/ },
+  { family: 'Chrome OS', pattern: /CrOS \S+ (\d+(?:\.\d+)*)/ },
+  { family: 'Linux', pattern: /Linux()/ }
+];
+
+// Windows NT version → marketing version
+const WINDOWS_VERSIONS = { '10.0': '10', '6.3': '8.1', '6.2': '8', '6.1': '7', '6.0': 'Vista', '5.1': 'XP' };
+
+const BOT_PATTERN = /bot|crawler|spider|scraper|curl\/|wget\/|python|go-http-client|java\/|okhttp|axios|node-fetch|libwww|httpclient|scrapy|facebookexternalhit/i;
+
+/**
+ * Parse a User-Agent
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {Object} { browser_family, browser_version, browser_engine, os_family, os_version, device_type }
+ */
+export function parseUserAgent(userAgent) {
+  const parsed = {
+    browser_family: null,
+    browser_version: null,
+    browser_engine: null,
+    os_family: null,
+    os_version: null,
+    device_type: null
+  };
+  if (!userAgent) return parsed;
+
+  for (const { family, pattern } of OPERATING_SYSTEMS) {
+    const match = userAgent.match(pattern);
+    if (!match) continue;
+    parsed.os_family = family;
+    const version = match[1]?.replace(/_/g, '.') || null;
+    parsed.os_version = family === 'Windows' ? (WINDOWS_VERSIONS[version] || version) : version;
+    break;
+  }
+
+  if (BOT_PATTERN.test(userAgent)) {
+    parsed.device_type = 'bot';
+    return parsed;
+  }
+
+  for (const { family, pattern, engine } of BROWSERS) {
+    const match = userAgent.match(pattern);
+    if (!match) continue;
+    parsed.browser_family = family;
+    parsed.browser_version = match[1].split('.').slice(0, 2).join('.');
+    // Every iOS browser is WebKit underneath
+    parsed.browser_engine = parsed.os_family === 'iOS' ? 'WebKit' : engine;
+    break;
+  }
+
+  if (/iPad|Tablet/.test(userAgent) || (parsed.os_family === 'Android' && !/Mobile/.test(userAgent))) {
+    parsed.device_type = 'tablet';
+  } else if (/Mobile|iPhone|iPod/.test(userAgent)) {
+    parsed.device_type = 'mobile';
+  } else if (['Windows', 'macOS', 'Chrome OS', 'Linux'].includes(parsed.os_family)) {
+    parsed.device_type = 'desktop';
+  } else {
+    parsed.device_type = 'other';
+  }
+
+  return parsed;
+}
+
+/**
+ * Estimated current major version of a browser family
+ * @param {string} family - Browser family
+ * @param {Date|string|number} at - Point in time
+ * @returns {number|null} Major version, or null without a release calendar (or before it starts)
+ */
+export function estimateCurrentVersion(family, at) {
+  const calendar = RELEASE_CALENDARS[family];
+  if (!calendar) return null;
+  const time = new Date(at).getTime();
+  const anchor = calendar.anchors.findLast(([, date]) => Date.parse(date) <= time);
+  if (!anchor) return null;
+  return anchor[0] + Math.floor((time - Date.parse(anchor[1])) / (calendar.days * DAY));
+}
+
+/**
+ * Estimated release date of a major version
+ * @param {string} family - Browser family
+ * @param {number} major - Major version
+ * @returns {number|null} Timestamp (ms), or null without a release calendar
+ */
+function estimateReleaseDate(family, major) {
+  const calendar = RELEASE_CALENDARS[family];
+  if (!calendar) return null;
+  const [anchorMajor, date] = calendar.anchors.findLast(([anchor]) => anchor <= major) || calendar.anchors[0];
+  return Date.parse(date) + (major - anchorMajor) * calendar.days * DAY;
+}
+
+/**
+ * Version anomalies of a parsed User-Agent
+ * @param {Object} parsed - From parseUserAgent()
+ * @param {Object} headers - Request headers (Caddy-style arrays or plain strings)
+ * @param {Date|string|number} at - Request time (default: now)
+ * @returns {Array<string>} Anomaly names (UA_ANOMALIES)
+ */
+export function detectVersionAnomalies(parsed, headers = {}, at = Date.now()) {
+  const anomalies = [];
+  if (!parsed.browser_family || !parsed.browser_version) return anomalies;
+
+  const [major, minor = 0] = parsed.browser_version.split('.').map(Number);
+  const family = parsed.browser_family === 'Headless Chrome' ? 'Chrome' : parsed.browser_family;
+  const has = name => {
+    const value = headers?.[name];
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+  };
+
+  const current = estimateCurrentVersion(family, at);
+  if (current !== null) {
+    if (major > current + RELEASE_CALENDARS[family].tolerance) {
+      anomalies.push('future_version');
+    } else if (new Date(at).getTime() - estimateReleaseDate(family, major) > OUTDATED_AGE_DAYS * DAY) {
+      anomalies.push('outdated_version');
+    }
+  }
+
+  if (has('Sec-Ch-Ua')) {
+    const since = parsed.os_family === 'iOS' ? undefined : CLIENT_HINTS_SINCE[family];
+    if (since === undefined || major < since) anomalies.push('client_hints_unsupported');
+  }
+
+  if (['Sec-Fetch-Site', 'Sec-Fetch-Mode', 'Sec-Fetch-Dest'].some(has)) {
+    const since = SEC_FETCH_SINCE[family];
+    if (since && (major < since[0] || (major === since[0] && minor < since[1]))) {
+      anomalies.push('sec_fetch_unsupported');
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * Parse a User-Agent and detect its anomalies
+ * @param {string|null} userAgent - User-Agent header
+ * @param {Object} headers - Request headers
+ * @param {Date|string|number} at - Request time (default: now)
+ * @returns {Object} parseUserAgent() fields plus ua_anomalies
+ */
+export function analyzeUserAgent(userAgent, headers = {}, at = Date.now()) {
+  const parsed = parseUserAgent(userAgent);
+  return { ...parsed, ua_anomalies: detectVersionAnomalies(parsed, headers, at) };
+}
@@ -5,7 +5,10 @@
 const BOT_COLORS = {
   'Human': '#10b981',                // Green - real human traffic
   'Official AI': '#3b82f6',          // Blue - declared AI bots
+  'Verified AI': '#2563eb',          // Darker blue - declared AI bots with verified IPs
+  'Spoofed Bot': '#ec4899',          // Pink - claims a crawler User-Agent from a foreign IP
   'Stealth AI': '#f59e0b',           // Orange - undeclared AI
+  'AI Agent (Browser)': '#f97316',   // Dark orange - AI agent driving a real browser
   'Web Crawler': '#06b6d4',          // Cyan - traditional crawlers
   'Monitoring': '#8b5cf6',           // Purple - uptime/monitoring services
   'Undetermined Bot': '#64748b',     // Gray - unknown bot type
@@ -16,10 +19,11 @@ const BOT_COLORS = {
   'Attack: Exploit': '#991b1b'       // Darkest red (legacy)
 };
 
-let timelineChart, botClassificationChart, topBotsChart, geoMap, heatLayer;
+let timelineChart, botClassificationChart, topBotsChart, ingestionChart, geoMap, heatLayer;
 let currentTimeRange = '24h';
 let currentVizMode = 'proportional';
 let thaibelleMemoryCareOnly = true; // Default to Memory Care Only view
+let includeFiltered = false; // Exclusion-rule and CrowdSec-banned traffic hidden by default
 let allMarkers = [];
 let markerClusterGroup = null;
 let cachedGeoData = null;
@@ -27,6 +31,7 @@ let cachedGeoData = null;
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', async () => {
   initializeCharts();
+  initializeIngestionChart();
   initializeGeographicMap();
 
   await loadDashboardData();
@@ -53,6 +58,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  // Set up filtered traffic toggle
+  document.getElementById('include-filtered-btn').addEventListener('click', async (e) => {
+    includeFiltered = !includeFiltered;
+    e.target.classList.toggle('active', includeFiltered);
+    await loadDashboardData();
+  });
+
   // Set up Unique IPs card click handler
   document.getElementById('unique-ips-card').addEventListener('click', () => {
     // Navigate to Data Explorer with current time range and auto-execute unique IPs query
@@ -218,6 +230,77 @@ function initializeCharts() {
   });
 }
 
+// Initialize ingestion health chart (events inserted per bucket + worst lag)
+function initializeIngestionChart() {
+  const ingestionCtx = document.getElementById('ingestionChart').getContext('2d');
+  ingestionChart = new Chart(ingestionCtx, {
+    type: 'bar',
+    data: {
+      labels: [],
+      datasets: [{
+        label: 'Events inserted',
+        data: [],
+        backgroundColor: '#667eea',
+        yAxisID: 'y'
+      }, {
+        label: 'Max lag (minutes)',
+        data: [],
+        type: 'line',
+        borderColor: '#f59e0b',
+        backgroundColor: '#f59e0b',
+        yAxisID: 'lag'
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          labels: {
+            color: '#e2e8f0'
+          }
+        },
+        tooltip: {
+          backgroundColor: '#1e293b',
+          titleColor: '#e2e8f0',
+          bodyColor: '#e2e8f0',
+          borderColor: '#334155',
+          borderWidth: 1,
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            color: '#334155'
+          },
+          ticks: {
+            color: '#94a3b8'
+          }
+        },
+        y: {
+          beginAtZero: true,
+          grid: {
+            color: '#334155'
+          },
+          ticks: {
+            color: '#94a3b8'
+          }
+        },
+        lag: {
+          beginAtZero: true,
+          position: 'right',
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#f59e0b'
+          }
+        }
+      }
+    }
+  });
+}
+
 // Load dashboard data from API
 async function loadDashboardData() {
   try {
@@ -238,6 +321,15 @@ async function loadDashboardData() {
     // Update geographic visualization
     await updateGeographicData();
 
+    // Update AI agent sessions panel
+    await updateAgentBrowsers();
+
+    // Update ingestion health panel
+    await updateIngestionHealth();
+
+    // Update shadow classifier comparison
+    await updateShadowComparison();
+
     // Update last updated time
     document.getElementById('last-updated').textContent = new Date().toLocaleString();
 
@@ -247,10 +339,18 @@ async function loadDashboardData() {
   }
 }
 
+// Build query parameters for the active filters
+function getFilterParams() {
+  let params = '';
+  if (thaibelleMemoryCareOnly) params += '&thaibelleMemoryCareOnly=true';
+  if (includeFiltered) params += '&includeFiltered=true';
+  return params;
+}
+
 // Fetch data from PostgreSQL via API
 async function fetchDashboardData(timeRange) {
   try {
-    const filterParam = thaibelleMemoryCareOnly ? '&thaibelleMemoryCareOnly=true' : '';
+    const filterParam = getFilterParams();
 
     // Fetch all data in parallel
     const [statsRes, timelineRes, botClassRes, topBotsRes] = await Promise.all([
@@ -311,15 +411,21 @@ function updateStats(stats, timeRange) {
   // Update AI Bot counts
   document.getElementById('official-ai-count').textContent = (stats.aiOfficial || 0).toLocaleString();
   document.getElementById('stealth-ai-count').textContent = (stats.aiStealth || 0).toLocaleString();
+  document.getElementById('agent-browser-count').textContent = (stats.aiAgentBrowser || 0).toLocaleString();
   document.getElementById('web-crawler-count').textContent = (stats.webCrawler || 0).toLocaleString();
+  document.getElementById('spoofed-count').textContent = (stats.aiSpoofed || 0).toLocaleString();
 
   const officialPct = ((stats.aiOfficial || 0) / stats.totalRequests * 100).toFixed(1);
   const stealthPct = ((stats.aiStealth || 0) / stats.totalRequests * 100).toFixed(1);
+  const agentBrowserPct = ((stats.aiAgentBrowser || 0) / stats.totalRequests * 100).toFixed(1);
   const webCrawlerPct = ((stats.webCrawler || 0) / stats.totalRequests * 100).toFixed(1);
+  const spoofedPct = ((stats.aiSpoofed || 0) / stats.totalRequests * 100).toFixed(1);
 
-  document.getElementById('official-ai-pct').textContent = `${officialPct}% of traffic`;
+  document.getElementById('official-ai-pct').textContent = `${officialPct}% of traffic (${(stats.aiOfficialVerified || 0).toLocaleString()} verified)`;
   document.getElementById('stealth-ai-pct').textContent = `${stealthPct}% of traffic`;
+  document.getElementById('agent-browser-pct').textContent = `${agentBrowserPct}% of traffic`;
   document.getElementById('web-crawler-pct').textContent = `${webCrawlerPct}% of traffic`;
+  document.getElementById('spoofed-pct').textContent = `${spoofedPct}% of traffic`;
 
   // Update Infrastructure & Unknown
   document.getElementById('monitoring-count').textContent = (stats.monitoringService || 0).toLocaleString();
@@ -332,7 +438,9 @@ function updateStats(stats, timeRange) {
 
   document.getElementById('monitoring-pct').textContent = `${monitoringPct}% of traffic`;
   document.getElementById('undetermined-pct').textContent = `${undeterminedPct}% of traffic`;
-  document.getElementById('attack-pct').textContent = `${attackPct}% of traffic`;
+  document.getElementById('attack-pct').textContent = includeFiltered
+    ? `${attackPct}% of traffic (${(stats.filteredTraffic || 0).toLocaleString()} filtered requests included)`
+    : `${attackPct}% of traffic`;
 }
 
 // Update timeline chart
@@ -394,6 +502,172 @@ function updateTopBotsChart(data) {
   topBotsChart.update();
 }
 
+// Format a lag in seconds as a short duration
+function formatLag(seconds) {
+  if (seconds === null || seconds === undefined) return '--';
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)}m`;
+  return `${(seconds / 3600).toFixed(1)}h`;
+}
+
+// Fetch ingestion health and update the panel
+async function updateIngestionHealth() {
+  try {
+    const data = await fetch(`/api/ingestion-health?range=${currentTimeRange}`).then(r => r.json());
+
+    const tbody = document.getElementById('ingestion-sources');
+    tbody.innerHTML = '';
+
+    if (!data.sources || data.sources.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="8">No ingestion runs in this time range</td></tr>';
+    }
+
+    for (const source of data.sources || []) {
+      const row = document.createElement('tr');
+      const cells = [
+        source.source,
+        source.mode,
+        source.lastRunAt ? new Date(source.lastRunAt).toLocaleString() : '--',
+        source.lastStatus,
+        formatLag(source.lagSeconds),
+        source.inserted.toLocaleString(),
+        source.filtered.toLocaleString(),
+        source.deadLetters.toLocaleString()
+      ];
+      cells.forEach((value, i) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        if (i === 3) {
+          cell.className = `status-${source.lastStatus}`;
+          if (source.lastError) cell.title = source.lastError;
+        }
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    }
+
+    const timeline = data.timeline || [];
+    ingestionChart.data.labels = timeline.map(t => new Date(t.time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }));
+    ingestionChart.data.datasets[0].data = timeline.map(t => t.inserted);
+    ingestionChart.data.datasets[1].data = timeline.map(t => t.maxLagSeconds !== null ? Math.round(t.maxLagSeconds / 60) : null);
+    ingestionChart.update();
+  } catch (error) {
+    console.error('Failed to load ingestion health:', error);
+  }
+}
+
+// Fetch sessions of AI agents driving real browsers, with their evidence
+async function updateAgentBrowsers() {
+  try {
+    const data = await fetch(`/api/agent-browsers?range=${currentTimeRange}${getFilterParams()}`).then(r => r.json());
+    const tbody = document.getElementById('agent-browser-sessions');
+    tbody.innerHTML = '';
+
+    if (!data.sessions || data.sessions.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="8">No AI agent sessions in this time range</td></tr>';
+      return;
+    }
+
+    for (const session of data.sessions) {
+      const evidence = session.evidence || {};
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(session.lastSeen).toLocaleString(),
+        session.clientIp,
+        session.sites.join(', '),
+        session.events.toLocaleString(),
+        (evidence.signals || []).join(', '),
+        evidence.request_rate !== null && evidence.request_rate !== undefined ? `${evidence.request_rate} req/s` : null,
+        evidence.unique_paths !== undefined ? `${evidence.unique_paths} of ${evidence.request_count}` : null,
+        session.userAgent
+      ];
+      cells.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value || '--';
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    }
+  } catch (error) {
+    console.error('Failed to load AI agent sessions:', error);
+  }
+}
+
+// Fetch shadow classifier agreement and disagreement samples
+async function updateShadowComparison() {
+  try {
+    const data = await fetch(`/api/shadow?range=${currentTimeRange}`).then(r => r.json());
+    const summary = document.getElementById('shadow-summary');
+    const matrixTable = document.getElementById('shadow-matrix');
+    const tbody = document.getElementById('shadow-disagreements');
+    matrixTable.innerHTML = '';
+    tbody.innerHTML = '';
+
+    if (!data.version || data.total === 0) {
+      summary.textContent = 'No shadow classifications in this time range (set classifier.shadow_rules_file to compare a candidate ruleset)';
+      tbody.innerHTML = '<tr><td colspan="6">--</td></tr>';
+      return;
+    }
+
+    const activeVersions = data.versions.find(v => v.version === data.version)?.activeVersions || [];
+    summary.textContent = `${data.version} vs ${activeVersions.join(', ')}: ${data.agreementRate}% agreement ` +
+      `(${data.agreed.toLocaleString()} of ${data.total.toLocaleString()} events)`;
+
+    // Confusion matrix: rows = active classification, columns = shadow classification
+    const labels = data.classes.map(c => c.classification);
+    const counts = new Map(data.matrix.map(cell => [`${cell.active}|${cell.shadow}`, cell.count]));
+    const header = document.createElement('tr');
+    ['Active \\ Shadow', ...labels, 'Agreement'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      header.appendChild(th);
+    });
+    matrixTable.appendChild(header);
+
+    for (const stats of data.classes.filter(c => c.active > 0)) {
+      const row = document.createElement('tr');
+      const name = document.createElement('th');
+      name.textContent = stats.classification;
+      row.appendChild(name);
+      for (const label of labels) {
+        const cell = document.createElement('td');
+        const count = counts.get(`${stats.classification}|${label}`) || 0;
+        cell.textContent = count ? count.toLocaleString() : '·';
+        cell.className = count === 0 ? 'matrix-empty' : (label === stats.classification ? 'matrix-agree' : '');
+        row.appendChild(cell);
+      }
+      const rate = document.createElement('td');
+      rate.textContent = `${stats.agreementRate}%`;
+      row.appendChild(rate);
+      matrixTable.appendChild(row);
+    }
+
+    const samples = await fetch(`/api/shadow/disagreements?range=${currentTimeRange}&version=${encodeURIComponent(data.version)}&limit=20`).then(r => r.json());
+    if (samples.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6">No disagreements</td></tr>';
+    }
+    for (const sample of samples) {
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(sample.timestamp).toLocaleString(),
+        sample.active_classification,
+        sample.shadow_classification,
+        `${sample.site}${sample.path}`,
+        sample.user_agent,
+        sample.shadow_reason
+      ];
+      cells.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value || '--';
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    }
+  } catch (error) {
+    console.error('Failed to load shadow comparison:', error);
+  }
+}
+
 // Show error message
 function showError(message) {
   const errorDiv = document.createElement('div');
@@ -427,7 +701,7 @@ function initializeGeographicMap() {
 // Fetch geographic data and update visualization
 async function updateGeographicData() {
   try {
-    const filterParam = thaibelleMemoryCareOnly ? '&thaibelleMemoryCareOnly=true' : '';
+    const filterParam = getFilterParams();
     const data = await fetch(`/api/geographic-heatmap?range=${currentTimeRange}${filterParam}`)
       .then(r => r.json());
 
@@ -0,0 +1,351 @@
+// ModelZero Classification Overrides
+// Manage manual labels and measure the classifier against them, and review
+// the datacenter ASN registry
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('override-form').addEventListener('submit', createOverride);
+  document.getElementById('author').value = localStorage.getItem('overrideAuthor') || '';
+  loadOverrides();
+  loadAccuracy();
+  loadReviewQueue();
+  loadDatacenterASNs();
+});
+
+// Show a form message
+function showMessage(text, type) {
+  const message = document.getElementById('form-message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+}
+
+// Send a JSON request, throwing the API's error message on failure
+async function apiRequest(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+// Create an override from the form
+async function createOverride(event) {
+  event.preventDefault();
+
+  const author = document.getElementById('author').value.trim();
+  const override = {
+    match_type: document.getElementById('match-type').value,
+    match_value: document.getElementById('match-value').value.trim(),
+    bot_classification: document.getElementById('bot-classification').value.trim() || null,
+    bot_name: document.getElementById('bot-name').value.trim() || null,
+    note: document.getElementById('note').value.trim(),
+    author
+  };
+
+  try {
+    const created = await apiRequest('/api/overrides', 'POST', override);
+    localStorage.setItem('overrideAuthor', author);
+    showMessage(`Override #${created.id} added - applies to new events; re-run older ones with npm run reclassify`, 'success');
+    ['match-value', 'bot-classification', 'bot-name', 'note'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    loadOverrides();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+// Load and render all overrides
+async function loadOverrides() {
+  const tbody = document.getElementById('overrides');
+
+  try {
+    const overrides = await apiRequest('/api/overrides', 'GET');
+    tbody.innerHTML = '';
+
+    if (overrides.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="8">No overrides yet</td></tr>';
+      return;
+    }
+
+    for (const override of overrides) {
+      const row = document.createElement('tr');
+      if (!override.enabled) row.className = 'disabled';
+
+      const cells = [
+        override.id,
+        `${override.match_type} ${override.match_value}`,
+        override.bot_classification || '(rules)',
+        override.bot_name || '(rules)',
+        override.note,
+        override.author,
+        new Date(override.updated_at).toLocaleString()
+      ];
+      cells.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      actions.append(override.enabled
+        ? actionButton('Disable', 'btn danger', () => disableOverride(override))
+        : actionButton('Enable', 'btn', () => enableOverride(override)));
+      row.appendChild(actions);
+
+      tbody.appendChild(row);
+    }
+  } catch (error) {
+    console.error('Failed to load overrides:', error);
+    tbody.innerHTML = `<tr><td colspan="8">Failed to load overrides: ${error.message}</td></tr>`;
+  }
+}
+
+// Author of an override change (the Author field), or null after showing why
+function overrideAuthor() {
+  const author = document.getElementById('author').value.trim();
+  if (!author) {
+    showMessage('Enter your name in the Author field first', 'error');
+    return null;
+  }
+  return author;
+}
+
+// Ask why an override is changed; null if cancelled or left empty
+function overrideNote(question) {
+  const note = prompt(question, '');
+  if (note === null) return null;
+  if (!note.trim()) {
+    showMessage('A note is required when changing an override', 'error');
+    return null;
+  }
+  return note.trim();
+}
+
+// Change an override, recording who and why
+async function changeOverride(override, method, body) {
+  try {
+    await apiRequest(`/api/overrides/${override.id}`, method, body);
+    localStorage.setItem('overrideAuthor', body.author);
+    loadOverrides();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+// Re-enable a disabled override
+async function enableOverride(override) {
+  const author = overrideAuthor();
+  if (!author) return;
+  const note = overrideNote(`Why re-enable override #${override.id} (${override.match_type} ${override.match_value})?`);
+  if (!note) return;
+
+  await changeOverride(override, 'PUT', { enabled: true, author, note });
+}
+
+// Disable an override (the row is kept so labeled events keep their provenance)
+async function disableOverride(override) {
+  const author = overrideAuthor();
+  if (!author) return;
+  const note = overrideNote(`Why disable override #${override.id} (${override.match_type} ${override.match_value})?`);
+  if (!note) return;
+
+  await changeOverride(override, 'DELETE', { author, note });
+}
+
+// Load classifier accuracy against the overrides' labels
+async function loadAccuracy() {
+  const summary = document.getElementById('accuracy-summary');
+  const tbody = document.getElementById('accuracy-classes');
+
+  try {
+    const data = await apiRequest('/api/overrides/accuracy?range=30d', 'GET');
+    tbody.innerHTML = '';
+
+    if (data.total === 0) {
+      summary.textContent = 'No labeled events yet (overrides that pin a classification are the labels)';
+      tbody.innerHTML = '<tr><td colspan="6">--</td></tr>';
+      return;
+    }
+
+    summary.textContent = `${data.classifierVersion}: ${(data.accuracy * 100).toFixed(1)}% of ${data.total.toLocaleString()} labeled events classified as labeled by the rules alone`;
+
+    const percent = value => value === null ? '--' : `${(value * 100).toFixed(1)}%`;
+    for (const entry of data.classes) {
+      const row = document.createElement('tr');
+      [entry.classification, entry.labeled, entry.predicted, entry.correct, percent(entry.precision), percent(entry.recall)].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    }
+  } catch (error) {
+    console.error('Failed to load accuracy:', error);
+    summary.textContent = `Failed to load accuracy: ${error.message}`;
+  }
+}
+
+// Show a message under the review queue
+function showASNMessage(text, type) {
+  const message = document.getElementById('asn-message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+}
+
+// Append a row of text cells and an actions cell
+function appendRow(tbody, values, actions, className) {
+  const row = document.createElement('tr');
+  if (className) row.className = className;
+  values.forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  const cell = document.createElement('td');
+  cell.append(...actions);
+  row.appendChild(cell);
+  tbody.appendChild(row);
+}
+
+// Button with a click handler
+function actionButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Load ASNs waiting for a registry decision
+async function loadReviewQueue() {
+  const tbody = document.getElementById('asn-review');
+
+  try {
+    const data = await apiRequest('/api/datacenter-asns/review?range=30d', 'GET');
+    tbody.innerHTML = '';
+
+    if (data.candidates.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="7">No unreviewed hosting-like ASNs with ${data.minEvents}+ events</td></tr>`;
+      return;
+    }
+
+    for (const candidate of data.candidates) {
+      appendRow(tbody, [
+        candidate.asn,
+        candidate.asnOrg,
+        candidate.events.toLocaleString(),
+        candidate.ips.toLocaleString(),
+        `${(candidate.humanShare * 100).toFixed(1)}%`,
+        candidate.countries.slice(0, 3).join(', ')
+      ], [
+        actionButton('Accept', 'btn primary', () => decideReview(candidate, 'accept')),
+        ' ',
+        actionButton('Reject', 'btn danger', () => decideReview(candidate, 'reject'))
+      ]);
+    }
+  } catch (error) {
+    console.error('Failed to load ASN review queue:', error);
+    tbody.innerHTML = `<tr><td colspan="7">Failed to load review queue: ${error.message}</td></tr>`;
+  }
+}
+
+// Accept (with a provider name) or reject a review queue entry
+async function decideReview(candidate, decision) {
+  const author = registryAuthor();
+  if (!author) return;
+
+  let provider;
+  if (decision === 'accept') {
+    provider = prompt(`Provider for ASN ${candidate.asn} (${candidate.asnOrg})`, 'hosting');
+    if (provider === null) return;
+  }
+
+  try {
+    await apiRequest(`/api/datacenter-asns/review/${candidate.asn}`, 'POST', { decision, provider: provider?.trim(), author });
+    localStorage.setItem('overrideAuthor', author);
+    showASNMessage(`ASN ${candidate.asn} ${decision === 'accept' ? 'registered' : 'marked as not a datacenter'} - applies to new events; re-run older ones with npm run reclassify`, 'success');
+    loadReviewQueue();
+    loadDatacenterASNs();
+  } catch (error) {
+    showASNMessage(error.message, 'error');
+  }
+}
+
+// Load and render the datacenter ASN registry
+async function loadDatacenterASNs() {
+  const tbody = document.getElementById('datacenter-asns');
+
+  try {
+    const entries = await apiRequest('/api/datacenter-asns', 'GET');
+    tbody.innerHTML = '';
+
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7">Registry empty (run scripts/migrate-datacenter-asns.sql)</td></tr>';
+      return;
+    }
+
+    for (const entry of entries) {
+      appendRow(tbody, [
+        entry.asn,
+        entry.provider || '(not a datacenter)',
+        entry.source,
+        entry.note,
+        entry.author,
+        new Date(entry.updated_at).toLocaleString()
+      ], [
+        entry.enabled
+          ? actionButton('Disable', 'btn danger', () => disableDatacenterASN(entry))
+          : actionButton('Enable', 'btn', () => enableDatacenterASN(entry))
+      ], entry.enabled ? '' : 'disabled');
+    }
+  } catch (error) {
+    console.error('Failed to load datacenter ASNs:', error);
+    tbody.innerHTML = `<tr><td colspan="7">Failed to load datacenter ASNs: ${error.message}</td></tr>`;
+  }
+}
+
+// Author of registry changes (the Author field above), or null after showing why
+function registryAuthor() {
+  const author = document.getElementById('author').value.trim();
+  if (!author) {
+    showASNMessage('Enter your name in the Author field above first', 'error');
+    return null;
+  }
+  return author;
+}
+
+// Re-enable a disabled registry entry
+async function enableDatacenterASN(entry) {
+  const author = registryAuthor();
+  if (!author) return;
+
+  try {
+    await apiRequest(`/api/datacenter-asns/${entry.asn}`, 'PUT', { enabled: true, author });
+    localStorage.setItem('overrideAuthor', author);
+    loadDatacenterASNs();
+  } catch (error) {
+    showASNMessage(error.message, 'error');
+  }
+}
+
+// Disable a registry entry, recording who and why (the ASN falls back to the org name patterns)
+async function disableDatacenterASN(entry) {
+  const author = registryAuthor();
+  if (!author) return;
+
+  const note = prompt(`Why disable ASN ${entry.asn} (${entry.provider || 'not a datacenter'})? Leave empty to keep the current note.`, '');
+  if (note === null) return;
+
+  try {
+    await apiRequest(`/api/datacenter-asns/${entry.asn}`, 'DELETE', { author, note: note.trim() || undefined });
+    localStorage.setItem('overrideAuthor', author);
+    loadDatacenterASNs();
+  } catch (error) {
+    showASNMessage(error.message, 'error');
+  }
+}
@@ -5,7 +5,15 @@
 -- Drop existing tables if re-creating
 DROP TABLE IF EXISTS behavior_patterns CASCADE;
 DROP TABLE IF EXISTS journeys CASCADE;
+DROP TABLE IF EXISTS journey_state CASCADE;
 DROP TABLE IF EXISTS ingestion_state CASCADE;
+DROP TABLE IF EXISTS dead_letters CASCADE;
+DROP TABLE IF EXISTS classification_changes CASCADE;
+DROP TABLE IF EXISTS reclassification_runs CASCADE;
+DROP TABLE IF EXISTS shadow_classifications CASCADE;
+DROP TABLE IF EXISTS classification_overrides CASCADE;
+DROP TABLE IF EXISTS datacenter_asns CASCADE;
+DROP TABLE IF EXISTS ingestion_runs CASCADE;
 DROP TABLE IF EXISTS events CASCADE;
 
 -- ============================================================================
@@ -15,6 +23,7 @@ DROP TABLE IF EXISTS events CASCADE;
 CREATE TABLE events (
   -- Primary Key
   id BIGSERIAL PRIMARY KEY,
+  event_key TEXT NOT NULL,        -- Deduplication key: Cf-Ray or sha256 of request identity
 
   -- Timing
   timestamp TIMESTAMPTZ NOT NULL,
@@ -47,12 +56,26 @@ CREATE TABLE events (
 
   -- User Agent
   user_agent TEXT,
+  browser_family VARCHAR(30),     -- 'Chrome', 'Safari', 'Firefox', 'Edge' (lib/ua-parser.js)
+  browser_version VARCHAR(20),    -- Major.minor ('120.0')
+  browser_engine VARCHAR(10),     -- 'Blink', 'Gecko', 'WebKit', 'Trident'
+  os_family VARCHAR(20),          -- 'Windows', 'macOS', 'iOS', 'Android', 'Linux'
+  os_version VARCHAR(20),         -- '10', '10.15.7', '17.1'
+  device_type VARCHAR(10),        -- 'desktop', 'mobile', 'tablet', 'bot', 'other'
+  ua_anomalies TEXT[],            -- Version anomalies ('client_hints_unsupported')
 
   -- Bot Detection (pre-computed during ingestion)
   is_bot BOOLEAN DEFAULT FALSE,
-  bot_classification VARCHAR(20), -- 'official_ai', 'stealth_ai', 'web_crawler', 'human', 'unknown'
+  bot_classification VARCHAR(30), -- 'official_ai', 'stealth_ai', 'web_crawler', 'human', 'unknown'
   bot_name VARCHAR(50),           -- 'GPTBot', 'ClaudeBot', 'Azure-Stealth', etc.
-  detection_level INTEGER,        -- 1=User-Agent, 2=Datacenter IP, 3=Behavioral
+  detection_level INTEGER,        -- 0=Manual override, 1=User-Agent, 2=Datacenter IP, 3=Behavioral
+  detection_reason TEXT,          -- Why the classifier decided ('Datacenter + browser UA + missing Sec-Fetch headers')
+  detection_rules TEXT[],         -- Matched rule ids ('stealth-datacenter-browser-ua')
+  classifier_version VARCHAR(50), -- Ruleset that decided ('ai-classifier-v2@2.1.0')
+  bot_score REAL,                 -- 0-1 bot likelihood (lib/bot-score.js)
+  bot_score_signals TEXT[],       -- Signals behind the score ('datacenter', 'no_sec_fetch')
+  agent_evidence JSONB,           -- Session evidence of an AI agent in a browser (lib/agent-detection.js)
+  session_id VARCHAR(80),         -- Client IP + session start ('203.0.113.7@2025-01-01T10:00:00.000Z')
 
   -- Human Browser Signals
   referer TEXT,
@@ -60,6 +83,8 @@ CREATE TABLE events (
   has_sec_fetch_headers BOOLEAN,  -- Sec-Fetch-* presence
   has_client_hints BOOLEAN,       -- Sec-Ch-Ua-* presence
   is_mobile BOOLEAN,              -- Mobile device indicator
+  header_fingerprint VARCHAR(16), -- Hash of header names and stable values (lib/header-fingerprint.js)
+  header_mismatches TEXT[],       -- Header contradictions ('client_hints_platform')
 
   -- Bot-Specific Headers
   bot_from_email VARCHAR(100),    -- Email from 'From' header
@@ -69,6 +94,13 @@ CREATE TABLE events (
   has_cf_worker BOOLEAN DEFAULT FALSE,
   cf_worker_domain VARCHAR(255),  -- Cloudflare Worker domain
   is_exploit_attempt BOOLEAN DEFAULT FALSE,
+  filter_reason VARCHAR(30),      -- 'excluded_ip', 'excluded_host', 'excluded_path', 'crowdsec_banned', null
+
+  -- CrowdSec Decision (Ip or Range decision covering client_ip)
+  crowdsec_scenario VARCHAR(255), -- 'crowdsecurity/http-probing', 'modelzero/ai_stealth', etc.
+  crowdsec_origin VARCHAR(50),    -- 'crowdsec', 'cscli', 'CAPI', 'lists', 'modelzero'
+  crowdsec_type VARCHAR(20),      -- 'ban', 'captcha'
+  crowdsec_until TIMESTAMPTZ,     -- Decision expiry
 
   -- Raw Data (for future analysis)
   headers_json JSONB              -- Full request headers
@@ -89,6 +121,15 @@ CREATE INDEX idx_content_type ON events(content_type);
 CREATE INDEX idx_is_bot ON events(is_bot);
 CREATE INDEX idx_bot_name ON events(bot_name);
 CREATE INDEX idx_cf_ray ON events(cf_ray);
+CREATE UNIQUE INDEX idx_event_key ON events(event_key);
+CREATE INDEX idx_filter_reason ON events(filter_reason);
+CREATE INDEX idx_crowdsec_scenario ON events(crowdsec_scenario);
+CREATE INDEX idx_classifier_version ON events(classifier_version);
+CREATE INDEX idx_bot_score ON events(bot_score);
+CREATE INDEX idx_browser_family ON events(browser_family);
+CREATE INDEX idx_device_type ON events(device_type);
+CREATE INDEX idx_header_fingerprint ON events(header_fingerprint);
+CREATE INDEX idx_session_id ON events(session_id);
 
 -- JSONB index for header queries
 CREATE INDEX idx_headers_json ON events USING GIN (headers_json);
@@ -96,7 +137,20 @@ CREATE INDEX idx_headers_json ON events USING GIN (headers_json);
 COMMENT ON TABLE events IS 'Main events table storing all HTTP requests with bot classification';
 COMMENT ON COLUMN events.client_ip IS 'Real client IP from Cf-Connecting-Ip header (not Cloudflare edge IP)';
 COMMENT ON COLUMN events.bot_classification IS 'official_ai|stealth_ai|web_crawler|human|unknown';
-COMMENT ON COLUMN events.detection_level IS '1=User-Agent, 2=Datacenter IP, 3=Behavioral';
+COMMENT ON COLUMN events.detection_level IS '0=Manual override, 1=User-Agent, 2=Datacenter IP, 3=Behavioral';
+COMMENT ON COLUMN events.event_key IS 'Cf-Ray without colo suffix, or sha256 of timestamp/IP/site/method/path/query/status/UA (see computeEventKey)';
+COMMENT ON COLUMN events.filter_reason IS 'Why the event is hidden from default dashboards: excluded_ip|excluded_host|excluded_path|crowdsec_banned (NULL = regular traffic)';
+COMMENT ON COLUMN events.detection_rules IS 'Ids of the classifier rules that matched (see rules/*.json)';
+COMMENT ON COLUMN events.classifier_version IS 'Classifier ruleset and version that produced the classification (ruleset@version)';
+COMMENT ON COLUMN events.bot_score IS '0-1 bot likelihood from request evidence, independent of bot_classification (see lib/bot-score.js)';
+COMMENT ON COLUMN events.bot_score_signals IS 'Signals that contributed to bot_score (declared_bot, datacenter, sec_fetch, ...)';
+COMMENT ON COLUMN events.agent_evidence IS 'Session statistics and signals behind an ai_agent_browser classification (see lib/agent-detection.js)';
+COMMENT ON COLUMN events.browser_version IS 'Browser major.minor version parsed from the User-Agent (see lib/ua-parser.js)';
+COMMENT ON COLUMN events.ua_anomalies IS 'User-Agent version anomalies: outdated_version|future_version|client_hints_unsupported|sec_fetch_unsupported';
+COMMENT ON COLUMN events.header_fingerprint IS 'Hash of the request header names and stable values, without proxy and per-request headers (see lib/header-fingerprint.js)';
+COMMENT ON COLUMN events.header_mismatches IS 'Header contradictions: client_hints_brand|client_hints_version|client_hints_platform|client_hints_mobile|accept_language_country';
+COMMENT ON COLUMN events.session_id IS 'Session of the event: client IP and first event time, split by the configured inactivity gap (see lib/sessionizer.js)';
+COMMENT ON COLUMN events.crowdsec_scenario IS 'Scenario of the CrowdSec decision covering client_ip at ingestion time (Ip or Range scope)';
 
 -- ============================================================================
 -- Behavioral Patterns Table
@@ -111,7 +165,7 @@ CREATE TABLE behavior_patterns (
   subnet CIDR,
 
   -- Pattern details
-  pattern_type VARCHAR(50) NOT NULL, -- 'rapid_sequential', 'data_harvesting', 'cross_site_journey'
+  pattern_type VARCHAR(50) NOT NULL, -- 'rapid_sequential', 'sitemap_traversal', 'data_harvesting', 'cross_site_journey'
   confidence_score FLOAT NOT NULL CHECK (confidence_score >= 0 AND confidence_score <= 1),
 
   -- Evidence
@@ -119,9 +173,13 @@ CREATE TABLE behavior_patterns (
   time_span_seconds INTEGER,
   sites_visited TEXT[],
   paths_accessed TEXT[],
+  first_seen TIMESTAMPTZ,            -- Time range of the pattern's events (links them)
+  last_seen TIMESTAMPTZ,
+  evidence JSONB,                    -- Detector details ({"run_length": 42, "mean_interval_seconds": 0.8})
 
   -- Classification impact
-  suggested_classification VARCHAR(20)
+  suggested_classification VARCHAR(20),
+  applied_events INTEGER NOT NULL DEFAULT 0 -- Events upgraded by analyze-behavior.js --apply
 );
 
 -- Indexes
@@ -129,6 +187,7 @@ CREATE INDEX idx_bp_detected_at ON behavior_patterns(detected_at DESC);
 CREATE INDEX idx_bp_client_ip ON behavior_patterns(client_ip);
 CREATE INDEX idx_bp_pattern_type ON behavior_patterns(pattern_type);
 CREATE INDEX idx_bp_subnet ON behavior_patterns(subnet);
+CREATE UNIQUE INDEX idx_bp_client_pattern_start ON behavior_patterns(client_ip, pattern_type, first_seen);
 
 COMMENT ON TABLE behavior_patterns IS 'Detected behavioral patterns for Level 3 bot classification';
 COMMENT ON COLUMN behavior_patterns.confidence_score IS 'Confidence level from 0.0 to 1.0';
@@ -149,16 +208,16 @@ CREATE TABLE journeys (
   last_seen TIMESTAMPTZ NOT NULL,
 
   -- Funnel progression
-  sites_visited TEXT[] NOT NULL,     -- ['veteransmemorycare.org', 'memorycareguide.org']
+  sites_visited TEXT[] NOT NULL,     -- In first-visit order: ['veteransmemorycare.org', 'memorycareguide.org']
   funnel_stage INTEGER NOT NULL CHECK (funnel_stage >= 1 AND funnel_stage <= 3),
-  completed_funnel BOOLEAN DEFAULT FALSE, -- Reached thaibelle.com?
+  completed_funnel BOOLEAN DEFAULT FALSE, -- Visited all three sites in funnel order?
 
   -- Volume
   total_requests INTEGER NOT NULL,
   unique_ips INTEGER NOT NULL,
 
   -- Classification
-  bot_classification VARCHAR(20),
+  bot_classification VARCHAR(30),
   bot_name VARCHAR(50)
 );
 
@@ -168,10 +227,20 @@ CREATE INDEX idx_j_funnel_stage ON journeys(funnel_stage);
 CREATE INDEX idx_j_first_seen ON journeys(first_seen DESC);
 CREATE INDEX idx_j_completed_funnel ON journeys(completed_funnel);
 CREATE INDEX idx_j_bot_classification ON journeys(bot_classification);
+CREATE INDEX idx_j_last_seen ON journeys(last_seen);
 
 COMMENT ON TABLE journeys IS 'Cross-site visitor journeys for funnel analysis';
 COMMENT ON COLUMN journeys.funnel_stage IS '1=Stage 1 only, 2=Stages 1-2, 3=All stages (completed funnel)';
 
+-- Aggregation watermark (scripts/aggregate-journeys.js)
+CREATE TABLE journey_state (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  processed_until TIMESTAMPTZ NOT NULL,  -- Newest event covered by the last run
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE journey_state IS 'Single row: newest event timestamp covered by journey aggregation';
+
 -- ============================================================================
 -- Ingestion State Table
 -- ============================================================================
@@ -182,13 +251,222 @@ CREATE TABLE ingestion_state (
   last_cf_ray TEXT,
   records_processed INTEGER,
   ingestion_duration_ms INTEGER,
+  source TEXT,                    -- Log source name ('journald', 'file:/var/log/caddy/access.log')
+  cursor JSONB,                   -- Adapter resume position + timestamp watermark
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 CREATE INDEX idx_is_created_at ON ingestion_state(created_at DESC);
+CREATE INDEX idx_is_source_created_at ON ingestion_state(source, created_at DESC);
 
 COMMENT ON TABLE ingestion_state IS 'Tracks ingestion progress to prevent duplicate processing';
 COMMENT ON COLUMN ingestion_state.last_processed_timestamp IS 'Latest event timestamp that was processed';
+COMMENT ON COLUMN ingestion_state.cursor IS 'Per-source resume position: { position, timestamp }';
+
+-- ============================================================================
+-- Ingestion Runs Table
+-- ============================================================================
+
+CREATE TABLE ingestion_runs (
+  id SERIAL PRIMARY KEY,
+  source TEXT NOT NULL,           -- Log source name ('journald', 'intake:web2', 'backfill')
+  mode VARCHAR(20) NOT NULL,      -- 'cron', 'daemon', 'intake', 'backfill'
+  status VARCHAR(20) NOT NULL,    -- 'success', 'partial' (dead letters), 'failed'
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL,
+
+  -- Line / event counts
+  lines_read INTEGER NOT NULL DEFAULT 0,
+  events_parsed INTEGER NOT NULL DEFAULT 0,
+  parse_errors INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,        -- Non-access lines, already ingested, outside range
+  filtered INTEGER NOT NULL DEFAULT 0,
+  filtered_by_reason JSONB NOT NULL DEFAULT '{}', -- { "excluded_path": 12, "crowdsec_banned": 3 }
+  failed INTEGER NOT NULL DEFAULT 0,         -- Enrichment failures
+  inserted INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,        -- Already present (upserted)
+
+  stage_durations JSONB NOT NULL DEFAULT '{}', -- Milliseconds per stage: { "read": 120, "enrich": 300, "insert": 80 }
+  latest_event_timestamp TIMESTAMPTZ,        -- Newest inserted event (ingestion lag)
+  dead_letters INTEGER NOT NULL DEFAULT 0,
+  error TEXT                                 -- Error that ended a failed run
+);
+
+CREATE INDEX idx_ir_started_at ON ingestion_runs(started_at DESC);
+CREATE INDEX idx_ir_source_started_at ON ingestion_runs(source, started_at DESC);
+
+COMMENT ON TABLE ingestion_runs IS 'Per-run ingestion statistics (cron run, daemon interval, intake request, backfill day)';
+
+-- ============================================================================
+-- Dead Letters Table
+-- ============================================================================
+
+CREATE TABLE dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  stage VARCHAR(20) NOT NULL,     -- 'parse', 'validate', 'enrich'
+  error TEXT NOT NULL,
+  raw_line TEXT,                  -- Unparseable / rejected line
+  event_json JSONB,               -- Parsed event that failed enrichment
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_dl_created_at ON dead_letters(created_at DESC);
+CREATE INDEX idx_dl_run_id ON dead_letters(run_id);
+
+COMMENT ON TABLE dead_letters IS 'Log lines and events that could not be ingested, with the error';
+
+-- ============================================================================
+-- Reclassification Audit Tables
+-- ============================================================================
+
+CREATE TABLE reclassification_runs (
+  id SERIAL PRIMARY KEY,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed', 'rolled_back'
+  filters JSONB NOT NULL,                    -- { "since": ..., "sites": [...], "ip": ... }
+  classifier_version VARCHAR(50),            -- Ruleset applied ('ai-classifier-v2@2.3.0')
+  events_scanned INTEGER NOT NULL DEFAULT 0,
+  events_changed INTEGER NOT NULL DEFAULT 0,
+  transitions JSONB,                         -- { "human": { "bot_undetermined": 12 } }
+  error TEXT,
+  rolled_back_at TIMESTAMPTZ,
+  events_restored INTEGER
+);
+
+CREATE INDEX idx_rr_started_at ON reclassification_runs(started_at DESC);
+
+CREATE TABLE classification_changes (
+  id BIGSERIAL PRIMARY KEY,
+  run_id INTEGER NOT NULL REFERENCES reclassification_runs(id) ON DELETE CASCADE,
+  event_id BIGINT NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  old_classification VARCHAR(30),
+  new_classification VARCHAR(30),
+  old_values JSONB NOT NULL,      -- Classification, provenance and ASN fields before the run
+  new_values JSONB NOT NULL       -- ... and after (rollback only restores events still equal to these)
+);
+
+CREATE INDEX idx_cc_run_id ON classification_changes(run_id, id);
+CREATE INDEX idx_cc_event_id ON classification_changes(event_id);
+
+COMMENT ON TABLE reclassification_runs IS 'One row per scripts/reclassify.js run, with its filters and transition matrix';
+COMMENT ON TABLE classification_changes IS 'Per-event audit of reclassification runs; basis for rollback';
+
+-- ============================================================================
+-- Shadow Classification Table
+-- ============================================================================
+
+CREATE TABLE shadow_classifications (
+  event_key TEXT NOT NULL,                   -- events.event_key
+  classifier_version VARCHAR(50) NOT NULL,   -- Candidate ruleset ('ai-classifier-v2@2.4.0')
+  timestamp TIMESTAMPTZ NOT NULL,            -- Event time
+  classified_at TIMESTAMPTZ DEFAULT NOW(),
+  active_version VARCHAR(50),                -- Active ruleset at ingestion time
+  active_classification VARCHAR(30),         -- Active result at ingestion time
+  active_bot_name VARCHAR(50),
+  is_bot BOOLEAN,                            -- Candidate result
+  bot_classification VARCHAR(30),
+  bot_name VARCHAR(50),
+  detection_level INTEGER,
+  detection_reason TEXT,
+  detection_rules TEXT[],
+  PRIMARY KEY (event_key, classifier_version)
+);
+
+CREATE INDEX idx_sc_version_timestamp ON shadow_classifications(classifier_version, timestamp);
+
+COMMENT ON TABLE shadow_classifications IS 'Candidate ruleset results (classifier.shadow_rules_file) next to the active result, for GET /api/shadow';
+
+-- ============================================================================
+-- Classification Overrides Table
+-- ============================================================================
+
+CREATE TABLE classification_overrides (
+  id SERIAL PRIMARY KEY,
+  match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('ip', 'asn', 'user_agent')),
+  match_value TEXT NOT NULL,                 -- IP or CIDR, ASN number, or case-insensitive User-Agent regex
+  bot_classification VARCHAR(30),            -- Pinned classification (NULL = keep the rule result)
+  bot_name VARCHAR(50),                      -- Pinned bot name
+  note TEXT NOT NULL,                        -- Why ('Our uptime monitor')
+  author VARCHAR(100) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (bot_classification IS NOT NULL OR bot_name IS NOT NULL)
+);
+
+COMMENT ON TABLE classification_overrides IS 'Manual labels applied before the classifier rules; also ground truth for classifier accuracy';
+
+-- ============================================================================
+-- Datacenter ASN Registry
+-- ============================================================================
+
+CREATE TABLE datacenter_asns (
+  asn INTEGER PRIMARY KEY,
+  provider VARCHAR(20),                      -- 'hetzner', 'hosting' (NULL = reviewed, not a datacenter)
+  asn_org TEXT,                              -- ASN organization name when added
+  source VARCHAR(20) NOT NULL CHECK (source IN ('builtin', 'manual', 'review')),
+  note TEXT NOT NULL,                        -- Why ('Hetzner Online GmbH, VPS ranges')
+  author VARCHAR(100) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE datacenter_asns IS 'ASN to datacenter provider mappings (NULL provider = reviewed, not a datacenter), see lib/asn-lookup.js';
+
+-- Built-in mappings (lib/asn-lookup.js BUILTIN_DATACENTER_ASN)
+INSERT INTO datacenter_asns (asn, provider, note, source, author)
+SELECT asn, provider, note, 'builtin', 'modelzero'
+FROM (VALUES
+  (8075, 'azure', 'Microsoft Azure'),
+  (15169, 'gcp', 'Google Cloud Platform'),
+  (396982, 'gcp', 'Google Cloud Platform'),
+  (16509, 'aws', 'Amazon Web Services'),
+  (14618, 'aws', 'Amazon Web Services'),
+  (13335, 'cloudflare', 'Cloudflare'),
+  (132892, 'cloudflare', 'Cloudflare, Inc. (additional ASN)'),
+  (16276, 'ovh', 'OVH'),
+  (14061, 'digitalocean', 'DigitalOcean'),
+  (20473, 'vultr', 'Vultr'),
+  (63949, 'linode', 'Linode'),
+  (24940, 'hetzner', 'Hetzner'),
+  (132203, 'tencent', 'Tencent Cloud'),
+  (45090, 'tencent', 'Tencent Cloud'),
+  (45102, 'alibaba', 'Alibaba Cloud'),
+  (37963, 'alibaba', 'Alibaba Cloud'),
+  (136907, 'huawei', 'Huawei Cloud'),
+  (55967, 'baidu', 'Baidu Cloud'),
+  (134756, 'telecom-cloud', 'CHINANET Nanjing IDC'),
+  (59223, 'telecom-cloud', 'CHINANET Qinghai IDC'),
+  (134768, 'telecom-cloud', 'CHINANET SHAANXI Cloud'),
+  (23724, 'telecom-cloud', 'China Telecommunications IDC'),
+  (137693, 'telecom-cloud', 'CHINATELECOM Guangxi IDC'),
+  (58519, 'hosting', 'Cloud Computing Corporation'),
+  (199785, 'hosting', 'Cloud Hosting Solutions'),
+  (204916, 'hosting', 'LLC Vpsville'),
+  (36352, 'hosting', 'AS-COLOCROSSING'),
+  (18779, 'hosting', 'EGIHOSTING'),
+  (23576, 'hosting', 'NAVER Cloud Corp'),
+  (48282, 'hosting', 'Hosting technology LTD'),
+  (51396, 'hosting', 'Pfcloud UG'),
+  (55286, 'hosting', 'SERVER-MANIA'),
+  (142002, 'hosting', 'Scloud Pte Ltd'),
+  (198584, 'hosting', 'PIO-Hosting GmbH'),
+  (216071, 'hosting', 'Servers Tech Fzco'),
+  (394474, 'hosting', 'WHITELABELCOLO'),
+  (9009, 'hosting', 'M247 Europe SRL (21 requests), detected from browser automation analysis (2025-11)'),
+  (46261, 'hosting', 'QUICKPACKET (16 requests), detected from browser automation analysis (2025-11)'),
+  (212512, 'hosting', 'Detai Prosperous Technologies Limited (14 requests), detected from browser automation analysis (2025-11)'),
+  (11878, 'hosting', 'TZULO (7 requests), detected from browser automation analysis (2025-11)'),
+  (49505, 'hosting', 'JSC Selectel (7 requests), detected from browser automation analysis (2025-11)'),
+  (50340, 'hosting', 'JSC Selectel (additional ASN, 3 requests), detected from browser automation analysis (2025-11)'),
+  (26548, 'hosting', 'PUREVOLTAGE-INC (3 requests), detected from browser automation analysis (2025-11)'),
+  (64267, 'hosting', 'AS-SPRIO (1 requests), detected from browser automation analysis (2025-11)')
+) AS builtin(asn, provider, note);
 
 -- ============================================================================
 -- Helper Functions
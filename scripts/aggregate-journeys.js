@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Journey Aggregation
+ * Builds cross-site journeys through the veteransmemorycare.org →
+ * memorycareguide.org → thaibelle.com funnel into the journeys table
+ *
+ * Visits are linked by subnet (/24, /64): events of one subnet belong to the
+ * same journey until a pause longer than journeys.gap (default 6 hours).
+ * funnel_stage is the highest stage reached (calculate_funnel_stage());
+ * completed_funnel means all three sites were visited in funnel order.
+ *
+ * Incremental: each run rebuilds only the journeys that can still grow (those
+ * ending within one gap of the previous run's newest event) from their events
+ * onwards. Events ingested later than that window are not picked up; rebuild
+ * with --full after a backfill.
+ *
+ * Usage:
+ *   node scripts/aggregate-journeys.js             # Incremental (first run: last 30 days)
+ *   node scripts/aggregate-journeys.js --days 90   # First run / --full window
+ *   node scripts/aggregate-journeys.js --full      # Rebuild the whole window
+ *
+ * Run hourly via cron, after ingestion.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDB, query, replaceJourneys, testConnection, closeDB } from '../lib/db.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+const DEFAULT_GAP = 21600;       // Seconds between visits of one journey
+const DEFAULT_DAYS = 30;         // Window of a first or --full run
+const SUBNET_CHUNK = 500;        // Subnets loaded per query
+
+// Funnel order (matches calculate_funnel_stage() in schema.sql)
+const FUNNEL_SITES = ['veteransmemorycare.org', 'memorycareguide.org', 'thaibelle.com'];
+
+/**
+ * Load configuration
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    console.error(`Configuration file not found: ${CONFIG_PATH}`);
+    console.error('Please create config/config.json (see config/config.example.json)');
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Funnel site of an event's site ('www.thaibelle.com' → 'thaibelle.com')
+ */
+function funnelSite(site) {
+  const bare = site.replace(/^www\./, '');
+  return FUNNEL_SITES.includes(bare) ? bare : null;
+}
+
+/**
+ * Find where to start rebuilding
+ * Extends the start back to the first event of every journey still open at it,
+ * so no journey is rebuilt from a partial set of events.
+ * @param {Date} since - Earliest event that may belong to an open journey
+ * @returns {Promise<Date>} Rebuild start
+ */
+async function findRebuildStart(since) {
+  let start = since;
+  for (;;) {
+    const result = await query('SELECT MIN(first_seen) AS first_seen FROM journeys WHERE last_seen >= $1', [start]);
+    const firstSeen = result.rows[0].first_seen;
+    if (!firstSeen || firstSeen >= start) {
+      return start;
+    }
+    start = firstSeen;
+  }
+}
+
+/**
+ * Subnets with funnel traffic in the window
+ */
+async function findSubnets(start, until) {
+  const result = await query(`
+    SELECT DISTINCT subnet::text AS subnet
+    FROM events
+    WHERE timestamp >= $1 AND timestamp <= $2
+      AND filter_reason IS NULL
+      AND subnet IS NOT NULL
+      AND regexp_replace(site, '^www\\.', '') = ANY($3)
+  `, [start, until, FUNNEL_SITES]);
+
+  return result.rows.map(row => row.subnet);
+}
+
+/**
+ * Funnel events of a set of subnets, grouped by subnet (oldest first)
+ */
+async function loadSubnetEvents(subnets, start, until) {
+  const result = await query(`
+    SELECT subnet::text AS subnet, host(client_ip) AS client_ip, timestamp, site, bot_classification, bot_name
+    FROM events
+    WHERE timestamp >= $1 AND timestamp <= $2
+      AND filter_reason IS NULL
+      AND subnet = ANY($3::cidr[])
+      AND regexp_replace(site, '^www\\.', '') = ANY($4)
+    ORDER BY subnet, timestamp
+  `, [start, until, subnets, FUNNEL_SITES]);
+
+  const bySubnet = new Map();
+  for (const row of result.rows) {
+    if (!bySubnet.has(row.subnet)) bySubnet.set(row.subnet, []);
+    bySubnet.get(row.subnet).push(row);
+  }
+  return bySubnet;
+}
+
+/**
+ * Most frequent non-null value
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value !== null && value !== undefined) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  let best = null;
+  for (const [value, count] of counts) {
+    if (best === null || count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+/**
+ * Build one journey row from its events
+ * @param {string} subnet - Subnet
+ * @param {Array} events - Journey events, oldest first
+ * @returns {Object} Journey (columns of journeys, funnel_stage computed on insert)
+ */
+function buildJourney(subnet, events) {
+  const sites = [];
+  for (const event of events) {
+    const site = funnelSite(event.site);
+    if (site && !sites.includes(site)) sites.push(site);
+  }
+  const ips = new Set(events.map(e => e.client_ip));
+
+  return {
+    subnet,
+    client_ip: ips.size === 1 ? events[0].client_ip : null,
+    first_seen: events[0].timestamp,
+    last_seen: events[events.length - 1].timestamp,
+    sites_visited: sites,
+    completed_funnel: sites.length === FUNNEL_SITES.length && sites.every((site, i) => site === FUNNEL_SITES[i]),
+    total_requests: events.length,
+    unique_ips: ips.size,
+    bot_classification: mostCommon(events.map(e => e.bot_classification)),
+    bot_name: mostCommon(events.map(e => e.bot_name))
+  };
+}
+
+/**
+ * Split a subnet's events into journeys at pauses longer than the gap
+ * @param {string} subnet - Subnet
+ * @param {Array} events - Subnet events, oldest first
+ * @param {number} gapMs - Journey gap in milliseconds
+ * @returns {Array<Object>} Journeys
+ */
+function splitJourneys(subnet, events, gapMs) {
+  const journeys = [];
+  let current = [];
+
+  for (const event of events) {
+    const previous = current[current.length - 1];
+    if (previous && new Date(event.timestamp) - new Date(previous.timestamp) > gapMs) {
+      journeys.push(buildJourney(subnet, current));
+      current = [];
+    }
+    current.push(event);
+  }
+  if (current.length > 0) {
+    journeys.push(buildJourney(subnet, current));
+  }
+
+  return journeys;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const daysIndex = args.indexOf('--days');
+  const days = daysIndex !== -1 ? parseFloat(args[daysIndex + 1]) : DEFAULT_DAYS;
+  const full = args.includes('--full');
+
+  if (!(days > 0)) {
+    console.error('--days must be a positive number');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Journey Aggregation');
+  console.log('='.repeat(60));
+
+  const config = loadConfig();
+  const gapMs = (config.journeys?.gap || DEFAULT_GAP) * 1000;
+  initDB(config.database);
+
+  if (!await testConnection()) {
+    throw new Error('Database connection failed');
+  }
+
+  // Snapshot the newest event so the run covers a fixed range
+  const latest = await query('SELECT MAX(timestamp) AS latest FROM events');
+  const until = latest.rows[0].latest;
+  if (!until) {
+    console.log('No events yet');
+    await closeDB();
+    return;
+  }
+
+  const state = await query('SELECT processed_until FROM journey_state WHERE id = 1');
+  const processedUntil = state.rows[0]?.processed_until;
+  const since = full || !processedUntil
+    ? new Date(until.getTime() - days * 86400000)
+    : new Date(processedUntil.getTime() - gapMs);
+  const start = await findRebuildStart(since);
+
+  console.log(`Mode: ${full || !processedUntil ? `full (last ${days} days)` : 'incremental'}`);
+  console.log(`Rebuilding journeys from ${start.toISOString()} to ${until.toISOString()}`);
+
+  const subnets = await findSubnets(start, until);
+  const journeys = [];
+  for (let i = 0; i < subnets.length; i += SUBNET_CHUNK) {
+    const bySubnet = await loadSubnetEvents(subnets.slice(i, i + SUBNET_CHUNK), start, until);
+    for (const [subnet, events] of bySubnet) {
+      journeys.push(...splitJourneys(subnet, events, gapMs));
+    }
+  }
+
+  const { deleted, inserted } = await replaceJourneys(start, journeys, until);
+
+  const crossSite = journeys.filter(j => j.sites_visited.length > 1).length;
+  const completed = journeys.filter(j => j.completed_funnel).length;
+  console.log(`\nSubnets: ${subnets.length}`);
+  console.log(`Journeys: ${inserted} built (${deleted} replaced), ${crossSite} cross-site, ${completed} completed the funnel`);
+
+  await closeDB();
+}
+
+main().catch(async err => {
+  console.error('Fatal error:', err.message);
+  await closeDB();
+  process.exit(1);
+});
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Behavior Analysis
+ * Runs the pattern detectors of lib/behavior-analysis.js over recent events
+ * and writes scored patterns to behavior_patterns
+ *
+ * With --apply, the events linked to a pattern (same client, within the
+ * pattern's time range) that are classified human or bot_undetermined are
+ * upgraded to the pattern's suggested classification, for patterns at or above
+ * behavior.apply_min_confidence. Verified, official, attack and overridden
+ * classifications are never changed. The upgrades of a run are audited as one
+ * reclassification run (undo with reclassify.js --rollback <run>).
+ *
+ * Usage:
+ *   node scripts/analyze-behavior.js               # Last 24 hours
+ *   node scripts/analyze-behavior.js --hours 6
+ *   node scripts/analyze-behavior.js --apply       # Also upgrade linked events
+ *   node scripts/analyze-behavior.js --dry-run     # Print patterns, write nothing
+ *
+ * Run hourly via cron, after ingestion.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  initDB, query, testConnection, closeDB,
+  createReclassificationRun, finishReclassificationRun, updateClassificationsAudited
+} from '../lib/db.js';
+import { PATTERN_TYPES, resolveSettings, parseSitemap, analyzeClient, isApplicable } from '../lib/behavior-analysis.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_HOURS = 24;
+const MIN_CLIENT_EVENTS = 3;     // Smallest detector threshold
+const CLIENT_CHUNK = 200;        // Clients loaded per query
+const FETCH_TIMEOUT = 30000;
+
+// Classifications --apply may upgrade
+const UPGRADABLE = ['human', 'bot_undetermined'];
+
+/**
+ * Load configuration
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    console.error(`Configuration file not found: ${CONFIG_PATH}`);
+    console.error('Please create config/config.json (see config/config.example.json)');
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Read a sitemap from a URL or a file (relative to the project root)
+ * Sitemap indexes are followed one level deep.
+ * @param {string} location - URL or file path
+ * @returns {Promise<Array<string>>} Paths in sitemap order
+ */
+async function loadSitemap(location, depth = 0) {
+  const xml = /^https?:\/\//.test(location)
+    ? await fetchText(location)
+    : fs.readFileSync(path.resolve(PROJECT_ROOT, location), 'utf8');
+
+  if (depth === 0 && /<sitemapindex/i.test(xml)) {
+    const paths = [];
+    for (const match of xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)) {
+      paths.push(...await loadSitemap(match[1], depth + 1));
+    }
+    return paths;
+  }
+
+  return parseSitemap(xml);
+}
+
+/**
+ * Fetch a URL as text
+ */
+async function fetchText(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Load the configured sitemaps (sitemap_traversal is skipped for sites without one)
+ * @param {Object} sitemapConfig - { site: url-or-file }
+ * @returns {Promise<Map<string, Array<string>>>} site → paths
+ */
+async function loadSitemaps(sitemapConfig = {}) {
+  const sitemaps = new Map();
+  for (const [site, location] of Object.entries(sitemapConfig)) {
+    try {
+      const paths = await loadSitemap(location);
+      sitemaps.set(site, paths);
+      console.log(`  Sitemap ${site}: ${paths.length} pages`);
+    } catch (err) {
+      console.warn(`  Sitemap ${site} (${location}) unavailable: ${err.message} - skipping sitemap_traversal for it`);
+    }
+  }
+  return sitemaps;
+}
+
+/**
+ * Clients with enough unfiltered events in the window
+ */
+async function findClients(hours) {
+  const result = await query(`
+    SELECT host(client_ip) AS client_ip
+    FROM events
+    WHERE timestamp > NOW() - make_interval(secs => $1 * 3600)
+      AND filter_reason IS NULL
+    GROUP BY client_ip
+    HAVING COUNT(*) >= $2
+    ORDER BY COUNT(*) DESC
+  `, [hours, MIN_CLIENT_EVENTS]);
+
+  return result.rows.map(row => row.client_ip);
+}
+
+/**
+ * Events of a set of clients in the window, grouped by client (oldest first)
+ */
+async function loadClientEvents(clients, hours) {
+  const result = await query(`
+    SELECT
+      host(client_ip) AS client_ip,
+      subnet::text AS subnet,
+      timestamp,
+      site,
+      path,
+      content_type,
+      bot_classification
+    FROM events
+    WHERE timestamp > NOW() - make_interval(secs => $1 * 3600)
+      AND filter_reason IS NULL
+      AND client_ip = ANY($2::inet[])
+    ORDER BY client_ip, timestamp
+  `, [hours, clients]);
+
+  const byClient = new Map();
+  for (const row of result.rows) {
+    if (!byClient.has(row.client_ip)) byClient.set(row.client_ip, []);
+    byClient.get(row.client_ip).push(row);
+  }
+  return byClient;
+}
+
+/**
+ * Insert or update a pattern
+ * @returns {Promise<number>} Pattern id
+ */
+async function savePattern(clientIp, subnet, pattern) {
+  const result = await query(`
+    INSERT INTO behavior_patterns (
+      client_ip, subnet, pattern_type, confidence_score, request_count, time_span_seconds,
+      sites_visited, paths_accessed, first_seen, last_seen, evidence, suggested_classification
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (client_ip, pattern_type, first_seen) DO UPDATE SET
+      detected_at = NOW(),
+      confidence_score = EXCLUDED.confidence_score,
+      request_count = EXCLUDED.request_count,
+      time_span_seconds = EXCLUDED.time_span_seconds,
+      sites_visited = EXCLUDED.sites_visited,
+      paths_accessed = EXCLUDED.paths_accessed,
+      last_seen = EXCLUDED.last_seen,
+      evidence = EXCLUDED.evidence,
+      suggested_classification = EXCLUDED.suggested_classification
+    RETURNING id
+  `, [
+    clientIp,
+    subnet,
+    pattern.pattern_type,
+    pattern.confidence_score,
+    pattern.request_count,
+    pattern.time_span_seconds,
+    pattern.sites_visited,
+    pattern.paths_accessed,
+    pattern.first_seen,
+    pattern.last_seen,
+    JSON.stringify(pattern.evidence),
+    pattern.suggested_classification
+  ]);
+
+  return result.rows[0].id;
+}
+
+/**
+ * Upgrade the pattern's linked events to its suggested classification
+ * @param {Object} run - Reclassification run { id, transitions } the changes are audited under
+ * @returns {Promise<number>} Events upgraded
+ */
+async function applyPattern(run, patternId, clientIp, pattern) {
+  const { changed, transitions } = await updateClassificationsAudited(run.id, {
+    set: `
+      is_bot = true,
+      bot_classification = $5,
+      detection_level = 3,
+      detection_reason = $6,
+      detection_rules = array_append(COALESCE(detection_rules, '{}'), $7)`,
+    where: `client_ip = $2
+        AND timestamp BETWEEN $3 AND $4
+        AND bot_classification = ANY($8)
+        AND bot_classification <> $5`,
+    params: [
+      clientIp,
+      pattern.first_seen,
+      pattern.last_seen,
+      pattern.suggested_classification,
+      `Behavior: ${pattern.pattern_type} (confidence ${pattern.confidence_score})`,
+      `behavior:${pattern.pattern_type}`,
+      UPGRADABLE
+    ]
+  });
+
+  for (const [from, row] of Object.entries(transitions)) {
+    run.transitions[from] = run.transitions[from] || {};
+    for (const [to, count] of Object.entries(row)) {
+      run.transitions[from][to] = (run.transitions[from][to] || 0) + count;
+    }
+  }
+
+  await query(`
+    UPDATE behavior_patterns SET applied_events = applied_events + $2 WHERE id = $1
+  `, [patternId, changed]);
+
+  return changed;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const hoursIndex = args.indexOf('--hours');
+  const hours = hoursIndex !== -1 ? parseFloat(args[hoursIndex + 1]) : DEFAULT_HOURS;
+  const apply = args.includes('--apply');
+  const dryRun = args.includes('--dry-run');
+
+  if (!(hours > 0)) {
+    console.error('--hours must be a positive number');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Behavior Analysis');
+  console.log('='.repeat(60));
+  console.log(`Window: last ${hours} hours${dryRun ? ' (dry run)' : ''}${apply ? ', upgrading linked events' : ''}`);
+
+  const config = loadConfig();
+  const settings = resolveSettings(config.behavior);
+  initDB(config.database);
+
+  if (!await testConnection()) {
+    throw new Error('Database connection failed');
+  }
+
+  const sitemaps = await loadSitemaps(settings.sitemaps);
+  const clients = await findClients(hours);
+  console.log(`\nAnalyzing ${clients.length} clients with ${MIN_CLIENT_EVENTS}+ events...`);
+
+  const counts = Object.fromEntries(PATTERN_TYPES.map(type => [type, 0]));
+  let upgraded = 0;
+  let run = null; // Created with the first upgrade
+
+  try {
+    for (let i = 0; i < clients.length; i += CLIENT_CHUNK) {
+      const byClient = await loadClientEvents(clients.slice(i, i + CLIENT_CHUNK), hours);
+
+      for (const [clientIp, events] of byClient) {
+        for (const pattern of analyzeClient(events, settings, sitemaps)) {
+          counts[pattern.pattern_type]++;
+
+          if (dryRun) {
+            console.log(`  ${clientIp.padEnd(39)} ${pattern.pattern_type.padEnd(20)} ${pattern.confidence_score.toFixed(2)}  ${pattern.request_count} req  ${JSON.stringify(pattern.evidence)}`);
+            continue;
+          }
+
+          const patternId = await savePattern(clientIp, events[0].subnet, pattern);
+          if (apply && isApplicable(pattern, settings)) {
+            run = run || { id: await createReclassificationRun({ hours, trigger: 'analyze-behavior' }, null), transitions: {} };
+            upgraded += await applyPattern(run, patternId, clientIp, pattern);
+          }
+        }
+      }
+    }
+  } catch (err) {
+    if (run) {
+      await finishReclassificationRun(run.id, { status: 'failed', scanned: upgraded, changed: upgraded, transitions: run.transitions, error: err.message });
+      console.error(`Run ${run.id} failed after ${upgraded} upgrades; roll back with: node scripts/reclassify.js --rollback ${run.id}`);
+    }
+    throw err;
+  }
+
+  if (run) {
+    await finishReclassificationRun(run.id, { status: 'completed', scanned: upgraded, changed: upgraded, transitions: run.transitions });
+  }
+
+  console.log('\nPatterns detected:');
+  for (const [type, count] of Object.entries(counts)) {
+    console.log(`  ${type.padEnd(20)} ${count}`);
+  }
+  if (apply) {
+    console.log(`\nEvents upgraded: ${upgraded}`);
+  }
+  if (run) {
+    console.log(`Run ${run.id} recorded; undo with: node scripts/reclassify.js --rollback ${run.id}`);
+  }
+
+  await closeDB();
+}
+
+main().catch(async err => {
+  console.error('Fatal error:', err.message);
+  await closeDB();
+  process.exit(1);
+});
@@ -3,22 +3,27 @@
  * Historical Log Backfill Script
  * Processes historical Caddy logs from a specified date range
  * Filters to include only: veteransmemorycare.org, memorycareguide.org, thaibelle.com, modelzero.com
+ *
+ * Uses the same parse → filter → enrich → insert pipeline as live ingestion
+ * (lib/pipeline.js), so backfilled days are identical to live data.
+ *
+ * Modes:
+ *   default    Upsert into existing data (events already present are updated, not duplicated)
+ *   --replace  Delete each day's events for the included sites and re-insert them in one transaction
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import pg from 'pg';
 
 // Import our modules
-import { initGeoIP, lookupCity } from '../lib/geoip.js';
-import { initASN, lookupASN } from '../lib/asn-lookup.js';
-import { classify, detectBrowserSignals, extractBotHeaders, detectSecurityFlags } from '../lib/ai-classifier.js';
+import { initDB, replaceEvents, testConnection, closeDB } from '../lib/db.js';
+import { journaldSource } from '../lib/log-sources.js';
+import { parseLogLine } from '../lib/log-parsers.js';
+import { initPipeline, processEvents, insertEvents } from '../lib/pipeline.js';
+import { refreshDecisions } from '../lib/crowdsec.js';
+import { createRunReport, recordParseError, recordProcessResult, recordInsert, timeStage, saveRunReport } from '../lib/ingestion-report.js';
 
-const { Pool } = pg;
-const execAsync = promisify(exec);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Configuration
@@ -49,284 +54,131 @@ function loadConfig() {
 }
 
 /**
- * Extract Caddy logs for a specific date range
+ * Extract and parse Caddy logs for a specific date range
  */
-async function extractLogsForDateRange(startDate, endDate) {
-  const startStr = startDate.toISOString();
-  const endStr = endDate.toISOString();
+async function extractLogsForDateRange(startDate, endDate, report) {
+  console.log(`  Extracting logs from ${startDate.toISOString()} to ${endDate.toISOString()}...`);
 
-  console.log(`  Extracting logs from ${startStr} to ${endStr}...`);
-
-  const command = `journalctl -u caddy --since "${startStr}" --until "${endStr}" --output=cat`;
+  const source = journaldSource({ name: 'backfill', unit: 'caddy' });
+  const events = [];
+  let lines = 0;
+  let filtered = 0;
 
   try {
-    const { stdout } = await execAsync(command, { maxBuffer: 50 * 1024 * 1024 });
-
-    const lines = stdout.trim().split('\n').filter(line => line.length > 0);
-    console.log(`  Found ${lines.length} log entries`);
-
-    const events = [];
-    let filtered = 0;
+    for await (const { line } of source.read(null, { since: startDate, until: endDate })) {
+      lines++;
+      report.linesRead++;
 
-    for (const line of lines) {
+      let event;
       try {
-        const entry = JSON.parse(line);
-
-        // Only process access logs (handle both logger names)
-        if (!entry.logger || (!entry.logger.startsWith('http.log.access')) || !entry.request) {
-          continue;
-        }
-
-        const site = entry.request.host;
-
-        // Filter to only included sites
-        if (!INCLUDED_SITES.includes(site)) {
-          filtered++;
-          continue;
-        }
-
-        // Extract event data
-        const event = {
-          timestamp: new Date(entry.ts * 1000),
-          duration: entry.duration || 0,
-          client_ip: entry.request.headers['Cf-Connecting-Ip']?.[0] || entry.request.remote_ip,
-          site: site,
-          method: entry.request.method,
-          path: entry.request.uri,
-          status: entry.status,
-          response_size: entry.size || 0,
-          user_agent: entry.request.headers['User-Agent']?.[0] || '',
-          referer: entry.request.headers['Referer']?.[0] || null,
-          country: entry.request.headers['Cf-Ipcountry']?.[0] || null,
-          cf_ray: entry.request.headers['Cf-Ray']?.[0] || null,
-          headers_json: entry.request.headers
-        };
-
-        events.push(event);
+        event = parseLogLine(line, { format: 'caddy' });
       } catch (e) {
-        // Skip invalid JSON lines
+        // Invalid JSON lines are stored in dead_letters
+        recordParseError(report, line, e);
+        continue;
+      }
+      if (!event) {
+        report.skipped++; // Not an access log
+        continue;
+      }
+
+      // journalctl --until is inclusive, the next day starts at endDate
+      if (event.timestamp < startDate || event.timestamp >= endDate) {
+        report.skipped++;
         continue;
       }
-    }
 
-    console.log(`  Filtered ${filtered} entries (excluded sites)`);
-    console.log(`  Processing ${events.length} relevant events`);
+      // Filter to only included sites
+      if (!INCLUDED_SITES.includes(event.site)) {
+        filtered++;
+        report.skipped++;
+        continue;
+      }
 
-    return events;
+      events.push(event);
+    }
   } catch (error) {
     console.error(`  Error extracting logs: ${error.message}`);
+    report.error = error.message;
     return [];
   }
-}
 
-/**
- * Enrich events with GeoIP, ASN, and bot classification
- */
-async function enrichEvents(events) {
-  console.log(`  Enriching ${events.length} events...`);
-
-  const enriched = [];
-
-  for (const event of events) {
-    // GeoIP lookup
-    const geoData = lookupCity(event.client_ip);
-    event.country = event.country || geoData.country;
-    event.city = geoData.city;
-    event.latitude = geoData.latitude;
-    event.longitude = geoData.longitude;
-
-    // Calculate subnet
-    if (event.client_ip.includes(':')) {
-      // IPv6 - use /64
-      const parts = event.client_ip.split(':').filter(p => p !== '');
-      if (parts.length >= 4) {
-        event.subnet = parts.slice(0, 4).join(':') + '::/64';
-      } else {
-        event.subnet = parts.join(':') + '::/64';
-      }
-    } else {
-      // IPv4 - use /24
-      const parts = event.client_ip.split('.');
-      event.subnet = parts.slice(0, 3).join('.') + '.0/24';
-    }
+  report.eventsParsed = events.length;
 
-    // ASN lookup
-    const asnData = lookupASN(event.client_ip);
-    event.asn = asnData.asn;
-    event.asn_org = asnData.organization;
-    event.datacenter_provider = asnData.datacenter_provider;
-
-    // Bot classification
-    const classification = await classify(event.client_ip, event.user_agent, event.headers_json);
-    event.is_bot = classification.is_bot;
-    event.bot_classification = classification.bot_classification;
-    event.bot_name = classification.bot_name;
-    event.detection_level = classification.detection_level;
-    event.bot_type = classification.bot_type;
-
-    // Browser signals
-    const browserSignals = detectBrowserSignals(event.user_agent, event.headers_json);
-    event.has_js_capability = browserSignals.hasJavaScript;
-    event.has_cookie_capability = browserSignals.hasCookies;
-    event.browser_name = browserSignals.browserName;
-    event.browser_version = browserSignals.browserVersion;
-    event.os_name = browserSignals.osName;
-    event.device_type = browserSignals.deviceType;
-
-    // Bot headers
-    const botHeaders = extractBotHeaders(event.headers_json);
-    event.bot_intent = botHeaders.intent;
-    event.bot_email = botHeaders.email;
-    event.crawl_delay_respected = botHeaders.crawlDelay;
-
-    // Security flags
-    const securityFlags = detectSecurityFlags(event.headers_json, event.path);
-    event.is_vpn_proxy = securityFlags.isVpnProxy;
-    event.is_tor = securityFlags.isTor;
-    event.has_security_headers = securityFlags.hasSecurityHeaders;
-
-    enriched.push(event);
-  }
+  console.log(`  Found ${lines} log entries`);
+  console.log(`  Filtered ${filtered} entries (excluded sites)`);
+  console.log(`  Processing ${events.length} relevant events`);
 
-  console.log(`  Enrichment complete`);
-  return enriched;
+  return events;
 }
 
 /**
- * Batch insert events
+ * Process a single day of logs and record the run report
  */
-async function batchInsertEvents(pool, events) {
-  if (!events || events.length === 0) {
-    return 0;
-  }
-
-  const client = await pool.connect();
+async function processDay(dateStr, options) {
+  const report = createRunReport('backfill', 'backfill');
+  let error = null;
 
   try {
-    await client.query('BEGIN');
-
-    const fields = [
-      'timestamp', 'duration', 'client_ip', 'country', 'city', 'latitude', 'longitude',
-      'cf_ray', 'subnet', 'asn', 'asn_org', 'datacenter_provider', 'site', 'method',
-      'path', 'status', 'response_size', 'user_agent',
-      'is_bot', 'bot_classification', 'bot_name', 'detection_level', 'referer',
-      'headers_json'
-    ];
-
-    const valueStrings = events.map((_, i) => {
-      const offset = i * fields.length;
-      const placeholders = fields.map((_, j) => `$${offset + j + 1}`).join(', ');
-      return `(${placeholders})`;
-    }).join(',\n  ');
-
-    const flatValues = events.flatMap(e => [
-      e.timestamp,
-      e.duration || 0,
-      e.client_ip,
-      e.country,
-      e.city,
-      e.latitude,
-      e.longitude,
-      e.cf_ray,
-      e.subnet,
-      e.asn,
-      e.asn_org,
-      e.datacenter_provider,
-      e.site,
-      e.method,
-      e.path,
-      e.status,
-      e.response_size || 0,
-      e.user_agent,
-      e.is_bot,
-      e.bot_classification,
-      e.bot_name,
-      e.detection_level,
-      e.referer,
-      JSON.stringify(e.headers_json)
-    ]);
-
-    const query = `
-      INSERT INTO events (${fields.join(', ')})
-      VALUES ${valueStrings}
-    `;
-
-    const result = await client.query(query, flatValues);
-    await client.query('COMMIT');
-
-    return result.rowCount;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
+    return await processDayRun(dateStr, options, report);
+  } catch (err) {
+    error = err;
+    throw err;
   } finally {
-    client.release();
+    await saveRunReport(report, error || (report.error ? new Error(report.error) : null));
   }
 }
 
 /**
- * Check if events already exist for this date range
+ * Extract, enrich and insert a single day of logs
  */
-async function checkExistingData(pool, startDate, endDate) {
-  const result = await pool.query(
-    `SELECT COUNT(*) as count
-     FROM events
-     WHERE timestamp >= $1 AND timestamp < $2`,
-    [startDate, endDate]
-  );
-
-  return parseInt(result.rows[0].count);
-}
-
-/**
- * Process a single day of logs
- */
-async function processDay(pool, dateStr) {
+async function processDayRun(dateStr, options, report) {
   // Parse date in UTC to avoid timezone issues
   const startDate = new Date(dateStr + 'T00:00:00.000Z');
-  const endDate = new Date(dateStr + 'T23:59:59.999Z');
+  const endDate = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
 
   console.log(`\nProcessing ${dateStr}...`);
 
-  // Check if data already exists
-  const existingCount = await checkExistingData(pool, startDate, endDate);
-  if (existingCount > 0) {
-    console.log(`  ⚠️  Found ${existingCount} existing events - skipping to avoid duplicates`);
-    return { processed: 0, skipped: existingCount };
-  }
-
   // Extract logs for this day
-  const events = await extractLogsForDateRange(startDate, endDate);
+  const parsedEvents = await timeStage(report, 'read', () => extractLogsForDateRange(startDate, endDate, report));
 
-  if (events.length === 0) {
+  if (parsedEvents.length === 0) {
     console.log(`  No events found for this day`);
-    return { processed: 0, skipped: 0 };
+    return { processed: 0, replaced: 0 };
   }
 
-  // Enrich events
-  const enrichedEvents = await enrichEvents(events);
+  // Flag filtered traffic and enrich events (same steps as live ingestion)
+  console.log(`  Enriching ${parsedEvents.length} events...`);
+  const processed = await timeStage(report, 'enrich', () => processEvents(parsedEvents));
+  const { events, filtered } = processed;
+  recordProcessResult(report, processed);
+  console.log(`  Enrichment complete (${filtered} flagged with a filter_reason)`);
+
+  const latestTimestamp = events.reduce((max, e) => (!max || e.timestamp > max ? e.timestamp : max), null);
+
+  if (options.replace) {
+    console.log(`  Replacing events for ${dateStr}...`);
+    const { deleted, inserted } = await timeStage(report, 'insert', () =>
+      replaceEvents(startDate, endDate, INCLUDED_SITES, events, BATCH_SIZE)
+    );
+    recordInsert(report, events.length, inserted, latestTimestamp);
+    console.log(`  ✅ Replaced ${deleted} existing events with ${inserted} events`);
+    return { processed: inserted, replaced: deleted };
+  }
 
   // Insert in batches
-  console.log(`  Inserting ${enrichedEvents.length} events...`);
-  let inserted = 0;
-
-  for (let i = 0; i < enrichedEvents.length; i += BATCH_SIZE) {
-    const batch = enrichedEvents.slice(i, i + BATCH_SIZE);
-    const count = await batchInsertEvents(pool, batch);
-    inserted += count;
-
-    if (inserted % 500 === 0 || inserted === enrichedEvents.length) {
-      console.log(`    Inserted ${inserted}/${enrichedEvents.length}...`);
-    }
-  }
+  console.log(`  Inserting ${events.length} events...`);
+  const inserted = await timeStage(report, 'insert', () => insertEvents(events, { batchSize: BATCH_SIZE }));
+  recordInsert(report, events.length, inserted, latestTimestamp);
 
-  console.log(`  ✅ Inserted ${inserted} events`);
-  return { processed: inserted, skipped: 0 };
+  console.log(`  ✅ Inserted ${inserted} new events (${events.length - inserted} already existed and were updated)`);
+  return { processed: inserted, replaced: 0 };
 }
 
 /**
  * Main backfill function
  */
-async function backfill(startDateStr, endDateStr) {
+async function backfill(startDateStr, endDateStr, options) {
   console.log('=================================================================');
   console.log('ModelZero Analytics - Historical Log Backfill');
   console.log('=================================================================');
@@ -335,6 +187,7 @@ async function backfill(startDateStr, endDateStr) {
   INCLUDED_SITES.forEach(site => console.log(`  - ${site}`));
   console.log('');
   console.log(`Date range: ${startDateStr} to ${endDateStr}`);
+  console.log(`Mode: ${options.replace ? 'replace' : 'upsert'}`);
   console.log('');
 
   // Parse dates
@@ -350,28 +203,26 @@ async function backfill(startDateStr, endDateStr) {
   console.log('Initializing...');
   const config = loadConfig();
 
-  const pool = new Pool({
-    host: config.database.host,
-    port: config.database.port,
-    database: config.database.database,
-    user: config.database.user,
-    password: config.database.password,
-    max: 20
-  });
-
-  await initGeoIP(config);
-  await initASN(config);
+  initDB(config.database);
+  await initPipeline(config);
+
+  const connected = await testConnection();
+  if (!connected) {
+    throw new Error('Database connection failed');
+  }
+
+  await refreshDecisions();
   console.log('');
 
   // Process each day
-  const stats = { totalProcessed: 0, totalSkipped: 0, days: 0 };
+  const stats = { totalProcessed: 0, totalReplaced: 0, days: 0 };
 
   let currentDate = new Date(startDateStr);
   while (currentDate <= endDate) {
     const dateStr = currentDate.toISOString().split('T')[0];
-    const result = await processDay(pool, dateStr);
+    const result = await processDay(dateStr, options);
     stats.totalProcessed += result.processed;
-    stats.totalSkipped += result.skipped;
+    stats.totalReplaced += result.replaced;
     stats.days++;
 
     // Move to next day
@@ -379,7 +230,7 @@ async function backfill(startDateStr, endDateStr) {
   }
 
   // Close connection
-  await pool.end();
+  await closeDB();
 
   // Summary
   console.log('');
@@ -388,7 +239,9 @@ async function backfill(startDateStr, endDateStr) {
   console.log('=================================================================');
   console.log(`Days processed: ${stats.days}`);
   console.log(`Events inserted: ${stats.totalProcessed}`);
-  console.log(`Events skipped (already existed): ${stats.totalSkipped}`);
+  if (options.replace) {
+    console.log(`Events replaced (deleted before re-insert): ${stats.totalReplaced}`);
+  }
   console.log('');
   console.log('Dashboard should now show data for 7D and 30D views');
   console.log('');
@@ -396,22 +249,27 @@ async function backfill(startDateStr, endDateStr) {
 
 // Command-line interface
 const args = process.argv.slice(2);
+const options = {
+  replace: args.includes('--replace')
+};
+const dates = args.filter(arg => !arg.startsWith('--'));
 
-if (args.length < 2) {
+if (dates.length < 2) {
   console.log('Usage:');
-  console.log('  node scripts/backfill-historical-logs.js <start-date> <end-date>');
+  console.log('  node scripts/backfill-historical-logs.js <start-date> <end-date> [--replace]');
   console.log('');
   console.log('Example:');
   console.log('  node scripts/backfill-historical-logs.js 2025-10-01 2025-11-04');
+  console.log('  node scripts/backfill-historical-logs.js 2025-11-04 2025-11-04 --replace');
   console.log('');
   console.log('Or via npm:');
   console.log('  npm run backfill 2025-10-01 2025-11-04');
   process.exit(1);
 }
 
-const [startDate, endDate] = args;
+const [startDate, endDate] = dates;
 
-backfill(startDate, endDate).catch(error => {
+backfill(startDate, endDate, options).catch(error => {
   console.error('Backfill failed:', error);
   process.exit(1);
 });
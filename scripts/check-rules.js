@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Classifier Rule Check
+ * Validates a rule file and optionally runs the classifier fixtures against it
+ *
+ * Usage:
+ *   node scripts/check-rules.js                                  # Bundled rules/ai-classifier-v2.json
+ *   node scripts/check-rules.js rules/custom.json
+ *   node scripts/check-rules.js rules/custom.json --test         # Also run fixtures/classifier
+ *
+ * The fixture run is the short form of scripts/test-classifier.js (failing
+ * fixtures and regressions against the baseline only).
+ *
+ * Exits non-zero if the rule file is invalid, so it can gate a deploy.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_RULES_FILE, loadClassifierRules, classify } from '../lib/ai-classifier-v2.js';
+import { STAGES } from '../lib/classifier-rules.js';
+import {
+  BASELINE_FILE, loadFixtures, runFixtures, summarizeAccuracy, compareWithBaseline
+} from '../lib/classifier-eval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/classifier');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--')) || DEFAULT_RULES_FILE;
+
+let ruleset;
+try {
+  ruleset = loadClassifierRules(file);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+console.log(`\n${ruleset.file}: valid`);
+for (const stage of STAGES) {
+  const rules = ruleset.rules.filter(rule => rule.stage === stage);
+  console.log(`  ${stage.padEnd(12)} ${rules.length} rules`);
+}
+
+if (args.includes('--test')) {
+  const results = await runFixtures(loadFixtures(FIXTURES_DIR), event => classify(event, { overrides: false }));
+  const summary = summarizeAccuracy(results.map(({ fixture, result }) => ({
+    label: fixture.expected.bot_classification,
+    predicted: result.bot_classification
+  })));
+  const baselinePath = path.join(FIXTURES_DIR, BASELINE_FILE);
+  const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+  const { regressions } = compareWithBaseline(results, summary, baseline);
+
+  console.log(`\nFixtures: ${summary.correct}/${summary.total} as labeled`);
+  for (const { fixture, result } of results.filter(r => !r.passed)) {
+    console.log(`  FAIL ${fixture.id}: expected ${fixture.expected.bot_classification}, got ${result.bot_classification} (${result.detection_rules.join(', ')})`);
+  }
+  if (regressions.length > 0) {
+    console.error(`\n${regressions.length} regression(s) against ${BASELINE_FILE} (details: node scripts/test-classifier.js ${file})`);
+    process.exit(1);
+  }
+}
@@ -11,6 +11,10 @@
  * 2. Path patterns (scanning behavior)
  * 3. Temporal patterns (non-human timing)
  * 4. Content focus patterns (AI training indicators)
+ *
+ * Ingestion applies these heuristics live to sessions classified human
+ * (lib/agent-detection.js, category ai_agent_browser); this report remains
+ * for exploring stored traffic with looser thresholds.
  */
 
 import { initDB, query, closeDB } from '../lib/db.js';
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * Export Classifier Fixtures
+ * Writes stored events as labeled fixtures for scripts/test-classifier.js
+ *
+ * Two sources of labels:
+ *   default           Current classifications, one event per distinct
+ *                     User-Agent, up to --per-class per category (a snapshot
+ *                     that guards today's behaviour)
+ *   --overrides-only  Events labeled by enabled overrides that pin a
+ *                     classification (ground truth; the expected label is the
+ *                     override's, the event is classified without it)
+ *
+ * Exported events are anonymized: client IPs map to documentation addresses,
+ * cookies and tokens are redacted and Referer is cut to its origin. ASN,
+ * User-Agent, path and header names are kept since the rules test them.
+ *
+ * Labels the per-event classifier cannot reproduce are skipped (session
+ * re-labels, behavior analysis upgrades, session-rate rules, AI agent reviews
+ * and failed bot IP verification), except with --overrides-only where a
+ * mismatch is the point.
+ *
+ * Usage:
+ *   node scripts/export-classifier-fixtures.js --since 2025-01-01 --out fixtures/classifier/exported.json
+ *   node scripts/export-classifier-fixtures.js --classification ai_stealth,monitoring_service --per-class 10 --out /tmp/stealth.json
+ *   node scripts/export-classifier-fixtures.js --overrides-only --site thaibelle.com --out fixtures/classifier/overrides.json
+ *
+ * Review the output before committing it: fixture ids and descriptions are
+ * generated and labels are only as good as their source.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDB, query, testConnection, closeDB } from '../lib/db.js';
+import { loadClassifierRules } from '../lib/ai-classifier-v2.js';
+import { reclassifyStoredEvent } from '../lib/pipeline.js';
+import { anonymizeIP, anonymizeHeaders } from '../lib/classifier-eval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+const DEFAULT_PER_CLASS = 20;
+
+/**
+ * Load configuration
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    console.error(`Configuration file not found: ${CONFIG_PATH}`);
+    console.error('Please create config/config.json (see config/config.example.json)');
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Parse command-line options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+  const value = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const list = name => args
+    .flatMap((arg, i) => arg === name ? (args[i + 1] || '').split(',') : [])
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return {
+    since: value('--since'),
+    until: value('--until'),
+    sites: list('--site'),
+    classifications: list('--classification'),
+    perClass: parseInt(value('--per-class')) || DEFAULT_PER_CLASS,
+    overridesOnly: args.includes('--overrides-only'),
+    out: value('--out')
+  };
+}
+
+/**
+ * Build the event selection from the options
+ * @returns {Object} { where, params }
+ */
+function buildSelection(options) {
+  const conditions = [
+    // Events classified before detection_rules was recorded can't say what labeled them
+    'cardinality(detection_rules) > 0',
+    // Derived labels need the whole session, not one request
+    `NOT EXISTS (
+        SELECT 1 FROM unnest(detection_rules) r
+        WHERE r = 'session-relabel' OR r LIKE 'behavior:%'
+      )`
+  ];
+  const params = [];
+
+  for (const [option, operator] of [['since', '>='], ['until', '<']]) {
+    if (!options[option]) continue;
+    const date = new Date(options[option]);
+    if (isNaN(date)) {
+      throw new Error(`Invalid --${option} date: ${options[option]}`);
+    }
+    params.push(date);
+    conditions.push(`timestamp ${operator} $${params.length}`);
+  }
+
+  if (options.sites.length > 0) {
+    params.push(options.sites);
+    conditions.push(`site = ANY($${params.length})`);
+  }
+
+  if (options.classifications.length > 0) {
+    params.push(options.classifications);
+    conditions.push(`bot_classification = ANY($${params.length})`);
+  }
+
+  if (options.overridesOnly) {
+    conditions.push(`detection_level = 0 AND EXISTS (
+        SELECT 1 FROM unnest(detection_rules) r
+        JOIN classification_overrides o ON r = 'override:' || o.id
+        WHERE o.enabled
+      )`);
+  }
+
+  return { where: conditions.join('\n      AND '), params };
+}
+
+/**
+ * Turn a stored event into a fixture
+ * @param {Object} row - events row
+ * @returns {Object} Fixture
+ */
+function toFixture(row) {
+  const slug = `${row.bot_classification}-${row.bot_name || 'unnamed'}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const source = row.detection_rules.find(rule => rule.startsWith('override:')) || row.detection_rules[0];
+
+  return {
+    id: `${slug}-${row.id}`,
+    description: `Exported event ${row.id} (${row.site}, ${row.timestamp.toISOString().slice(0, 10)}), labeled by ${source}`,
+    expected: {
+      bot_classification: row.bot_classification,
+      ...(row.bot_name ? { bot_name: row.bot_name } : {})
+    },
+    event: {
+      timestamp: row.timestamp.toISOString(),
+      client_ip: anonymizeIP(row.client_ip),
+      user_agent: row.user_agent,
+      path: row.path,
+      country: row.country,
+      asn: row.asn,
+      datacenter_provider: row.datacenter_provider,
+      headers: anonymizeHeaders(row.headers_json)
+    }
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('='.repeat(60));
+  console.log('Export Classifier Fixtures');
+  console.log('='.repeat(60));
+
+  if (!options.out) {
+    throw new Error('--out <file> is required');
+  }
+
+  const config = loadConfig();
+  initDB(config.database);
+
+  if (!await testConnection()) {
+    throw new Error('Database connection failed');
+  }
+
+  loadClassifierRules(config.classifier?.rules_file);
+
+  // One event per (classification, User-Agent), newest first, capped per class
+  const { where, params } = buildSelection(options);
+  params.push(options.perClass);
+  const result = await query(`
+    SELECT * FROM (
+      SELECT
+        *, ROW_NUMBER() OVER (PARTITION BY bot_classification ORDER BY timestamp DESC) AS class_rank
+      FROM (
+        SELECT DISTINCT ON (bot_classification, user_agent)
+          id, timestamp, site, host(client_ip) AS client_ip, path, user_agent, headers_json,
+          country, asn, datacenter_provider, bot_classification, bot_name, detection_rules
+        FROM events
+        WHERE ${where}
+        ORDER BY bot_classification, user_agent, timestamp DESC
+      ) distinct_agents
+    ) ranked
+    WHERE class_rank <= $${params.length}
+    ORDER BY bot_classification, timestamp DESC
+  `, params);
+
+  const fixtures = [];
+  let skipped = 0;
+  for (const row of result.rows) {
+    const fixture = toFixture(row);
+    if (!options.overridesOnly) {
+      // Same rules, no session or verification context: must give the stored label
+      const reproduced = await reclassifyStoredEvent(
+        { ...fixture.event, headers_json: fixture.event.headers },
+        { refreshAsn: false, overrides: false }
+      );
+      if (reproduced.bot_classification !== row.bot_classification || reproduced.bot_name !== row.bot_name) {
+        skipped++;
+        continue;
+      }
+    }
+    fixtures.push(fixture);
+  }
+
+  const source = options.overridesOnly ? 'manual overrides' : 'current classifications';
+  fs.writeFileSync(options.out, JSON.stringify({
+    description: `Exported ${new Date().toISOString().slice(0, 10)} from ${source}`,
+    fixtures
+  }, null, 2) + '\n');
+
+  console.log(`\nWrote ${fixtures.length} fixtures to ${options.out}`);
+  console.log(`Skipped (label not reproducible per event): ${skipped}`);
+
+  await closeDB();
+}
+
+main().catch(async err => {
+  console.error('Error:', err.message);
+  await closeDB();
+  process.exit(1);
+});
@@ -2,6 +2,10 @@
 /**
  * Identify Hosting Providers Currently Marked as "Residential"
  * Find all ASN organizations that are actually hosting/cloud providers
+ *
+ * Prints suggestions only. Mappings are added to the datacenter ASN registry
+ * through POST /api/datacenter-asns, or accepted from the review queue on the
+ * /overrides page (lib/asn-lookup.js).
  */
 
 import { initDB, query, closeDB } from '../lib/db.js';
@@ -118,7 +122,7 @@ async function identifyHostingProviders() {
 
     // Generate ASN mapping for code
     console.log('\n\n' + '='.repeat(80));
-    console.log('RECOMMENDED ASN ADDITIONS FOR asn-lookup.js');
+    console.log('RECOMMENDED DATACENTER ASN REGISTRY ADDITIONS (POST /api/datacenter-asns)');
     console.log('='.repeat(80));
     console.log('\n// Major Cloud Providers');
     categories.major_cloud.forEach(row => {
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+/**
+ * Streaming Ingestion Daemon
+ * Tails log sources continuously and inserts events in micro-batches
+ *
+ * Replaces the 10-minute cron run for live data: DB, GeoIP and ASN readers
+ * are initialized once, lines are enriched as they arrive and the dashboard
+ * lags by seconds instead of minutes. Uses the same cursors as
+ * scripts/ingest-logs.js, so the two can be swapped at any time.
+ *
+ * - Micro-batches flush when they reach batch_size or every flush_interval seconds
+ * - Backpressure: reading pauses while more than max_pending events await insertion
+ * - Each batch commits together with its source cursor (exactly-once on restart)
+ * - SIGINT/SIGTERM stop tailing, flush what is buffered and exit; a second signal exits immediately
+ * - Progress counters: GET http://127.0.0.1:<status_port>/status and a periodic log line;
+ *   every log_interval the period's stats are stored in ingestion_runs (mode 'daemon')
+ *
+ * Usage:
+ *   node scripts/ingest-daemon.js                    # All sources in config.ingestion.sources
+ *   node scripts/ingest-daemon.js --source journald  # One configured source (or source type)
+ *   node scripts/ingest-daemon.js --file /var/log/caddy/access.log
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Import our modules
+import { initDB, batchInsert, getLastProcessedTimestamp, getSourceCursor, updateIngestionState, testConnection, closeDB } from '../lib/db.js';
+import { resolveSources, pause } from '../lib/log-sources.js';
+import { parseLogLine } from '../lib/log-parsers.js';
+import { initPipeline, processEvents } from '../lib/pipeline.js';
+import { refreshDecisions, pushDetections } from '../lib/crowdsec.js';
+import { watchExclusions } from '../lib/exclusions.js';
+import { createRunReport, recordParseError, recordProcessResult, recordInsert, timeStage, saveRunReport } from '../lib/ingestion-report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+
+// Used when config.ingestion.daemon is not set
+const DEFAULTS = {
+  batch_size: 100,      // Events per micro-batch
+  flush_interval: 5,    // Seconds before a partial batch is flushed
+  max_pending: 1000,    // Events queued for insertion before reading pauses
+  poll_interval: 1000,  // Milliseconds between file polls
+  status_port: 9465,    // Progress counters (0 disables)
+  log_interval: 60      // Seconds between progress log lines
+};
+
+const RETRY_DELAY_MAX = 30000;
+const SOURCE_RESTART_DELAY = 5000;
+
+/**
+ * Load configuration
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    console.error(`Configuration file not found: ${CONFIG_PATH}`);
+    console.error('Please create config/config.json (see config/config.example.json)');
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+// ============================================================================
+// SOURCE STATE
+// ============================================================================
+
+/**
+ * Create the buffer, flush queue and counters of a tailed source
+ * @param {Object} source - Log source
+ * @returns {Object} Source state
+ */
+function createSourceState(source) {
+  return {
+    source,
+    buffer: [],                    // Parsed events not yet handed to a flush
+    pending: 0,                    // Events handed to flushes that have not committed yet
+    flushChain: Promise.resolve(), // Flushes run one at a time, in order
+    position: null,                // Position of the last line read
+    latestTimestamp: null,         // Watermark after the last line read
+    failedFlush: false,
+    report: createRunReport(source.name, 'daemon'), // Stats of the current log_interval
+    counters: {
+      linesRead: 0,
+      eventsParsed: 0,
+      parseErrors: 0,
+      skippedBeforeWatermark: 0,
+      eventsInserted: 0,
+      eventsUpdated: 0,
+      eventsFiltered: 0,
+      enrichErrors: 0,
+      batchesFlushed: 0,
+      flushErrors: 0,
+      backpressureWaits: 0,
+      sourceRestarts: 0,
+      lastEventTimestamp: null,
+      lastFlushAt: null
+    }
+  };
+}
+
+/**
+ * Progress counters of a source (served by the status endpoint)
+ * @param {Object} state - Source state
+ * @returns {Object} Counters
+ */
+function getSourceStatus(state) {
+  const { counters } = state;
+  const lastEvent = counters.lastEventTimestamp;
+
+  return {
+    name: state.source.name,
+    type: state.source.type,
+    ...counters,
+    lastEventTimestamp: lastEvent?.toISOString() || null,
+    lastFlushAt: counters.lastFlushAt?.toISOString() || null,
+    buffered: state.buffer.length,
+    pending: state.pending,
+    // Age of the newest committed event
+    lagSeconds: lastEvent ? Math.max(0, Math.round((Date.now() - lastEvent.getTime()) / 1000)) : null
+  };
+}
+
+// ============================================================================
+// FLUSHING
+// ============================================================================
+
+/**
+ * Hand the buffered events of a source to the flush queue
+ * @param {Object} state - Source state
+ * @param {Object} settings - Daemon settings
+ * @param {AbortSignal} signal - Shutdown signal
+ * @returns {Promise<void>} Resolves when this flush has committed
+ */
+function flush(state, settings, signal) {
+  if (state.buffer.length === 0) {
+    return state.flushChain;
+  }
+
+  const batch = state.buffer;
+  state.buffer = [];
+  state.pending += batch.length;
+
+  state.flushChain = state.flushChain
+    .then(() => flushBatch(state, batch, settings, signal))
+    .catch(err => {
+      // Not checkpointed - the batch is re-read from the source on the next start
+      state.failedFlush = true;
+      console.error(`[${state.source.name}] Dropped batch of ${batch.length} events after repeated failures:`, err.message);
+    })
+    .finally(() => {
+      state.pending -= batch.length;
+    });
+
+  return state.flushChain;
+}
+
+/**
+ * Enrich and insert one micro-batch, committing the source cursor with it
+ * Insert failures are retried with backoff until they succeed; during
+ * shutdown the batch is given up after a few attempts.
+ * @param {Object} state - Source state
+ * @param {Array} batch - Parsed events (in read order)
+ * @param {Object} settings - Daemon settings
+ * @param {AbortSignal} signal - Shutdown signal
+ */
+async function flushBatch(state, batch, settings, signal) {
+  const { source, counters } = state;
+  const startTime = Date.now();
+
+  // Never commit a cursor past a batch that was given up
+  if (state.failedFlush) {
+    throw new Error('an earlier batch of this source failed');
+  }
+
+  await refreshDecisions(); // No-op within crowdsec.refresh_interval
+
+  const processed = await timeStage(state.report, 'enrich', () => processEvents(batch));
+  const { events, filtered, failed } = processed;
+  recordProcessResult(state.report, processed);
+  counters.eventsFiltered += filtered;
+  counters.enrichErrors += failed;
+
+  // Checkpoint after the last line of the batch (also covers events that failed enrichment)
+  const last = batch[batch.length - 1];
+  const checkpoint = {
+    timestamp: last.checkpoint_timestamp,
+    cfRay: last.cf_ray,
+    duration: 0,
+    source: source.name,
+    cursor: {
+      position: last.source_position,
+      timestamp: last.checkpoint_timestamp.toISOString()
+    }
+  };
+
+  let delay = 1000;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      checkpoint.duration = Date.now() - startTime;
+      if (events.length > 0) {
+        const inserted = await timeStage(state.report, 'insert', () => batchInsert(events, checkpoint));
+        recordInsert(state.report, events.length, inserted, last.checkpoint_timestamp);
+        counters.eventsInserted += inserted;
+        counters.eventsUpdated += events.length - inserted;
+      } else {
+        await updateIngestionState(checkpoint.timestamp, checkpoint.cfRay, 0, checkpoint.duration,
+                                   checkpoint.source, checkpoint.cursor);
+      }
+      break;
+    } catch (err) {
+      counters.flushErrors++;
+      if (signal.aborted && attempt >= 3) {
+        throw err;
+      }
+      console.error(`[${source.name}] Insert failed (attempt ${attempt}, retrying in ${delay / 1000}s):`, err.message);
+      await pause(delay, signal);
+      delay = Math.min(delay * 2, RETRY_DELAY_MAX);
+    }
+  }
+
+  counters.batchesFlushed++;
+  counters.lastFlushAt = new Date();
+  if (!counters.lastEventTimestamp || last.checkpoint_timestamp > counters.lastEventTimestamp) {
+    counters.lastEventTimestamp = last.checkpoint_timestamp;
+  }
+
+  // Report our own ai_stealth/attack detections to CrowdSec (if crowdsec.push is enabled)
+  await pushDetections(events);
+}
+
+// ============================================================================
+// TAILING
+// ============================================================================
+
+/**
+ * Tail a source until shutdown (or until it ends, e.g. stdin EOF)
+ * Read errors restart the source from the last line read.
+ * @param {Object} state - Source state
+ * @param {Object} settings - Daemon settings
+ * @param {AbortSignal} signal - Shutdown signal
+ */
+async function tailSource(state, settings, signal) {
+  const { source, counters } = state;
+
+  // Resume from this source's cursor; journald falls back to the legacy global timestamp
+  const cursor = await getSourceCursor(source.name);
+  const since = cursor ? null : (source.type === 'journald' ? await getLastProcessedTimestamp() : null);
+
+  // Entries older than the watermark were already ingested (same-millisecond
+  // entries are re-read and deduplicated on event_key)
+  const watermark = cursor?.timestamp ? new Date(cursor.timestamp) : since;
+  state.position = cursor?.position || null;
+  state.latestTimestamp = watermark;
+
+  console.log(`[${source.name}] Tailing ${source.type} source from ${watermark?.toISOString() || 'the default start'}`);
+
+  while (!signal.aborted) {
+    try {
+      const options = {
+        since: state.latestTimestamp,
+        follow: true,
+        signal,
+        pollInterval: settings.poll_interval
+      };
+
+      for await (const item of source.read(state.position, options)) {
+        counters.linesRead++;
+        state.report.linesRead++;
+        state.position = item.position;
+
+        let event;
+        try {
+          event = parseLogLine(item.line, source.parserOptions);
+        } catch (err) {
+          counters.parseErrors++;
+          recordParseError(state.report, item.line, err); // Stored in dead_letters
+          continue;
+        }
+        if (!event) {
+          state.report.skipped++; // Not an access log
+          continue;
+        }
+
+        if (watermark && event.timestamp < watermark) {
+          counters.skippedBeforeWatermark++;
+          state.report.skipped++;
+          continue;
+        }
+
+        counters.eventsParsed++;
+        state.report.eventsParsed++;
+        if (!state.latestTimestamp || event.timestamp > state.latestTimestamp) {
+          state.latestTimestamp = event.timestamp;
+        }
+        event.source_position = state.position;
+        event.checkpoint_timestamp = state.latestTimestamp;
+        state.buffer.push(event);
+
+        if (state.buffer.length >= settings.batch_size) {
+          const flushed = flush(state, settings, signal);
+
+          // Backpressure: stop reading until the database catches up
+          if (state.pending > settings.max_pending) {
+            counters.backpressureWaits++;
+            await flushed;
+          }
+        }
+      }
+
+      return; // Source ended (stdin EOF) or shutdown
+    } catch (err) {
+      if (signal.aborted) return;
+      counters.sourceRestarts++;
+      console.error(`[${source.name}] Read failed, restarting in ${SOURCE_RESTART_DELAY / 1000}s:`, err.message);
+      await pause(SOURCE_RESTART_DELAY, signal);
+    }
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Start the status endpoint
+ * @param {number} port - Port on 127.0.0.1
+ * @param {Function} getStatus - () => status object
+ * @returns {http.Server|null} Server (null when disabled)
+ */
+function startStatusServer(port, getStatus) {
+  if (!port) return null;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url !== '/status') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(getStatus(), null, 2));
+  });
+
+  server.on('error', err => {
+    console.error(`Status endpoint unavailable on port ${port}:`, err.message);
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Status endpoint: http://127.0.0.1:${port}/status`);
+  });
+
+  return server;
+}
+
+/**
+ * Main daemon function
+ */
+async function run() {
+  console.log('='.repeat(60));
+  console.log('Starting ingestion daemon:', new Date().toISOString());
+  console.log('='.repeat(60));
+
+  const config = loadConfig();
+  const settings = { ...DEFAULTS, ...config.ingestion?.daemon };
+  const sources = resolveSources(config, process.argv.slice(2));
+
+  // Initialize modules once for the lifetime of the daemon
+  initDB(config.database);
+  await initPipeline(config);
+  watchExclusions(CONFIG_PATH);
+
+  const connected = await testConnection();
+  if (!connected) {
+    throw new Error('Database connection failed');
+  }
+
+  console.log('Refreshing CrowdSec decisions...');
+  await refreshDecisions();
+
+  const states = sources.map(createSourceState);
+  const startedAt = new Date();
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const getStatus = () => ({
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+    shuttingDown: signal.aborted,
+    settings,
+    memory: process.memoryUsage().rss,
+    sources: states.map(getSourceStatus)
+  });
+
+  const statusServer = startStatusServer(settings.status_port, getStatus);
+
+  // Time-based flush of partial batches
+  const flushTimer = setInterval(() => {
+    for (const state of states) {
+      flush(state, settings, signal);
+    }
+  }, settings.flush_interval * 1000);
+
+  // Periodic progress line and run report
+  const logTimer = setInterval(async () => {
+    for (const state of states) {
+      const s = getSourceStatus(state);
+      console.log(`[${s.name}] ${s.linesRead} lines, ${s.eventsInserted} new / ${s.eventsUpdated} updated, ` +
+                  `${s.eventsFiltered} filtered, ${s.buffered + s.pending} queued, ` +
+                  `lag ${s.lagSeconds ?? '-'}s, ${s.flushErrors} flush errors`);
+
+      const report = state.report;
+      state.report = createRunReport(state.source.name, 'daemon');
+      await saveRunReport(report);
+    }
+  }, settings.log_interval * 1000);
+
+  // Graceful shutdown: stop reading, flush what is buffered, close connections
+  const shutdown = (signalName) => {
+    if (signal.aborted) {
+      console.error(`${signalName} received again, exiting without flushing`);
+      process.exit(1);
+    }
+    console.log(`${signalName} received, flushing buffered events...`);
+    controller.abort();
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  // Tail every source until shutdown (stdin sources end at EOF)
+  await Promise.all(states.map(state =>
+    tailSource(state, settings, signal).catch(err => {
+      console.error(`[${state.source.name}] Source stopped:`, err.message);
+    })
+  ));
+
+  clearInterval(flushTimer);
+  clearInterval(logTimer);
+
+  await Promise.all(states.map(state => flush(state, settings, signal)));
+
+  for (const state of states) {
+    await saveRunReport(state.report, state.failedFlush ? new Error('Batches dropped during shutdown') : null);
+  }
+
+  statusServer?.close();
+  await closeDB();
+
+  const status = getStatus();
+  for (const s of status.sources) {
+    console.log(`[${s.name}] Final: ${s.linesRead} lines, ${s.eventsInserted} new / ${s.eventsUpdated} updated, ${s.eventsFiltered} filtered`);
+  }
+
+  if (states.some(state => state.failedFlush)) {
+    console.error('Some batches could not be inserted - they will be re-read on the next start');
+    process.exit(1);
+  }
+
+  console.log('Ingestion daemon stopped');
+  process.exit(0);
+}
+
+run().catch(err => {
+  console.error('Ingestion daemon failed:', err.message);
+  console.error(err.stack);
+  process.exit(1);
+});
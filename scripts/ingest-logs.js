@@ -3,32 +3,31 @@
  * Log Ingestion Pipeline
  * Extracts Caddy logs and inserts into PostgreSQL
  * Run every 10 minutes via cron
+ *
+ * Usage:
+ *   node scripts/ingest-logs.js                       # All sources in config.ingestion.sources
+ *   node scripts/ingest-logs.js --source journald     # One configured source (or source type)
+ *   node scripts/ingest-logs.js --file /var/log/caddy/access.log
+ *   cat access.log | node scripts/ingest-logs.js --source stdin
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import our modules
-import { initDB, batchInsert, getLastProcessedTimestamp, updateIngestionState, testConnection, closeDB } from '../lib/db.js';
-import { initGeoIP, lookupCity } from '../lib/geoip.js';
-import { initASN, lookupASN } from '../lib/asn-lookup.js';
-import { classify, detectBrowserSignals, extractBotHeaders, detectSecurityFlags } from '../lib/ai-classifier-v2.js';
-
-const execAsync = promisify(exec);
+import { initDB, getLastProcessedTimestamp, getSourceCursor, updateIngestionState, testConnection, closeDB } from '../lib/db.js';
+import { resolveSources } from '../lib/log-sources.js';
+import { parseLogLine } from '../lib/log-parsers.js';
+import { initPipeline, processEvents, insertEvents } from '../lib/pipeline.js';
+import { refreshDecisions, pushDetections } from '../lib/crowdsec.js';
+import { createRunReport, recordParseError, recordProcessResult, recordInsert, timeStage, saveRunReport } from '../lib/ingestion-report.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Configuration
 const CONFIG_PATH = path.join(__dirname, '../config/config.json');
 const BATCH_SIZE = 100;
 
-// CrowdSec banned IP cache - refreshed periodically
-let bannedIPsCache = new Set();
-let bannedIPsCacheTime = 0;
-const CACHE_TTL = 60000; // 1 minute cache
-
 /**
  * Load configuration
  */
@@ -44,312 +43,163 @@ function loadConfig() {
 }
 
 /**
- * Refresh CrowdSec banned IPs cache
- * Query CrowdSec LAPI for all currently banned IPs
+ * Read and parse new log lines from a source, resuming from its cursor
+ * @param {Object} source - Log source
+ * @param {Object|null} cursor - Saved cursor ({ position, timestamp })
+ * @param {Date|null} since - Fallback start time when the source has no cursor
+ * @param {Object} report - Run report (lines read, parse errors, dead letters)
+ * @returns {Promise<Object>} { events, position, latestTimestamp }
  */
-async function refreshBannedIPsCache() {
-  const now = Date.now();
-
-  // Return cached data if still fresh
-  if (now - bannedIPsCacheTime < CACHE_TTL) {
-    return;
-  }
-
-  try {
-    // Query CrowdSec for all active decisions (banned IPs)
-    const { stdout } = await execAsync('sudo cscli decisions list -o json');
-
-    if (!stdout.trim()) {
-      bannedIPsCache = new Set();
-      bannedIPsCacheTime = now;
-      return;
+async function extractLogs(source, cursor, since, report) {
+  // Entries older than the watermark were already ingested (same-millisecond
+  // entries are re-read and deduplicated on event_key)
+  const watermark = cursor?.timestamp ? new Date(cursor.timestamp) : since;
+
+  const events = [];
+  let position = cursor?.position || null;
+  let latestTimestamp = watermark;
+
+  for await (const item of source.read(position, { since: watermark })) {
+    position = item.position;
+    report.linesRead++;
+
+    let event;
+    try {
+      event = parseLogLine(item.line, source.parserOptions);
+    } catch (err) {
+      recordParseError(report, item.line, err); // Stored in dead_letters
+      continue;
     }
-
-    // Parse JSON output
-    const decisions = JSON.parse(stdout);
-
-    // Extract IPs from decisions array
-    const bannedIPs = new Set();
-    if (Array.isArray(decisions)) {
-      for (const decision of decisions) {
-        if (decision.value) {
-          // decision.value contains the IP address
-          bannedIPs.add(decision.value);
-        }
-      }
+    if (!event) {
+      report.skipped++; // Not an access log
+      continue;
     }
 
-    bannedIPsCache = bannedIPs;
-    bannedIPsCacheTime = now;
+    if (watermark && event.timestamp < watermark) {
+      report.skipped++;
+      continue;
+    }
 
-    console.log(`  CrowdSec cache refreshed: ${bannedIPs.size} banned IPs`);
-  } catch (err) {
-    console.warn('  Failed to refresh CrowdSec cache:', err.message);
-    // Keep existing cache on error
+    // Source position and watermark after this line, checkpointed with the event's batch
+    if (!latestTimestamp || event.timestamp > latestTimestamp) {
+      latestTimestamp = event.timestamp;
+    }
+    event.source_position = position;
+    event.checkpoint_timestamp = latestTimestamp;
+    events.push(event);
   }
-}
 
-/**
- * Check if an IP is banned by CrowdSec
- * @param {string} ip - IP address to check
- * @returns {boolean} True if IP is banned
- */
-function isBannedIP(ip) {
-  return bannedIPsCache.has(ip);
+  report.eventsParsed = events.length;
+  return { events, position, latestTimestamp };
 }
 
 /**
- * Extract Caddy logs since last processed timestamp
- * @param {Date|null} since - Timestamp to start from
- * @returns {Promise<Array>} Array of log entries
+ * Ingest new entries from a single log source and record the run report
+ * @param {Object} source - Log source
+ * @returns {Promise<number>} Number of events inserted
  */
-async function extractLogs(since) {
-  let command;
-
-  if (since) {
-    const sinceStr = since.toISOString();
-    command = `journalctl -u caddy --since "${sinceStr}" --output=cat | grep 'http.log.access'`;
-  } else {
-    // First run - get last 1 hour
-    command = `journalctl -u caddy --since "1 hour ago" --output=cat | grep 'http.log.access'`;
-  }
-
-  try {
-    const { stdout } = await execAsync(command, { maxBuffer: 50 * 1024 * 1024 }); // 50MB buffer
-    if (!stdout.trim()) {
-      return [];
-    }
+async function ingestSource(source) {
+  console.log('-'.repeat(60));
+  console.log(`Source: ${source.name} (${source.type})`);
 
-    // Parse JSON log entries
-    const lines = stdout.trim().split('\n');
-    const entries = [];
+  const report = createRunReport(source.name, 'cron');
+  let error = null;
 
-    for (const line of lines) {
-      try {
-        const json = JSON.parse(line);
-        entries.push(json);
-      } catch (err) {
-        console.warn('Failed to parse log line:', line.substring(0, 100));
-      }
-    }
-
-    return entries;
+  try {
+    return await runSource(source, report);
   } catch (err) {
-    if (err.code === 1) {
-      // journalctl returns exit code 1 when no matching entries
-      return [];
-    }
+    error = err;
     throw err;
+  } finally {
+    await saveRunReport(report, error);
   }
 }
 
 /**
- * Parse Caddy log entry into event object
- * @param {Object} logEntry - Raw Caddy log entry
- * @returns {Object} Parsed event
+ * Extract, enrich and insert new entries from a log source
+ * @param {Object} source - Log source
+ * @param {Object} report - Run report
+ * @returns {Promise<number>} Number of events inserted
  */
-function parseLogEntry(logEntry) {
-  const request = logEntry.request || {};
-  const headers = request.headers || {};
-
-  // Extract real client IP from Cloudflare header
-  const clientIP = (headers['Cf-Connecting-Ip'] || [])[0] ||
-                   (headers['X-Forwarded-For'] || [])[0] ||
-                   request.client_ip;
-
-  // Filter out home IP addresses and subnets
-  const HOME_IPS = ['184.82.29.117'];
-  const HOME_SUBNETS = ['2405:9800:b911:2816::/64']; // Your AIS Fibre subnet
-
-  // Check if IP matches excluded IPs
-  if (HOME_IPS.includes(clientIP)) {
-    return null; // Skip this event
-  }
+async function runSource(source, report) {
+  const startTime = Date.now();
 
-  // Check if IP matches excluded subnets
-  for (const subnet of HOME_SUBNETS) {
-    if (subnet.includes('::')) {
-      // IPv6 subnet check - compare first 4 hextets
-      const subnetPrefix = subnet.split('::')[0];
-      const ipPrefix = clientIP.split(':').slice(0, 4).join(':');
-      if (clientIP.startsWith(subnetPrefix) || ipPrefix === subnetPrefix) {
-        return null; // Skip this event
-      }
-    } else {
-      // IPv4 subnet check - compare first 3 octets
-      const subnetPrefix = subnet.split('.').slice(0, 3).join('.');
-      const ipPrefix = clientIP.split('.').slice(0, 3).join('.');
-      if (ipPrefix === subnetPrefix) {
-        return null; // Skip this event
-      }
-    }
+  // Resume from this source's cursor; journald falls back to the legacy global timestamp
+  const cursor = await getSourceCursor(source.name);
+  const since = cursor ? null : (source.type === 'journald' ? await getLastProcessedTimestamp() : null);
+  console.log('Last processed timestamp:', cursor?.timestamp || since || 'Never');
+
+  // Extract logs
+  console.log(`Extracting logs from ${source.type}...`);
+  const { events: parsedEvents, position, latestTimestamp } = await timeStage(report, 'read', () =>
+    extractLogs(source, cursor, since, report)
+  );
+  console.log(`Found ${parsedEvents.length} new log entries`);
+  if (report.parseErrors > 0) {
+    console.warn(`${report.parseErrors} unparseable lines stored in dead_letters`);
   }
 
-  // Check if IP is banned by CrowdSec
-  if (isBannedIP(clientIP)) {
-    return null; // Skip CrowdSec-banned IPs
+  if (parsedEvents.length === 0) {
+    console.log('No new logs to process');
+    return 0;
   }
 
-  // Parse URI into path and query string
-  const uri = request.uri || '/';
-  const [path, queryString] = uri.split('?');
-
-  // Filter out excluded sites
-  const EXCLUDED_SITES = [
-    'pm.vivocare.org',
-    'dementiarelocationsolutions.com',
-    'www.dementiarelocationsolutions.com'
-  ];
-  const site = request.host || 'unknown';
-  if (EXCLUDED_SITES.includes(site)) {
-    return null; // Skip this event
+  // Flag filtered traffic and enrich events
+  console.log('Filtering and enriching events...');
+  const processed = await timeStage(report, 'enrich', () => processEvents(parsedEvents));
+  const { events, filtered, failed } = processed;
+  recordProcessResult(report, processed);
+  console.log(`Processed ${events.length} events (${filtered} flagged with a filter_reason, ${failed} failed)`);
+
+  // Batch upsert into database, each batch committed together with its checkpoint
+  let insertedTotal = 0;
+  if (events.length > 0) {
+    console.log(`Inserting ${events.length} events into database...`);
+    insertedTotal = await timeStage(report, 'insert', () => insertEvents(events, {
+      batchSize: BATCH_SIZE,
+      checkpoint: batch => {
+        const last = batch[batch.length - 1];
+        return {
+          timestamp: last.checkpoint_timestamp,
+          cfRay: last.cf_ray,
+          duration: Date.now() - startTime,
+          source: source.name,
+          cursor: {
+            position: last.source_position,
+            timestamp: last.checkpoint_timestamp.toISOString()
+          }
+        };
+      }
+    }));
+    recordInsert(report, events.length, insertedTotal, latestTimestamp);
   }
 
-  // Filter out WordPress scanner traffic
-  const WORDPRESS_PATTERNS = [
-    /^\/wp-admin/i,
-    /^\/wordpress\/wp-admin/i,
-    /^\/wp\//i,
-    /wp-login\.php/i,
-    /xmlrpc\.php/i,
-    /wp-config/i,
-    /setup-config\.php/i,
-    /\/wp-content\/(plugins|themes)/i,
-    /\/wp-includes\//i,
-    /wp-json\/wp\/v2\/users/i,
-    /readme\.html$/i,
-    /license\.txt$/i,
-    /wp-cron\.php/i,
-    /\?author=/i,
-    /wp-sitemap/i,
-    /debug\.log/i,
-    /\/\.env/i,
-    /phpmyadmin/i,
-    /\/pma\//i,
-    /\/dbadmin/i,
-    /sqladmin/i,
-    /mysqladmin/i,
-    /\/\.git/i,
-    /\/\.svn/i,
-    /\.(bak|backup|old|save|orig|swp)$/i,
-    /~$/
-  ];
-
-  const isWordPressScanner = WORDPRESS_PATTERNS.some(pattern => pattern.test(path + (queryString ? '?' + queryString : '')));
-  if (isWordPressScanner) {
-    return null; // Skip WordPress scanner traffic
+  // Report our own ai_stealth/attack detections to CrowdSec (if crowdsec.push is enabled)
+  await timeStage(report, 'crowdsec', () => pushDetections(events));
+
+  // Checkpoint lines read after the last inserted event (unparseable or non-access lines)
+  const duration = Date.now() - startTime;
+  const lastEvent = events[events.length - 1];
+  if (!lastEvent ||
+      JSON.stringify(lastEvent.source_position) !== JSON.stringify(position) ||
+      lastEvent.checkpoint_timestamp.getTime() !== latestTimestamp.getTime()) {
+    await updateIngestionState(latestTimestamp, null, 0, duration, source.name, {
+      position,
+      timestamp: latestTimestamp.toISOString()
+    });
   }
 
-  return {
-    // Timing
-    timestamp: new Date(logEntry.ts * 1000),
-    duration: logEntry.duration || 0,
-
-    // Client
-    client_ip: clientIP,
-    cf_ray: (headers['Cf-Ray'] || [])[0] || null,
-
-    // Request
-    site: site,
-    method: request.method || 'GET',
-    path: path || '/',
-    query_string: queryString || null,
-
-    // Response
-    status: logEntry.status || 0,
-    response_size: logEntry.size || 0,
-    content_type: null, // Will be extracted from response headers if needed
-
-    // Headers
-    user_agent: (headers['User-Agent'] || [])[0] || null,
-    referer: (headers['Referer'] || [])[0] || null,
-    accept_language: (headers['Accept-Language'] || [])[0] || null,
-
-    // Raw headers for analysis
-    headers: headers
-  };
-}
-
-/**
- * Enrich event with GeoIP, ASN, and classification
- * @param {Object} event - Parsed event
- * @returns {Promise<Object>} Enriched event
- */
-async function enrichEvent(event) {
-  // GeoIP lookup
-  const geoData = lookupCity(event.client_ip);
-  event.country = geoData.country;
-  event.city = geoData.city;
-  event.latitude = geoData.latitude;
-  event.longitude = geoData.longitude;
-
-  // ASN lookup
-  const asnData = lookupASN(event.client_ip);
-  event.asn = asnData.asn;
-  event.asn_org = asnData.asn_org;
-  event.datacenter_provider = asnData.datacenter_provider;
-
-  // Calculate subnet (/24 for IPv4, /64 for IPv6)
-  if (event.client_ip.includes(':')) {
-    // IPv6 - use /64 (first 4 hextets)
-    const parts = event.client_ip.split(':').filter(p => p !== '');
-    if (parts.length >= 4) {
-      event.subnet = parts.slice(0, 4).join(':') + '::/64';
-    } else {
-      // Handle compressed notation
-      event.subnet = parts.join(':') + '::/64';
-    }
-  } else {
-    // IPv4 - use /24
-    const parts = event.client_ip.split('.');
-    event.subnet = `${parts[0]}.${parts[1]}.${parts[2]}.0/24`;
-  }
+  console.log(`  Records processed: ${events.length} (${insertedTotal} new)`);
+  console.log(`  Duration: ${duration}ms`);
+  console.log(`  Latest timestamp: ${latestTimestamp.toISOString()}`);
 
-  // Bot classification
-  const classification = await classify({
-    client_ip: event.client_ip,
-    user_agent: event.user_agent,
-    headers: event.headers,
-    asn: event.asn,
-    datacenter_provider: event.datacenter_provider
-  });
-
-  event.is_bot = classification.is_bot;
-  event.bot_classification = classification.bot_classification;
-  event.bot_name = classification.bot_name;
-  event.detection_level = classification.detection_level;
-
-  // Browser signals
-  const browserSignals = detectBrowserSignals(event.headers);
-  event.has_sec_fetch_headers = browserSignals.has_sec_fetch_headers;
-  event.has_client_hints = browserSignals.has_client_hints;
-  event.is_mobile = browserSignals.is_mobile;
-
-  // Bot-specific headers
-  const botHeaders = extractBotHeaders(event.headers);
-  event.bot_from_email = botHeaders.bot_from_email;
-  event.openai_host_hash = botHeaders.openai_host_hash;
-
-  // Security flags
-  const securityFlags = detectSecurityFlags(event.headers, event.path);
-  event.has_cf_worker = securityFlags.has_cf_worker;
-  event.cf_worker_domain = securityFlags.cf_worker_domain;
-  event.is_exploit_attempt = securityFlags.is_exploit_attempt;
-
-  // Store full headers as JSON
-  event.headers_json = event.headers;
-
-  // Remove headers from top level (stored in headers_json)
-  delete event.headers;
-
-  return event;
+  return insertedTotal;
 }
 
 /**
  * Main ingestion function
  */
 async function ingest() {
-  const startTime = Date.now();
   console.log('='.repeat(60));
   console.log('Starting log ingestion:', new Date().toISOString());
   console.log('='.repeat(60));
@@ -357,11 +207,11 @@ async function ingest() {
   try {
     // Load configuration
     const config = loadConfig();
+    const sources = resolveSources(config, process.argv.slice(2));
 
     // Initialize modules
     initDB(config.database);
-    await initGeoIP(config.geoip?.city_db);
-    await initASN(config.geoip?.asn_db);
+    await initPipeline(config);
 
     // Test database connection
     const connected = await testConnection();
@@ -369,81 +219,20 @@ async function ingest() {
       throw new Error('Database connection failed');
     }
 
-    // Refresh CrowdSec banned IPs cache
-    console.log('Refreshing CrowdSec banned IPs cache...');
-    await refreshBannedIPsCache();
-
-    // Get last processed timestamp
-    const lastProcessed = await getLastProcessedTimestamp();
-    console.log('Last processed timestamp:', lastProcessed || 'Never');
-
-    // Extract logs
-    console.log('Extracting logs from journalctl...');
-    const logEntries = await extractLogs(lastProcessed);
-    console.log(`Found ${logEntries.length} new log entries`);
-
-    if (logEntries.length === 0) {
-      console.log('No new logs to process');
-      await closeDB();
-      return;
-    }
-
-    // Parse and enrich events
-    console.log('Parsing and enriching events...');
-    const events = [];
-    let latestTimestamp = lastProcessed;
-    let latestCfRay = null;
-    let filteredCount = 0;
-
-    for (const logEntry of logEntries) {
-      try {
-        const event = parseLogEntry(logEntry);
-        if (event === null) {
-          filteredCount++;
-          continue; // Skip filtered IPs
-        }
-
-        const enrichedEvent = await enrichEvent(event);
-        events.push(enrichedEvent);
-
-        // Track latest timestamp
-        if (!latestTimestamp || enrichedEvent.timestamp > latestTimestamp) {
-          latestTimestamp = enrichedEvent.timestamp;
-          latestCfRay = enrichedEvent.cf_ray;
-        }
-      } catch (err) {
-        console.error('Failed to process log entry:', err.message);
-      }
-    }
-
-    console.log(`Processed ${events.length} events (${filteredCount} filtered)`);
-
-    // Batch insert into database
-    if (events.length > 0) {
-      console.log(`Inserting ${events.length} events into database...`);
-
-      // Split into batches
-      for (let i = 0; i < events.length; i += BATCH_SIZE) {
-        const batch = events.slice(i, i + BATCH_SIZE);
-        const inserted = await batchInsert(batch);
-        console.log(`  Inserted batch ${Math.floor(i / BATCH_SIZE) + 1}: ${inserted} records`);
-      }
-
-      // Update ingestion state
-      const duration = Date.now() - startTime;
-      await updateIngestionState(latestTimestamp, latestCfRay, events.length, duration);
+    // Pull CrowdSec decisions (banned IPs and ranges)
+    console.log('Refreshing CrowdSec decisions...');
+    await refreshDecisions();
 
-      console.log('Ingestion complete');
-      console.log(`  Records processed: ${events.length}`);
-      console.log(`  Duration: ${duration}ms`);
-      console.log(`  Latest timestamp: ${latestTimestamp.toISOString()}`);
+    let totalInserted = 0;
+    for (const source of sources) {
+      totalInserted += await ingestSource(source);
     }
 
     // Close database
     await closeDB();
 
     console.log('='.repeat(60));
-    console.log('Ingestion finished successfully');
+    console.log(`Ingestion finished successfully (${totalInserted} events from ${sources.length} source(s))`);
     console.log('='.repeat(60));
 
   } catch (err) {
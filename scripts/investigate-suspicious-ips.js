@@ -147,7 +147,7 @@ async function investigateSuspiciousIPs() {
     console.log('\n\n' + '='.repeat(80));
     console.log('RECOMMENDATIONS');
     console.log('='.repeat(80));
-    console.log('\n1. ADD THESE ASNs TO DATACENTER_ASN MAP:');
+    console.log('\n1. ADD THESE ASNs TO THE DATACENTER ASN REGISTRY (POST /api/datacenter-asns):');
     console.log('   These are confirmed hosting providers and should be tracked.\n');
 
     suspiciousASNs.rows.forEach(row => {
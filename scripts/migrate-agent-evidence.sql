@@ -0,0 +1,21 @@
+-- ModelZero Analytics Database Migration
+-- AI Agent Evidence
+--
+-- Sessions classified human are reviewed for AI agents driving real browsers
+-- (request rate, systematic traversal, regular timing, content focus; see
+-- lib/agent-detection.js). Events labeled ai_agent_browser store the session
+-- statistics and signals behind the label.
+-- Events ingested before this migration keep NULL until reclassified.
+
+BEGIN;
+
+-- Step 1: Evidence column
+ALTER TABLE events ADD COLUMN IF NOT EXISTS agent_evidence JSONB;
+
+COMMENT ON COLUMN events.agent_evidence IS 'Session statistics and signals behind an ai_agent_browser classification (see lib/agent-detection.js)';
+
+INSERT INTO schema_migrations (version, description)
+VALUES (18, 'Add AI agent review evidence to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
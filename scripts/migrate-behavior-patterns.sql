@@ -0,0 +1,24 @@
+-- ModelZero Analytics Database Migration
+-- Behavior Pattern Evidence
+--
+-- scripts/analyze-behavior.js writes detected patterns to behavior_patterns.
+-- Each pattern records the time range of its events (linking it to them),
+-- detector-specific evidence, and how many events --apply upgraded.
+-- Re-running the analysis over the same window updates patterns in place.
+
+BEGIN;
+
+-- Step 1: Link patterns to their events and keep evidence
+ALTER TABLE behavior_patterns ADD COLUMN IF NOT EXISTS first_seen TIMESTAMPTZ;
+ALTER TABLE behavior_patterns ADD COLUMN IF NOT EXISTS last_seen TIMESTAMPTZ;
+ALTER TABLE behavior_patterns ADD COLUMN IF NOT EXISTS evidence JSONB;
+ALTER TABLE behavior_patterns ADD COLUMN IF NOT EXISTS applied_events INTEGER NOT NULL DEFAULT 0;
+
+-- Step 2: One row per client, pattern and start
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bp_client_pattern_start ON behavior_patterns(client_ip, pattern_type, first_seen);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (10, 'Add event range, evidence and applied count to behavior_patterns')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- ModelZero Analytics Database Migration
+-- Bot Score
+--
+-- Every event gets a 0-1 bot likelihood next to its classification, with the
+-- names of the signals behind it (see lib/bot-score.js). Analysts filter on it
+-- to find borderline human/bot traffic.
+-- Events ingested before this migration keep NULL until reclassified.
+
+BEGIN;
+
+-- Step 1: Score columns
+ALTER TABLE events ADD COLUMN IF NOT EXISTS bot_score REAL;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS bot_score_signals TEXT[];
+
+-- Step 2: Score band queries (minScore/maxScore)
+CREATE INDEX IF NOT EXISTS idx_bot_score ON events(bot_score);
+
+COMMENT ON COLUMN events.bot_score IS '0-1 bot likelihood from request evidence, independent of bot_classification (see lib/bot-score.js)';
+COMMENT ON COLUMN events.bot_score_signals IS 'Signals that contributed to bot_score (declared_bot, datacenter, sec_fetch, ...)';
+
+INSERT INTO schema_migrations (version, description)
+VALUES (15, 'Add bot score and score signals to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,51 @@
+-- ModelZero Analytics Database Migration
+-- Reclassification Audit Trail
+--
+-- scripts/reclassify.js records every run in reclassification_runs and every
+-- changed event in classification_changes (old and new values), so a run can
+-- be reviewed and rolled back (--rollback <run id>).
+
+BEGIN;
+
+-- Step 1: One row per reclassification run
+CREATE TABLE IF NOT EXISTS reclassification_runs (
+  id SERIAL PRIMARY KEY,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  filters JSONB NOT NULL,
+  classifier_version VARCHAR(50),
+  events_scanned INTEGER NOT NULL DEFAULT 0,
+  events_changed INTEGER NOT NULL DEFAULT 0,
+  transitions JSONB,
+  error TEXT,
+  rolled_back_at TIMESTAMPTZ,
+  events_restored INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_rr_started_at ON reclassification_runs(started_at DESC);
+
+-- Step 2: One row per changed event
+CREATE TABLE IF NOT EXISTS classification_changes (
+  id BIGSERIAL PRIMARY KEY,
+  run_id INTEGER NOT NULL REFERENCES reclassification_runs(id) ON DELETE CASCADE,
+  event_id BIGINT NOT NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  old_classification VARCHAR(30),
+  new_classification VARCHAR(30),
+  old_values JSONB NOT NULL,
+  new_values JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_cc_run_id ON classification_changes(run_id, id);
+CREATE INDEX IF NOT EXISTS idx_cc_event_id ON classification_changes(event_id);
+
+-- Step 3: Room for attack_* categories (tables created by earlier runs used VARCHAR(20))
+ALTER TABLE classification_changes ALTER COLUMN old_classification TYPE VARCHAR(30);
+ALTER TABLE classification_changes ALTER COLUMN new_classification TYPE VARCHAR(30);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (12, 'Add reclassification runs and classification change audit')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- ModelZero Analytics Database Migration
+-- CrowdSec Decision Metadata
+--
+-- Events from an IP covered by a CrowdSec decision (Ip or Range scope) store
+-- the decision's scenario, origin, type and expiry, as pulled from the Local API.
+
+BEGIN;
+
+-- Step 1: Decision metadata (NULL = no decision covered the IP at ingestion time)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS crowdsec_scenario VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS crowdsec_origin VARCHAR(50);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS crowdsec_type VARCHAR(20);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS crowdsec_until TIMESTAMPTZ;
+
+-- Step 2: Breakdowns by scenario
+CREATE INDEX IF NOT EXISTS idx_crowdsec_scenario ON events(crowdsec_scenario);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (6, 'Add CrowdSec decision metadata to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
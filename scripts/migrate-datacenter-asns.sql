@@ -0,0 +1,86 @@
+-- ModelZero Analytics Database Migration
+-- Datacenter ASN Registry
+--
+-- ASN → datacenter provider mappings move from code to a table, with who
+-- added each mapping, when and why (see lib/asn-lookup.js). Ingestion reloads
+-- them every datacenter_asns.refresh_interval seconds; they are managed through
+-- /api/datacenter-asns and its review queue. A NULL provider records an ASN
+-- reviewed as not a datacenter.
+-- Events keep their datacenter_provider until reclassified.
+
+BEGIN;
+
+-- Step 1: Registry, with provenance
+CREATE TABLE IF NOT EXISTS datacenter_asns (
+  asn INTEGER PRIMARY KEY,
+  provider VARCHAR(20),
+  asn_org TEXT,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('builtin', 'manual', 'review')),
+  note TEXT NOT NULL,
+  author VARCHAR(100) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE datacenter_asns IS 'ASN to datacenter provider mappings (NULL provider = reviewed, not a datacenter), see lib/asn-lookup.js';
+
+-- Step 2: Seed with the mappings previously hardcoded in lib/asn-lookup.js
+INSERT INTO datacenter_asns (asn, provider, note, source, author)
+SELECT asn, provider, note, 'builtin', 'modelzero'
+FROM (VALUES
+  (8075, 'azure', 'Microsoft Azure'),
+  (15169, 'gcp', 'Google Cloud Platform'),
+  (396982, 'gcp', 'Google Cloud Platform'),
+  (16509, 'aws', 'Amazon Web Services'),
+  (14618, 'aws', 'Amazon Web Services'),
+  (13335, 'cloudflare', 'Cloudflare'),
+  (132892, 'cloudflare', 'Cloudflare, Inc. (additional ASN)'),
+  (16276, 'ovh', 'OVH'),
+  (14061, 'digitalocean', 'DigitalOcean'),
+  (20473, 'vultr', 'Vultr'),
+  (63949, 'linode', 'Linode'),
+  (24940, 'hetzner', 'Hetzner'),
+  (132203, 'tencent', 'Tencent Cloud'),
+  (45090, 'tencent', 'Tencent Cloud'),
+  (45102, 'alibaba', 'Alibaba Cloud'),
+  (37963, 'alibaba', 'Alibaba Cloud'),
+  (136907, 'huawei', 'Huawei Cloud'),
+  (55967, 'baidu', 'Baidu Cloud'),
+  (134756, 'telecom-cloud', 'CHINANET Nanjing IDC'),
+  (59223, 'telecom-cloud', 'CHINANET Qinghai IDC'),
+  (134768, 'telecom-cloud', 'CHINANET SHAANXI Cloud'),
+  (23724, 'telecom-cloud', 'China Telecommunications IDC'),
+  (137693, 'telecom-cloud', 'CHINATELECOM Guangxi IDC'),
+  (58519, 'hosting', 'Cloud Computing Corporation'),
+  (199785, 'hosting', 'Cloud Hosting Solutions'),
+  (204916, 'hosting', 'LLC Vpsville'),
+  (36352, 'hosting', 'AS-COLOCROSSING'),
+  (18779, 'hosting', 'EGIHOSTING'),
+  (23576, 'hosting', 'NAVER Cloud Corp'),
+  (48282, 'hosting', 'Hosting technology LTD'),
+  (51396, 'hosting', 'Pfcloud UG'),
+  (55286, 'hosting', 'SERVER-MANIA'),
+  (142002, 'hosting', 'Scloud Pte Ltd'),
+  (198584, 'hosting', 'PIO-Hosting GmbH'),
+  (216071, 'hosting', 'Servers Tech Fzco'),
+  (394474, 'hosting', 'WHITELABELCOLO'),
+  (9009, 'hosting', 'M247 Europe SRL (21 requests), detected from browser automation analysis (2025-11)'),
+  (46261, 'hosting', 'QUICKPACKET (16 requests), detected from browser automation analysis (2025-11)'),
+  (212512, 'hosting', 'Detai Prosperous Technologies Limited (14 requests), detected from browser automation analysis (2025-11)'),
+  (11878, 'hosting', 'TZULO (7 requests), detected from browser automation analysis (2025-11)'),
+  (49505, 'hosting', 'JSC Selectel (7 requests), detected from browser automation analysis (2025-11)'),
+  (50340, 'hosting', 'JSC Selectel (additional ASN, 3 requests), detected from browser automation analysis (2025-11)'),
+  (26548, 'hosting', 'PUREVOLTAGE-INC (3 requests), detected from browser automation analysis (2025-11)'),
+  (64267, 'hosting', 'AS-SPRIO (1 requests), detected from browser automation analysis (2025-11)')
+) AS builtin(asn, provider, note)
+ON CONFLICT (asn) DO NOTHING;
+
+-- Step 3: Providers are copied to events.datacenter_provider (VARCHAR(20))
+ALTER TABLE datacenter_asns ALTER COLUMN provider TYPE VARCHAR(20);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (19, 'Add datacenter_asns registry seeded with the built-in mappings')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
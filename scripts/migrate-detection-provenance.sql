@@ -0,0 +1,22 @@
+-- ModelZero Analytics Database Migration
+-- Classification Provenance
+--
+-- Every event stores why it was classified the way it was: the classifier's
+-- detection_reason, the ids of the matched rules, and the ruleset version.
+-- Events ingested before this migration keep NULL until reclassified.
+
+BEGIN;
+
+-- Step 1: Provenance columns
+ALTER TABLE events ADD COLUMN IF NOT EXISTS detection_reason TEXT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS detection_rules TEXT[];
+ALTER TABLE events ADD COLUMN IF NOT EXISTS classifier_version VARCHAR(50);
+
+-- Step 2: Find events decided by an older ruleset
+CREATE INDEX IF NOT EXISTS idx_classifier_version ON events(classifier_version);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (8, 'Add detection reason, matched rules and classifier version to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
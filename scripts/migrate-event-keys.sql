@@ -0,0 +1,47 @@
+-- ModelZero Analytics Database Migration
+-- Idempotent Ingestion (event_key)
+--
+-- Every event gets a deduplication key: the Cloudflare Ray ID (without the
+-- colo suffix) or, for requests without one, a SHA-256 of the fields that
+-- identify a single request. batchInsert() upserts on this key, so
+-- overlapping or repeated ingestion runs never duplicate events.
+--
+-- The hash must stay in sync with computeEventKey() in lib/db.js.
+
+BEGIN;
+
+-- Step 1: Add the key column
+ALTER TABLE events ADD COLUMN IF NOT EXISTS event_key TEXT;
+
+-- Step 2: Backfill keys for existing rows
+UPDATE events
+SET event_key = COALESCE(
+  split_part(NULLIF(cf_ray, ''), '-', 1),
+  'sha256:' || encode(sha256(convert_to(concat_ws('|',
+    floor(extract(epoch FROM timestamp) * 1000)::bigint,
+    host(client_ip),
+    site,
+    method,
+    path,
+    COALESCE(query_string, ''),
+    status,
+    COALESCE(user_agent, '')
+  ), 'UTF8')), 'hex')
+)
+WHERE event_key IS NULL;
+
+-- Step 3: Remove duplicates left by earlier overlapping runs (keep the first insert)
+DELETE FROM events a
+USING events b
+WHERE a.event_key = b.event_key
+  AND a.id > b.id;
+
+-- Step 4: Enforce uniqueness
+ALTER TABLE events ALTER COLUMN event_key SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_key ON events(event_key);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (4, 'Add event_key for idempotent ingestion')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
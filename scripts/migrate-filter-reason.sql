@@ -0,0 +1,21 @@
+-- ModelZero Analytics Database Migration
+-- Filtered Traffic Retention (filter_reason)
+--
+-- Traffic matching an exclusion rule or banned by CrowdSec used to be dropped
+-- during ingestion. It is now stored with the reason it was filtered, so
+-- attack traffic stays measurable. Dashboards exclude these rows unless
+-- includeFiltered=true is passed.
+
+BEGIN;
+
+-- Step 1: Why the event is filtered (NULL = regular traffic)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS filter_reason VARCHAR(30);
+
+-- Step 2: Dashboard queries select filter_reason IS NULL
+CREATE INDEX IF NOT EXISTS idx_filter_reason ON events(filter_reason);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (5, 'Add filter_reason for retained filtered traffic')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- ModelZero Analytics Database Migration
+-- Header Fingerprint
+--
+-- Every event stores a hash of its request headers (names and the values a
+-- client sends on every request), so one client stack can be followed across
+-- rotating IPs, and the contradictions between its headers, User-Agent and
+-- GeoIP country (see lib/header-fingerprint.js).
+-- Events ingested before this migration keep NULL until reclassified.
+
+BEGIN;
+
+-- Step 1: Fingerprint columns
+ALTER TABLE events ADD COLUMN IF NOT EXISTS header_fingerprint VARCHAR(16);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS header_mismatches TEXT[];
+
+-- Step 2: Fingerprint lookups (GET /api/header-fingerprints)
+CREATE INDEX IF NOT EXISTS idx_header_fingerprint ON events(header_fingerprint);
+
+COMMENT ON COLUMN events.header_fingerprint IS 'Hash of the request header names and stable values, without proxy and per-request headers (see lib/header-fingerprint.js)';
+COMMENT ON COLUMN events.header_mismatches IS 'Header contradictions: client_hints_brand|client_hints_version|client_hints_platform|client_hints_mobile|accept_language_country';
+
+INSERT INTO schema_migrations (version, description)
+VALUES (17, 'Add header fingerprint and header mismatches to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
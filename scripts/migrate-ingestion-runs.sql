@@ -0,0 +1,60 @@
+-- ModelZero Analytics Database Migration
+-- Ingestion Run Reports and Dead Letters
+--
+-- Every ingestion run (cron, daemon interval, intake request, backfill day)
+-- is recorded with full stats. Lines that fail to parse or validate and
+-- events that fail enrichment are stored in dead_letters with their error
+-- instead of only being logged.
+
+BEGIN;
+
+-- Step 1: Run reports
+CREATE TABLE IF NOT EXISTS ingestion_runs (
+  id SERIAL PRIMARY KEY,
+  source TEXT NOT NULL,
+  mode VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ NOT NULL,
+  lines_read INTEGER NOT NULL DEFAULT 0,
+  events_parsed INTEGER NOT NULL DEFAULT 0,
+  parse_errors INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  filtered INTEGER NOT NULL DEFAULT 0,
+  filtered_by_reason JSONB NOT NULL DEFAULT '{}',
+  failed INTEGER NOT NULL DEFAULT 0,
+  inserted INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  stage_durations JSONB NOT NULL DEFAULT '{}',
+  latest_event_timestamp TIMESTAMPTZ,
+  dead_letters INTEGER NOT NULL DEFAULT 0,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_ir_started_at ON ingestion_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ir_source_started_at ON ingestion_runs(source, started_at DESC);
+
+-- Step 2: Dead letters
+CREATE TABLE IF NOT EXISTS dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  run_id INTEGER REFERENCES ingestion_runs(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  stage VARCHAR(20) NOT NULL,
+  error TEXT NOT NULL,
+  raw_line TEXT,
+  event_json JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dl_created_at ON dead_letters(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dl_run_id ON dead_letters(run_id);
+
+-- Step 3: Source names like ingestion_state.source (file sources carry their path)
+ALTER TABLE ingestion_runs ALTER COLUMN source TYPE TEXT;
+ALTER TABLE dead_letters ALTER COLUMN source TYPE TEXT;
+
+INSERT INTO schema_migrations (version, description)
+VALUES (7, 'Add ingestion run reports and dead letters')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
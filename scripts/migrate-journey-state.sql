@@ -0,0 +1,27 @@
+-- ModelZero Analytics Database Migration
+-- Incremental Journey Aggregation
+--
+-- scripts/aggregate-journeys.js rebuilds only the journeys that can still
+-- grow: those ending within one journey gap of the last processed event.
+-- journey_state keeps that watermark between runs.
+
+BEGIN;
+
+-- Step 1: Aggregation watermark (single row)
+CREATE TABLE IF NOT EXISTS journey_state (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  processed_until TIMESTAMPTZ NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 2: Find open journeys
+CREATE INDEX IF NOT EXISTS idx_j_last_seen ON journeys(last_seen);
+
+-- Step 3: Journey classifications include attack_* categories
+ALTER TABLE journeys ALTER COLUMN bot_classification TYPE VARCHAR(30);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (11, 'Add journey_state watermark for incremental journey aggregation')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
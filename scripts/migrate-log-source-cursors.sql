@@ -0,0 +1,26 @@
+-- ModelZero Analytics Database Migration
+-- Per-Source Ingestion Cursors
+--
+-- Each log source (journald, Caddy JSON files, stdin) keeps its own resume
+-- position in ingestion_state instead of sharing one global timestamp.
+
+BEGIN;
+
+-- Step 1: Name of the log source a checkpoint belongs to (NULL = legacy journald run)
+ALTER TABLE ingestion_state ADD COLUMN IF NOT EXISTS source TEXT;
+
+-- Step 2: Adapter-specific resume position plus timestamp watermark
+ALTER TABLE ingestion_state ADD COLUMN IF NOT EXISTS cursor JSONB;
+
+-- Step 3: Latest checkpoint per source
+CREATE INDEX IF NOT EXISTS idx_is_source_created_at
+ON ingestion_state(source, created_at DESC);
+
+-- Step 4: Default file source names carry the full path (file:/var/log/...)
+ALTER TABLE ingestion_state ALTER COLUMN source TYPE TEXT;
+
+INSERT INTO schema_migrations (version, description)
+VALUES (3, 'Add per-source ingestion cursors')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
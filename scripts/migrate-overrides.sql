@@ -0,0 +1,36 @@
+-- ModelZero Analytics Database Migration
+-- Classification Overrides
+--
+-- Manual labels pinning a classification and/or bot name to an IP, CIDR, ASN
+-- or User-Agent pattern. classify() applies them before any rule (see
+-- lib/overrides.js); overridden events carry "override:<id>" in
+-- detection_rules and detection_level 0.
+
+BEGIN;
+
+-- Step 1: Overrides, with who added them and why
+CREATE TABLE IF NOT EXISTS classification_overrides (
+  id SERIAL PRIMARY KEY,
+  match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('ip', 'asn', 'user_agent')),
+  match_value TEXT NOT NULL,
+  bot_classification VARCHAR(30),
+  bot_name VARCHAR(50),
+  note TEXT NOT NULL,
+  author VARCHAR(100) NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (bot_classification IS NOT NULL OR bot_name IS NOT NULL)
+);
+
+-- Step 2: Document the manual detection level
+COMMENT ON COLUMN events.detection_level IS '0=Manual override, 1=User-Agent, 2=Datacenter IP, 3=Behavioral';
+
+-- Step 3: Room for attack_* categories (events.bot_classification is VARCHAR(30))
+ALTER TABLE classification_overrides ALTER COLUMN bot_classification TYPE VARCHAR(30);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (14, 'Add classification_overrides for manual labels')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- ModelZero Analytics Database Migration
+-- Sessions
+--
+-- Ingestion groups events into sessions (client IP + inactivity gap, see
+-- lib/sessionizer.js). The session id lets a burst detected later in a
+-- session re-label the session's earlier events.
+-- Events ingested before this migration keep NULL.
+
+BEGIN;
+
+-- Step 1: Session column
+ALTER TABLE events ADD COLUMN IF NOT EXISTS session_id VARCHAR(80);
+
+-- Step 2: Session lookups (re-labeling, startup seeding)
+CREATE INDEX IF NOT EXISTS idx_session_id ON events(session_id);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (9, 'Add session id to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- ModelZero Analytics Database Migration
+-- Shadow Classification
+--
+-- With classifier.shadow_rules_file set, ingestion also classifies every event
+-- with the candidate ruleset. Its result is stored here, next to the active
+-- result at ingestion time, so the two versions can be compared
+-- (GET /api/shadow) before the candidate is promoted. Events are unaffected.
+
+BEGIN;
+
+-- Step 1: Shadow results per event and candidate version
+CREATE TABLE IF NOT EXISTS shadow_classifications (
+  event_key TEXT NOT NULL,
+  classifier_version VARCHAR(50) NOT NULL,
+  timestamp TIMESTAMPTZ NOT NULL,
+  classified_at TIMESTAMPTZ DEFAULT NOW(),
+  active_version VARCHAR(50),
+  active_classification VARCHAR(30),
+  active_bot_name VARCHAR(50),
+  is_bot BOOLEAN,
+  bot_classification VARCHAR(30),
+  bot_name VARCHAR(50),
+  detection_level INTEGER,
+  detection_reason TEXT,
+  detection_rules TEXT[],
+  PRIMARY KEY (event_key, classifier_version)
+);
+
+-- Step 2: Agreement reports per version and time range
+CREATE INDEX IF NOT EXISTS idx_sc_version_timestamp ON shadow_classifications(classifier_version, timestamp);
+
+-- Step 3: Room for attack_* categories (tables created by earlier runs used VARCHAR(20))
+ALTER TABLE shadow_classifications ALTER COLUMN active_classification TYPE VARCHAR(30);
+ALTER TABLE shadow_classifications ALTER COLUMN bot_classification TYPE VARCHAR(30);
+
+INSERT INTO schema_migrations (version, description)
+VALUES (13, 'Add shadow_classifications for comparing candidate classifier rulesets')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- ModelZero Analytics Database Migration
+-- Parsed User-Agent
+--
+-- Every event stores its parsed User-Agent (browser family and version,
+-- engine, OS and version, device type) and the version anomalies the
+-- classifier uses, such as Client Hints from a browser that predates them
+-- (see lib/ua-parser.js).
+-- Events ingested before this migration keep NULL until reclassified.
+
+BEGIN;
+
+-- Step 1: User-Agent columns
+ALTER TABLE events ADD COLUMN IF NOT EXISTS browser_family VARCHAR(30);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS browser_version VARCHAR(20);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS browser_engine VARCHAR(10);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS os_family VARCHAR(20);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS os_version VARCHAR(20);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS device_type VARCHAR(10);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS ua_anomalies TEXT[];
+
+-- Step 2: Breakdowns by browser and device (GET /api/user-agents)
+CREATE INDEX IF NOT EXISTS idx_browser_family ON events(browser_family);
+CREATE INDEX IF NOT EXISTS idx_device_type ON events(device_type);
+
+COMMENT ON COLUMN events.browser_version IS 'Browser major.minor version parsed from the User-Agent (see lib/ua-parser.js)';
+COMMENT ON COLUMN events.ua_anomalies IS 'User-Agent version anomalies: outdated_version|future_version|client_hints_unsupported|sec_fetch_unsupported';
+
+INSERT INTO schema_migrations (version, description)
+VALUES (16, 'Add parsed User-Agent fields and version anomalies to events')
+ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Mock CrowdSec Local API
+ * Minimal LAPI for testing lib/crowdsec.js without a CrowdSec install
+ *
+ * Implements the endpoints the client uses:
+ *   GET    /v1/decisions/stream   Bouncer decision stream (X-Api-Key)
+ *   POST   /v1/watchers/login     Machine login (returns a token)
+ *   POST   /v1/alerts             Push alerts with decisions (Bearer token)
+ *   DELETE /v1/decisions/:id      Remove a decision (Bearer token)
+ *
+ * Usage:
+ *   node scripts/mock-crowdsec-lapi.js [--port 8081] [--decisions decisions.json]
+ *
+ * decisions.json holds LAPI decisions:
+ *   [{ "scope": "Range", "value": "203.0.113.0/24", "type": "ban",
+ *      "scenario": "crowdsecurity/http-probing", "origin": "crowdsec", "duration": "4h" }]
+ *
+ * Then point config.crowdsec at it:
+ *   "lapi_url": "http://127.0.0.1:8081", "bouncer_key": "mock-bouncer-key"
+ *   "push": { "enabled": true, "machine_id": "mock-machine", "password": "mock-password", ... }
+ */
+
+import express from 'express';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const BOUNCER_KEY = 'mock-bouncer-key';
+const MACHINE_ID = 'mock-machine';
+const MACHINE_PASSWORD = 'mock-password';
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const port = parseInt(option('--port') || '8081', 10);
+const decisionsFile = option('--decisions');
+
+// Decision store: id → decision (with absolute expiry)
+const decisions = new Map();
+const deleted = [];
+let nextId = 1;
+let lastPull = null; // Decisions created after this id are "new" for the next stream call
+const tokens = new Set();
+
+/**
+ * Parse "4h", "30m", "45s" durations (the subset used in fixtures)
+ */
+function durationMs(value) {
+  const match = /^(\d+)(h|m|s)$/.exec(value || '4h');
+  if (!match) return 4 * 3600000;
+  return parseInt(match[1], 10) * { h: 3600000, m: 60000, s: 1000 }[match[2]];
+}
+
+/**
+ * Add a decision to the store
+ */
+function addDecision(decision) {
+  const id = nextId++;
+  decisions.set(id, {
+    id,
+    origin: decision.origin || 'crowdsec',
+    type: decision.type || 'ban',
+    scope: decision.scope || 'Ip',
+    value: decision.value,
+    scenario: decision.scenario || 'mock/scenario',
+    expiresAt: Date.now() + durationMs(decision.duration)
+  });
+  return id;
+}
+
+/**
+ * Decision as returned by LAPI (remaining duration instead of absolute expiry)
+ */
+function toLAPI(decision) {
+  const remaining = Math.max(0, decision.expiresAt - Date.now()) / 1000;
+  const { expiresAt, ...rest } = decision;
+  return { ...rest, duration: `${Math.floor(remaining / 3600)}h${Math.floor(remaining % 3600 / 60)}m${(remaining % 60).toFixed(3)}s` };
+}
+
+if (decisionsFile) {
+  for (const decision of JSON.parse(fs.readFileSync(decisionsFile, 'utf8'))) {
+    addDecision(decision);
+  }
+}
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+function requireBouncer(req, res, next) {
+  if (req.get('X-Api-Key') !== BOUNCER_KEY) {
+    return res.status(403).json({ message: 'access forbidden' });
+  }
+  next();
+}
+
+function requireWatcher(req, res, next) {
+  const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+  if (!tokens.has(token)) {
+    return res.status(401).json({ code: 401, message: 'cookie token is empty' });
+  }
+  next();
+}
+
+app.get('/v1/decisions/stream', requireBouncer, (req, res) => {
+  const scopes = (req.query.scopes || 'ip').toLowerCase().split(',');
+  const now = Date.now();
+  const startup = req.query.startup === 'true';
+
+  const active = [...decisions.values()].filter(d =>
+    d.expiresAt > now &&
+    scopes.includes(d.scope.toLowerCase()) &&
+    (startup || lastPull === null || d.id > lastPull)
+  );
+
+  const expired = [...decisions.values()].filter(d => d.expiresAt <= now);
+  for (const decision of expired) {
+    decisions.delete(decision.id);
+    deleted.push(decision);
+  }
+
+  res.json({
+    new: active.length ? active.map(toLAPI) : null,
+    deleted: !startup && deleted.length ? deleted.splice(0).map(toLAPI) : null
+  });
+  lastPull = nextId - 1;
+});
+
+app.post('/v1/watchers/login', (req, res) => {
+  if (req.body?.machine_id !== MACHINE_ID || req.body?.password !== MACHINE_PASSWORD) {
+    return res.status(401).json({ code: 401, message: 'incorrect Username or Password' });
+  }
+  const token = crypto.randomBytes(16).toString('hex');
+  tokens.add(token);
+  res.json({ code: 200, token, expire: new Date(Date.now() + 3600000).toISOString() });
+});
+
+app.post('/v1/alerts', requireWatcher, (req, res) => {
+  if (!Array.isArray(req.body)) {
+    return res.status(400).json({ message: 'expected an array of alerts' });
+  }
+
+  const ids = [];
+  for (const alert of req.body) {
+    for (const decision of alert.decisions || []) {
+      ids.push(String(addDecision(decision)));
+      console.log(`  + ${decision.type} ${decision.scope}:${decision.value} (${decision.scenario}, ${decision.duration})`);
+    }
+  }
+  res.status(201).json(ids);
+});
+
+app.delete('/v1/decisions/:id', requireWatcher, (req, res) => {
+  const decision = decisions.get(parseInt(req.params.id, 10));
+  if (!decision) {
+    return res.status(404).json({ message: 'decision not found' });
+  }
+  decisions.delete(decision.id);
+  deleted.push(decision);
+  res.json({ nbDeleted: '1' });
+});
+
+app.listen(port, '127.0.0.1', () => {
+  console.log(`Mock CrowdSec LAPI listening on http://127.0.0.1:${port}`);
+  console.log(`  Bouncer key: ${BOUNCER_KEY}`);
+  console.log(`  Machine: ${MACHINE_ID} / ${MACHINE_PASSWORD}`);
+  console.log(`  Decisions loaded: ${decisions.size}`);
+});
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Reclassify Stored Events
+ * Re-runs the current classifier (and ASN lookup) over stored events selected
+ * by time range, site, IP/CIDR or current classification
+ *
+ * Every run prints a before/after transition matrix. Without --dry-run,
+ * changed events are updated in batches; each batch is audited in
+ * classification_changes (old and new values) in the same transaction, so a
+ * run can be rolled back with --rollback <run id>. Rollback leaves events
+ * that changed again after the run untouched.
+ *
+ * Session statistics are rebuilt from the selected events in time order.
+ * Labels the per-event classifier cannot reproduce (session re-labels,
+ * behavior analysis upgrades) are kept unless --include-derived is given.
+ *
+ * Usage:
+ *   node scripts/reclassify.js --since 2025-01-01 [--until 2025-02-01] --dry-run
+ *   node scripts/reclassify.js --site thaibelle.com --classification human
+ *   node scripts/reclassify.js --ip 203.0.113.0/24 --no-asn
+ *   node scripts/reclassify.js --all --batch-size 2000
+ *   node scripts/reclassify.js --runs                # Recent runs
+ *   node scripts/reclassify.js --rollback 12         # Undo run 12
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  initDB, query, testConnection, closeDB, CLASSIFICATION_FIELDS,
+  createReclassificationRun, finishReclassificationRun, applyClassificationChanges, rollbackReclassificationRun
+} from '../lib/db.js';
+import { loadClassifierRules, getRulesetVersion } from '../lib/ai-classifier-v2.js';
+import { initBotVerification } from '../lib/bot-verification.js';
+import { initASN, initDatacenterASNs, refreshDatacenterASNs } from '../lib/asn-lookup.js';
+import { initOverrides, refreshOverrides } from '../lib/overrides.js';
+import { initSessionizer, trackEvent } from '../lib/sessionizer.js';
+import { initAgentDetection } from '../lib/agent-detection.js';
+import { reclassifyStoredEvent } from '../lib/pipeline.js';
+import { parseCIDR } from '../lib/cidr.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Load configuration
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    console.error(`Configuration file not found: ${CONFIG_PATH}`);
+    console.error('Please create config/config.json (see config/config.example.json)');
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Parse command-line options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+  const value = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const list = name => args
+    .flatMap((arg, i) => arg === name ? (args[i + 1] || '').split(',') : [])
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return {
+    since: value('--since'),
+    until: value('--until'),
+    sites: list('--site'),
+    ip: value('--ip'),
+    classifications: list('--classification'),
+    all: args.includes('--all'),
+    dryRun: args.includes('--dry-run'),
+    refreshAsn: !args.includes('--no-asn'),
+    includeDerived: args.includes('--include-derived'),
+    batchSize: parseInt(value('--batch-size')) || DEFAULT_BATCH_SIZE,
+    rollback: value('--rollback'),
+    runs: args.includes('--runs')
+  };
+}
+
+/**
+ * Build the event selection from the options
+ * @returns {Object} { where, params, filters }
+ */
+function buildSelection(options) {
+  const conditions = [];
+  const params = [];
+  const filters = {};
+
+  for (const [option, operator] of [['since', '>='], ['until', '<']]) {
+    if (!options[option]) continue;
+    const date = new Date(options[option]);
+    if (isNaN(date)) {
+      throw new Error(`Invalid --${option} date: ${options[option]}`);
+    }
+    params.push(date);
+    conditions.push(`timestamp ${operator} $${params.length}`);
+    filters[option] = date.toISOString();
+  }
+
+  if (options.sites.length > 0) {
+    params.push(options.sites);
+    conditions.push(`site = ANY($${params.length})`);
+    filters.sites = options.sites;
+  }
+
+  if (options.ip) {
+    if (!parseCIDR(options.ip)) {
+      throw new Error(`Invalid --ip address or CIDR: ${options.ip}`);
+    }
+    params.push(options.ip);
+    conditions.push(`client_ip <<= $${params.length}::inet`);
+    filters.ip = options.ip;
+  }
+
+  if (options.classifications.length > 0) {
+    params.push(options.classifications);
+    conditions.push(`bot_classification = ANY($${params.length})`);
+    filters.classifications = options.classifications;
+  }
+
+  if (conditions.length === 0 && !options.all) {
+    throw new Error('Select events with --since/--until, --site, --ip or --classification (or --all)');
+  }
+
+  if (!options.includeDerived) {
+    conditions.push(`NOT EXISTS (
+        SELECT 1 FROM unnest(detection_rules) r
+        WHERE r = 'session-relabel' OR r LIKE 'behavior:%'
+      )`);
+  }
+  filters.includeDerived = options.includeDerived;
+  filters.refreshAsn = options.refreshAsn;
+
+  return { where: conditions.length > 0 ? conditions.join('\n      AND ') : 'TRUE', params, filters };
+}
+
+/**
+ * Classification fields of an events row or a reclassification result
+ */
+function pickFields(source) {
+  return Object.fromEntries(CLASSIFICATION_FIELDS.map(field => [field, source[field] ?? null]));
+}
+
+/**
+ * Print the before/after transition matrix
+ * @param {Object} transitions - { old: { new: count } }
+ */
+function printTransitions(transitions) {
+  const labels = [...new Set([
+    ...Object.keys(transitions),
+    ...Object.values(transitions).flatMap(row => Object.keys(row))
+  ])].sort();
+  if (labels.length === 0) {
+    console.log('  (no events)');
+    return;
+  }
+
+  const width = Math.max(...labels.map(label => label.length)) + 2;
+  console.log(`\nTransition matrix (rows: before, columns: after):`);
+  labels.forEach((label, i) => console.log(`  [${i + 1}] ${label}`));
+  console.log('\n' + ' '.repeat(width) + labels.map((_, i) => `[${i + 1}]`.padStart(8)).join(''));
+  for (const before of labels) {
+    const row = transitions[before] || {};
+    console.log(before.padEnd(width) + labels.map(after => String(row[after] || '.').padStart(8)).join(''));
+  }
+}
+
+/**
+ * Re-classify the selected events
+ */
+async function reclassify(options, config) {
+  const { where, params, filters } = buildSelection(options);
+  const version = getRulesetVersion();
+  initSessionizer(config.sessions);
+
+  console.log(`Classifier: ${version}`);
+  console.log(`Filters: ${JSON.stringify(filters)}`);
+  console.log(options.dryRun ? 'Mode: dry run (no changes written)\n' : `Mode: apply in batches of ${options.batchSize}\n`);
+
+  const runId = options.dryRun ? null : await createReclassificationRun(filters, version);
+  const transitions = {};
+  let scanned = 0;
+  let changed = 0;
+  let cursor = null;
+
+  try {
+    for (;;) {
+      // Keyset pagination in time order (sessions need events in order)
+      const cursorParams = cursor ? [cursor.timestamp, cursor.id] : [];
+      const cursorCondition = cursor ? `AND (timestamp, id) > ($${params.length + 1}::timestamptz, $${params.length + 2})` : '';
+      const result = await query(`
+        SELECT
+          id, timestamp, timestamp::text AS timestamp_cursor, host(client_ip) AS client_ip, subnet::text AS subnet,
+          path, content_type, user_agent, headers_json, country, ${CLASSIFICATION_FIELDS.join(', ')}
+        FROM events
+        WHERE ${where}
+          ${cursorCondition}
+        ORDER BY timestamp, id
+        LIMIT ${options.batchSize}
+      `, [...params, ...cursorParams]);
+
+      if (result.rows.length === 0) break;
+
+      const changes = [];
+      for (const row of result.rows) {
+        const sessionStats = trackEvent(row);
+        const reclassified = await reclassifyStoredEvent(row, { refreshAsn: options.refreshAsn, sessionStats });
+        const before = pickFields(row);
+        const after = pickFields(reclassified);
+
+        const from = before.bot_classification || 'unclassified';
+        transitions[from] = transitions[from] || {};
+        transitions[from][after.bot_classification] = (transitions[from][after.bot_classification] || 0) + 1;
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          changes.push({ id: row.id, old: before, new: after });
+        }
+      }
+
+      scanned += result.rows.length;
+      changed += changes.length;
+      if (!options.dryRun) {
+        await applyClassificationChanges(runId, changes);
+      }
+
+      const last = result.rows[result.rows.length - 1];
+      cursor = { timestamp: last.timestamp_cursor, id: last.id };
+      process.stdout.write(`\r  Scanned: ${scanned} (${changed} ${options.dryRun ? 'would change' : 'changed'})    `);
+    }
+  } catch (err) {
+    if (runId) {
+      await finishReclassificationRun(runId, { status: 'failed', scanned, changed, transitions, error: err.message });
+      console.error(`\nRun ${runId} failed after ${changed} changes; roll back with --rollback ${runId}`);
+    }
+    throw err;
+  }
+
+  if (runId) {
+    await finishReclassificationRun(runId, { status: 'completed', scanned, changed, transitions });
+  }
+
+  console.log(`\n\nScanned: ${scanned}`);
+  console.log(`${options.dryRun ? 'Would change' : 'Changed'}: ${changed}`);
+  printTransitions(transitions);
+  if (runId) {
+    console.log(`\nRun ${runId} recorded; undo with: node scripts/reclassify.js --rollback ${runId}`);
+  }
+}
+
+/**
+ * List recent runs
+ */
+async function listRuns() {
+  const result = await query(`
+    SELECT id, started_at, status, classifier_version, events_scanned, events_changed, events_restored, filters
+    FROM reclassification_runs
+    ORDER BY started_at DESC
+    LIMIT 20
+  `);
+
+  if (result.rows.length === 0) {
+    console.log('No reclassification runs yet');
+    return;
+  }
+  for (const run of result.rows) {
+    const restored = run.status === 'rolled_back' ? `, ${run.events_restored} restored` : '';
+    console.log(`#${run.id}  ${run.started_at.toISOString()}  ${run.status.padEnd(11)}  ${run.classifier_version || '-'}  ${run.events_changed}/${run.events_scanned} changed${restored}  ${JSON.stringify(run.filters)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('='.repeat(60));
+  console.log('Reclassify Events');
+  console.log('='.repeat(60));
+
+  const config = loadConfig();
+  initDB(config.database);
+
+  if (!await testConnection()) {
+    throw new Error('Database connection failed');
+  }
+
+  if (options.runs) {
+    await listRuns();
+  } else if (options.rollback) {
+    const runId = parseInt(options.rollback);
+    if (!runId) {
+      throw new Error('--rollback requires a run id');
+    }
+    const { restored, skipped } = await rollbackReclassificationRun(runId, options.batchSize);
+    console.log(`Run ${runId} rolled back: ${restored} events restored, ${skipped} skipped (changed again since)`);
+  } else {
+    loadClassifierRules(config.classifier?.rules_file);
+    initBotVerification(config.bot_verification);
+    initOverrides(config.overrides);
+    await refreshOverrides(true);
+    initAgentDetection(config.agent_detection);
+    if (options.refreshAsn) {
+      await initASN(config.geoip?.asn_db);
+      initDatacenterASNs(config.datacenter_asns);
+      await refreshDatacenterASNs(true);
+    }
+    await reclassify(options, config);
+  }
+
+  await closeDB();
+}
+
+main().catch(async err => {
+  console.error('Error:', err.message);
+  await closeDB();
+  process.exit(1);
+});
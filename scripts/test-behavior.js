@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Behavior Detector Test
+ * Runs the detectors of lib/behavior-analysis.js over the client event cases
+ * in fixtures/behavior/*.json with the default settings, and checks which
+ * patterns are found and which of them --apply would use to upgrade events
+ * (scripts/analyze-behavior.js). Exits non-zero on any mismatch.
+ *
+ * Usage:
+ *   node scripts/test-behavior.js
+ *   node scripts/test-behavior.js --fixtures path/to/cases --verbose
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { resolveSettings, analyzeClient, isApplicable } from '../lib/behavior-analysis.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures/behavior');
+
+/**
+ * Load every case file in a directory
+ * @param {string} dir - Fixture directory
+ * @returns {Array<Object>} Cases, each with its file name
+ */
+function loadCases(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .flatMap(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).cases.map(entry => ({ ...entry, file })));
+}
+
+/**
+ * Sorted, comma-separated list for comparing and printing
+ */
+function listOf(values) {
+  return [...values].sort().join(', ') || '(none)';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const fixturesIndex = args.indexOf('--fixtures');
+  const fixturesDir = path.resolve(fixturesIndex !== -1 ? args[fixturesIndex + 1] : DEFAULT_FIXTURES_DIR);
+  const verbose = args.includes('--verbose');
+
+  console.log('='.repeat(60));
+  console.log('Behavior Detector Test');
+  console.log('='.repeat(60));
+
+  const settings = resolveSettings();
+  const cases = loadCases(fixturesDir);
+  console.log(`Cases: ${cases.length} from ${fixturesDir}\n`);
+
+  let failed = 0;
+  for (const entry of cases) {
+    const patterns = analyzeClient(entry.events, settings);
+    const found = listOf(patterns.map(pattern => pattern.pattern_type));
+    const applied = listOf(patterns.filter(pattern => isApplicable(pattern, settings)).map(pattern => pattern.pattern_type));
+    const passed = found === listOf(entry.expected.patterns) && applied === listOf(entry.expected.applied);
+
+    if (!passed) failed++;
+    if (!passed || verbose) {
+      console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${entry.id}  [${entry.file}]`);
+    }
+    if (!passed) {
+      console.log(`        expected patterns ${listOf(entry.expected.patterns)}, applied ${listOf(entry.expected.applied)}`);
+      console.log(`        got patterns ${found}, applied ${applied}`);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`\n${failed} of ${cases.length} case(s) failed`);
+    process.exit(1);
+  }
+  console.log(`All ${cases.length} cases passed`);
+}
+
+main();
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Classifier Regression Test
+ * Classifies the labeled request fixtures (fixtures/classifier/*.json) and
+ * reports per-category precision/recall
+ *
+ * The run is compared with fixtures/classifier/baseline.json: a fixture that
+ * fails without being listed there, or a precision/recall drop, is a
+ * regression and exits non-zero. Accept a run (e.g. after fixing rules or
+ * adding fixtures) with --update-baseline.
+ *
+ * Fixtures are classified by the rules alone, without manual overrides (they
+ * live in the database). Bot IP verification runs only for fixture files with
+ * a "verification" block, against its inline range snapshots and static DNS
+ * records (see lib/classifier-eval.js), so no network is needed.
+ *
+ * Usage:
+ *   node scripts/test-classifier.js                                # Bundled rules
+ *   node scripts/test-classifier.js rules/custom.json              # Candidate rules
+ *   node scripts/test-classifier.js --fixtures path/to/fixtures --verbose
+ *   node scripts/test-classifier.js --update-baseline
+ *
+ * New fixtures can be exported from stored events with
+ * scripts/export-classifier-fixtures.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_RULES_FILE, loadClassifierRules, getRulesetVersion, classify } from '../lib/ai-classifier-v2.js';
+import {
+  BASELINE_FILE, loadFixtures, runFixtures, summarizeAccuracy, buildBaseline, compareWithBaseline
+} from '../lib/classifier-eval.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures/classifier');
+
+/**
+ * Parse command-line options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+  const fixturesIndex = args.indexOf('--fixtures');
+  const fixturesDir = fixturesIndex !== -1 ? args[fixturesIndex + 1] : DEFAULT_FIXTURES_DIR;
+
+  return {
+    rulesFile: args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--fixtures') || DEFAULT_RULES_FILE,
+    fixturesDir: path.resolve(fixturesDir),
+    updateBaseline: args.includes('--update-baseline'),
+    verbose: args.includes('--verbose')
+  };
+}
+
+/**
+ * Print the per-category table
+ * @param {Object} summary - From summarizeAccuracy()
+ */
+function printSummary(summary) {
+  const percent = value => value === null ? '--' : `${(value * 100).toFixed(1)}%`;
+  const width = Math.max(14, ...summary.classes.map(entry => entry.classification.length)) + 2;
+
+  console.log(`\n${'Category'.padEnd(width)}${'Labeled'.padStart(9)}${'Predicted'.padStart(11)}${'Correct'.padStart(9)}${'Precision'.padStart(11)}${'Recall'.padStart(9)}`);
+  for (const entry of summary.classes) {
+    console.log(
+      entry.classification.padEnd(width)
+      + String(entry.labeled).padStart(9)
+      + String(entry.predicted).padStart(11)
+      + String(entry.correct).padStart(9)
+      + percent(entry.precision).padStart(11)
+      + percent(entry.recall).padStart(9)
+    );
+  }
+  console.log(`\nAccuracy: ${percent(summary.accuracy)} (${summary.correct}/${summary.total})`);
+}
+
+/**
+ * Print one fixture result
+ */
+function printResult({ fixture, result, passed }) {
+  const rules = fixture.expected.detection_rules ? ` with ${fixture.expected.detection_rules.join(', ')}` : '';
+  const expected = (fixture.expected.bot_name ? `${fixture.expected.bot_classification} (${fixture.expected.bot_name})` : fixture.expected.bot_classification) + rules;
+  console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${fixture.id}  [${fixture.file}]`);
+  if (!passed) {
+    console.log(`        expected ${expected}, got ${result.bot_classification} (${result.bot_name || 'no name'})`);
+    console.log(`        rules: ${result.detection_rules.join(', ')} - ${result.detection_reason}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('='.repeat(60));
+  console.log('Classifier Regression Test');
+  console.log('='.repeat(60));
+
+  loadClassifierRules(options.rulesFile);
+  const version = getRulesetVersion();
+  const fixtures = loadFixtures(options.fixturesDir);
+  console.log(`Fixtures: ${fixtures.length} from ${options.fixturesDir}`);
+
+  const results = await runFixtures(fixtures, event => classify(event, { overrides: false }));
+  const summary = summarizeAccuracy(results.map(({ fixture, result }) => ({
+    label: fixture.expected.bot_classification,
+    predicted: result.bot_classification
+  })));
+
+  console.log(options.verbose ? '\nResults:' : '\nFailing fixtures:');
+  const shown = options.verbose ? results : results.filter(r => !r.passed);
+  shown.forEach(printResult);
+  if (shown.length === 0) console.log('  (none)');
+
+  printSummary(summary);
+
+  const baselinePath = path.join(options.fixturesDir, BASELINE_FILE);
+  if (options.updateBaseline) {
+    fs.writeFileSync(baselinePath, JSON.stringify(buildBaseline(results, summary, version), null, 2) + '\n');
+    console.log(`\nBaseline updated: ${baselinePath}`);
+    return;
+  }
+
+  const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+  const { regressions, fixed } = compareWithBaseline(results, summary, baseline);
+
+  console.log(`\nBaseline: ${baseline ? `${baseline.classifier_version}, ${baseline.failing.length} known failing` : 'none (every failure counts)'}`);
+  if (fixed.length > 0) {
+    console.log(`Now passing (run --update-baseline to accept): ${fixed.join(', ')}`);
+  }
+  if (regressions.length > 0) {
+    console.error(`\n${regressions.length} regression(s):`);
+    regressions.forEach(regression => console.error(`  ${regression}`));
+    process.exit(1);
+  }
+  console.log('No regressions');
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
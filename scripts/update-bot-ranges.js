@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Update Bot Range Snapshots
+ * Downloads the crawler vendors' published IP ranges to local JSON snapshots
+ * used by lib/bot-verification.js
+ *
+ * The list of ranges comes from "range_sources" in the classifier rule file.
+ * Each download is validated before it replaces the previous snapshot, so a
+ * failed or malformed download keeps the last good one.
+ *
+ * Usage:
+ *   node scripts/update-bot-ranges.js                 # All range sources
+ *   node scripts/update-bot-ranges.js --only gptbot   # One range source
+ *
+ * Run weekly via cron; the ingestion processes load snapshots at startup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_RULES_FILE, loadClassifierRules } from '../lib/ai-classifier-v2.js';
+import { parseRangeSnapshot } from '../lib/bot-verification.js';
+import { createCIDRMatcher } from '../lib/cidr.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Configuration
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_RANGES_DIR = 'data/bot-ranges';
+const FETCH_TIMEOUT = 30000;
+
+/**
+ * Load configuration (optional - defaults apply without config.json)
+ */
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Download and store one range snapshot
+ * @param {string} name - Range source name
+ * @param {string} url - Published JSON URL
+ * @param {string} dir - Snapshot directory
+ * @returns {Promise<number>} Number of prefixes stored
+ */
+async function updateRange(name, url, dir) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const snapshot = await response.json();
+  const cidrs = parseRangeSnapshot(snapshot);
+  createCIDRMatcher(cidrs); // Throws on invalid prefixes
+
+  // Write then rename, so readers never see a partial file
+  const file = path.join(dir, `${name}.json`);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+
+  return cidrs.length;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const onlyIndex = args.indexOf('--only');
+  const only = onlyIndex !== -1 ? args[onlyIndex + 1] : null;
+
+  const config = loadConfig();
+  const ruleset = loadClassifierRules(config.classifier?.rules_file || DEFAULT_RULES_FILE);
+  const dir = path.resolve(PROJECT_ROOT, config.bot_verification?.ranges_dir || DEFAULT_RANGES_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const sources = Object.entries(ruleset.rangeSources).filter(([name]) => !only || name === only);
+  if (sources.length === 0) {
+    console.error(only ? `Unknown range source: ${only}` : 'No range_sources in the rule file');
+    process.exit(1);
+  }
+
+  let failures = 0;
+  for (const [name, url] of sources) {
+    try {
+      const count = await updateRange(name, url, dir);
+      console.log(`✓ ${name}: ${count} prefixes`);
+    } catch (err) {
+      failures++;
+      console.error(`✗ ${name} (${url}): ${err.message} - keeping previous snapshot`);
+    }
+  }
+
+  console.log(`\nSnapshots in ${dir}`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -8,7 +8,20 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { initDB, query, closeDB } from './lib/db.js';
+import {
+  initDB, query, closeDB, getOverrides, createOverride, updateOverride,
+  getDatacenterASNs, createDatacenterASN, updateDatacenterASN
+} from './lib/db.js';
+import { loadExclusions, watchExclusions, getExclusionSQL } from './lib/exclusions.js';
+import { parseIP } from './lib/cidr.js';
+import { initBotVerification } from './lib/bot-verification.js';
+import { initPipeline, reclassifyStoredEvent } from './lib/pipeline.js';
+import { loadClassifierRules, describeRules, getRulesetVersion, getClassifierCategories } from './lib/ai-classifier-v2.js';
+import { initIntake, authenticateIntake, getIntakeLines, ingestLines } from './lib/intake.js';
+import { initOverrides, refreshOverrides, validateOverride, findOverride } from './lib/overrides.js';
+import { validateProvenance } from './lib/registry-loader.js';
+import { summarizeAccuracy } from './lib/classifier-eval.js';
+import { validateDatacenterASN, refreshDatacenterASNs, isHostingOrg } from './lib/asn-lookup.js';
 import fs from 'fs';
 import http from 'http';
 
@@ -27,8 +40,80 @@ const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
 // Initialize database
 initDB(config.database);
 
+// Exclusion rules (home IPs, excluded hosts, scanner paths) - reloaded on config change
+loadExclusions(config.exclusions);
+watchExclusions(CONFIG_PATH);
+
+// Push-based log intake - enrichment lookups are only loaded when intake sources are configured
+const intakeSourceCount = initIntake(config.intake);
+if (intakeSourceCount > 0) {
+  await initPipeline(config);
+  console.log(`Log intake enabled for ${intakeSourceCount} source(s)`);
+} else {
+  // Used by /api/explain and /api/overrides/accuracy
+  loadClassifierRules(config.classifier?.rules_file);
+  initBotVerification(config.bot_verification);
+  initOverrides(config.overrides);
+  await refreshOverrides(true);
+}
+
 // Middleware
 app.use(cors());
+
+/**
+ * Authenticate an intake request before its body is read
+ * Unauthenticated requests are rejected without buffering up to 10mb of body.
+ */
+function requireIntakeToken(req, res, next) {
+  const source = authenticateIntake(req.get('Authorization'));
+  if (!source) {
+    return res.status(401).json({ error: 'Invalid or missing intake token' });
+  }
+  res.locals.intakeSource = source;
+  next();
+}
+
+/**
+ * POST /api/intake
+ * Push-based log intake for remote web servers (only registered when intake
+ * sources are configured)
+ * Authorization: Bearer <intake source token>
+ * Body: NDJSON / text lines (application/x-ndjson, text/plain) or a JSON array of log entries
+ * Registered before the global JSON parser, whose 100kb limit is too small for log batches
+ */
+if (intakeSourceCount > 0) {
+  app.post('/api/intake',
+    requireIntakeToken,
+    express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '10mb' }),
+    express.json({ limit: '10mb' }),
+    async (req, res) => {
+      const source = res.locals.intakeSource;
+
+      let lines;
+      try {
+        lines = getIntakeLines(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (lines.length === 0) {
+        return res.status(400).json({ error: 'No log lines in request body' });
+      }
+
+      try {
+        const result = await ingestLines(source, lines);
+        console.log(`Intake ${source.name}: ${result.received} lines, ${result.inserted} new, ${result.rejected} rejected`);
+        res.json(result);
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error ingesting intake batch:', error);
+        res.status(500).json({ error: 'Failed to ingest log lines' });
+      }
+    }
+  );
+}
+
 app.use(express.json());
 
 // HTML page routes (must be before static middleware)
@@ -44,6 +129,10 @@ app.get('/explore', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'explore.html'));
 });
 
+app.get('/overrides', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'overrides.html'));
+});
+
 // Static files (after explicit routes)
 app.use(express.static('public'));
 
@@ -51,12 +140,12 @@ app.use(express.static('public'));
 app.use('/recording', express.static(path.join(__dirname, '../reddit-browser/recording')));
 
 // Helper function to parse time range
-function getTimeFilter(range) {
+function getTimeFilter(range, column = 'timestamp') {
   const filters = {
-    '6h': "timestamp > NOW() - INTERVAL '6 hours'",
-    '24h': "timestamp > NOW() - INTERVAL '24 hours'",
-    '7d': "timestamp > NOW() - INTERVAL '7 days'",
-    '30d': "timestamp > NOW() - INTERVAL '30 days'"
+    '6h': `${column} > NOW() - INTERVAL '6 hours'`,
+    '24h': `${column} > NOW() - INTERVAL '24 hours'`,
+    '7d': `${column} > NOW() - INTERVAL '7 days'`,
+    '30d': `${column} > NOW() - INTERVAL '30 days'`
   };
   return filters[range] || filters['24h'];
 }
@@ -79,6 +168,45 @@ function getThaibelleFilter(req) {
   return '';
 }
 
+// Helper function to exclude filtered traffic (exclusion rules, CrowdSec bans)
+// Pass includeFiltered=true to count it in stats and attack breakdowns
+function getFilteredTrafficFilter(req) {
+  if (req.query.includeFiltered === 'true') {
+    return '';
+  }
+  return `AND filter_reason IS NULL
+        ${getExclusionSQL()}`;
+}
+
+// True if a query parameter is given with a non-blank value (?minScore= is not)
+function hasQueryValue(req, param) {
+  return typeof req.query[param] === 'string' && req.query[param].trim() !== '';
+}
+
+// Helper function to filter by bot score (see lib/bot-score.js)
+// Pass minScore and/or maxScore (0-1, inclusive) to find borderline traffic;
+// empty values and values outside 0-1 are ignored. Events scored before
+// migrate-bot-score.sql have no score and are excluded by either bound.
+function getBotScoreFilter(req) {
+  return [['minScore', '>='], ['maxScore', '<=']]
+    .filter(([param]) => hasQueryValue(req, param))
+    .map(([param, operator]) => [Number(req.query[param]), operator])
+    .filter(([value]) => value >= 0 && value <= 1)
+    .map(([value, operator]) => `AND bot_score ${operator} ${value}`)
+    .join('\n        ');
+}
+
+// Parsed User-Agent dimensions (lib/ua-parser.js) → grouping expression
+// Versions are grouped with their family ('Chrome 120.0')
+const USER_AGENT_DIMENSIONS = {
+  browser_family: 'browser_family',
+  browser_version: "browser_family || ' ' || browser_version",
+  browser_engine: 'browser_engine',
+  os_family: 'os_family',
+  os_version: "os_family || ' ' || os_version",
+  device_type: 'device_type'
+};
+
 // API Endpoints
 
 /**
@@ -110,17 +238,22 @@ app.get('/api/stats', async (req, res) => {
       SELECT
         COUNT(*) as total_requests,
         COUNT(DISTINCT client_ip) as unique_ips,
-        COUNT(*) FILTER (WHERE bot_classification = 'ai_official') as ai_official,
+        COUNT(*) FILTER (WHERE bot_classification IN ('ai_official', 'ai_official_verified')) as ai_official,
+        COUNT(*) FILTER (WHERE bot_classification = 'ai_official_verified') as ai_official_verified,
+        COUNT(*) FILTER (WHERE bot_classification = 'ai_spoofed') as ai_spoofed,
         COUNT(*) FILTER (WHERE bot_classification = 'ai_stealth') as ai_stealth,
+        COUNT(*) FILTER (WHERE bot_classification = 'ai_agent_browser') as ai_agent_browser,
         COUNT(*) FILTER (WHERE bot_classification = 'web_crawler') as web_crawler,
         COUNT(*) FILTER (WHERE bot_classification = 'monitoring_service') as monitoring_service,
         COUNT(*) FILTER (WHERE bot_classification = 'bot_undetermined') as bot_undetermined,
         COUNT(*) FILTER (WHERE bot_classification LIKE 'attack_%') as attack_traffic,
-        COUNT(*) FILTER (WHERE bot_classification = 'human') as human
+        COUNT(*) FILTER (WHERE bot_classification = 'human') as human,
+        COUNT(*) FILTER (WHERE filter_reason IS NOT NULL) as filtered_traffic
       FROM events
       WHERE ${timeFilter}
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
-        ${thaibelleFilter};
+        ${getFilteredTrafficFilter(req)}
+        ${thaibelleFilter}
+        ${getBotScoreFilter(req)};
     `;
 
     const result = await query(statsQuery);
@@ -130,12 +263,16 @@ app.get('/api/stats', async (req, res) => {
       totalRequests: parseInt(stats.total_requests),
       uniqueIps: parseInt(stats.unique_ips),
       aiOfficial: parseInt(stats.ai_official),
+      aiOfficialVerified: parseInt(stats.ai_official_verified),
+      aiSpoofed: parseInt(stats.ai_spoofed),
       aiStealth: parseInt(stats.ai_stealth),
+      aiAgentBrowser: parseInt(stats.ai_agent_browser),
       webCrawler: parseInt(stats.web_crawler),
       monitoringService: parseInt(stats.monitoring_service),
       botUndetermined: parseInt(stats.bot_undetermined),
       attackTraffic: parseInt(stats.attack_traffic),
-      human: parseInt(stats.human)
+      human: parseInt(stats.human),
+      filteredTraffic: parseInt(stats.filtered_traffic)
     });
   } catch (error) {
     console.error('Error fetching stats:', error);
@@ -184,8 +321,9 @@ app.get('/api/timeline', async (req, res) => {
       WHERE ${timeFilter}
         AND site IN ('veteransmemorycare.org', 'memorycareguide.org', 'thaibelle.com',
                      'www.veteransmemorycare.org', 'www.memorycareguide.org', 'www.thaibelle.com')
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
         ${thaibelleFilter}
+        ${getBotScoreFilter(req)}
       GROUP BY time_bucket, REPLACE(site, 'www.', '')
       ORDER BY time_bucket ASC;
     `;
@@ -291,7 +429,10 @@ app.get('/api/bot-classification', async (req, res) => {
         CASE
           WHEN bot_classification = 'human' THEN 'Human'
           WHEN bot_classification = 'ai_official' THEN 'Official AI'
+          WHEN bot_classification = 'ai_official_verified' THEN 'Verified AI'
+          WHEN bot_classification = 'ai_spoofed' THEN 'Spoofed Bot'
           WHEN bot_classification = 'ai_stealth' THEN 'Stealth AI'
+          WHEN bot_classification = 'ai_agent_browser' THEN 'AI Agent (Browser)'
           WHEN bot_classification = 'web_crawler' THEN 'Web Crawler'
           WHEN bot_classification = 'monitoring_service' THEN 'Monitoring'
           WHEN bot_classification = 'bot_undetermined' THEN 'Undetermined Bot'
@@ -301,13 +442,17 @@ app.get('/api/bot-classification', async (req, res) => {
         COUNT(*) as count
       FROM events
       WHERE ${timeFilter}
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
         ${thaibelleFilter}
+        ${getBotScoreFilter(req)}
       GROUP BY
         CASE
           WHEN bot_classification = 'human' THEN 'Human'
           WHEN bot_classification = 'ai_official' THEN 'Official AI'
+          WHEN bot_classification = 'ai_official_verified' THEN 'Verified AI'
+          WHEN bot_classification = 'ai_spoofed' THEN 'Spoofed Bot'
           WHEN bot_classification = 'ai_stealth' THEN 'Stealth AI'
+          WHEN bot_classification = 'ai_agent_browser' THEN 'AI Agent (Browser)'
           WHEN bot_classification = 'web_crawler' THEN 'Web Crawler'
           WHEN bot_classification = 'monitoring_service' THEN 'Monitoring'
           WHEN bot_classification = 'bot_undetermined' THEN 'Undetermined Bot'
@@ -348,8 +493,9 @@ app.get('/api/top-bots', async (req, res) => {
       WHERE ${timeFilter}
         AND is_bot = true
         AND bot_name IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
         ${thaibelleFilter}
+        ${getBotScoreFilter(req)}
       GROUP BY bot_name
       ORDER BY count DESC
       LIMIT ${limit};
@@ -385,7 +531,7 @@ app.get('/api/geographic-heatmap', async (req, res) => {
         country,
         city,
         COUNT(*) FILTER (WHERE bot_classification = 'human') as human_count,
-        COUNT(*) FILTER (WHERE bot_classification = 'ai_official') as official_ai_count,
+        COUNT(*) FILTER (WHERE bot_classification IN ('ai_official', 'ai_official_verified')) as official_ai_count,
         COUNT(*) FILTER (WHERE bot_classification = 'ai_stealth') as stealth_ai_count,
         COUNT(*) FILTER (WHERE bot_classification = 'web_crawler') as web_crawler_count,
         COUNT(*) FILTER (WHERE bot_classification = 'monitoring_service') as monitoring_count,
@@ -394,8 +540,9 @@ app.get('/api/geographic-heatmap', async (req, res) => {
       WHERE ${timeFilter}
         AND latitude IS NOT NULL
         AND longitude IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
         ${thaibelleFilter}
+        ${getBotScoreFilter(req)}
       GROUP BY ROUND(CAST(latitude AS numeric), 2),
                ROUND(CAST(longitude AS numeric), 2),
                country,
@@ -411,19 +558,109 @@ app.get('/api/geographic-heatmap', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/funnel
+ * Returns funnel conversion (veteransmemorycare.org → memorycareguide.org → thaibelle.com)
+ * and the most common cross-site paths, from journeys built by scripts/aggregate-journeys.js
+ * Query: range, humansOnly=true (human journeys only), limit (paths, default 20)
+ */
+app.get('/api/funnel', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const timeFilter = getTimeFilter(range, 'first_seen');
+    const humanFilter = req.query.humansOnly === 'true' ? "AND bot_classification = 'human'" : '';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    // sites_visited is in first-visit order, so array_position compares visit order
+    const summaryQuery = `
+      SELECT
+        COUNT(*) as journeys,
+        COUNT(*) FILTER (WHERE cardinality(sites_visited) > 1) as cross_site,
+        COUNT(*) FILTER (WHERE completed_funnel) as completed,
+        COUNT(*) FILTER (WHERE 'veteransmemorycare.org' = ANY(sites_visited)) as stage1,
+        COUNT(*) FILTER (WHERE array_position(sites_visited, 'veteransmemorycare.org') < array_position(sites_visited, 'memorycareguide.org')) as stage1_to_2,
+        COUNT(*) FILTER (WHERE funnel_stage = 1) as max_stage_1,
+        COUNT(*) FILTER (WHERE funnel_stage = 2) as max_stage_2,
+        COUNT(*) FILTER (WHERE funnel_stage = 3) as max_stage_3
+      FROM journeys
+      WHERE ${timeFilter}
+        ${humanFilter}
+    `;
+
+    const pathsQuery = `
+      SELECT
+        sites_visited as path,
+        COUNT(*) as journeys,
+        COUNT(*) FILTER (WHERE completed_funnel) as completed,
+        COUNT(*) FILTER (WHERE bot_classification = 'human') as human,
+        SUM(total_requests) as requests,
+        ROUND(AVG(EXTRACT(EPOCH FROM (last_seen - first_seen)) / 60)::numeric, 1) as avg_minutes
+      FROM journeys
+      WHERE ${timeFilter}
+        AND cardinality(sites_visited) > 1
+        ${humanFilter}
+      GROUP BY sites_visited
+      ORDER BY journeys DESC
+      LIMIT ${limit}
+    `;
+
+    const [summaryResult, pathsResult] = await Promise.all([query(summaryQuery), query(pathsQuery)]);
+    const summary = summaryResult.rows[0];
+    const stage1 = parseInt(summary.stage1);
+    const stage1To2 = parseInt(summary.stage1_to_2);
+    const completed = parseInt(summary.completed);
+
+    res.json({
+      range,
+      journeys: parseInt(summary.journeys),
+      crossSite: parseInt(summary.cross_site),
+      completed,
+      conversion: {
+        stage1,
+        stage1To2,
+        completed,
+        stage1To2Rate: stage1 > 0 ? Math.round(stage1To2 / stage1 * 1000) / 10 : 0,
+        completionRate: stage1 > 0 ? Math.round(completed / stage1 * 1000) / 10 : 0
+      },
+      maxStage: {
+        1: parseInt(summary.max_stage_1),
+        2: parseInt(summary.max_stage_2),
+        3: parseInt(summary.max_stage_3)
+      },
+      paths: pathsResult.rows.map(row => ({
+        path: row.path,
+        journeys: parseInt(row.journeys),
+        completed: parseInt(row.completed),
+        human: parseInt(row.human),
+        requests: parseInt(row.requests),
+        avgMinutes: parseFloat(row.avg_minutes)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching funnel:', error);
+    res.status(500).json({ error: 'Failed to fetch funnel' });
+  }
+});
+
 /**
  * GET /api/dashboard
  * Returns all dashboard data in one request
+ * Query: range, includeFiltered, minScore, maxScore (passed on to each endpoint)
  */
 app.get('/api/dashboard', async (req, res) => {
   try {
     const range = req.query.range || '24h';
+    const scoreParams = ['minScore', 'maxScore']
+      .filter(param => hasQueryValue(req, param))
+      .map(param => `&${param}=${encodeURIComponent(req.query[param])}`)
+      .join('');
+    const params = `range=${range}${req.query.includeFiltered === 'true' ? '&includeFiltered=true' : ''}${scoreParams}`;
 
     const [stats, timeline, botClassification, topBots] = await Promise.all([
-      fetch(`http://localhost:${PORT}/api/stats?range=${range}`).then(r => r.json()),
-      fetch(`http://localhost:${PORT}/api/timeline?range=${range}`).then(r => r.json()),
-      fetch(`http://localhost:${PORT}/api/bot-classification?range=${range}`).then(r => r.json()),
-      fetch(`http://localhost:${PORT}/api/top-bots?range=${range}`).then(r => r.json())
+      fetch(`http://localhost:${PORT}/api/stats?${params}`).then(r => r.json()),
+      fetch(`http://localhost:${PORT}/api/timeline?${params}`).then(r => r.json()),
+      fetch(`http://localhost:${PORT}/api/bot-classification?${params}`).then(r => r.json()),
+      fetch(`http://localhost:${PORT}/api/top-bots?${params}`).then(r => r.json())
     ]);
 
     res.json({
@@ -438,6 +675,1156 @@ app.get('/api/dashboard', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ingestion-health
+ * Returns ingestion health per source (last run, lag, errors) and run stats over time
+ */
+app.get('/api/ingestion-health', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const timeFilter = getTimeFilter(range, 'started_at');
+    const bucket = ['6h', '24h'].includes(range) ? 'hour' : 'day';
+
+    const sourcesQuery = `
+      SELECT DISTINCT ON (source)
+        source,
+        mode,
+        status,
+        finished_at,
+        error,
+        MAX(latest_event_timestamp) OVER (PARTITION BY source) as latest_event_timestamp
+      FROM ingestion_runs
+      WHERE ${timeFilter}
+      ORDER BY source, started_at DESC;
+    `;
+
+    const totalsQuery = `
+      SELECT
+        source,
+        COUNT(*) as runs,
+        COUNT(*) FILTER (WHERE status = 'failed') as failed_runs,
+        SUM(lines_read) as lines_read,
+        SUM(inserted) as inserted,
+        SUM(updated) as updated,
+        SUM(filtered) as filtered,
+        SUM(parse_errors) as parse_errors,
+        SUM(failed) as failed,
+        SUM(dead_letters) as dead_letters
+      FROM ingestion_runs
+      WHERE ${timeFilter}
+      GROUP BY source;
+    `;
+
+    // Lag: how old the newest inserted event was when each run finished
+    const timelineQuery = `
+      SELECT
+        date_trunc('${bucket}', started_at) as time_bucket,
+        SUM(lines_read) as lines_read,
+        SUM(inserted) as inserted,
+        SUM(parse_errors + failed) as errors,
+        MAX(EXTRACT(EPOCH FROM finished_at - latest_event_timestamp)) as max_lag_seconds,
+        ROUND(AVG(EXTRACT(EPOCH FROM finished_at - started_at) * 1000)) as avg_duration_ms
+      FROM ingestion_runs
+      WHERE ${timeFilter}
+      GROUP BY time_bucket
+      ORDER BY time_bucket ASC;
+    `;
+
+    const deadLettersQuery = `
+      SELECT id, source, stage, error, LEFT(raw_line, 300) as raw_line, created_at
+      FROM dead_letters
+      WHERE ${getTimeFilter(range, 'created_at')}
+      ORDER BY created_at DESC
+      LIMIT 20;
+    `;
+
+    const [sources, totals, timeline, deadLetters] = await Promise.all([
+      query(sourcesQuery),
+      query(totalsQuery),
+      query(timelineQuery),
+      query(deadLettersQuery)
+    ]);
+
+    const totalsBySource = new Map(totals.rows.map(row => [row.source, row]));
+
+    res.json({
+      sources: sources.rows.map(row => {
+        const total = totalsBySource.get(row.source);
+        return {
+          source: row.source,
+          mode: row.mode,
+          lastStatus: row.status,
+          lastRunAt: row.finished_at,
+          lastError: row.error,
+          latestEventTimestamp: row.latest_event_timestamp,
+          lagSeconds: row.latest_event_timestamp
+            ? Math.round((Date.now() - new Date(row.latest_event_timestamp).getTime()) / 1000)
+            : null,
+          runs: parseInt(total.runs),
+          failedRuns: parseInt(total.failed_runs),
+          linesRead: parseInt(total.lines_read),
+          inserted: parseInt(total.inserted),
+          updated: parseInt(total.updated),
+          filtered: parseInt(total.filtered),
+          parseErrors: parseInt(total.parse_errors),
+          failed: parseInt(total.failed),
+          deadLetters: parseInt(total.dead_letters)
+        };
+      }),
+      timeline: timeline.rows.map(row => ({
+        time: row.time_bucket,
+        linesRead: parseInt(row.lines_read),
+        inserted: parseInt(row.inserted),
+        errors: parseInt(row.errors),
+        maxLagSeconds: row.max_lag_seconds !== null ? Math.round(parseFloat(row.max_lag_seconds)) : null,
+        avgDurationMs: parseInt(row.avg_duration_ms)
+      })),
+      recentDeadLetters: deadLetters.rows
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion health:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion health' });
+  }
+});
+
+/**
+ * GET /api/dead-letters
+ * Returns dead-lettered lines/events, newest first (?source=, ?stage=, ?limit=)
+ */
+app.get('/api/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const conditions = [];
+    const params = [];
+
+    if (req.query.source) {
+      params.push(req.query.source);
+      conditions.push(`source = $${params.length}`);
+    }
+    if (req.query.stage) {
+      params.push(req.query.stage);
+      conditions.push(`stage = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await query(`
+      SELECT id, run_id, source, stage, error, raw_line, event_json, created_at
+      FROM dead_letters
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY created_at DESC
+      LIMIT $${params.length};
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+/**
+ * GET /api/bot-score
+ * Returns the bot score distribution per classification: 10 buckets of 0.1,
+ * average score and the share of borderline events (score 0.3-0.7)
+ * Query: range, minScore, maxScore (see getBotScoreFilter)
+ */
+app.get('/api/bot-score', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const timeFilter = getTimeFilter(range);
+
+    const result = await query(`
+      SELECT
+        bot_classification,
+        LEAST(FLOOR(bot_score * 10), 9)::integer as bucket,
+        COUNT(*) as count,
+        SUM(bot_score) as score_sum,
+        COUNT(*) FILTER (WHERE bot_score BETWEEN 0.3 AND 0.7) as borderline
+      FROM events
+      WHERE ${timeFilter}
+        AND bot_score IS NOT NULL
+        ${getFilteredTrafficFilter(req)}
+        ${getBotScoreFilter(req)}
+      GROUP BY bot_classification, bucket
+    `);
+
+    const classes = new Map();
+    for (const row of result.rows) {
+      if (!classes.has(row.bot_classification)) {
+        classes.set(row.bot_classification, { classification: row.bot_classification, events: 0, scoreSum: 0, borderline: 0, buckets: new Array(10).fill(0) });
+      }
+      const entry = classes.get(row.bot_classification);
+      entry.events += parseInt(row.count);
+      entry.scoreSum += parseFloat(row.score_sum);
+      entry.borderline += parseInt(row.borderline);
+      entry.buckets[row.bucket] = parseInt(row.count);
+    }
+
+    res.json({
+      range,
+      classes: [...classes.values()]
+        .map(({ scoreSum, ...entry }) => ({ ...entry, averageScore: Math.round(scoreSum / entry.events * 1000) / 1000 }))
+        .sort((a, b) => b.events - a.events)
+    });
+  } catch (error) {
+    console.error('Error fetching bot score distribution:', error);
+    res.status(500).json({ error: 'Failed to fetch bot score distribution' });
+  }
+});
+
+/**
+ * GET /api/bot-score/events
+ * Returns events in a score band, e.g. human-labeled events scoring above 0.5
+ * Query: range, minScore, maxScore, classification, site, signal (one of the
+ * lib/bot-score.js signals), limit (default 100)
+ */
+app.get('/api/bot-score/events', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const conditions = [getTimeFilter(range), 'bot_score IS NOT NULL'];
+    const params = [];
+
+    if (req.query.classification) {
+      params.push(req.query.classification);
+      conditions.push(`bot_classification = $${params.length}`);
+    }
+    if (req.query.site) {
+      params.push(req.query.site);
+      conditions.push(`site = $${params.length}`);
+    }
+    if (req.query.signal) {
+      params.push(req.query.signal);
+      conditions.push(`$${params.length} = ANY(bot_score_signals)`);
+    }
+    params.push(limit);
+
+    const result = await query(`
+      SELECT
+        id, timestamp, site, host(client_ip) as client_ip, path, user_agent, asn, asn_org,
+        bot_classification, bot_name, detection_reason, bot_score, bot_score_signals,
+        browser_family, browser_version, os_family, device_type, ua_anomalies,
+        header_fingerprint, header_mismatches
+      FROM events
+      WHERE ${conditions.join('\n        AND ')}
+        ${getFilteredTrafficFilter(req)}
+        ${getBotScoreFilter(req)}
+      ORDER BY timestamp DESC
+      LIMIT $${params.length};
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching scored events:', error);
+    res.status(500).json({ error: 'Failed to fetch scored events' });
+  }
+});
+
+/**
+ * GET /api/user-agents
+ * Returns traffic by a parsed User-Agent dimension, split by classification,
+ * and how often each User-Agent anomaly occurs
+ * Query: range, dimension (see USER_AGENT_DIMENSIONS, default browser_family),
+ * browserFamily, osFamily, deviceType, classification (narrow down, e.g. the
+ * versions of one browser), limit (default 20), minScore/maxScore
+ */
+app.get('/api/user-agents', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const dimension = req.query.dimension || 'browser_family';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    if (!USER_AGENT_DIMENSIONS[dimension]) {
+      return res.status(400).json({ error: `dimension must be one of ${Object.keys(USER_AGENT_DIMENSIONS).join(', ')}` });
+    }
+
+    const conditions = [getTimeFilter(range)];
+    const params = [];
+    for (const [param, column] of [['browserFamily', 'browser_family'], ['osFamily', 'os_family'], ['deviceType', 'device_type'], ['classification', 'bot_classification']]) {
+      if (!req.query[param]) continue;
+      params.push(req.query[param]);
+      conditions.push(`${column} = $${params.length}`);
+    }
+    const where = `${conditions.join('\n        AND ')}
+        ${getFilteredTrafficFilter(req)}
+        ${getBotScoreFilter(req)}`;
+
+    const [breakdown, anomalies] = await Promise.all([
+      query(`
+        SELECT
+          COALESCE(${USER_AGENT_DIMENSIONS[dimension]}, 'unknown') as value,
+          bot_classification,
+          COUNT(*) as count
+        FROM events
+        WHERE ${where}
+        GROUP BY 1, bot_classification
+      `, params),
+      query(`
+        SELECT anomaly, COUNT(*) as count
+        FROM events, unnest(ua_anomalies) as anomaly
+        WHERE ${where}
+        GROUP BY anomaly
+        ORDER BY count DESC
+      `, params)
+    ]);
+
+    const values = new Map();
+    for (const row of breakdown.rows) {
+      if (!values.has(row.value)) values.set(row.value, { value: row.value, events: 0, classes: {} });
+      const entry = values.get(row.value);
+      entry.events += parseInt(row.count);
+      entry.classes[row.bot_classification] = parseInt(row.count);
+    }
+
+    res.json({
+      range,
+      dimension,
+      values: [...values.values()].sort((a, b) => b.events - a.events).slice(0, limit),
+      anomalies: anomalies.rows.map(row => ({ anomaly: row.anomaly, events: parseInt(row.count) }))
+    });
+  } catch (error) {
+    console.error('Error fetching user agent breakdown:', error);
+    res.status(500).json({ error: 'Failed to fetch user agent breakdown' });
+  }
+});
+
+/**
+ * GET /api/header-fingerprints
+ * Returns header fingerprints seen from several IPs (one client stack behind
+ * rotating IPs), with their classifications and header mismatches
+ * Query: range, classification, mismatch (e.g. client_hints_brand),
+ * minIps (default 2), limit (default 20), minScore/maxScore
+ */
+app.get('/api/header-fingerprints', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const minIps = Math.max(parseInt(req.query.minIps) || 2, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+
+    const conditions = [getTimeFilter(range), 'header_fingerprint IS NOT NULL'];
+    const params = [];
+    if (req.query.classification) {
+      params.push(req.query.classification);
+      conditions.push(`bot_classification = $${params.length}`);
+    }
+    if (req.query.mismatch) {
+      params.push(req.query.mismatch);
+      conditions.push(`$${params.length} = ANY(header_mismatches)`);
+    }
+    const where = `${conditions.join('\n        AND ')}
+        ${getFilteredTrafficFilter(req)}
+        ${getBotScoreFilter(req)}`;
+
+    const fingerprints = await query(`
+      SELECT
+        header_fingerprint,
+        COUNT(*) as events,
+        COUNT(DISTINCT client_ip) as ips,
+        COUNT(DISTINCT subnet) as subnets,
+        COUNT(DISTINCT asn) as asns,
+        array_agg(DISTINCT country) FILTER (WHERE country IS NOT NULL) as countries,
+        COUNT(DISTINCT user_agent) as user_agents,
+        (array_agg(user_agent ORDER BY timestamp DESC))[1] as latest_user_agent,
+        MIN(timestamp) as first_seen,
+        MAX(timestamp) as last_seen
+      FROM events
+      WHERE ${where}
+      GROUP BY header_fingerprint
+      HAVING COUNT(DISTINCT client_ip) >= ${minIps}
+      ORDER BY ips DESC, events DESC
+      LIMIT ${limit}
+    `, params);
+
+    const selected = fingerprints.rows.map(row => row.header_fingerprint);
+    params.push(selected);
+    const [classes, mismatches] = await Promise.all([
+      query(`
+        SELECT header_fingerprint, bot_classification, COUNT(*) as count
+        FROM events
+        WHERE ${where}
+          AND header_fingerprint = ANY($${params.length})
+        GROUP BY header_fingerprint, bot_classification
+      `, params),
+      query(`
+        SELECT header_fingerprint, mismatch, COUNT(*) as count
+        FROM events, unnest(header_mismatches) as mismatch
+        WHERE ${where}
+          AND header_fingerprint = ANY($${params.length})
+        GROUP BY header_fingerprint, mismatch
+      `, params)
+    ]);
+
+    const byFingerprint = (rows, key) => {
+      const grouped = {};
+      for (const row of rows) {
+        grouped[row.header_fingerprint] = grouped[row.header_fingerprint] || {};
+        grouped[row.header_fingerprint][row[key]] = parseInt(row.count);
+      }
+      return grouped;
+    };
+    const classesBy = byFingerprint(classes.rows, 'bot_classification');
+    const mismatchesBy = byFingerprint(mismatches.rows, 'mismatch');
+
+    res.json({
+      range,
+      minIps,
+      fingerprints: fingerprints.rows.map(row => ({
+        fingerprint: row.header_fingerprint,
+        events: parseInt(row.events),
+        ips: parseInt(row.ips),
+        subnets: parseInt(row.subnets),
+        asns: parseInt(row.asns),
+        countries: row.countries || [],
+        userAgents: parseInt(row.user_agents),
+        latestUserAgent: row.latest_user_agent,
+        classes: classesBy[row.header_fingerprint] || {},
+        mismatches: mismatchesBy[row.header_fingerprint] || {},
+        firstSeen: row.first_seen,
+        lastSeen: row.last_seen
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching header fingerprints:', error);
+    res.status(500).json({ error: 'Failed to fetch header fingerprints' });
+  }
+});
+
+/**
+ * GET /api/header-fingerprints/:fingerprint
+ * Returns the IPs that sent one header fingerprint, most recent first, to
+ * follow a client stack across IPs and networks
+ * Query: range (default 30d)
+ */
+app.get('/api/header-fingerprints/:fingerprint', async (req, res) => {
+  try {
+    const { fingerprint } = req.params;
+    if (!/^[0-9a-f]{16}$/.test(fingerprint)) {
+      return res.status(400).json({ error: 'fingerprint must be 16 hex characters' });
+    }
+    const range = req.query.range || '30d';
+
+    const result = await query(`
+      SELECT
+        host(client_ip) as client_ip,
+        asn,
+        asn_org,
+        datacenter_provider,
+        country,
+        COUNT(*) as events,
+        array_agg(DISTINCT bot_classification) as classifications,
+        array_agg(DISTINCT user_agent) FILTER (WHERE user_agent IS NOT NULL) as user_agents,
+        MIN(timestamp) as first_seen,
+        MAX(timestamp) as last_seen
+      FROM events
+      WHERE header_fingerprint = $1
+        AND ${getTimeFilter(range)}
+      GROUP BY client_ip, asn, asn_org, datacenter_provider, country
+      ORDER BY last_seen DESC
+      LIMIT 500
+    `, [fingerprint]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Fingerprint not seen in this range' });
+    }
+
+    res.json({
+      fingerprint,
+      range,
+      ips: result.rows.map(row => ({ ...row, events: parseInt(row.events) }))
+    });
+  } catch (error) {
+    console.error('Error fetching header fingerprint:', error);
+    res.status(500).json({ error: 'Failed to fetch header fingerprint' });
+  }
+});
+
+/**
+ * GET /api/agent-browsers
+ * Returns sessions labeled ai_agent_browser (AI agents driving real browsers,
+ * see lib/agent-detection.js), most recent first, with the evidence of the
+ * session's latest review and how many earlier events were re-labeled
+ * Query: range, limit (default 20)
+ */
+app.get('/api/agent-browsers', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+
+    const result = await query(`
+      SELECT
+        session_id,
+        host((array_agg(client_ip))[1]) as client_ip,
+        array_agg(DISTINCT site) as sites,
+        (array_agg(country))[1] as country,
+        (array_agg(asn_org))[1] as asn_org,
+        (array_agg(user_agent ORDER BY timestamp DESC))[1] as user_agent,
+        COUNT(*) as events,
+        COUNT(*) FILTER (WHERE 'session-relabel' = ANY(detection_rules)) as relabeled,
+        (array_agg(agent_evidence ORDER BY timestamp DESC) FILTER (WHERE agent_evidence IS NOT NULL))[1] as evidence,
+        MIN(timestamp) as first_seen,
+        MAX(timestamp) as last_seen
+      FROM events
+      WHERE ${getTimeFilter(range)}
+        AND bot_classification = 'ai_agent_browser'
+        AND session_id IS NOT NULL
+        ${getFilteredTrafficFilter(req)}
+      GROUP BY session_id
+      ORDER BY last_seen DESC
+      LIMIT ${limit}
+    `);
+
+    res.json({
+      range,
+      sessions: result.rows.map(row => ({
+        sessionId: row.session_id,
+        clientIp: row.client_ip,
+        sites: row.sites,
+        country: row.country,
+        asnOrg: row.asn_org,
+        userAgent: row.user_agent,
+        events: parseInt(row.events),
+        relabeled: parseInt(row.relabeled),
+        evidence: row.evidence,
+        firstSeen: row.first_seen,
+        lastSeen: row.last_seen
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching AI agent sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch AI agent sessions' });
+  }
+});
+
+/**
+ * GET /api/shadow
+ * Returns agreement between the active ruleset and a shadow (candidate) ruleset
+ * run during ingestion (classifier.shadow_rules_file): overall and per class
+ * agreement, and the confusion matrix (active → shadow classification)
+ * Query: range, version (shadow ruleset, default: most recently used)
+ */
+app.get('/api/shadow', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const timeFilter = getTimeFilter(range);
+
+    const versionsResult = await query(`
+      SELECT
+        classifier_version,
+        array_agg(DISTINCT active_version) as active_versions,
+        COUNT(*) as events,
+        MIN(timestamp) as first_seen,
+        MAX(timestamp) as last_seen
+      FROM shadow_classifications
+      WHERE ${timeFilter}
+      GROUP BY classifier_version
+      ORDER BY MAX(classified_at) DESC
+    `);
+
+    const versions = versionsResult.rows.map(row => ({
+      version: row.classifier_version,
+      activeVersions: row.active_versions,
+      events: parseInt(row.events),
+      firstSeen: row.first_seen,
+      lastSeen: row.last_seen
+    }));
+    const version = req.query.version || versions[0]?.version || null;
+
+    const matrixResult = await query(`
+      SELECT active_classification, bot_classification as shadow_classification, COUNT(*) as count
+      FROM shadow_classifications
+      WHERE classifier_version = $1
+        AND ${timeFilter}
+      GROUP BY active_classification, bot_classification
+      ORDER BY count DESC
+    `, [version]);
+
+    const matrix = matrixResult.rows.map(row => ({
+      active: row.active_classification,
+      shadow: row.shadow_classification,
+      count: parseInt(row.count)
+    }));
+
+    // Per class: how many of the active ruleset's events the candidate keeps in the class
+    const classes = new Map();
+    const classStats = name => {
+      if (!classes.has(name)) classes.set(name, { classification: name, active: 0, shadow: 0, agreed: 0 });
+      return classes.get(name);
+    };
+    for (const cell of matrix) {
+      classStats(cell.active).active += cell.count;
+      classStats(cell.shadow).shadow += cell.count;
+      if (cell.active === cell.shadow) classStats(cell.active).agreed += cell.count;
+    }
+
+    const total = matrix.reduce((sum, cell) => sum + cell.count, 0);
+    const agreed = matrix.filter(cell => cell.active === cell.shadow).reduce((sum, cell) => sum + cell.count, 0);
+    const rate = (part, whole) => whole > 0 ? Math.round(part / whole * 1000) / 10 : null;
+
+    res.json({
+      range,
+      version,
+      versions,
+      total,
+      agreed,
+      agreementRate: rate(agreed, total),
+      classes: [...classes.values()]
+        .map(stats => ({ ...stats, agreementRate: rate(stats.agreed, stats.active) }))
+        .sort((a, b) => b.active - a.active),
+      matrix
+    });
+  } catch (error) {
+    console.error('Error fetching shadow agreement:', error);
+    res.status(500).json({ error: 'Failed to fetch shadow agreement' });
+  }
+});
+
+/**
+ * GET /api/shadow/disagreements
+ * Returns events the shadow ruleset classified differently, to review before
+ * promoting it: the newest event per (active, shadow, User-Agent) combination
+ * Query: range, version (default: most recently used), active, shadow (matrix cell), limit (default 50)
+ */
+app.get('/api/shadow/disagreements', async (req, res) => {
+  try {
+    const range = req.query.range || '24h';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const conditions = [getTimeFilter(range, 's.timestamp'), 's.active_classification IS DISTINCT FROM s.bot_classification'];
+    const params = [];
+
+    if (req.query.version) {
+      params.push(req.query.version);
+      conditions.push(`s.classifier_version = $${params.length}`);
+    } else {
+      conditions.push('s.classifier_version = (SELECT classifier_version FROM shadow_classifications ORDER BY classified_at DESC LIMIT 1)');
+    }
+    if (req.query.active) {
+      params.push(req.query.active);
+      conditions.push(`s.active_classification = $${params.length}`);
+    }
+    if (req.query.shadow) {
+      params.push(req.query.shadow);
+      conditions.push(`s.bot_classification = $${params.length}`);
+    }
+    params.push(limit);
+
+    // The active reason is only shown while the event still has the active result it was compared with
+    const result = await query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (s.active_classification, s.bot_classification, e.user_agent)
+          e.id as event_id,
+          s.timestamp,
+          e.site,
+          host(e.client_ip) as client_ip,
+          e.path,
+          e.user_agent,
+          e.asn,
+          e.asn_org,
+          s.classifier_version,
+          s.active_version,
+          s.active_classification,
+          s.active_bot_name,
+          CASE WHEN e.classifier_version = s.active_version THEN e.detection_reason END as active_reason,
+          CASE WHEN e.classifier_version = s.active_version THEN e.detection_rules END as active_rules,
+          s.bot_classification as shadow_classification,
+          s.bot_name as shadow_bot_name,
+          s.detection_reason as shadow_reason,
+          s.detection_rules as shadow_rules
+        FROM shadow_classifications s
+        JOIN events e ON e.event_key = s.event_key
+        WHERE ${conditions.join('\n          AND ')}
+        ORDER BY s.active_classification, s.bot_classification, e.user_agent, s.timestamp DESC
+      ) samples
+      ORDER BY timestamp DESC
+      LIMIT $${params.length};
+    `, params);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching shadow disagreements:', error);
+    res.status(500).json({ error: 'Failed to fetch shadow disagreements' });
+  }
+});
+
+/**
+ * GET /api/overrides
+ * Returns all classification overrides (manual labels), oldest first
+ */
+app.get('/api/overrides', async (req, res) => {
+  try {
+    res.json(await getOverrides());
+  } catch (error) {
+    console.error('Error fetching overrides:', error);
+    res.status(500).json({ error: 'Failed to fetch overrides' });
+  }
+});
+
+/**
+ * POST /api/overrides
+ * Creates an override: { match_type: ip|asn|user_agent, match_value, bot_classification, bot_name, note, author }
+ * Applies to newly classified events; re-run older ones with scripts/reclassify.js
+ */
+app.post('/api/overrides', async (req, res) => {
+  try {
+    const errors = validateOverride(req.body || {}, getClassifierCategories());
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const override = await createOverride(req.body);
+    await refreshOverrides(true);
+    res.status(201).json(override);
+  } catch (error) {
+    console.error('Error creating override:', error);
+    res.status(500).json({ error: 'Failed to create override' });
+  }
+});
+
+/**
+ * Update an override on behalf of an author
+ * Every change names who made it and why: the override's author and note
+ * record the last change.
+ * @param {Object} req - Request with params.id and body { author, note, ...changes }
+ * @param {Object} res - Response (400/404 written here)
+ * @param {Object} changes - Fields to change, over the stored override
+ * @returns {Promise<Object|null>} Stored override, or null if a response was sent
+ */
+async function changeOverride(req, res, changes) {
+  const id = parseInt(req.params.id);
+  const existing = (await getOverrides()).find(override => override.id === id);
+  if (!existing) {
+    res.status(404).json({ error: 'Override not found' });
+    return null;
+  }
+
+  const provenanceErrors = validateProvenance(req.body || {}, 'why the override is changed');
+  if (provenanceErrors.length > 0) {
+    res.status(400).json({ error: provenanceErrors.join('; ') });
+    return null;
+  }
+
+  const updated = { ...existing, ...changes };
+  const errors = validateOverride(updated, getClassifierCategories());
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; ') });
+    return null;
+  }
+
+  const override = await updateOverride(id, updated);
+  await refreshOverrides(true);
+  return override;
+}
+
+/**
+ * PUT /api/overrides/:id
+ * Updates an override: { author, note (both required), match_type,
+ * match_value, bot_classification, bot_name, enabled }. Fields not given keep
+ * their value; enabled=false disables it
+ */
+app.put('/api/overrides/:id', async (req, res) => {
+  try {
+    const override = await changeOverride(req, res, req.body);
+    if (override) {
+      res.json(override);
+    }
+  } catch (error) {
+    console.error('Error updating override:', error);
+    res.status(500).json({ error: 'Failed to update override' });
+  }
+});
+
+/**
+ * DELETE /api/overrides/:id
+ * Removes an override by disabling it: { author, note (both required) }. The
+ * row stays so events labeled "override:<id>" keep pointing at it; re-enable
+ * with PUT
+ */
+app.delete('/api/overrides/:id', async (req, res) => {
+  try {
+    const { author, note } = req.body || {};
+    const override = await changeOverride(req, res, { author, note, enabled: false });
+    if (override) {
+      console.log(`Override #${override.id} disabled by ${override.author}`);
+      res.json(override);
+    }
+  } catch (error) {
+    console.error('Error disabling override:', error);
+    res.status(500).json({ error: 'Failed to disable override' });
+  }
+});
+
+/**
+ * GET /api/overrides/accuracy
+ * Measures the classifier rules against overrides that pin a classification:
+ * a sample of each override's events is re-classified without overrides and
+ * compared with the label (overall accuracy, per-class precision/recall)
+ * Query: range (default 30d), sample (events per override, default 200)
+ */
+app.get('/api/overrides/accuracy', async (req, res) => {
+  try {
+    const range = req.query.range || '30d';
+    const sample = Math.min(parseInt(req.query.sample) || 200, 1000);
+    const labels = (await getOverrides({ enabledOnly: true })).filter(override => override.bot_classification);
+
+    const conditions = {
+      ip: 'client_ip <<= $1::inet',
+      asn: 'asn = $1::integer',
+      user_agent: 'user_agent ~* $1'
+    };
+
+    const pairs = [];
+    const perOverride = [];
+    for (const override of labels) {
+      const result = await query(`
+        SELECT id, host(client_ip) as client_ip, user_agent, path, headers_json, country, asn, asn_org, datacenter_provider
+        FROM events
+        WHERE ${getTimeFilter(range)}
+          AND ${conditions[override.match_type]}
+        ORDER BY timestamp DESC
+        LIMIT $2
+      `, [override.match_value, sample]);
+
+      // Events a more specific override labels are counted under that one
+      const predicted = {};
+      let events = 0;
+      let correct = 0;
+      for (const row of result.rows) {
+        if (findOverride(row)?.id !== override.id) continue;
+        const { bot_classification: prediction } = await reclassifyStoredEvent(row, { refreshAsn: false, overrides: false });
+        pairs.push({ label: override.bot_classification, predicted: prediction });
+        predicted[prediction] = (predicted[prediction] || 0) + 1;
+        events++;
+        if (prediction === override.bot_classification) correct++;
+      }
+
+      perOverride.push({
+        id: override.id,
+        match_type: override.match_type,
+        match_value: override.match_value,
+        label: override.bot_classification,
+        events,
+        correct,
+        accuracy: events > 0 ? Math.round(correct / events * 1000) / 1000 : null,
+        predicted
+      });
+    }
+
+    res.json({
+      range,
+      sample,
+      classifierVersion: getRulesetVersion(),
+      ...summarizeAccuracy(pairs),
+      overrides: perOverride
+    });
+  } catch (error) {
+    console.error('Error measuring classifier accuracy:', error);
+    res.status(500).json({ error: 'Failed to measure classifier accuracy' });
+  }
+});
+
+/**
+ * GET /api/datacenter-asns
+ * Returns the datacenter ASN registry (ASN → provider, with provenance), by ASN
+ */
+app.get('/api/datacenter-asns', async (req, res) => {
+  try {
+    res.json(await getDatacenterASNs());
+  } catch (error) {
+    console.error('Error fetching datacenter ASNs:', error);
+    res.status(500).json({ error: 'Failed to fetch datacenter ASNs' });
+  }
+});
+
+/**
+ * POST /api/datacenter-asns
+ * Registers an ASN: { asn, provider (null = not a datacenter), asn_org, note, author }
+ * Applies to newly ingested events; re-run older ones with scripts/reclassify.js
+ */
+app.post('/api/datacenter-asns', async (req, res) => {
+  try {
+    const errors = validateDatacenterASN(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const entry = await createDatacenterASN({ ...req.body, source: 'manual' });
+    if (!entry) {
+      return res.status(409).json({ error: `ASN ${req.body.asn} is already registered` });
+    }
+    await refreshDatacenterASNs(true);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Error creating datacenter ASN:', error);
+    res.status(500).json({ error: 'Failed to create datacenter ASN' });
+  }
+});
+
+/**
+ * GET /api/datacenter-asns/review
+ * Review queue: high-traffic ASNs without a registry entry whose org name
+ * matches the hosting patterns (counted as "hosting" by the pattern fallback
+ * alone), most events first, with their share of human events
+ * Query: range (default 30d), minEvents (default 100), limit (default 50)
+ */
+app.get('/api/datacenter-asns/review', async (req, res) => {
+  try {
+    const range = req.query.range || '30d';
+    const minEvents = Math.max(parseInt(req.query.minEvents) || 100, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    // Patterns are JavaScript regexes: rank unregistered ASNs in SQL, match here
+    const result = await query(`
+      SELECT
+        asn,
+        (array_agg(asn_org ORDER BY timestamp DESC))[1] as asn_org,
+        COUNT(*) as events,
+        COUNT(DISTINCT client_ip) as ips,
+        COUNT(*) FILTER (WHERE bot_classification = 'human') as human,
+        array_agg(DISTINCT country) FILTER (WHERE country IS NOT NULL) as countries,
+        MAX(timestamp) as last_seen
+      FROM events
+      WHERE ${getTimeFilter(range)}
+        AND asn IS NOT NULL
+        AND asn_org IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM datacenter_asns d WHERE d.asn = events.asn)
+      GROUP BY asn
+      HAVING COUNT(*) >= $1
+      ORDER BY events DESC
+      LIMIT 1000
+    `, [minEvents]);
+
+    res.json({
+      range,
+      minEvents,
+      candidates: result.rows
+        .filter(row => isHostingOrg(row.asn_org))
+        .slice(0, limit)
+        .map(row => ({
+          asn: row.asn,
+          asnOrg: row.asn_org,
+          events: parseInt(row.events),
+          ips: parseInt(row.ips),
+          humanShare: Math.round(parseInt(row.human) / parseInt(row.events) * 1000) / 1000,
+          countries: row.countries || [],
+          lastSeen: row.last_seen
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching datacenter ASN review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch datacenter ASN review queue' });
+  }
+});
+
+/**
+ * POST /api/datacenter-asns/review/:asn
+ * Decides a review queue entry: { decision: accept|reject, provider (accept,
+ * default hosting), note (optional), author }. Accepting registers the
+ * provider; rejecting registers the ASN as not a datacenter, which stops the
+ * org name pattern fallback for it.
+ */
+app.post('/api/datacenter-asns/review/:asn', async (req, res) => {
+  try {
+    const { decision, provider, note, author } = req.body || {};
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be accept or reject' });
+    }
+
+    const asn = parseInt(req.params.asn);
+    if (!asn) {
+      return res.status(400).json({ error: 'asn must be an ASN number' });
+    }
+    const org = await query(`
+      SELECT asn_org FROM events WHERE asn = $1 AND asn_org IS NOT NULL ORDER BY timestamp DESC LIMIT 1
+    `, [asn]);
+    const asnOrg = org.rows[0]?.asn_org || null;
+
+    const entry = {
+      asn,
+      provider: decision === 'accept' ? provider || 'hosting' : null,
+      asn_org: asnOrg,
+      note: note || (decision === 'accept'
+        ? `Review queue: "${asnOrg}" matches the hosting patterns`
+        : `Review queue: "${asnOrg}" is not a datacenter`),
+      author
+    };
+    const errors = validateDatacenterASN(entry);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const stored = await createDatacenterASN({ ...entry, source: 'review' });
+    if (!stored) {
+      return res.status(409).json({ error: `ASN ${asn} is already registered` });
+    }
+    await refreshDatacenterASNs(true);
+    res.status(201).json(stored);
+  } catch (error) {
+    console.error('Error deciding datacenter ASN review:', error);
+    res.status(500).json({ error: 'Failed to decide datacenter ASN review' });
+  }
+});
+
+/**
+ * Update a registry entry on behalf of an author
+ * The entry's author and updated_at record who changed it last.
+ * @param {Object} req - Request with params.asn and body { author, ...changes }
+ * @param {Object} res - Response (400/404 written here)
+ * @param {Object} changes - Fields to change, over the stored entry
+ * @returns {Promise<Object|null>} Stored entry, or null if a response was sent
+ */
+async function changeDatacenterASN(req, res, changes) {
+  const asn = parseInt(req.params.asn);
+  const existing = (await getDatacenterASNs()).find(entry => entry.asn === asn);
+  if (!existing) {
+    res.status(404).json({ error: 'ASN not registered' });
+    return null;
+  }
+  if (typeof req.body?.author !== 'string' || req.body.author.trim() === '') {
+    res.status(400).json({ error: 'author is required (who is making the change)' });
+    return null;
+  }
+
+  const updated = { ...existing, ...changes, asn };
+  const errors = validateDatacenterASN(updated);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; ') });
+    return null;
+  }
+
+  const entry = await updateDatacenterASN(asn, updated);
+  await refreshDatacenterASNs(true);
+  return entry;
+}
+
+/**
+ * PUT /api/datacenter-asns/:asn
+ * Updates a registry entry: { author (required), provider, asn_org, note,
+ * enabled }. Fields not given keep their value; enabled=false disables it,
+ * the ASN then falls back to the org name patterns
+ */
+app.put('/api/datacenter-asns/:asn', async (req, res) => {
+  try {
+    const entry = await changeDatacenterASN(req, res, req.body);
+    if (entry) {
+      res.json(entry);
+    }
+  } catch (error) {
+    console.error('Error updating datacenter ASN:', error);
+    res.status(500).json({ error: 'Failed to update datacenter ASN' });
+  }
+});
+
+/**
+ * DELETE /api/datacenter-asns/:asn
+ * Removes a mapping by disabling it: { author (required), note (optional,
+ * why) }. The row stays as the record of who removed it; re-enable with PUT
+ */
+app.delete('/api/datacenter-asns/:asn', async (req, res) => {
+  try {
+    const { author, note } = req.body || {};
+    const entry = await changeDatacenterASN(req, res, { author, ...(note ? { note } : {}), enabled: false });
+    if (entry) {
+      console.log(`Datacenter ASN ${entry.asn} disabled by ${entry.author}`);
+      res.json(entry);
+    }
+  } catch (error) {
+    console.error('Error disabling datacenter ASN:', error);
+    res.status(500).json({ error: 'Failed to disable datacenter ASN' });
+  }
+});
+
+/**
+ * GET /api/explain?eventId=123 | ?ip=1.2.3.4
+ * Explains a classification: the stored reason, matched rules and classifier
+ * version, the matched rule definitions, and what the current ruleset decides
+ */
+app.get('/api/explain', async (req, res) => {
+  try {
+    const { eventId, ip } = req.query;
+    if (!eventId && !ip) {
+      return res.status(400).json({ error: 'Pass eventId or ip' });
+    }
+
+    const explainColumns = `
+      id, timestamp, client_ip, site, method, path, query_string, status, user_agent,
+      country, asn, asn_org, datacenter_provider, is_bot, bot_classification, bot_name,
+      detection_level, detection_reason, detection_rules, classifier_version,
+      bot_score, bot_score_signals, browser_family, browser_version, browser_engine,
+      os_family, os_version, device_type, ua_anomalies, header_fingerprint,
+      header_mismatches, agent_evidence, filter_reason
+    `;
+
+    if (eventId) {
+      if (!/^\d+$/.test(eventId)) {
+        return res.status(400).json({ error: 'eventId must be numeric' });
+      }
+      const result = await query(`SELECT ${explainColumns}, headers_json FROM events WHERE id = $1`, [eventId]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const { headers_json, ...event } = result.rows[0];
+      return res.json({
+        event,
+        rules: describeRules(event.detection_rules),
+        current: await reclassifyStoredEvent(result.rows[0], { refreshAsn: false })
+      });
+    }
+
+    if (!parseIP(ip)) {
+      return res.status(400).json({ error: 'Invalid IP address' });
+    }
+
+    const range = req.query.range || '30d';
+    const timeFilter = getTimeFilter(range);
+
+    // One row per distinct decision (classification + reason + rules + version)
+    const decisionsQuery = `
+      SELECT
+        bot_classification,
+        bot_name,
+        detection_reason,
+        detection_rules,
+        classifier_version,
+        COUNT(*) as events,
+        MIN(timestamp) as first_seen,
+        MAX(timestamp) as last_seen
+      FROM events
+      WHERE client_ip = $1 AND ${timeFilter}
+      GROUP BY bot_classification, bot_name, detection_reason, detection_rules, classifier_version
+      ORDER BY last_seen DESC;
+    `;
+
+    const recentQuery = `
+      SELECT ${explainColumns}, headers_json
+      FROM events
+      WHERE client_ip = $1 AND ${timeFilter}
+      ORDER BY timestamp DESC
+      LIMIT 20;
+    `;
+
+    const [decisions, recent] = await Promise.all([
+      query(decisionsQuery, [ip]),
+      query(recentQuery, [ip])
+    ]);
+
+    const ruleIds = [...new Set(decisions.rows.flatMap(row => row.detection_rules || []))];
+    const ruleDefinitions = describeRules(ruleIds);
+
+    res.json({
+      ip,
+      range,
+      totalEvents: decisions.rows.reduce((sum, row) => sum + parseInt(row.events), 0),
+      decisions: decisions.rows.map(row => ({ ...row, events: parseInt(row.events) })),
+      rules: Object.fromEntries(ruleIds.map((id, i) => [id, ruleDefinitions[i]])),
+      recentEvents: recent.rows.map(({ headers_json, ...event }) => event),
+      current: recent.rows.length > 0 ? await reclassifyStoredEvent(recent.rows[0], { refreshAsn: false }) : null,
+      currentVersion: getRulesetVersion()
+    });
+  } catch (error) {
+    console.error('Error explaining classification:', error);
+    res.status(500).json({ error: 'Failed to explain classification' });
+  }
+});
+
 // ============================================================================
 // Data Explorer API Endpoints
 // ============================================================================
@@ -572,7 +1959,7 @@ app.get('/api/explore/subnet-clusters', async (req, res) => {
       FROM events
       WHERE ${timeFilter}
         AND subnet IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY subnet, bot_classification, datacenter_provider, asn, asn_org
       HAVING COUNT(*) >= ${minRequests}
       ORDER BY total_requests DESC
@@ -608,7 +1995,7 @@ app.get('/api/explore/time-bursts', async (req, res) => {
         array_agg(DISTINCT path ORDER BY path) FILTER (WHERE path IS NOT NULL) as paths_visited
       FROM events
       WHERE ${timeFilter}
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY time_bucket, client_ip, subnet, bot_classification, datacenter_provider
       HAVING COUNT(*) >= ${threshold}
       ORDER BY burst_size DESC
@@ -645,7 +2032,7 @@ app.get('/api/explore/datacenter-ips', async (req, res) => {
       FROM events
       WHERE ${timeFilter}
         AND datacenter_provider IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY client_ip, datacenter_provider, asn, asn_org, bot_classification, user_agent
       ORDER BY request_count DESC
       LIMIT 200;
@@ -680,7 +2067,7 @@ app.get('/api/explore/residential-patterns', async (req, res) => {
       WHERE ${timeFilter}
         AND datacenter_provider IS NULL
         AND subnet IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY subnet, country, bot_classification
       HAVING COUNT(*) >= 10
       ORDER BY request_count DESC
@@ -719,7 +2106,7 @@ app.get('/api/explore/asn-analysis', async (req, res) => {
       FROM events
       WHERE ${timeFilter}
         AND asn IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY asn, asn_org, datacenter_provider
       ORDER BY total_requests DESC
       LIMIT 100;
@@ -756,7 +2143,7 @@ app.get('/api/explore/unique-ips', async (req, res) => {
         MAX(timestamp) as last_seen
       FROM events
       WHERE ${timeFilter}
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY client_ip, subnet, bot_classification, country, city, datacenter_provider, asn_org
       ORDER BY total_requests DESC
       LIMIT 500;
@@ -794,7 +2181,7 @@ app.get('/api/explore/geographic-clusters', async (req, res) => {
       WHERE ${timeFilter}
         AND latitude IS NOT NULL
         AND longitude IS NOT NULL
-        AND client_ip NOT IN ('184.82.29.117', '123.25.101.101')
+        ${getFilteredTrafficFilter(req)}
       GROUP BY country, city
       HAVING COUNT(*) >= 10
       ORDER BY total_requests DESC